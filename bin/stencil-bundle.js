@@ -6,6 +6,8 @@ import ThemeConfig from '../lib/theme-config.js';
 import Bundle from '../lib/stencil-bundle.js';
 import { printCliResultErrorAndExit, prepareCommand } from '../lib/cliCommon.js';
 import BuildConfigManager from '../lib/BuildConfigManager.js';
+import ValidationReport from '../lib/ValidationReport.js';
+import StencilConfigManager from '../lib/StencilConfigManager.js';
 
 program
     .version(PACKAGE_INFO.version)
@@ -22,6 +24,18 @@ program
         '-m, --marketplace',
         'Runs extra bundle validations for partners who can create marketplace themes',
     )
+    .option(
+        '-r, --report [format]',
+        'Run all validations and write their findings to stencil-report.json or stencil-report.sarif (json|sarif)',
+    )
+    .option(
+        '-a, --analyze',
+        'Print the size of the bundle by directory, file type, template and compiled stylesheet',
+    )
+    .option(
+        '--no-build-cache',
+        'Assemble all templates and stylesheets again instead of reusing the unchanged ones from .stencil/cache',
+    )
     .option(
         '-t, --timeout [timeout]',
         'Set a timeout for the bundle operation. Default is 20 secs',
@@ -37,6 +51,12 @@ async function run() {
         if (cliOptions.name === true) {
             throw new Error('You have to specify a value for -n or --name'.red);
         }
+        if (cliOptions.report === true) {
+            cliOptions.report = 'json';
+        }
+        if (cliOptions.report && !ValidationReport.isSupportedFormat(cliOptions.report)) {
+            throw new Error('The report format must be json or sarif'.red);
+        }
         if (!themeConfig.configExists()) {
             throw new Error(
                 `${
@@ -45,6 +65,9 @@ async function run() {
             );
         }
         const rawConfig = await themeConfig.getRawConfig();
+        // Budgets are optional, so is config.stencil.json when bundling
+        const stencilConfig = await new StencilConfigManager().read(true, true);
+        const budgets = stencilConfig ? stencilConfig.budgets : undefined;
         const timeout = cliOptions.timeout * 1000; // seconds
         const buildConfigManager = new BuildConfigManager({ timeout });
         await buildConfigManager.initConfig();
@@ -52,7 +75,7 @@ async function run() {
             THEME_PATH,
             themeConfig,
             rawConfig,
-            cliOptions,
+            { ...cliOptions, budgets },
             buildConfigManager,
         );
         const bundlePath = await bundle.initBundle();
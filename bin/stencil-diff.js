@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+import 'colors';
+import program from '../lib/commander.js';
+import { PACKAGE_INFO, THEME_PATH } from '../constants.js';
+import stencilDiff from '../lib/stencil-diff.js';
+import { prepareCommand, printCliResultErrorAndExit } from '../lib/cliCommon.js';
+
+program
+    .version(PACKAGE_INFO.version)
+    .option('-c, --channel_id [channelId]', 'specify the channel ID of the storefront', parseInt)
+    .option('--exit-code', 'exit with code 1 if the local theme differs from the active theme');
+const cliOptions = prepareCommand(program);
+const options = {
+    exclude: ['parsed', 'manifest.json'],
+    apiHost: cliOptions.host,
+    channelId: cliOptions.channel_id,
+    themePath: THEME_PATH,
+};
+async function run(opts) {
+    try {
+        const { hasDifferences } = await stencilDiff(opts);
+        if (hasDifferences && cliOptions.exitCode) {
+            process.exitCode = 1;
+        }
+    } catch (err) {
+        printCliResultErrorAndExit(err);
+    }
+}
+run(options);
@@ -0,0 +1,17 @@
+#!/usr/bin/env node
+import 'colors';
+import program from '../lib/commander.js';
+import { PACKAGE_INFO, THEME_PATH } from '../constants.js';
+import stencilGraphQLSchema from '../lib/stencil-graphql-schema.js';
+import { prepareCommand, printCliResultErrorAndExit } from '../lib/cliCommon.js';
+
+program
+    .version(PACKAGE_INFO.version)
+    .option('-c, --channel_id [channelId]', 'specify the channel ID of the storefront', parseInt);
+const cliOptions = prepareCommand(program);
+const options = {
+    apiHost: cliOptions.host,
+    channelId: cliOptions.channel_id,
+    themePath: THEME_PATH,
+};
+stencilGraphQLSchema(options).catch(printCliResultErrorAndExit);
@@ -1,5 +1,6 @@
 #!/usr/bin/env node
 import 'colors';
+import { Console } from 'console';
 import { PACKAGE_INFO } from '../constants.js';
 import program from '../lib/commander.js';
 import stencilPush from '../lib/stencil-push.js';
@@ -16,8 +17,18 @@ program
         '-c, --channel_ids <channelIds...>',
         'specify the channel IDs of the storefront to push the theme to',
     )
-    .option('-allc, --all_channels', 'push a theme to all available channels');
+    .option('-allc, --all_channels', 'push a theme to all available channels')
+    .option(
+        '--stores <names>',
+        'push the theme to the comma-separated store profiles of config.stencil.json',
+        (value) => value.split(',').map((name) => name.trim()),
+    )
+    .option('--ci', 'never prompt, use the defaults or fail if a decision is missing')
+    .option('-y, --yes', 'same as --ci')
+    .option('--json', 'write a JSON summary of the push to stdout');
 const cliOptions = prepareCommand(program);
+// Keep stdout for the JSON summary, so it can be parsed by deploy scripts
+const logger = cliOptions.json ? new Console(process.stderr) : console;
 const options = {
     apiHost: cliOptions.host,
     channelIds: cliOptions.channel_ids,
@@ -27,10 +38,14 @@ const options = {
     deleteOldest: cliOptions.delete,
     allChannels: cliOptions.all_channels,
     sourceMaps: cliOptions.source_maps,
+    nonInteractive: Boolean(cliOptions.ci || cliOptions.yes),
+    json: cliOptions.json,
+    stores: cliOptions.stores,
+    logger,
 };
 stencilPush(options, (err, result) => {
     if (err) {
-        printCliResultErrorAndExit(err);
+        printCliResultErrorAndExit(err, { logger });
     }
-    console.log(`${'ok'.green} -- ${result}`);
+    logger.log(`${'ok'.green} -- ${result}`);
 });
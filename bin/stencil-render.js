@@ -0,0 +1,19 @@
+#!/usr/bin/env node
+import 'colors';
+import program from '../lib/commander.js';
+import StencilRender from '../lib/stencil-render.js';
+import { PACKAGE_INFO } from '../constants.js';
+import { prepareCommand, printCliResultErrorAndExit } from '../lib/cliCommon.js';
+
+program
+    .version(PACKAGE_INFO.version)
+    .option('-t, --template [template]', 'Template to render, e.g. pages/product')
+    .option(
+        '-c, --context [filename]',
+        'JSON file with the template context, e.g. the output of ?debug=context',
+    )
+    .option('-o, --output [filename]', 'If provided will write the HTML to file')
+    .option('-v, --variation [name]', 'Set which theme variation to use')
+    .option('-l, --locale [locale]', 'Set which locale to use for translations', 'en');
+const cliOptions = prepareCommand(program);
+new StencilRender().run(cliOptions).catch(printCliResultErrorAndExit);
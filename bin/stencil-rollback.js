@@ -0,0 +1,24 @@
+#!/usr/bin/env node
+import 'colors';
+import program from '../lib/commander.js';
+import { PACKAGE_INFO } from '../constants.js';
+import stencilRollback from '../lib/stencil-rollback.js';
+import { prepareCommand, printCliResultErrorAndExit } from '../lib/cliCommon.js';
+
+program
+    .version(PACKAGE_INFO.version)
+    .option('-c, --channel [channelId]', 'specify the channel ID of the storefront', parseInt)
+    .option(
+        '-t, --to [uuid]',
+        'specify the theme to activate instead of the one before the last push',
+    )
+    .option('-n, --dry-run', 'print the theme and variation which would be activated');
+const cliOptions = prepareCommand(program);
+const options = {
+    apiHost: cliOptions.host,
+    channelId: cliOptions.channel,
+    to: cliOptions.to,
+    dryRun: cliOptions.dryRun,
+    applyTheme: true,
+};
+stencilRollback(options).catch(printCliResultErrorAndExit);
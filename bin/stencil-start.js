@@ -24,7 +24,28 @@ program
         '-cu, --channelUrl [channelUrl]',
         'Set a custom domain url to bypass dns/proxy protection',
     )
-    .option('-p --port [portnumber]', 'Set port number to listen dev server');
+    .option('-p --port [portnumber]', 'Set port number to listen dev server')
+    .option('--record <dir>', 'Save the storefront responses of every visited page to a directory')
+    .option(
+        '--offline <dir>',
+        'Serve the storefront responses recorded with --record instead of calling the store',
+    )
+    .option(
+        '--pseudo-locale',
+        'Replace every translation with an accented, longer version to find hard-coded text and layout issues',
+    )
+    .option(
+        '--show-missing-translations',
+        'Mark the translation keys missing from the active locale in the rendered pages',
+    )
+    .option(
+        '--channels <ids>',
+        'Serve several channels at once on consecutive ports, e.g. --channels 1,2,3',
+    )
+    .option(
+        '--https',
+        'Serve the local server over https with a certificate issued by a local certificate authority',
+    );
 const cliOptions = prepareCommand(program);
 const options = {
     open: cliOptions.open,
@@ -35,6 +56,12 @@ const options = {
     cache: cliOptions.cache,
     channelUrl: cliOptions.channelUrl,
     port: cliOptions.port,
+    record: cliOptions.record,
+    offline: cliOptions.offline,
+    pseudoLocale: cliOptions.pseudoLocale,
+    showMissingTranslations: cliOptions.showMissingTranslations,
+    https: cliOptions.https,
+    channels: cliOptions.channels,
 };
 
 async function run() {
@@ -0,0 +1,22 @@
+#!/usr/bin/env node
+import 'colors';
+import program from '../lib/commander.js';
+import StencilTestRender from '../lib/stencil-test-render.js';
+import { PACKAGE_INFO } from '../constants.js';
+import { prepareCommand, printCliResultErrorAndExit } from '../lib/cliCommon.js';
+
+program
+    .version(PACKAGE_INFO.version)
+    .option(
+        '-p, --pages <pages...>',
+        'Pages to render in the <template>=<context file or url> format, e.g. pages/home=home.json',
+    )
+    .option(
+        '-s, --snapshots [directory]',
+        'Directory with the baseline snapshots (defaults to .stencil/snapshots)',
+    )
+    .option('-u, --update', 'Overwrite the baseline snapshots with the new output')
+    .option('--ci', 'Fail instead of saving the missing snapshots, e.g. in continuous integration')
+    .option('-l, --locale [locale]', 'Set which locale to use for translations', 'en');
+const cliOptions = prepareCommand(program);
+new StencilTestRender().run(cliOptions).catch(printCliResultErrorAndExit);
@@ -13,8 +13,19 @@ program
     .command('release', "Create a new release in the theme's github repository.")
     .command('push', 'Bundles up the theme into a zip file and uploads it to your store.')
     .command('pull', 'Pulls currently active theme config files and overwrites local copy')
+    .command('rollback', 'Reactivates the theme which was active before the last push')
     .command('download', 'Downloads all the theme files')
+    .command('diff', 'Compares the local theme with the active theme of your live store')
     .command('debug', 'Prints environment and theme settings for debug purposes')
+    .command('render', 'Renders a template to HTML using a JSON context file')
+    .command(
+        'graphql-schema',
+        'Saves the GraphQL schema of the storefront to validate the frontmatter queries',
+    )
+    .command(
+        'test-render',
+        'Renders pages for every theme variation and compares them to snapshots',
+    )
     .command('scss-autofix', 'Autofix SCSS files in the current directory')
     .command('attributes-analyzer', 'Generates a report of all attributes used in the theme')
     .parse(process.argv);
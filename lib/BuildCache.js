@@ -0,0 +1,134 @@
+import crypto from 'crypto';
+import fsModule from 'fs';
+import path from 'path';
+import { PACKAGE_INFO } from '../constants.js';
+
+class BuildCache {
+    /**
+     * Content-addressed cache for the results of the bundle tasks. Every entry remembers the hashes
+     * of the files it was built from and is only reused while all of them are unchanged.
+     *
+     * @param {string} themePath
+     * @param {object} [options]
+     * @param {boolean} [options.enabled]
+     * @param {string} [options.cachePath] - defaults to .stencil/cache in the theme directory
+     */
+    constructor(
+        themePath,
+        {
+            enabled = true,
+            cachePath = path.join(themePath, '.stencil', 'cache'),
+            version = PACKAGE_INFO.version,
+            fs = fsModule,
+        } = {},
+    ) {
+        this.themePath = themePath;
+        this.cachePath = cachePath;
+        this.enabled = enabled;
+        this._version = version;
+        this._fs = fs;
+        this._fileHashes = new Map();
+    }
+
+    /**
+     * @param {...*} parts
+     * @returns {string} - hash of the parts and the CLI version
+     */
+    getKey(...parts) {
+        return crypto
+            .createHash('sha1')
+            .update(JSON.stringify([this._version, ...parts]))
+            .digest('hex');
+    }
+
+    /**
+     * Files are read at most once per bundle, the cache instance shouldn't outlive it
+     *
+     * @param {string} filePath - absolute path
+     * @returns {Promise<string|null>} - null if the file doesn't exist
+     */
+    async hashFile(filePath) {
+        if (!this._fileHashes.has(filePath)) {
+            this._fileHashes.set(
+                filePath,
+                this._fs.promises
+                    .readFile(filePath)
+                    .then((content) => crypto.createHash('md5').update(content).digest('hex'))
+                    .catch(() => null),
+            );
+        }
+        return this._fileHashes.get(filePath);
+    }
+
+    /**
+     * @param {string} namespace - e.g. "templates"
+     * @param {string} name - e.g. "pages/home"
+     * @returns {string}
+     */
+    getEntryPath(namespace, name) {
+        const hash = crypto.createHash('md5').update(name).digest('hex');
+        return path.join(this.cachePath, namespace, `${hash}.json`);
+    }
+
+    /**
+     * @param {string} namespace
+     * @param {string} name
+     * @param {string} key - the result of getKey() for everything the result depends on besides files
+     * @returns {Promise<*|null>} - the cached result or null if it is missing or outdated
+     */
+    async get(namespace, name, key) {
+        if (!this.enabled) {
+            return null;
+        }
+        let entry;
+        try {
+            const content = await this._fs.promises.readFile(this.getEntryPath(namespace, name), {
+                encoding: 'utf-8',
+            });
+            entry = JSON.parse(content);
+        } catch (err) {
+            // Missing or corrupted entries are rebuilt
+            return null;
+        }
+        if (entry.key !== key) {
+            return null;
+        }
+        const currentHashes = await Promise.all(
+            Object.keys(entry.files).map((file) => this.hashFile(path.join(this.themePath, file))),
+        );
+        const isUpToDate = Object.values(entry.files).every(
+            (hash, index) => hash === currentHashes[index],
+        );
+        return isUpToDate ? entry.result : null;
+    }
+
+    /**
+     * @param {string} namespace
+     * @param {string} name
+     * @param {string} key
+     * @param {string[]} files - absolute paths of the files the result was built from
+     * @param {*} result
+     * @returns {Promise<void>}
+     */
+    async set(namespace, name, key, files, result) {
+        if (!this.enabled) {
+            return;
+        }
+        const hashes = await Promise.all(files.map((file) => this.hashFile(file)));
+        const entry = {
+            key,
+            // Relative paths keep the cache valid when the theme is checked out somewhere else, e.g. on CI
+            files: Object.fromEntries(
+                files.map((file, index) => [
+                    path.relative(this.themePath, file).split(path.sep).join('/'),
+                    hashes[index],
+                ]),
+            ),
+            result,
+        };
+        const entryPath = this.getEntryPath(namespace, name);
+        await this._fs.promises.mkdir(path.dirname(entryPath), { recursive: true });
+        await this._fs.promises.writeFile(entryPath, JSON.stringify(entry));
+    }
+}
+export default BuildCache;
@@ -0,0 +1,62 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import BuildCache from './BuildCache.js';
+
+describe('BuildCache', () => {
+    let themePath;
+    let templatePath;
+    const result = { 'pages/home': '<h1>Home</h1>' };
+    beforeEach(async () => {
+        themePath = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'stencil-theme-'));
+        templatePath = path.join(themePath, 'templates', 'home.html');
+        await fs.promises.mkdir(path.dirname(templatePath));
+        await fs.promises.writeFile(templatePath, '<h1>Home</h1>');
+    });
+    afterEach(async () => {
+        await fs.promises.rm(themePath, { recursive: true, force: true });
+    });
+
+    it('should return the cached result while the files are unchanged', async () => {
+        const buildCache = new BuildCache(themePath);
+        const key = buildCache.getKey('templates');
+        await buildCache.set('templates', 'pages/home', key, [templatePath], result);
+        expect(await new BuildCache(themePath).get('templates', 'pages/home', key)).toEqual(result);
+    });
+
+    it('should return null if nothing was cached', async () => {
+        const buildCache = new BuildCache(themePath);
+        expect(await buildCache.get('templates', 'pages/home', buildCache.getKey())).toBeNull();
+    });
+
+    it('should return null if one of the files changed', async () => {
+        const buildCache = new BuildCache(themePath);
+        const key = buildCache.getKey('templates');
+        await buildCache.set('templates', 'pages/home', key, [templatePath], result);
+        await fs.promises.writeFile(templatePath, '<h1>Welcome</h1>');
+        expect(await new BuildCache(themePath).get('templates', 'pages/home', key)).toBeNull();
+    });
+
+    it('should return null if the result was cached by another CLI version', async () => {
+        const buildCache = new BuildCache(themePath, { version: '1.0.0' });
+        await buildCache.set(
+            'templates',
+            'pages/home',
+            buildCache.getKey(),
+            [templatePath],
+            result,
+        );
+        const newBuildCache = new BuildCache(themePath, { version: '2.0.0' });
+        expect(
+            await newBuildCache.get('templates', 'pages/home', newBuildCache.getKey()),
+        ).toBeNull();
+    });
+
+    it('should neither read nor write the cache if it is disabled', async () => {
+        const buildCache = new BuildCache(themePath, { enabled: false });
+        const key = buildCache.getKey();
+        await buildCache.set('templates', 'pages/home', key, [templatePath], result);
+        expect(fs.existsSync(path.join(themePath, '.stencil'))).toBe(false);
+        expect(await buildCache.get('templates', 'pages/home', key)).toBeNull();
+    });
+});
@@ -23,6 +23,7 @@ class BuildConfigManager {
         this._onReadyCallbacks = [];
         this._worker = null;
         this._workerIsReady = false;
+        this._workerErrors = '';
         this.timeout = timeout;
     }
 
@@ -35,7 +36,15 @@ class BuildConfigManager {
 
     initWorker() {
         if (this._fs.existsSync(this._buildConfigPath)) {
-            this._worker = fork(this._buildConfigPath, [], { cwd: this._workDir });
+            this._worker = fork(this._buildConfigPath, [], {
+                cwd: this._workDir,
+                stdio: ['inherit', 'inherit', 'pipe', 'ipc'],
+            });
+            // Still shown in the terminal, and kept to show the errors of the build in the browser
+            this._worker.stderr.on('data', (chunk) => {
+                process.stderr.write(chunk);
+                this._workerErrors += chunk;
+            });
             this._worker.on('message', (message) => {
                 if (message === 'ready') {
                     this._workerIsReady = true;
@@ -96,7 +105,30 @@ class BuildConfigManager {
         this._onReadyCallbacks.push(onReady);
     }
 
-    _devWorker(browserSync) {
+    /**
+     * Workers like the one of cornerstone log the errors of a build to stderr and ask for a reload
+     * anyway, so a build failed if the worker wrote to stderr since the previous reload.
+     *
+     * @private
+     * @returns {string|null}
+     */
+    _takeWorkerErrors() {
+        const errors = this._workerErrors
+            .split(/\r?\n/)
+            // Warnings of node itself, e.g. about deprecated APIs, aren't errors of the build
+            .filter((line) => !/^\(node:\d+\)|^\(Use `node --trace-/.test(line))
+            .join('\n')
+            .trim();
+        this._workerErrors = '';
+        return errors || null;
+    }
+
+    /**
+     * @param {object} browserSync
+     * @param {function(string|null): void} [onBuildError] - called with the errors the worker wrote
+     *  to stderr, or its exit code, and with null after a successful build
+     */
+    _devWorker(browserSync, onBuildError = () => {}) {
         if (!this._worker) {
             return;
         }
@@ -105,6 +137,15 @@ class BuildConfigManager {
         this._worker.send('development');
         this._worker.on('message', (message) => {
             if (message === 'reload') {
+                onBuildError(this._takeWorkerErrors());
+                browserSync.reload();
+            }
+        });
+        this._worker.on('exit', (code) => {
+            if (code) {
+                const exitError = `The build worker of ${this.configFileName} exited with code ${code}`;
+                const errors = this._takeWorkerErrors();
+                onBuildError(errors ? `${exitError}\n${errors}` : exitError);
                 browserSync.reload();
             }
         });
@@ -82,6 +82,34 @@ describe('BuildConfigManager integration tests', () => {
             });
             buildConfig.stopWorker();
         });
+        it('should report a successful build when the worker asks for a reload without errors', async () => {
+            const buildConfig = new BuildConfigManager({
+                workDir: `${cwd}/test/_mocks/build-config/valid-config`,
+            });
+            await buildConfig.initConfig();
+            const onBuildError = jest.fn();
+            await new Promise((done) => {
+                buildConfig.initWorker().development({ reload: done }, onBuildError);
+            });
+            buildConfig.stopWorker();
+            expect(onBuildError).toHaveBeenCalledWith(null);
+        });
+        it('should report the errors the worker wrote to stderr before asking for a reload', async () => {
+            jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+            const buildConfig = new BuildConfigManager({
+                workDir: `${cwd}/test/_mocks/build-config/error-config`,
+            });
+            await buildConfig.initConfig();
+            const onBuildError = jest.fn();
+            await new Promise((done) => {
+                buildConfig.initWorker().development({ reload: done }, onBuildError);
+            });
+            buildConfig.stopWorker();
+            expect(onBuildError).toHaveBeenCalledWith(
+                "Module not found: Error: Can't resolve './missing'",
+            );
+            expect(process.stderr.write).toHaveBeenCalled();
+        });
         it('should reload the browser when "reload" method is called from stencil.conf.js (legacy-config)', async () => {
             const buildConfig = new BuildConfigManager({
                 workDir: `${cwd}/test/_mocks/build-config/legacy-config`,
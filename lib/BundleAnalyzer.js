@@ -0,0 +1,267 @@
+import 'colors';
+import fsModule from 'fs';
+import path from 'path';
+import StencilStyles from '@bigcommerce/stencil-styles';
+import cssCompiler from './css/compile.js';
+
+const KILOBYTE = 1024;
+const MEGABYTE = KILOBYTE * 1024;
+const SIZE_UNITS = { b: 1, kb: KILOBYTE, mb: MEGABYTE };
+const TOP_ENTRIES_COUNT = 10;
+
+/**
+ * @param {number|string} size - bytes or a string like "500kB" or "2.5MB"
+ * @returns {number} - bytes
+ */
+function parseSize(size) {
+    if (typeof size === 'number') {
+        return size;
+    }
+    const match = /^\s*(\d+(?:\.\d+)?)\s*(b|kb|mb)?\s*$/i.exec(String(size));
+    if (!match) {
+        throw new Error(
+            `Invalid budget size "${size}". Use bytes or a value like "500kB" or "2MB"`,
+        );
+    }
+    const unit = (match[2] || 'b').toLowerCase();
+    return Math.round(parseFloat(match[1]) * SIZE_UNITS[unit]);
+}
+
+/**
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatSize(bytes) {
+    const absBytes = Math.abs(bytes);
+    if (absBytes >= MEGABYTE) {
+        return `${(bytes / MEGABYTE).toFixed(2)} MB`;
+    }
+    if (absBytes >= KILOBYTE) {
+        return `${(bytes / KILOBYTE).toFixed(1)} kB`;
+    }
+    return `${bytes} B`;
+}
+
+class BundleAnalyzer {
+    /**
+     * Collects the sizes of the bundle entries and checks them against the budgets from config.stencil.json
+     *
+     * @param {string} themePath
+     * @param {object} [options]
+     * @param {object} [options.budgets] - e.g. { bundle: "20MB", template: "500kB", css: "300kB", directories: { assets: "15MB" } }
+     * @param {string} [options.statsPath] - where the stats of the last bundle within the budgets are saved
+     */
+    constructor(
+        themePath,
+        {
+            budgets = {},
+            statsPath = path.join(themePath, '.stencil', 'bundle-stats.json'),
+            fs = fsModule,
+            logger = console,
+        } = {},
+    ) {
+        this.themePath = themePath;
+        this.budgets = budgets || {};
+        this.statsPath = statsPath;
+        this.stats = { bundle: 0, directories: {}, types: {}, templates: {}, css: {} };
+        this._fs = fs;
+        this._logger = logger;
+    }
+
+    /**
+     * @param {string} name - path of the entry in the zip
+     * @param {number} size - uncompressed size in bytes
+     * @returns {void}
+     */
+    addEntry(name, size) {
+        const [directory] = name.includes('/') ? name.split('/') : ['(root)'];
+        const type = path.extname(name) || '(none)';
+        this.stats.directories[directory] = (this.stats.directories[directory] || 0) + size;
+        this.stats.types[type] = (this.stats.types[type] || 0) + size;
+    }
+
+    /**
+     * @param {string} templateName - the template a parsed/templates/<md5>.json entry was generated from
+     * @param {number} size
+     * @returns {void}
+     */
+    addTemplate(templateName, size) {
+        this.stats.templates[templateName] = size;
+    }
+
+    /**
+     * @param {number} size - size of the zip file
+     * @returns {void}
+     */
+    setBundleSize(size) {
+        this.stats.bundle = size;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    hasCssBudget() {
+        return this.budgets.css !== undefined;
+    }
+
+    /**
+     * Compiles the stylesheets of the theme to measure them, the bundle only contains their sources
+     *
+     * @param {object} themeConfig
+     * @returns {Promise<void>}
+     */
+    async addCompiledCss(themeConfig) {
+        const configuration = await themeConfig.getConfig();
+        if (configuration.css_compiler === 'css') {
+            return;
+        }
+        const assetsPath = path.join(this.themePath, 'assets');
+        const cssFiles = await new StencilStyles().getCssFiles(this.themePath);
+        for await (const file of cssFiles) {
+            // eslint-disable-next-line no-await-in-loop
+            const css = await cssCompiler.compile(
+                configuration,
+                assetsPath,
+                file,
+                cssCompiler.SASS_ENGINE_NAME,
+            );
+            this.stats.css[file] = Buffer.byteLength(css || '');
+        }
+    }
+
+    /**
+     * @returns {object}
+     */
+    getStats() {
+        return this.stats;
+    }
+
+    /**
+     * @returns {Promise<object|null>} - stats of the last bundle within the budgets
+     */
+    async readPreviousStats() {
+        try {
+            const content = await this._fs.promises.readFile(this.statsPath, { encoding: 'utf-8' });
+            return JSON.parse(content);
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    async saveStats() {
+        await this._fs.promises.mkdir(path.dirname(this.statsPath), { recursive: true });
+        await this._fs.promises.writeFile(this.statsPath, JSON.stringify(this.stats, null, 2));
+    }
+
+    /**
+     * @returns {{name: string, budget: number, size: number, path: string[]}[]}
+     */
+    checkBudgets() {
+        const violations = [];
+        const check = (name, budget, statPath) => {
+            const size = statPath.reduce((stats, key) => stats && stats[key], this.stats) || 0;
+            const budgetSize = parseSize(budget);
+            if (size > budgetSize) {
+                violations.push({ name, budget: budgetSize, size, path: statPath });
+            }
+        };
+        if (this.budgets.bundle !== undefined) {
+            check('bundle', this.budgets.bundle, ['bundle']);
+        }
+        for (const [directory, budget] of Object.entries(this.budgets.directories || {})) {
+            check(`directory ${directory}`, budget, ['directories', directory]);
+        }
+        if (this.budgets.template !== undefined) {
+            for (const templateName of Object.keys(this.stats.templates)) {
+                check(`template ${templateName}`, this.budgets.template, [
+                    'templates',
+                    templateName,
+                ]);
+            }
+        }
+        if (this.hasCssBudget()) {
+            for (const file of Object.keys(this.stats.css)) {
+                check(`css ${file}`, this.budgets.css, ['css', file]);
+            }
+        }
+        return violations;
+    }
+
+    /**
+     * @param {object|null} previousStats
+     * @returns {void}
+     */
+    print(previousStats) {
+        this._logger.log(`\nBundle size: ${this.formatWithDiff(['bundle'], previousStats)}`);
+        this.printTable('Size by directory', 'directories', previousStats);
+        this.printTable('Size by file type', 'types', previousStats);
+        this.printTable(
+            `Largest parsed templates (top ${TOP_ENTRIES_COUNT})`,
+            'templates',
+            previousStats,
+            TOP_ENTRIES_COUNT,
+        );
+        if (Object.keys(this.stats.css).length) {
+            this.printTable('Compiled CSS', 'css', previousStats);
+        }
+    }
+
+    /**
+     * @param {string} title
+     * @param {string} group - key of the stats
+     * @param {object|null} previousStats
+     * @param {number} [limit]
+     * @returns {void}
+     */
+    printTable(title, group, previousStats, limit = Infinity) {
+        const rows = Object.entries(this.stats[group])
+            .sort(([, sizeA], [, sizeB]) => sizeB - sizeA)
+            .slice(0, limit);
+        const nameWidth = Math.max(...rows.map(([name]) => name.length), 0);
+        this._logger.log(`\n${title.cyan}`);
+        for (const [name] of rows) {
+            this._logger.log(
+                `  ${name.padEnd(nameWidth)}  ${this.formatWithDiff([group, name], previousStats)}`,
+            );
+        }
+    }
+
+    /**
+     * @param {{name: string, budget: number, size: number, path: string[]}[]} violations
+     * @param {object|null} previousStats
+     * @returns {void}
+     */
+    printViolations(violations, previousStats) {
+        this._logger.error('\nBundle budgets exceeded:'.red);
+        for (const violation of violations) {
+            this._logger.error(
+                `  ${violation.name}: ${this.formatWithDiff(violation.path, previousStats)}` +
+                    ` > budget ${formatSize(violation.budget)}`.red,
+            );
+        }
+    }
+
+    /**
+     * @param {string[]} statPath
+     * @param {object|null} previousStats
+     * @returns {string} - e.g. "1.20 MB (+10.0 kB)"
+     */
+    formatWithDiff(statPath, previousStats) {
+        const getSize = (stats) => statPath.reduce((acc, key) => acc && acc[key], stats);
+        const size = getSize(this.stats) || 0;
+        const previousSize = previousStats ? getSize(previousStats) : undefined;
+        if (previousSize === undefined) {
+            return formatSize(size);
+        }
+        const diff = size - previousSize;
+        const sign = diff > 0 ? '+' : '';
+        const diffStr = `(${sign}${formatSize(diff)})`;
+        return `${formatSize(size)} ${diff > 0 ? diffStr.yellow : diffStr.green}`;
+    }
+}
+
+export { parseSize, formatSize };
+export default BundleAnalyzer;
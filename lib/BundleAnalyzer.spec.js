@@ -0,0 +1,116 @@
+import { jest } from '@jest/globals';
+import BundleAnalyzer, { parseSize, formatSize } from './BundleAnalyzer.js';
+
+describe('BundleAnalyzer', () => {
+    let logger;
+    let fs;
+    beforeEach(() => {
+        logger = {
+            log: jest.fn(),
+            error: jest.fn(),
+        };
+        fs = {
+            promises: {
+                readFile: jest.fn(),
+                writeFile: jest.fn(),
+                mkdir: jest.fn(),
+            },
+        };
+    });
+    const createAnalyzer = (budgets) => {
+        const analyzer = new BundleAnalyzer('/theme', { budgets, fs, logger });
+        analyzer.addEntry('assets/js/theme-bundle.main.js', 300 * 1024);
+        analyzer.addEntry('assets/img/logo.png', 20 * 1024);
+        analyzer.addEntry('config.json', 2048);
+        analyzer.addEntry('parsed/templates/0f1e2d.json', 4096);
+        analyzer.addTemplate('pages/product', 4096);
+        analyzer.setBundleSize(100 * 1024);
+        return analyzer;
+    };
+
+    it('should group the entries by directory and file type', () => {
+        expect(createAnalyzer().getStats()).toEqual({
+            bundle: 100 * 1024,
+            directories: { assets: 320 * 1024, '(root)': 2048, parsed: 4096 },
+            types: { '.js': 300 * 1024, '.png': 20 * 1024, '.json': 2048 + 4096 },
+            templates: { 'pages/product': 4096 },
+            css: {},
+        });
+    });
+
+    it('should return the budgets which are exceeded', () => {
+        const analyzer = createAnalyzer({
+            bundle: '1MB',
+            template: '2kB',
+            directories: { assets: 300 * 1024 },
+        });
+        expect(analyzer.checkBudgets()).toEqual([
+            {
+                name: 'directory assets',
+                budget: 300 * 1024,
+                size: 320 * 1024,
+                path: ['directories', 'assets'],
+            },
+            {
+                name: 'template pages/product',
+                budget: 2048,
+                size: 4096,
+                path: ['templates', 'pages/product'],
+            },
+        ]);
+    });
+
+    it('should print the exceeded budgets with the difference to the previous bundle', () => {
+        const analyzer = createAnalyzer({ template: '2kB' });
+        const previousStats = { templates: { 'pages/product': 3072 } };
+        analyzer.printViolations(analyzer.checkBudgets(), previousStats);
+        expect(logger.error).toHaveBeenCalledWith(
+            expect.stringContaining('template pages/product: 4.0 kB'),
+        );
+        expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('+1.0 kB'));
+        expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('budget 2.0 kB'));
+    });
+
+    it('should print the templates by name', () => {
+        createAnalyzer().print(null);
+        expect(logger.log).toHaveBeenCalledWith(expect.stringMatching(/pages\/product\s+4\.0 kB/));
+    });
+
+    it('should save the stats for the next bundle', async () => {
+        const analyzer = createAnalyzer();
+        fs.promises.readFile.mockResolvedValue(JSON.stringify({ bundle: 1 }));
+        expect(await analyzer.readPreviousStats()).toEqual({ bundle: 1 });
+        await analyzer.saveStats();
+        expect(fs.promises.writeFile).toHaveBeenCalledWith(
+            '/theme/.stencil/bundle-stats.json',
+            JSON.stringify(analyzer.getStats(), null, 2),
+        );
+    });
+
+    it('should return null if there are no previous stats', async () => {
+        fs.promises.readFile.mockRejectedValue(new Error('ENOENT'));
+        expect(await createAnalyzer().readPreviousStats()).toBeNull();
+    });
+
+    describe('parseSize', () => {
+        it('should parse sizes with units', () => {
+            expect(parseSize(100)).toEqual(100);
+            expect(parseSize('100')).toEqual(100);
+            expect(parseSize('500kB')).toEqual(500 * 1024);
+            expect(parseSize('2.5 MB')).toEqual(2.5 * 1024 * 1024);
+        });
+
+        it('should throw an error on invalid sizes', () => {
+            expect(() => parseSize('big')).toThrow('Invalid budget size "big"');
+        });
+    });
+
+    describe('formatSize', () => {
+        it('should format sizes', () => {
+            expect(formatSize(512)).toEqual('512 B');
+            expect(formatSize(1536)).toEqual('1.5 kB');
+            expect(formatSize(-1536)).toEqual('-1.5 kB');
+            expect(formatSize(3 * 1024 * 1024)).toEqual('3.00 MB');
+        });
+    });
+});
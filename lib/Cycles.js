@@ -20,18 +20,7 @@ class Cycles {
      */
     detect() {
         for (const templatesByPath of this.templatePaths) {
-            const graph = new Graph();
-            for (const [templatePath, templateContent] of Object.entries(templatesByPath)) {
-                const dependencies = [
-                    ...this._geDependantPartials(templateContent, templatePath),
-                    ...this._getDependantDynamicComponents(
-                        templateContent,
-                        templatesByPath,
-                        templatePath,
-                    ),
-                ];
-                graph.add(templatePath, dependencies);
-            }
+            const graph = this._createGraph(templatesByPath);
             if (graph.hasCycle()) {
                 const foundCycles = util.inspect(graph.getCycles());
                 throw new Error(`Circular dependency in template detected. \r\n${foundCycles}`);
@@ -39,6 +28,43 @@ class Cycles {
         }
     }
 
+    /**
+     * Finds all circular dependencies instead of stopping at the first one
+     * @returns {string[][]} - template paths of every cycle
+     */
+    findCycles() {
+        const cycles = new Map();
+        for (const templatesByPath of this.templatePaths) {
+            for (const cycle of this._createGraph(templatesByPath).getCycles()) {
+                const templatePaths = cycle.map((vertex) => vertex.name);
+                // The same templates are assembled for every template which includes them
+                cycles.set([...templatePaths].sort().join(), templatePaths);
+            }
+        }
+        return [...cycles.values()];
+    }
+
+    /**
+     * @private
+     * @param {object} templatesByPath
+     * @returns {Graph}
+     */
+    _createGraph(templatesByPath) {
+        const graph = new Graph();
+        for (const [templatePath, templateContent] of Object.entries(templatesByPath)) {
+            const dependencies = [
+                ...this._geDependantPartials(templateContent, templatePath),
+                ...this._getDependantDynamicComponents(
+                    templateContent,
+                    templatesByPath,
+                    templatePath,
+                ),
+            ];
+            graph.add(templatePath, dependencies);
+        }
+        return graph;
+    }
+
     /**
      * @private
      * @param {string} templateContent
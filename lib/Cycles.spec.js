@@ -97,6 +97,16 @@ describe('Cycles', () => {
         const action = () => new Cycles(templatesWithCircles).detect();
         expect(action).toThrow(Error, /Circular/);
     });
+    it('should find every cycle only once', () => {
+        const cycles = new Cycles([...templatesWithCircles, templatesWithCircles[0]]).findCycles();
+        expect(cycles).toHaveLength(1);
+        expect(cycles[0]).toEqual(
+            expect.arrayContaining(['components/index', 'components/options/date']),
+        );
+    });
+    it('should find no cycles when there are none', () => {
+        expect(new Cycles(templatesWithoutCircles).findCycles()).toEqual([]);
+    });
     it('should throw an error when non array passed in', () => {
         const action = () => new Cycles('test');
         expect(action).toThrow(Error);
@@ -0,0 +1,196 @@
+import 'colors';
+
+const COMMANDS = [
+    ['rs', 'reload the browsers'],
+    ['v [name]', 'switch to the variation, lists the variations without a name'],
+    ['l [locale]', 'render the pages in the locale, resets to the browser language without one'],
+    ['cc', 'clear the cache of the storefront responses'],
+    ['cache', 'turn the cache of the storefront responses on or off'],
+    ['check', 'validate the lang files and compile the stylesheets'],
+    ['stats', 'show the durations and cache hits of the recent requests'],
+    ['open [url]', 'open the url in the connected browsers, / by default'],
+    ['help', 'show this list'],
+];
+
+class DevConsole {
+    /**
+     * Commands typed in the terminal while stencil start is running
+     *
+     * @param {object} options
+     * @param {object} options.browserSync
+     * @param {object} options.themeConfigManager
+     * @param {object} options.renderer - functions exposed by the Renderer plugin
+     * @param {object} options.requestProfiles - RequestProfileStore of the local server
+     * @param {object} options.missingTranslations
+     * @param {Function} options.runChecks - validates the lang files and the stylesheets
+     * @param {string} options.baseUrl - url of the storefront served by BrowserSync
+     * @param {object} [options.logger]
+     */
+    constructor({
+        browserSync,
+        themeConfigManager,
+        renderer,
+        requestProfiles,
+        missingTranslations,
+        runChecks,
+        baseUrl,
+        logger = console,
+    }) {
+        this._browserSync = browserSync;
+        this._themeConfigManager = themeConfigManager;
+        this._renderer = renderer;
+        this._requestProfiles = requestProfiles;
+        this._missingTranslations = missingTranslations;
+        this._runChecks = runChecks;
+        this._baseUrl = baseUrl;
+        this._logger = logger;
+        this._handlers = {
+            rs: () => this.reload(),
+            v: (name) => this.switchVariation(name),
+            l: (locale) => this.switchLocale(locale),
+            cc: () => this.clearCache(),
+            cache: () => this.toggleCache(),
+            check: () => this.check(),
+            stats: () => this.printStats(),
+            open: (url) => this.open(url),
+            help: () => this.printHelp(),
+        };
+    }
+
+    /**
+     * @param {object} stdin
+     * @returns {void}
+     */
+    listen(stdin) {
+        stdin.resume();
+        stdin.setEncoding('utf8');
+        stdin.on('data', async (data) => {
+            try {
+                await this.execute(`${data}`);
+            } catch (e) {
+                this._logger.error(`${'Error'.red}: ${e.message}`);
+            }
+        });
+    }
+
+    /**
+     * @param {string} line - e.g. "v Light"
+     * @returns {Promise<void>}
+     */
+    async execute(line) {
+        const [command = '', ...args] = line.trim().split(/\s+/);
+        if (!command) {
+            return;
+        }
+        const handler = this._handlers[command.toLowerCase()];
+        if (!handler) {
+            this._logger.log(`Unknown command "${command}", type ${'help'.cyan} for the commands`);
+            return;
+        }
+        await handler(args.join(' '));
+    }
+
+    reload() {
+        this._browserSync.reload();
+    }
+
+    /**
+     * @param {string} [name]
+     * @returns {Promise<void>}
+     */
+    async switchVariation(name) {
+        if (!name) {
+            const { variations = [] } = await this._themeConfigManager.getRawConfig();
+            const currentIndex = this._themeConfigManager.variationIndex || 0;
+            variations.forEach((variation, index) => {
+                const marker = index === currentIndex ? '*'.green : ' ';
+                this._logger.log(`${marker} ${variation.name}`);
+            });
+            return;
+        }
+        await this._themeConfigManager.setVariationByName(name);
+        this._logger.log(`Switched to variation ${name.cyan}`);
+        this.reload();
+    }
+
+    /**
+     * @param {string} [locale]
+     * @returns {void}
+     */
+    switchLocale(locale) {
+        this._renderer.setLocale(locale || null);
+        this._logger.log(
+            locale
+                ? `Rendering the pages in ${locale.cyan}`
+                : 'Rendering the pages in the browser language',
+        );
+        this.reload();
+    }
+
+    clearCache() {
+        this._renderer.clearCache();
+        this._logger.log('Cache cleared');
+    }
+
+    toggleCache() {
+        const useCache = !this._renderer.isCacheEnabled();
+        this._renderer.setUseCache(useCache);
+        this._logger.log(`Cache ${useCache ? 'on'.green : 'off'.yellow}`);
+    }
+
+    async check() {
+        await this._runChecks();
+        this._logger.log('Checks finished');
+    }
+
+    printStats() {
+        const profiles = this._requestProfiles.getAll().map((profile) => profile.toJSON());
+        if (!profiles.length) {
+            this._logger.log('No requests yet');
+            return;
+        }
+        const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+        const totals = profiles.map((profile) => profile.total).filter((total) => total !== null);
+        const lines = [`Requests: ${profiles.length}`];
+        if (totals.length) {
+            lines.push(`Average total: ${average(totals).toFixed(1)}ms`);
+        }
+        const phases = new Map();
+        for (const phase of profiles.flatMap((profile) => profile.phases)) {
+            phases.set(phase.name, [...(phases.get(phase.name) || []), phase]);
+        }
+        for (const [name, measures] of phases) {
+            const durations = measures.map((phase) => phase.duration);
+            const cached = measures.filter((phase) => phase.cache);
+            const hits = cached.filter((phase) => phase.cache === 'hit').length;
+            const cache = cached.length ? `, cache hits ${hits}/${cached.length}` : '';
+            lines.push(`  ${name}: ${average(durations).toFixed(1)}ms${cache}`);
+        }
+        lines.push(`Missing translations: ${this._missingTranslations.size}`);
+        lines.push(`Cache: ${this._renderer.isCacheEnabled() ? 'on' : 'off'}`);
+        this._logger.log(lines.join('\n'));
+    }
+
+    /**
+     * @param {string} [url] - path of the storefront or absolute url
+     * @returns {void}
+     */
+    open(url = '') {
+        const target = url || '/';
+        const isAbsolute = /^https?:\/\//i.test(target);
+        const path = target.startsWith('/') ? target : `/${target}`;
+        this._browserSync.sockets.emit('browser:location', isAbsolute ? { url: target } : { path });
+        this._logger.log(`Opening ${(isAbsolute ? target : this._baseUrl + path).cyan}`);
+    }
+
+    printHelp() {
+        const width = Math.max(...COMMANDS.map(([command]) => command.length));
+        this._logger.log(
+            COMMANDS.map(
+                ([command, description]) => `  ${command.padEnd(width).cyan}  ${description}`,
+            ).join('\n'),
+        );
+    }
+}
+
+export default DevConsole;
@@ -0,0 +1,132 @@
+import { jest } from '@jest/globals';
+import { EventEmitter } from 'events';
+import DevConsole from './DevConsole.js';
+import RequestProfileStore from './RequestProfileStore.js';
+import MissingTranslations from './lang/MissingTranslations.js';
+
+describe('DevConsole', () => {
+    const createDevConsole = () => {
+        let useCache = true;
+        const options = {
+            browserSync: { reload: jest.fn(), sockets: { emit: jest.fn() } },
+            themeConfigManager: {
+                variationIndex: 1,
+                getRawConfig: jest
+                    .fn()
+                    .mockResolvedValue({ variations: [{ name: 'Light' }, { name: 'Bold' }] }),
+                setVariationByName: jest.fn().mockResolvedValue(),
+            },
+            renderer: {
+                clearCache: jest.fn(),
+                isCacheEnabled: () => useCache,
+                setUseCache: jest.fn((value) => {
+                    useCache = value;
+                }),
+                setLocale: jest.fn(),
+            },
+            requestProfiles: new RequestProfileStore(),
+            missingTranslations: new MissingTranslations(),
+            runChecks: jest.fn().mockResolvedValue(),
+            baseUrl: 'http://localhost:3000',
+            logger: { log: jest.fn(), error: jest.fn() },
+        };
+        return { devConsole: new DevConsole(options), options };
+    };
+    const getOutput = (logger) => logger.log.mock.calls.map(([message]) => message).join('\n');
+
+    it('should reload the browsers with rs', async () => {
+        const { devConsole, options } = createDevConsole();
+        await devConsole.execute('rs\n');
+        expect(options.browserSync.reload).toHaveBeenCalled();
+    });
+
+    it('should list the variations and mark the current one', async () => {
+        const { devConsole, options } = createDevConsole();
+        await devConsole.execute('v');
+        expect(getOutput(options.logger)).toMatch(/ {2}Light\n.*\* Bold/);
+        expect(options.themeConfigManager.setVariationByName).not.toHaveBeenCalled();
+    });
+
+    it('should switch the variation and reload the browsers', async () => {
+        const { devConsole, options } = createDevConsole();
+        await devConsole.execute('v Light');
+        expect(options.themeConfigManager.setVariationByName).toHaveBeenCalledWith('Light');
+        expect(options.browserSync.reload).toHaveBeenCalled();
+    });
+
+    it('should switch the locale and reset it without an argument', async () => {
+        const { devConsole, options } = createDevConsole();
+        await devConsole.execute('l fr-CA');
+        await devConsole.execute('l');
+        expect(options.renderer.setLocale.mock.calls).toEqual([['fr-CA'], [null]]);
+        expect(options.browserSync.reload).toHaveBeenCalledTimes(2);
+    });
+
+    it('should clear and toggle the cache', async () => {
+        const { devConsole, options } = createDevConsole();
+        await devConsole.execute('cc');
+        await devConsole.execute('cache');
+        expect(options.renderer.clearCache).toHaveBeenCalled();
+        expect(options.renderer.setUseCache).toHaveBeenCalledWith(false);
+        expect(getOutput(options.logger)).toContain('off');
+    });
+
+    it('should run the checks', async () => {
+        const { devConsole, options } = createDevConsole();
+        await devConsole.execute('check');
+        expect(options.runChecks).toHaveBeenCalled();
+    });
+
+    it('should show the stats of the recent requests', async () => {
+        const { devConsole, options } = createDevConsole();
+        const first = options.requestProfiles.start({ method: 'get', url: '/' });
+        first.setCache('data', 'hit');
+        first.end(200);
+        const second = options.requestProfiles.start({ method: 'get', url: '/shop/' });
+        second.setCache('data', 'miss');
+        second.end(200);
+        await devConsole.execute('stats');
+        const output = getOutput(options.logger);
+        expect(output).toContain('Requests: 2');
+        expect(output).toContain('cache hits 1/2');
+        expect(output).toContain('Missing translations: 0');
+    });
+
+    it('should open the url in the connected browsers', async () => {
+        const { devConsole, options } = createDevConsole();
+        await devConsole.execute('open shop/');
+        await devConsole.execute('open https://example.com/');
+        expect(options.browserSync.sockets.emit.mock.calls).toEqual([
+            ['browser:location', { path: '/shop/' }],
+            ['browser:location', { url: 'https://example.com/' }],
+        ]);
+        expect(getOutput(options.logger)).toContain('http://localhost:3000/shop/');
+    });
+
+    it('should print the commands', async () => {
+        const { devConsole, options } = createDevConsole();
+        await devConsole.execute('help');
+        expect(getOutput(options.logger)).toContain('v [name]');
+    });
+
+    it('should point to help for unknown commands', async () => {
+        const { devConsole, options } = createDevConsole();
+        await devConsole.execute('unknown');
+        expect(getOutput(options.logger)).toContain('Unknown command "unknown"');
+    });
+
+    it('should log the errors of the commands typed in the terminal', async () => {
+        const { devConsole, options } = createDevConsole();
+        options.themeConfigManager.setVariationByName.mockRejectedValue(new Error('Not defined'));
+        const stdin = Object.assign(new EventEmitter(), {
+            resume: jest.fn(),
+            setEncoding: jest.fn(),
+        });
+        devConsole.listen(stdin);
+        stdin.emit('data', 'v Missing\n');
+        await new Promise((resolve) => {
+            setImmediate(resolve);
+        });
+        expect(options.logger.error).toHaveBeenCalledWith(expect.stringContaining('Not defined'));
+    });
+});
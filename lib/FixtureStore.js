@@ -0,0 +1,79 @@
+import 'colors';
+import fsModule from 'fs';
+import path from 'path';
+import fsUtilsModule from './utils/fsUtils.js';
+
+class FixtureStore {
+    /**
+     * Reads and writes recorded storefront responses, so that `stencil start` can work offline.
+     * Every fixture is a JSON file named after the request signature it was recorded for.
+     *
+     * @param {string} fixturesPath - absolute path of the fixtures directory
+     */
+    constructor(fixturesPath, { fs = fsModule, fsUtils = fsUtilsModule } = {}) {
+        this.fixturesPath = fixturesPath;
+        this.storeInfoPath = path.join(fixturesPath, 'store.json');
+        this._fs = fs;
+        this._fsUtils = fsUtils;
+    }
+
+    /**
+     * @param {string} signature
+     * @returns {string}
+     */
+    getFixturePath(signature) {
+        // Signatures are prefixed with "bcapp:" or "graphql:", colons are not allowed in Windows file names
+        return path.join(this.fixturesPath, `${signature.replace(/:/g, '-')}.json`);
+    }
+
+    /**
+     * @param {string} signature
+     * @returns {Promise<object|null>} - null if nothing was recorded for the signature
+     */
+    async read(signature) {
+        const fixturePath = this.getFixturePath(signature);
+        if (!this._fs.existsSync(fixturePath)) {
+            return null;
+        }
+        return this._fsUtils.parseJsonFile(fixturePath);
+    }
+
+    /**
+     * @param {string} signature
+     * @param {object} data
+     * @returns {Promise<void>}
+     */
+    async write(signature, data) {
+        await this._fs.promises.mkdir(this.fixturesPath, { recursive: true });
+        await this._fs.promises.writeFile(
+            this.getFixturePath(signature),
+            JSON.stringify(data, null, 2),
+        );
+    }
+
+    /**
+     * Store urls and locale settings, which are otherwise fetched from the API on startup
+     *
+     * @returns {Promise<{storeUrl: string, normalStoreUrl: string, storeSettingsLocale: object}>}
+     */
+    async readStoreInfo() {
+        if (!this._fs.existsSync(this.storeInfoPath)) {
+            throw new Error(
+                `No recorded store information found in ${this.fixturesPath}. Please run`.red +
+                    ' $ stencil start --record <dir>'.cyan +
+                    ' first.'.red,
+            );
+        }
+        return this._fsUtils.parseJsonFile(this.storeInfoPath);
+    }
+
+    /**
+     * @param {{storeUrl: string, normalStoreUrl: string, storeSettingsLocale: object}} storeInfo
+     * @returns {Promise<void>}
+     */
+    async writeStoreInfo(storeInfo) {
+        await this._fs.promises.mkdir(this.fixturesPath, { recursive: true });
+        await this._fs.promises.writeFile(this.storeInfoPath, JSON.stringify(storeInfo, null, 2));
+    }
+}
+export default FixtureStore;
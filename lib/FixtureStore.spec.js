@@ -0,0 +1,92 @@
+import { jest } from '@jest/globals';
+import path from 'path';
+import FixtureStore from './FixtureStore.js';
+
+const fixturesPath = '/some/theme/.fixtures';
+const getFsStub = () => ({
+    existsSync: jest.fn().mockReturnValue(true),
+    promises: {
+        mkdir: jest.fn(),
+        writeFile: jest.fn(),
+    },
+});
+const getFsUtilsStub = (content = {}) => ({
+    parseJsonFile: jest.fn().mockResolvedValue(content),
+});
+
+describe('FixtureStore', () => {
+    describe('getFixturePath', () => {
+        it('should name the fixture file after the signature without colons', () => {
+            const fixtureStore = new FixtureStore(fixturesPath);
+            expect(fixtureStore.getFixturePath('bcapp:abc123')).toEqual(
+                path.join(fixturesPath, 'bcapp-abc123.json'),
+            );
+        });
+    });
+
+    describe('read', () => {
+        it('should return the parsed fixture', async () => {
+            const fixture = { bcAppData: { pencil_response: true } };
+            const fsUtils = getFsUtilsStub(fixture);
+            const fixtureStore = new FixtureStore(fixturesPath, { fs: getFsStub(), fsUtils });
+            const result = await fixtureStore.read('abc123');
+            expect(result).toEqual(fixture);
+            expect(fsUtils.parseJsonFile).toHaveBeenCalledWith(
+                path.join(fixturesPath, 'abc123.json'),
+            );
+        });
+
+        it('should return null if nothing was recorded for the signature', async () => {
+            const fs = getFsStub();
+            fs.existsSync.mockReturnValue(false);
+            const fsUtils = getFsUtilsStub();
+            const fixtureStore = new FixtureStore(fixturesPath, { fs, fsUtils });
+            const result = await fixtureStore.read('abc123');
+            expect(result).toBeNull();
+            expect(fsUtils.parseJsonFile).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('write', () => {
+        it('should create the fixtures directory and write the fixture', async () => {
+            const fs = getFsStub();
+            const fixtureStore = new FixtureStore(fixturesPath, { fs, fsUtils: getFsUtilsStub() });
+            const data = { regionResponse: { renderedRegions: [] } };
+            await fixtureStore.write('graphql:abc123', data);
+            expect(fs.promises.mkdir).toHaveBeenCalledWith(fixturesPath, { recursive: true });
+            expect(fs.promises.writeFile).toHaveBeenCalledWith(
+                path.join(fixturesPath, 'graphql-abc123.json'),
+                JSON.stringify(data, null, 2),
+            );
+        });
+    });
+
+    describe('readStoreInfo', () => {
+        it('should return the recorded store info', async () => {
+            const storeInfo = {
+                storeUrl: 'https://store-abc123.mybigcommerce.com',
+                normalStoreUrl: 'https://www.example.com',
+                storeSettingsLocale: { default_shopper_language: 'en' },
+            };
+            const fsUtils = getFsUtilsStub(storeInfo);
+            const fixtureStore = new FixtureStore(fixturesPath, { fs: getFsStub(), fsUtils });
+            const result = await fixtureStore.readStoreInfo();
+            expect(result).toEqual(storeInfo);
+            expect(fsUtils.parseJsonFile).toHaveBeenCalledWith(
+                path.join(fixturesPath, 'store.json'),
+            );
+        });
+
+        it('should throw an error if nothing was recorded', async () => {
+            const fs = getFsStub();
+            fs.existsSync.mockReturnValue(false);
+            const fixtureStore = new FixtureStore(fixturesPath, {
+                fs,
+                fsUtils: getFsUtilsStub(),
+            });
+            await expect(fixtureStore.readStoreInfo()).rejects.toThrow(
+                'No recorded store information found',
+            );
+        });
+    });
+});
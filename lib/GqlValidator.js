@@ -0,0 +1,195 @@
+import 'colors';
+import fsModule from 'fs';
+import path from 'path';
+import yamlValidator from 'js-yaml';
+import { buildClientSchema, parse, validate } from 'graphql';
+import { recursiveReadDir } from './utils/fsUtils.js';
+import { getFrontmatterContent, interpolateThemeSettings } from './utils/frontmatter.js';
+
+// Written by `stencil graphql-schema`
+const SCHEMA_PATH = '.stencil/graphql-schema.json';
+
+class GqlValidator {
+    /**
+     * Checks the GraphQL queries in the frontmatter of the templates against the schema of the
+     * storefront, which is saved in the theme by `stencil graphql-schema`
+     *
+     * @param {string} themePath
+     * @param {object} themeConfig
+     * @param {object} [options]
+     * @param {object} [options.logger]
+     */
+    constructor(themePath, themeConfig, { fs = fsModule, logger = console } = {}) {
+        this.themePath = themePath;
+        this.themeConfig = themeConfig;
+        this.schemaPath = GqlValidator.getSchemaPath(themePath);
+        this._fs = fs;
+        this._logger = logger;
+        this._schema = null;
+    }
+
+    /**
+     * @param {string} themePath
+     * @returns {string}
+     */
+    static getSchemaPath(themePath) {
+        return path.join(themePath, SCHEMA_PATH);
+    }
+
+    async run() {
+        const [error] = await this.findErrors({ stopOnError: true });
+        if (error) {
+            throw new Error(error.message.red);
+        }
+    }
+
+    /**
+     * Only checks the passed templates, e.g. the one saved while stencil start is running
+     *
+     * @param {string[]} filePaths
+     * @returns {Promise<string[]>}
+     */
+    async runForFiles(filePaths) {
+        const errors = (await this.findErrors({ filePaths })).map((error) => error.message);
+        if (errors.length) {
+            this._logger.log(errors.join('\n').yellow);
+        }
+        return errors;
+    }
+
+    /**
+     * @param {object} [options]
+     * @param {string[]} [options.filePaths] - all the templates of the theme by default
+     * @param {boolean} [options.stopOnError]
+     * @returns {Promise<{message: string, file: string, line: number|undefined}[]>}
+     */
+    async findErrors({ filePaths = null, stopOnError = false } = {}) {
+        const schema = await this.getSchema();
+        if (!schema) {
+            return [];
+        }
+        const files =
+            filePaths ||
+            (await recursiveReadDir(path.join(this.themePath, 'templates'), ['!*.html']));
+        const { settings } = await this.themeConfig.getRawConfig();
+        const errors = [];
+        for await (const file of files) {
+            const fileContent = await this._fs.promises.readFile(file, { encoding: 'utf-8' });
+            for (const error of this.validateTemplate(fileContent, settings, schema)) {
+                const location = error.line ? `${file}:${error.line}` : file;
+                errors.push({
+                    message: `Error: ${error.message}, in the frontmatter gql query at "${location}".`,
+                    file,
+                    line: error.line,
+                });
+            }
+            if (stopOnError && errors.length) {
+                break;
+            }
+        }
+        return errors;
+    }
+
+    /**
+     * @returns {Promise<GraphQLSchema|null>} - null if the schema wasn't saved
+     */
+    async getSchema() {
+        if (!this._fs.existsSync(this.schemaPath)) {
+            return null;
+        }
+        const { mtimeMs } = await this._fs.promises.stat(this.schemaPath);
+        if (!this._schema || this._schema.mtimeMs !== mtimeMs) {
+            const content = JSON.parse(await this._fs.promises.readFile(this.schemaPath, 'utf-8'));
+            this._schema = { mtimeMs, schema: buildClientSchema(content) };
+        }
+        return this._schema.schema;
+    }
+
+    /**
+     * @param {string} fileContent
+     * @param {object} settings - theme settings interpolated in the frontmatter
+     * @param {GraphQLSchema} schema
+     * @returns {{message: string, line: number|undefined}[]}
+     */
+    validateTemplate(fileContent, settings, schema) {
+        const frontmatter = getFrontmatterContent(fileContent);
+        if (!frontmatter) {
+            return [];
+        }
+        let data;
+        try {
+            [data] = yamlValidator.loadAll(interpolateThemeSettings(frontmatter, settings));
+        } catch {
+            // Reported by the frontmatter validation
+            return [];
+        }
+        if (!data || typeof data.gql !== 'string') {
+            return [];
+        }
+        return this.validateQuery(data.gql, schema).map(({ message, position }) => ({
+            message,
+            line: GqlValidator.getLine(fileContent, data.gql, position),
+        }));
+    }
+
+    /**
+     * @param {string} query
+     * @param {GraphQLSchema} schema
+     * @returns {{message: string, position: number}[]}
+     */
+    validateQuery(query, schema) {
+        let errors;
+        try {
+            errors = validate(schema, parse(query));
+        } catch (e) {
+            // Syntax errors
+            errors = [e];
+        }
+        return errors.map((error) => ({
+            // The message is followed by the location in the template
+            message: error.message.replace(/\.$/, ''),
+            position: error.positions ? error.positions[0] : 0,
+        }));
+    }
+
+    /**
+     * Finds the line of a position of the query in the template. YAML can fold the lines of the
+     * query and indent it, so the query is matched with the frontmatter character by character,
+     * skipping the whitespace.
+     *
+     * @param {string} fileContent
+     * @param {string} query - the gql value of the frontmatter
+     * @param {number} position - offset in the query
+     * @returns {number|undefined}
+     */
+    static getLine(fileContent, query, position) {
+        const frontmatter = getFrontmatterContent(fileContent);
+        const frontmatterStart = fileContent.indexOf(frontmatter);
+        const frontmatterEnd = frontmatterStart + frontmatter.length;
+        const key = /^gql\s*:/m.exec(frontmatter);
+        if (!key) {
+            return undefined;
+        }
+        const countLines = (offset) => fileContent.slice(0, offset).split('\n').length;
+        let index = frontmatterStart + key.index + key[0].length;
+        const end = Math.min(position + 1, query.length);
+        for (let queryIndex = 0; queryIndex < end; queryIndex += 1) {
+            const char = query[queryIndex];
+            if (!/\s/.test(char)) {
+                while (index < frontmatterEnd && fileContent[index] !== char) {
+                    index += 1;
+                }
+                if (index >= frontmatterEnd) {
+                    // The query doesn't match the file, e.g. because of the theme settings
+                    return countLines(frontmatterStart + key.index);
+                }
+                if (queryIndex < end - 1) {
+                    index += 1;
+                }
+            }
+        }
+        return countLines(index);
+    }
+}
+
+export default GqlValidator;
@@ -0,0 +1,197 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { buildSchema, introspectionFromSchema } from 'graphql';
+import GqlValidator from './GqlValidator.js';
+
+const schema = buildSchema(`
+    type Query {
+        site: Site!
+    }
+    type Site {
+        product(entityId: Int, optionValueIds: [OptionValueId!]): Product
+        search(term: String!, sort: SortBy = FEATURED): Product
+    }
+    type Product {
+        id: ID!
+        name: String!
+    }
+    input OptionValueId {
+        optionEntityId: Int!
+        valueEntityId: Int!
+    }
+    type Brand {
+        id: ID!
+    }
+    enum SortBy {
+        FEATURED
+        NEWEST
+    }
+`);
+
+describe('GqlValidator', () => {
+    const validator = new GqlValidator('/theme', {});
+    const getMessages = (query) =>
+        validator.validateQuery(query, schema).map((error) => error.message);
+
+    describe('validateQuery', () => {
+        it('should accept a valid query', () => {
+            const query = `query productById($productId: Int!) {
+                site {
+                    product(entityId: $productId, optionValueIds: [{optionEntityId: 1, valueEntityId: 2}]) {
+                        ...ProductFields
+                        __typename
+                    }
+                    search(term: "shoes", sort: NEWEST) { ... on Product { id } }
+                }
+            }
+            fragment ProductFields on Product { id productName: name }`;
+            expect(getMessages(query)).toEqual([]);
+        });
+
+        it('should report unknown fields and types', () => {
+            expect(
+                getMessages(`{
+                    site { prodcut(entityId: 1) { id } product { nam ...on Category { id } } }
+                }`),
+            ).toEqual([
+                'Cannot query field "prodcut" on type "Site". Did you mean "product"?',
+                'Cannot query field "nam" on type "Product". Did you mean "name"?',
+                'Unknown type "Category"',
+            ]);
+        });
+
+        it('should report bad arguments', () => {
+            expect(
+                getMessages(`{
+                    site {
+                        product(entityId: "1", id: 2, optionValueIds: {optionEntityId: 1}) { id }
+                        search(sort: OLDEST) { id }
+                    }
+                }`),
+            ).toEqual([
+                'Int cannot represent non-integer value: "1"',
+                'Unknown argument "id" on field "Site.product"',
+                'Field "OptionValueId.valueEntityId" of required type "Int!" was not provided',
+                'Value "OLDEST" does not exist in "SortBy" enum. Did you mean the enum value "NEWEST"?',
+                'Field "search" argument "term" of type "String!" is required, but it was not provided',
+            ]);
+        });
+
+        it('should report undefined variables, fragments and selections', () => {
+            expect(
+                getMessages(
+                    '{ site { product(entityId: $id) { name { id } } search(term: "a") ...Missing } }',
+                ),
+            ).toEqual([
+                'Field "name" must not have a selection since type "String!" has no subfields',
+                'Field "search" of type "Product" must have a selection of subfields. Did you mean "search { ... }"?',
+                'Unknown fragment "Missing"',
+                'Variable "$id" is not defined',
+            ]);
+        });
+
+        it('should report bad variables, directives and fragments', () => {
+            expect(
+                getMessages(`query ($id: String, $unused: Int) {
+                    site { product(entityId: $id) { id @hide ... on Brand { id } } }
+                }`),
+            ).toEqual([
+                'Unknown directive "@hide"',
+                'Fragment cannot be spread here as objects of type "Product" can never be of type "Brand"',
+                'Variable "$unused" is never used',
+                'Variable "$id" of type "String" used in position expecting type "Int"',
+            ]);
+        });
+
+        it('should report syntax errors', () => {
+            expect(getMessages('query { site { product( } }')).toEqual([
+                'Syntax Error: Expected Name, found "}"',
+            ]);
+        });
+    });
+
+    describe('getLine', () => {
+        it('should find the line of a position in a folded query', () => {
+            const fileContent = [
+                '---',
+                'product:',
+                '    videos: true',
+                'gql: "query productById($productId: Int!) {',
+                '    site {',
+                '        prodcut(entityId: $productId) {',
+                '            name',
+                '        }',
+                '    }',
+                '}"',
+                '---',
+                '<h1>{{product.title}}</h1>',
+            ].join('\n');
+            const query =
+                'query productById($productId: Int!) { site { prodcut(entityId: $productId) { name } } }';
+            expect(GqlValidator.getLine(fileContent, query, query.indexOf('prodcut'))).toEqual(6);
+            expect(GqlValidator.getLine(fileContent, query, 0)).toEqual(4);
+        });
+    });
+
+    describe('findErrors', () => {
+        let themePath;
+        const themeConfig = { getRawConfig: jest.fn().mockResolvedValue({ settings: {} }) };
+        const writeFile = async (file, content) => {
+            await fs.promises.mkdir(path.dirname(path.join(themePath, file)), { recursive: true });
+            await fs.promises.writeFile(path.join(themePath, file), content);
+        };
+        beforeEach(async () => {
+            themePath = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'stencil-gql-'));
+            await writeFile(
+                'templates/pages/product.html',
+                '---\ngql: "query {\n  site {\n    product { title }\n  }\n}"\n---\n<h1></h1>\n',
+            );
+            await writeFile('templates/pages/home.html', '<h1></h1>\n');
+        });
+        afterEach(async () => {
+            await fs.promises.rm(themePath, { recursive: true, force: true });
+        });
+
+        it('should not report anything without a saved schema', async () => {
+            expect(await new GqlValidator(themePath, themeConfig).findErrors()).toEqual([]);
+        });
+
+        it('should report the errors of the templates with their file and line', async () => {
+            await writeFile(
+                '.stencil/graphql-schema.json',
+                JSON.stringify(introspectionFromSchema(schema)),
+            );
+            const file = path.join(themePath, 'templates/pages/product.html');
+
+            const errors = await new GqlValidator(themePath, themeConfig).findErrors();
+
+            expect(errors).toEqual([
+                {
+                    message: `Error: Cannot query field "title" on type "Product", in the frontmatter gql query at "${file}:4".`,
+                    file,
+                    line: 4,
+                },
+            ]);
+        });
+
+        it('should print the errors of the passed files with the logger', async () => {
+            await writeFile(
+                '.stencil/graphql-schema.json',
+                JSON.stringify(introspectionFromSchema(schema)),
+            );
+            const file = path.join(themePath, 'templates/pages/product.html');
+            const logger = { log: jest.fn() };
+
+            const errors = await new GqlValidator(themePath, themeConfig, { logger }).runForFiles([
+                file,
+            ]);
+
+            expect(errors).toHaveLength(1);
+            expect(logger.log).toHaveBeenCalledWith(
+                expect.stringContaining('Cannot query field "title" on type "Product"'),
+            );
+        });
+    });
+});
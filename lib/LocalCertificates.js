@@ -0,0 +1,249 @@
+import 'colors';
+import crypto from 'crypto';
+import fsModule from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import forge from 'node-forge';
+
+const DAY = 24 * 60 * 60 * 1000;
+const CA_NAME = [
+    { name: 'commonName', value: 'Stencil CLI Local CA' },
+    { name: 'organizationName', value: 'Stencil CLI' },
+];
+
+class LocalCertificates {
+    /**
+     * Issues the TLS certificate of the local server with a certificate authority of its own, which
+     * only has to be trusted once. Both are kept in the config directory of the user.
+     *
+     * @param {object} [options]
+     * @param {string} [options.certificatesPath]
+     * @param {object} [options.fs]
+     * @param {object} [options.logger]
+     */
+    constructor({
+        certificatesPath = LocalCertificates.getDefaultPath(),
+        fs = fsModule,
+        logger = console,
+    } = {}) {
+        this.certificatesPath = certificatesPath;
+        this.caPath = path.join(certificatesPath, 'ca.crt');
+        this.caKeyPath = path.join(certificatesPath, 'ca.key');
+        this.certPath = path.join(certificatesPath, 'localhost.crt');
+        this.keyPath = path.join(certificatesPath, 'localhost.key');
+        this._fs = fs;
+        this._logger = logger;
+        // The certificates are renewed a while before they expire, so a session doesn't break
+        this.renewBefore = 7 * DAY;
+        this.caLifetime = 10 * 365 * DAY;
+        // Browsers reject certificates valid for more than 398 days
+        this.certLifetime = 397 * DAY;
+    }
+
+    /**
+     * @returns {string} - e.g. ~/.config/stencil-cli/certificates
+     */
+    static getDefaultPath() {
+        const home = os.homedir();
+        let configPath = process.env.XDG_CONFIG_HOME || path.join(home, '.config');
+        if (process.platform === 'win32') {
+            configPath = process.env.APPDATA || path.join(home, 'AppData', 'Roaming');
+        } else if (process.platform === 'darwin') {
+            configPath = path.join(home, 'Library', 'Application Support');
+        }
+        return path.join(configPath, 'stencil-cli', 'certificates');
+    }
+
+    /**
+     * Reads the cached certificate, or issues a new one if it is missing, expires soon or doesn't
+     * cover the hosts
+     *
+     * @param {string[]} [hosts]
+     * @returns {Promise<{key: string, cert: string, keyPath: string, certPath: string, caPath: string}>}
+     */
+    async get(hosts = ['localhost', '127.0.0.1', '::1']) {
+        await this._fs.promises.mkdir(this.certificatesPath, { recursive: true });
+        const ca =
+            (await this.readCertificateAuthority()) || (await this.createCertificateAuthority());
+        let server = await this.readPair(this.keyPath, this.certPath);
+        if (!server || !this.isValidServerCertificate(server.certificate, ca.certificate, hosts)) {
+            server = await this.createServerCertificate(ca, hosts);
+        }
+        return {
+            key: server.key,
+            cert: server.cert,
+            keyPath: this.keyPath,
+            certPath: this.certPath,
+            caPath: this.caPath,
+        };
+    }
+
+    /**
+     * @param {string} keyPath
+     * @param {string} certPath
+     * @returns {Promise<{key: string, cert: string, certificate: crypto.X509Certificate}|null>}
+     */
+    async readPair(keyPath, certPath) {
+        if (!this._fs.existsSync(keyPath) || !this._fs.existsSync(certPath)) {
+            return null;
+        }
+        const [key, cert] = await Promise.all([
+            this._fs.promises.readFile(keyPath, 'utf-8'),
+            this._fs.promises.readFile(certPath, 'utf-8'),
+        ]);
+        try {
+            return { key, cert, certificate: new crypto.X509Certificate(cert) };
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * @returns {Promise<{key: string, cert: string, certificate: crypto.X509Certificate}|null>}
+     */
+    async readCertificateAuthority() {
+        const ca = await this.readPair(this.caKeyPath, this.caPath);
+        // The authorities of the first versions had EC keys, which can't sign the new certificates
+        const isRsa = ca && ca.certificate.publicKey.asymmetricKeyType === 'rsa';
+        return isRsa && !this.expiresSoon(ca.certificate) ? ca : null;
+    }
+
+    /**
+     * @param {crypto.X509Certificate} certificate
+     * @returns {boolean}
+     */
+    expiresSoon(certificate) {
+        return new Date(certificate.validTo).getTime() - Date.now() < this.renewBefore;
+    }
+
+    /**
+     * @param {crypto.X509Certificate} certificate
+     * @param {crypto.X509Certificate} caCertificate
+     * @param {string[]} hosts
+     * @returns {boolean}
+     */
+    isValidServerCertificate(certificate, caCertificate, hosts) {
+        const coversHost = (host) =>
+            net.isIP(host) ? certificate.checkIP(host) : certificate.checkHost(host);
+        return (
+            !this.expiresSoon(certificate) &&
+            certificate.verify(caCertificate.publicKey) &&
+            hosts.every(coversHost)
+        );
+    }
+
+    /**
+     * @returns {Promise<{key: string, cert: string, certificate: crypto.X509Certificate}>}
+     */
+    async createCertificateAuthority() {
+        const { key, certificate } = this.createCertificate({
+            subject: CA_NAME,
+            lifetime: this.caLifetime,
+            extensions: [
+                { name: 'basicConstraints', cA: true, critical: true },
+                { name: 'keyUsage', keyCertSign: true, cRLSign: true, critical: true },
+            ],
+        });
+        const cert = forge.pki.certificateToPem(certificate);
+        await this.writePair(this.caKeyPath, key, this.caPath, cert);
+        this._logger.log(
+            `Created a local certificate authority at ${this.caPath.cyan}\n` +
+                'Add it to the trusted certificates of your system or browser once to open the ' +
+                'local server over https without a warning.',
+        );
+        return { key, cert, certificate: new crypto.X509Certificate(cert) };
+    }
+
+    /**
+     * @param {{key: string, cert: string}} ca
+     * @param {string[]} hosts
+     * @returns {Promise<{key: string, cert: string, certificate: crypto.X509Certificate}>}
+     */
+    async createServerCertificate(ca, hosts) {
+        const caCertificate = forge.pki.certificateFromPem(ca.cert);
+        const { key, certificate } = this.createCertificate({
+            subject: [{ name: 'commonName', value: hosts[0] }],
+            issuer: caCertificate,
+            signingKey: forge.pki.privateKeyFromPem(ca.key),
+            lifetime: this.certLifetime,
+            extensions: [
+                { name: 'basicConstraints', cA: false, critical: true },
+                { name: 'keyUsage', digitalSignature: true, keyEncipherment: true, critical: true },
+                { name: 'extKeyUsage', serverAuth: true },
+                {
+                    name: 'subjectAltName',
+                    altNames: hosts.map((host) =>
+                        net.isIP(host) ? { type: 7, ip: host } : { type: 2, value: host },
+                    ),
+                },
+                {
+                    name: 'authorityKeyIdentifier',
+                    keyIdentifier: caCertificate.generateSubjectKeyIdentifier().getBytes(),
+                },
+            ],
+        });
+        const cert = forge.pki.certificateToPem(certificate);
+        await this.writePair(this.keyPath, key, this.certPath, cert);
+        return { key, cert, certificate: new crypto.X509Certificate(cert) };
+    }
+
+    /**
+     * Issues a certificate with a new RSA key, self-signed unless an issuer is given
+     *
+     * @param {object} options
+     * @param {object[]} options.subject - attributes of the subject, e.g. [{name: 'commonName', value}]
+     * @param {forge.pki.Certificate} [options.issuer]
+     * @param {forge.pki.PrivateKey} [options.signingKey] - private key of the issuer
+     * @param {number} options.lifetime - in milliseconds
+     * @param {object[]} options.extensions
+     * @returns {{key: string, certificate: forge.pki.Certificate}} - the key in PEM format
+     */
+    createCertificate({ subject, issuer, signingKey, lifetime, extensions }) {
+        // Node generates the keys much faster than forge
+        const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+            modulusLength: 2048,
+            publicKeyEncoding: { type: 'spki', format: 'pem' },
+            privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+        });
+        const certificate = forge.pki.createCertificate();
+        certificate.publicKey = forge.pki.publicKeyFromPem(publicKey);
+        // Positive serial number of 16 random bytes
+        certificate.serialNumber = `0${crypto.randomBytes(16).toString('hex')}`;
+        const { notBefore, notAfter } = this.getValidity(lifetime);
+        certificate.validity.notBefore = notBefore;
+        certificate.validity.notAfter = notAfter;
+        certificate.setSubject(subject);
+        certificate.setIssuer(issuer ? issuer.subject.attributes : subject);
+        certificate.setExtensions([...extensions, { name: 'subjectKeyIdentifier' }]);
+        certificate.sign(
+            signingKey || forge.pki.privateKeyFromPem(privateKey),
+            forge.md.sha256.create(),
+        );
+        return { key: privateKey, certificate };
+    }
+
+    /**
+     * @param {number} lifetime - in milliseconds
+     * @returns {{notBefore: Date, notAfter: Date}}
+     */
+    getValidity(lifetime) {
+        // Tolerates a clock which is a bit behind
+        const notBefore = new Date(Date.now() - DAY);
+        return { notBefore, notAfter: new Date(notBefore.getTime() + lifetime) };
+    }
+
+    /**
+     * @param {string} keyPath
+     * @param {string} key
+     * @param {string} certPath
+     * @param {string} cert
+     * @returns {Promise<void>}
+     */
+    async writePair(keyPath, key, certPath, cert) {
+        await this._fs.promises.writeFile(keyPath, key, { mode: 0o600 });
+        await this._fs.promises.writeFile(certPath, cert);
+    }
+}
+
+export default LocalCertificates;
@@ -0,0 +1,93 @@
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import LocalCertificates from './LocalCertificates.js';
+
+describe('LocalCertificates', () => {
+    let certificatesPath;
+    const logger = { log: jest.fn() };
+    beforeEach(async () => {
+        certificatesPath = path.join(
+            await fs.promises.mkdtemp(path.join(os.tmpdir(), 'stencil-certificates-')),
+            'certificates',
+        );
+        logger.log.mockClear();
+    });
+    afterEach(async () => {
+        await fs.promises.rm(path.dirname(certificatesPath), { recursive: true, force: true });
+    });
+
+    it('should create a certificate authority and a certificate for localhost', async () => {
+        const localCertificates = new LocalCertificates({ certificatesPath, logger });
+        const result = await localCertificates.get();
+        const ca = new crypto.X509Certificate(await fs.promises.readFile(result.caPath));
+        const cert = new crypto.X509Certificate(result.cert);
+        expect(cert.verify(ca.publicKey)).toBe(true);
+        expect(cert.checkHost('localhost')).toEqual('localhost');
+        expect(result.key).toContain('PRIVATE KEY');
+        expect(await fs.promises.readFile(result.certPath, 'utf-8')).toEqual(result.cert);
+        expect(logger.log).toHaveBeenCalledWith(expect.stringContaining(result.caPath));
+    });
+
+    it('should issue a server certificate for the hosts with a certificate authority', async () => {
+        const result = await new LocalCertificates({ certificatesPath, logger }).get();
+        const ca = new crypto.X509Certificate(await fs.promises.readFile(result.caPath));
+        const cert = new crypto.X509Certificate(result.cert);
+        expect(ca.ca).toBe(true);
+        expect(ca.subject).toEqual('CN=Stencil CLI Local CA\nO=Stencil CLI');
+        expect(ca.verify(ca.publicKey)).toBe(true);
+        expect(cert.ca).toBe(false);
+        expect(cert.checkIssued(ca)).toBe(true);
+        expect(cert.checkIP('127.0.0.1')).toEqual('127.0.0.1');
+        expect(cert.checkIP('::1')).toEqual('::1');
+        expect(cert.checkHost('example.com')).toBeUndefined();
+        expect(cert.keyUsage).toEqual(['1.3.6.1.5.5.7.3.1']);
+    });
+
+    it('should replace a certificate authority with an EC key', async () => {
+        const localCertificates = new LocalCertificates({ certificatesPath, logger });
+        const first = await localCertificates.get();
+        const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+        await fs.promises.writeFile(
+            localCertificates.caKeyPath,
+            privateKey.export({ type: 'pkcs8', format: 'pem' }),
+        );
+        await fs.promises.writeFile(
+            localCertificates.caPath,
+            await fs.promises.readFile(
+                path.join(process.cwd(), 'test/_mocks/certificates/ec-ca.crt'),
+            ),
+        );
+        const second = await localCertificates.get();
+        expect(second.cert).not.toEqual(first.cert);
+        expect(logger.log).toHaveBeenCalledTimes(2);
+    });
+
+    it('should reuse the cached certificates', async () => {
+        const first = await new LocalCertificates({ certificatesPath, logger }).get();
+        const second = await new LocalCertificates({ certificatesPath, logger }).get();
+        expect(second.cert).toEqual(first.cert);
+        expect(logger.log).toHaveBeenCalledTimes(1);
+    });
+
+    it('should issue a new certificate for other hosts with the same authority', async () => {
+        const localCertificates = new LocalCertificates({ certificatesPath, logger });
+        const first = await localCertificates.get();
+        const second = await localCertificates.get(['localhost', 'stencil.test']);
+        expect(second.cert).not.toEqual(first.cert);
+        expect(new crypto.X509Certificate(second.cert).checkHost('stencil.test')).toEqual(
+            'stencil.test',
+        );
+        expect(logger.log).toHaveBeenCalledTimes(1);
+    });
+
+    it('should renew a certificate which expires soon', async () => {
+        const localCertificates = new LocalCertificates({ certificatesPath, logger });
+        const first = await localCertificates.get();
+        localCertificates.renewBefore = 400 * 24 * 60 * 60 * 1000;
+        const second = await localCertificates.get();
+        expect(second.cert).not.toEqual(first.cert);
+    });
+});
@@ -0,0 +1,221 @@
+import 'colors';
+import fsModule from 'fs';
+import { createRequire } from 'module';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import fsUtilsModule from './utils/fsUtils.js';
+
+const require = createRequire(import.meta.url);
+const MOCK_EXTENSIONS = ['.json', '.js', '.cjs', '.mjs'];
+
+class MockStore {
+    /**
+     * Canned responses of the storefront API and GraphQL requests, which the local server returns
+     * instead of proxying the requests to the store. Every JSON file of the mocks directory holds a
+     * mock or a list of mocks, every JS file exports them by default, as an ES or CommonJS module.
+     *
+     * A mock matches a request by its "method", "path" ("*" matches any characters) and the
+     * "operationName" of a GraphQL query, all optional. It responds with a "status" (200 by
+     * default), "headers" and "body" after a "delay" in milliseconds. A mock with a delay and no
+     * response only slows the request down. A JS mock can respond with a "handler" function instead,
+     * which gets the request and returns the response, or nothing to let the request through.
+     *
+     * @param {string} mocksPath - absolute path of the mocks directory
+     * @param {object} [options]
+     * @param {object} [options.logger]
+     */
+    constructor(mocksPath, { fs = fsModule, fsUtils = fsUtilsModule, logger = console } = {}) {
+        this.mocksPath = mocksPath;
+        this._fs = fs;
+        this._fsUtils = fsUtils;
+        this._logger = logger;
+        // Mocks by file, reloaded when the file changes
+        this._files = new Map();
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    exists() {
+        return this._fs.existsSync(this.mocksPath);
+    }
+
+    /**
+     * A file which fails to load is skipped, so the other mocks keep responding
+     *
+     * @returns {Promise<object[]>} - mocks of every file in the alphabetical order of the files
+     */
+    async getMocks() {
+        if (!this.exists()) {
+            return [];
+        }
+        const files = (await this._fsUtils.recursiveReadDir(this.mocksPath))
+            .filter((file) => MOCK_EXTENSIONS.includes(path.extname(file)))
+            .sort();
+        const mocks = [];
+        for (const file of files) {
+            try {
+                // eslint-disable-next-line no-await-in-loop
+                mocks.push(...(await this.readFile(file)));
+            } catch (err) {
+                const name = path.relative(this.mocksPath, file);
+                this._logger.error(`Skipping the mock file ${name}: ${err.message}`.red);
+            }
+        }
+        return mocks;
+    }
+
+    /**
+     * @param {string} file
+     * @returns {Promise<object[]>}
+     */
+    async readFile(file) {
+        const { mtimeMs } = await this._fs.promises.stat(file);
+        const cached = this._files.get(file);
+        if (cached && cached.mtimeMs === mtimeMs) {
+            return cached.mocks;
+        }
+        let content;
+        try {
+            content = await this.loadFile(file, mtimeMs);
+        } catch (err) {
+            // The error is only reported once, until the file changes
+            this._files.set(file, { mtimeMs, mocks: [] });
+            throw err;
+        }
+        const name = path.relative(this.mocksPath, file);
+        const mocks = (Array.isArray(content) ? content : [content]).map((mock) => ({
+            ...mock,
+            file: name,
+        }));
+        this._files.set(file, { mtimeMs, mocks });
+        return mocks;
+    }
+
+    /**
+     * @param {string} file
+     * @param {number} mtimeMs
+     * @returns {Promise<object|object[]>} - the mock or the list of mocks of the file
+     */
+    async loadFile(file, mtimeMs) {
+        if (path.extname(file) === '.json') {
+            return this._fsUtils.parseJsonFile(file);
+        }
+        if (await this.isCommonJs(file)) {
+            // A changed file is only loaded again once it is removed from the cache of require
+            delete require.cache[require.resolve(file)];
+            // eslint-disable-next-line import/no-dynamic-require
+            return require(file);
+        }
+        // The query makes a changed ES module load again instead of coming from the module cache
+        const url = `${pathToFileURL(file).href}?mtime=${mtimeMs}`;
+        // eslint-disable-next-line node/no-unsupported-features/es-syntax
+        return (await import(url)).default;
+    }
+
+    /**
+     * A .js file is a CommonJS module unless the closest package.json has "type": "module"
+     *
+     * @param {string} file
+     * @returns {Promise<boolean>}
+     */
+    async isCommonJs(file) {
+        const extension = path.extname(file);
+        if (extension !== '.js') {
+            return extension === '.cjs';
+        }
+        for (let dir = path.dirname(file); ; dir = path.dirname(dir)) {
+            const packagePath = path.join(dir, 'package.json');
+            if (this._fs.existsSync(packagePath)) {
+                // eslint-disable-next-line no-await-in-loop
+                const { type } = await this._fsUtils.parseJsonFile(packagePath);
+                return type !== 'module';
+            }
+            if (path.dirname(dir) === dir) {
+                return true;
+            }
+        }
+    }
+
+    /**
+     * @param {{method: string, path: string, operationName?: string}} request
+     * @returns {Promise<object|null>} - the first mock matching the request
+     */
+    async find(request) {
+        const mocks = await this.getMocks();
+        return mocks.find((mock) => MockStore.matches(mock, request)) || null;
+    }
+
+    /**
+     * @param {{method: string, path: string, operationName?: string}} request
+     * @returns {Promise<{file: string, delay: number, status?: number, headers: object, body?: *}|null>}
+     *     - null if no mock responds to the request
+     */
+    async respond(request) {
+        const mock = await this.find(request);
+        if (!mock) {
+            return null;
+        }
+        const response = mock.handler ? await mock.handler(request) : mock;
+        if (!response) {
+            return null;
+        }
+        const hasResponse = ['status', 'body'].some((key) => response[key] !== undefined);
+        return {
+            file: mock.file,
+            delay: response.delay || mock.delay || 0,
+            status: hasResponse ? response.status || 200 : undefined,
+            headers: response.headers || {},
+            body: response.body,
+        };
+    }
+
+    /**
+     * @param {object} mock
+     * @param {{method: string, path: string, operationName?: string}} request
+     * @returns {boolean}
+     */
+    static matches(mock, request) {
+        if (mock.method && mock.method.toUpperCase() !== request.method.toUpperCase()) {
+            return false;
+        }
+        if (mock.path && !MockStore.matchesPath(mock.path, request.path)) {
+            return false;
+        }
+        return !mock.operationName || mock.operationName === request.operationName;
+    }
+
+    /**
+     * @param {string|RegExp} pattern - e.g. /api/storefront/carts/*
+     * @param {string} requestPath
+     * @returns {boolean}
+     */
+    static matchesPath(pattern, requestPath) {
+        if (pattern instanceof RegExp) {
+            return pattern.test(requestPath);
+        }
+        const source = pattern
+            .split('*')
+            .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+            .join('.*');
+        return new RegExp(`^${source}$`).test(requestPath);
+    }
+
+    /**
+     * @param {object|object[]|null} payload - parsed body or query of a GraphQL request
+     * @returns {string|undefined}
+     */
+    static getOperationName(payload) {
+        const operation = Array.isArray(payload) ? payload[0] : payload;
+        if (!operation) {
+            return undefined;
+        }
+        if (operation.operationName) {
+            return operation.operationName;
+        }
+        const match = /\b(?:query|mutation|subscription)\s+(\w+)/.exec(operation.query || '');
+        return match ? match[1] : undefined;
+    }
+}
+
+export default MockStore;
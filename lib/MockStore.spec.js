@@ -0,0 +1,212 @@
+import { jest } from '@jest/globals';
+import { execFile } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { promisify } from 'util';
+import MockStore from './MockStore.js';
+
+describe('MockStore', () => {
+    let mocksPath;
+    const writeMock = async (name, content) => {
+        const file = path.join(mocksPath, name);
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(
+            file,
+            typeof content === 'string' ? content : JSON.stringify(content),
+        );
+    };
+    beforeEach(async () => {
+        mocksPath = path.join(
+            await fs.promises.mkdtemp(path.join(os.tmpdir(), 'stencil-mocks-')),
+            'mocks',
+        );
+    });
+    afterEach(async () => {
+        await fs.promises.rm(path.dirname(mocksPath), { recursive: true, force: true });
+    });
+
+    describe('respond', () => {
+        it('should return null without a mocks directory', async () => {
+            const mockStore = new MockStore(mocksPath);
+            expect(mockStore.exists()).toBe(false);
+            expect(await mockStore.respond({ method: 'GET', path: '/api/storefront/carts' })).toBe(
+                null,
+            );
+        });
+
+        it('should respond with the first mock matching the method and path', async () => {
+            await writeMock('a-carts.json', [
+                { method: 'POST', path: '/api/storefront/carts', status: 201, body: { id: 'a' } },
+                { method: 'GET', path: '/api/storefront/carts*', body: [] },
+            ]);
+            await writeMock('b-carts.json', { path: '/api/storefront/carts', body: 'never' });
+            const mockStore = new MockStore(mocksPath);
+
+            expect(
+                await mockStore.respond({ method: 'get', path: '/api/storefront/carts' }),
+            ).toEqual({
+                file: 'a-carts.json',
+                delay: 0,
+                status: 200,
+                headers: {},
+                body: [],
+            });
+            const created = await mockStore.respond({
+                method: 'POST',
+                path: '/api/storefront/carts',
+            });
+            expect(created.status).toEqual(201);
+            expect(created.body).toEqual({ id: 'a' });
+            const other = await mockStore.respond({
+                method: 'GET',
+                path: '/api/storefront/orders',
+            });
+            expect(other).toBe(null);
+        });
+
+        it('should match the GraphQL operation name', async () => {
+            await writeMock('graphql/products.json', {
+                path: '/graphql',
+                operationName: 'ProductsQuery',
+                status: 500,
+                body: { errors: [{ message: 'Internal error' }] },
+            });
+            const mockStore = new MockStore(mocksPath);
+
+            const response = await mockStore.respond({
+                method: 'POST',
+                path: '/graphql',
+                operationName: 'ProductsQuery',
+            });
+            expect(response.file).toEqual(path.join('graphql', 'products.json'));
+            expect(response.status).toEqual(500);
+            expect(
+                await mockStore.respond({
+                    method: 'POST',
+                    path: '/graphql',
+                    operationName: 'CustomerQuery',
+                }),
+            ).toBe(null);
+        });
+
+        it('should return only the delay of a mock without a response', async () => {
+            await writeMock('slow.json', { path: '/api/storefront/*', delay: 2000 });
+            const mockStore = new MockStore(mocksPath);
+
+            const response = await mockStore.respond({ method: 'GET', path: '/api/storefront/a' });
+            expect(response.delay).toEqual(2000);
+            expect(response.status).toBeUndefined();
+        });
+
+        it('should respond with the handler of a JS mock', async () => {
+            await writeMock(
+                'cart.mjs',
+                `export default {
+                    path: '/api/storefront/carts/*',
+                    handler: (request) =>
+                        request.body && request.body.fail ? { status: 422, body: 'Invalid' } : null,
+                };`,
+            );
+            const mockStore = new MockStore(mocksPath);
+            const request = { method: 'PUT', path: '/api/storefront/carts/1' };
+
+            const failed = await mockStore.respond({ ...request, body: { fail: true } });
+            expect(failed).toEqual({
+                file: 'cart.mjs',
+                delay: 0,
+                status: 422,
+                headers: {},
+                body: 'Invalid',
+            });
+            expect(await mockStore.respond({ ...request, body: {} })).toBe(null);
+        });
+
+        it('should skip a mock file which fails to load and log its error once', async () => {
+            await writeMock('a-broken.json', '{ "path": ');
+            await writeMock('b-carts.json', { path: '/api/storefront/carts', body: [] });
+            const logger = { error: jest.fn() };
+            const mockStore = new MockStore(mocksPath, { logger });
+            const request = { method: 'GET', path: '/api/storefront/carts' };
+
+            expect((await mockStore.respond(request)).file).toEqual('b-carts.json');
+            expect((await mockStore.respond(request)).file).toEqual('b-carts.json');
+            expect(logger.error).toHaveBeenCalledTimes(1);
+            expect(logger.error).toHaveBeenCalledWith(
+                expect.stringContaining('Skipping the mock file a-broken.json'),
+            );
+        });
+    });
+
+    describe('readFile', () => {
+        it('should load the changed JS mocks again', async () => {
+            // Jest has a module registry of its own, so the mocks are loaded by a separate node
+            const script = `
+                import fs from 'fs';
+                import MockStore from ${JSON.stringify(
+                    pathToFileURL(path.resolve('lib/MockStore.js')).href,
+                )};
+                const mockStore = new MockStore(${JSON.stringify(mocksPath)});
+                const bodies = [];
+                for (const [name, write] of [
+                    ['cart.js', (body) => \`module.exports = { body: "\${body}" };\`],
+                    ['cart.mjs', (body) => \`export default { body: "\${body}" };\`],
+                ]) {
+                    const file = mockStore.mocksPath + '/' + name;
+                    for (const [body, mtime] of [['first', 1000], ['second', 2000]]) {
+                        fs.writeFileSync(file, write(body));
+                        // Saved twice within the same millisecond, the change would be missed
+                        fs.utimesSync(file, mtime, mtime);
+                        bodies.push((await mockStore.readFile(file))[0].body);
+                    }
+                }
+                process.stdout.write(JSON.stringify(bodies));
+            `;
+            await fs.promises.mkdir(mocksPath, { recursive: true });
+            const { stdout } = await promisify(execFile)(process.execPath, [
+                '--input-type=module',
+                '--eval',
+                script,
+            ]);
+            expect(JSON.parse(stdout)).toEqual(['first', 'second', 'first', 'second']);
+        });
+    });
+
+    describe('isCommonJs', () => {
+        it('should read the module type of .js files from the closest package.json', async () => {
+            const mockStore = new MockStore(mocksPath);
+            await writeMock('esm/package.json', { type: 'module' });
+            await writeMock('esm/cjs/package.json', {});
+            expect(await mockStore.isCommonJs(path.join(mocksPath, 'a.js'))).toBe(true);
+            expect(await mockStore.isCommonJs(path.join(mocksPath, 'esm', 'a.js'))).toBe(false);
+            expect(await mockStore.isCommonJs(path.join(mocksPath, 'esm', 'a.cjs'))).toBe(true);
+            expect(await mockStore.isCommonJs(path.join(mocksPath, 'esm/cjs/a.js'))).toBe(true);
+            expect(await mockStore.isCommonJs(path.join(mocksPath, 'a.mjs'))).toBe(false);
+        });
+    });
+
+    describe('matchesPath', () => {
+        it('should match the exact path, a wildcard or a regular expression', () => {
+            expect(MockStore.matchesPath('/graphql', '/graphql')).toBe(true);
+            expect(MockStore.matchesPath('/graphql', '/graphql/x')).toBe(false);
+            expect(MockStore.matchesPath('/api/*/carts', '/api/storefront/carts')).toBe(true);
+            expect(MockStore.matchesPath('/api/(x)', '/api/x')).toBe(false);
+            expect(MockStore.matchesPath(/carts\/\d+$/, '/api/storefront/carts/12')).toBe(true);
+        });
+    });
+
+    describe('getOperationName', () => {
+        it('should read the operation name of the payload or of the query', () => {
+            expect(MockStore.getOperationName({ operationName: 'A', query: 'query B {}' })).toEqual(
+                'A',
+            );
+            expect(
+                MockStore.getOperationName({ query: 'mutation AddToCart($id: Int) {}' }),
+            ).toEqual('AddToCart');
+            expect(MockStore.getOperationName([{ query: 'query Batched {}' }])).toEqual('Batched');
+            expect(MockStore.getOperationName({ query: '{ site { id } }' })).toBeUndefined();
+            expect(MockStore.getOperationName(null)).toBeUndefined();
+        });
+    });
+});
@@ -0,0 +1,48 @@
+class RequestLog {
+    /**
+     * The most recent requests of the local server with their responses, newest first
+     *
+     * @param {number} [limit] - number of requests to keep
+     */
+    constructor(limit = 100) {
+        this._limit = limit;
+        this._entries = [];
+        this._lastId = 0;
+    }
+
+    /**
+     * @param {object} entry
+     * @returns {object} - the entry with its id
+     */
+    add(entry) {
+        this._lastId += 1;
+        const entryWithId = { ...entry, id: this._lastId };
+        this._entries.unshift(entryWithId);
+        this._entries.length = Math.min(this._entries.length, this._limit);
+        return entryWithId;
+    }
+
+    /**
+     * @param {number} id
+     * @returns {object|null}
+     */
+    get(id) {
+        return this._entries.find((entry) => entry.id === id) || null;
+    }
+
+    /**
+     * @returns {object[]}
+     */
+    getAll() {
+        return [...this._entries];
+    }
+
+    /**
+     * @returns {void}
+     */
+    clear() {
+        this._entries = [];
+    }
+}
+
+export default RequestLog;
@@ -0,0 +1,21 @@
+import RequestLog from './RequestLog.js';
+
+describe('RequestLog', () => {
+    it('should keep the most recent entries with an id, newest first', () => {
+        const requestLog = new RequestLog(2);
+        requestLog.add({ url: '/a' });
+        requestLog.add({ url: '/b' });
+        const entry = requestLog.add({ url: '/c' });
+        expect(entry).toEqual({ url: '/c', id: 3 });
+        expect(requestLog.getAll().map(({ url }) => url)).toEqual(['/c', '/b']);
+        expect(requestLog.get(3)).toBe(entry);
+        expect(requestLog.get(1)).toBeNull();
+    });
+
+    it('should clear the entries', () => {
+        const requestLog = new RequestLog();
+        requestLog.add({ url: '/a' });
+        requestLog.clear();
+        expect(requestLog.getAll()).toEqual([]);
+    });
+});
@@ -0,0 +1,101 @@
+class RequestProfile {
+    /**
+     * Durations of the phases of a local server request: the storefront requests, the GraphQL
+     * regions call, template assembly and rendering. Phases which ran several times are summed.
+     *
+     * @param {object} [options]
+     * @param {string} [options.method]
+     * @param {string} [options.url]
+     */
+    constructor({ method = 'get', url = '' } = {}) {
+        this.method = method;
+        this.url = url;
+        this.startedAt = Date.now();
+        this.statusCode = null;
+        this.total = null;
+        this._start = performance.now();
+        this._phases = new Map();
+    }
+
+    /**
+     * @param {string} name
+     * @returns {{name: string, duration: number, cache: string|null}}
+     */
+    _getPhase(name) {
+        if (!this._phases.has(name)) {
+            this._phases.set(name, { name, duration: 0, cache: null });
+        }
+        return this._phases.get(name);
+    }
+
+    /**
+     * Runs a phase and adds its duration to the profile, also when it fails
+     *
+     * @param {string} name - a Server-Timing metric name, e.g. "templates"
+     * @param {Function} fn - returns the result of the phase or a promise of it
+     * @returns {Promise<*>}
+     */
+    async measure(name, fn) {
+        const start = performance.now();
+        try {
+            return await fn();
+        } finally {
+            this._getPhase(name).duration += performance.now() - start;
+        }
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} cache - where the data of the phase came from: "hit", "miss" or "fixture"
+     * @returns {void}
+     */
+    setCache(name, cache) {
+        this._getPhase(name).cache = cache;
+    }
+
+    /**
+     * @param {number} statusCode
+     * @returns {void}
+     */
+    end(statusCode) {
+        this.statusCode = statusCode;
+        this.total = performance.now() - this._start;
+    }
+
+    /**
+     * @returns {{name: string, duration: number, cache: string|null}[]}
+     */
+    getPhases() {
+        return [...this._phases.values()];
+    }
+
+    /**
+     * @returns {string} - value of the Server-Timing header, e.g. data;dur=120.5;desc="miss", total;dur=180.2
+     */
+    toServerTiming() {
+        const metrics = this.getPhases().map(({ name, duration, cache }) => {
+            const description = cache ? `;desc="${cache}"` : '';
+            return `${name};dur=${duration.toFixed(1)}${description}`;
+        });
+        if (this.total !== null) {
+            metrics.push(`total;dur=${this.total.toFixed(1)}`);
+        }
+        return metrics.join(', ');
+    }
+
+    /**
+     * @returns {object}
+     */
+    toJSON() {
+        return {
+            method: this.method,
+            url: this.url,
+            startedAt: new Date(this.startedAt).toISOString(),
+            statusCode: this.statusCode,
+            total: this.total,
+            phases: this.getPhases(),
+        };
+    }
+}
+
+export default RequestProfile;
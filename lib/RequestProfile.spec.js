@@ -0,0 +1,52 @@
+import RequestProfile from './RequestProfile.js';
+
+describe('RequestProfile', () => {
+    let profile;
+    beforeEach(() => {
+        profile = new RequestProfile({ method: 'get', url: '/shop/' });
+    });
+
+    it('should sum the durations of a phase which ran several times', async () => {
+        await profile.measure(
+            'templates',
+            () =>
+                new Promise((resolve) => {
+                    setTimeout(resolve, 5);
+                }),
+        );
+        await profile.measure('templates', () => 'result');
+        const [phase] = profile.getPhases();
+        expect(phase.name).toEqual('templates');
+        expect(phase.duration).toBeGreaterThanOrEqual(4);
+    });
+
+    it('should return the result of the phase and measure failed phases', async () => {
+        expect(await profile.measure('data', async () => 'result')).toEqual('result');
+        await expect(
+            profile.measure('render', () => {
+                throw new Error('failure');
+            }),
+        ).rejects.toThrow('failure');
+        expect(profile.getPhases().map((phase) => phase.name)).toEqual(['data', 'render']);
+    });
+
+    it('should describe the phases in the Server-Timing format', async () => {
+        profile.setCache('data', 'hit');
+        await profile.measure('render', () => 'html');
+        profile.end(200);
+        expect(profile.statusCode).toEqual(200);
+        expect(profile.toServerTiming()).toMatch(
+            /^data;dur=0\.0;desc="hit", render;dur=[\d.]+, total;dur=[\d.]+$/,
+        );
+    });
+
+    it('should be serializable', () => {
+        profile.setCache('regions', 'miss');
+        expect(JSON.parse(JSON.stringify(profile))).toMatchObject({
+            method: 'get',
+            url: '/shop/',
+            statusCode: null,
+            phases: [{ name: 'regions', duration: 0, cache: 'miss' }],
+        });
+    });
+});
@@ -0,0 +1,44 @@
+import RequestProfile from './RequestProfile.js';
+
+class RequestProfileStore {
+    /**
+     * Profiles of the most recent local server requests, newest first
+     *
+     * @param {number} [limit] - number of requests to keep
+     */
+    constructor(limit = 50) {
+        this._limit = limit;
+        this._profiles = [];
+    }
+
+    /**
+     * Starts the profile of a request and keeps it
+     *
+     * @param {object} options
+     * @param {string} options.method
+     * @param {string} options.url
+     * @returns {RequestProfile}
+     */
+    start({ method, url }) {
+        const profile = new RequestProfile({ method, url });
+        this._profiles.unshift(profile);
+        this._profiles.length = Math.min(this._profiles.length, this._limit);
+        return profile;
+    }
+
+    /**
+     * @returns {RequestProfile[]}
+     */
+    getAll() {
+        return [...this._profiles];
+    }
+
+    /**
+     * @returns {void}
+     */
+    clear() {
+        this._profiles = [];
+    }
+}
+
+export default RequestProfileStore;
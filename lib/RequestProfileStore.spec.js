@@ -0,0 +1,18 @@
+import RequestProfileStore from './RequestProfileStore.js';
+
+describe('RequestProfileStore', () => {
+    it('should keep the most recent profiles, newest first', () => {
+        const store = new RequestProfileStore(2);
+        store.start({ method: 'get', url: '/a' });
+        store.start({ method: 'get', url: '/b' });
+        store.start({ method: 'post', url: '/c' });
+        expect(store.getAll().map((profile) => profile.url)).toEqual(['/c', '/b']);
+    });
+
+    it('should clear the profiles', () => {
+        const store = new RequestProfileStore();
+        store.start({ method: 'get', url: '/a' });
+        store.clear();
+        expect(store.getAll()).toEqual([]);
+    });
+});
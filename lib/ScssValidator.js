@@ -15,10 +15,25 @@ class ScssValidator {
     }
 
     async run() {
+        const [error] = await this.findErrors({ stopOnError: true });
+        if (error) {
+            throw new Error(error.message.red);
+        }
+    }
+
+    /**
+     * Compiles every css file and collects the compilation errors
+     *
+     * @param {object} [options]
+     * @param {boolean} [options.stopOnError]
+     * @returns {Promise<{file: string, line: number|undefined, message: string}[]>}
+     */
+    async findErrors({ stopOnError = false } = {}) {
         const assetsPath = path.join(this.themePath, 'assets');
         const stylesPath = path.join(this.themePath, 'assets/scss');
         const rawConfig = await this.themeConfig.getConfig();
         const cssFiles = await this.getCssFiles();
+        const errors = [];
         for await (const file of cssFiles) {
             try {
                 /* eslint-disable-next-line no-await-in-loop */
@@ -30,11 +45,17 @@ class ScssValidator {
                 );
             } catch (e) {
                 const message = this.parseStencilStylesError(e);
-                throw new Error(
-                    `${message} while compiling css files from "${stylesPath}/${file}".`.red,
-                );
+                errors.push({
+                    file: path.join(stylesPath, file),
+                    line: e.line,
+                    message: `${message} while compiling css files from "${stylesPath}/${file}".`,
+                });
+                if (stopOnError) {
+                    break;
+                }
             }
         }
+        return errors;
     }
 
     parseStencilStylesError(e) {
@@ -48,7 +48,7 @@ class StencilConfigManager {
             : null;
         const secretsConfig = await this._getSecretsConfig(generalConfig);
         if (generalConfig || secretsConfig) {
-            const parsedConfig = { ...generalConfig, ...secretsConfig };
+            const parsedConfig = this._mergeStencilConfigs(generalConfig, secretsConfig);
             return this._validateStencilConfig(parsedConfig, ignoreMissingFields);
         }
         if (ignoreFileNotExists) {
@@ -66,6 +66,33 @@ class StencilConfigManager {
         await this._fs.promises.writeFile(this.secretsPath, JSON.stringify(secretsConfig, null, 2));
     }
 
+    /**
+     * Returns the config of a store profile from the "stores" field, e.g.
+     * { "stores": { "eu": { "normalStoreUrl": "https://eu.example.com", "channelIds": [1] } } }
+     * The secret fields of the profiles are kept in secrets.stencil.json under the same names
+     *
+     * @param {object} config
+     * @param {string} storeName
+     * @returns {object}
+     */
+    getStoreConfig(config, storeName) {
+        const stores = config.stores || {};
+        if (!stores[storeName]) {
+            const availableStoresStr = Object.keys(stores).join(', ') || 'none';
+            throw new Error(
+                `Store "${storeName}" is not defined in ${this.configFileName}. Available stores: ${availableStoresStr}`,
+            );
+        }
+        // The other fields, like customLayouts or apiHost, are shared with the general config
+        for (const field of ['normalStoreUrl', 'accessToken']) {
+            if (!stores[storeName][field]) {
+                throw new Error(`Store "${storeName}" is missing the ${field} field`);
+            }
+        }
+        const { stores: omittedStores, ...generalConfig } = config;
+        return { ...generalConfig, ...stores[storeName] };
+    }
+
     /**
      * @private
      * @param {object} config
@@ -73,7 +100,18 @@ class StencilConfigManager {
     _splitStencilConfig(config) {
         return Object.entries(config).reduce(
             (res, [key, value]) => {
-                if (this.secretFieldsSet.has(key)) {
+                if (key === 'stores') {
+                    const stores = Object.entries(value).map(([storeName, storeConfig]) => [
+                        storeName,
+                        this._splitStencilConfig(storeConfig),
+                    ]);
+                    res.generalConfig.stores = Object.fromEntries(
+                        stores.map(([storeName, split]) => [storeName, split.generalConfig]),
+                    );
+                    res.secretsConfig.stores = Object.fromEntries(
+                        stores.map(([storeName, split]) => [storeName, split.secretsConfig]),
+                    );
+                } else if (this.secretFieldsSet.has(key)) {
                     res.secretsConfig[key] = value;
                 } else {
                     res.generalConfig[key] = value;
@@ -84,6 +122,29 @@ class StencilConfigManager {
         );
     }
 
+    /**
+     * @private
+     * @param {object | null} generalConfig
+     * @param {object | null} secretsConfig
+     * @returns {object}
+     */
+    _mergeStencilConfigs(generalConfig, secretsConfig) {
+        const config = { ...generalConfig, ...secretsConfig };
+        const generalStores = (generalConfig && generalConfig.stores) || {};
+        const secretStores = (secretsConfig && secretsConfig.stores) || {};
+        const storeNames = new Set([...Object.keys(generalStores), ...Object.keys(secretStores)]);
+        if (storeNames.size) {
+            config.stores = {};
+            for (const storeName of storeNames) {
+                config.stores[storeName] = {
+                    ...generalStores[storeName],
+                    ...secretStores[storeName],
+                };
+            }
+        }
+        return config;
+    }
+
     /**
      * @private
      * @param {object | null} config
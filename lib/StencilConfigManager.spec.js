@@ -344,4 +344,78 @@ describe('StencilConfigManager unit tests', () => {
             );
         });
     });
+    describe('store profiles', () => {
+        const generalStores = {
+            eu: { normalStoreUrl: 'https://eu.example.com', channelIds: [1] },
+            us: { normalStoreUrl: 'https://us.example.com' },
+        };
+        const secretStores = {
+            eu: { accessToken: 'eu_token' },
+            us: { accessToken: 'us_token' },
+        };
+        it('should merge the store profiles of the general and secrets configs on read', async () => {
+            const fsStub = getFsStub();
+            fsStub.existsSync.mockImplementation((filePath) => filePath !== defaultOldConfigPath);
+            const fsUtilsStub = {
+                parseJsonFile: jest
+                    .fn()
+                    .mockImplementation((filePath) =>
+                        filePath === defaultConfigPath
+                            ? { ...getGeneralConfig(), stores: generalStores }
+                            : { ...getSecretsConfig(), stores: secretStores },
+                    ),
+            };
+            const { instance } = createStencilConfigManagerInstance({
+                fs: fsStub,
+                fsUtils: fsUtilsStub,
+            });
+            const config = await instance.read();
+            expect(config.stores).toEqual({
+                eu: { ...generalStores.eu, ...secretStores.eu },
+                us: { ...generalStores.us, ...secretStores.us },
+            });
+        });
+        it('should save the secrets of the store profiles to the secrets config', async () => {
+            const fsStub = getFsStub();
+            const { instance } = createStencilConfigManagerInstance({ fs: fsStub });
+            await instance.save({
+                ...getStencilConfig(),
+                stores: {
+                    eu: { ...generalStores.eu, ...secretStores.eu },
+                    us: { ...generalStores.us, ...secretStores.us },
+                },
+            });
+            expect(fsStub.promises.writeFile).toHaveBeenCalledWith(
+                defaultConfigPath,
+                JSON.stringify({ ...getGeneralConfig(), stores: generalStores }, null, 2),
+            );
+            expect(fsStub.promises.writeFile).toHaveBeenCalledWith(
+                defaultSecretsPath,
+                JSON.stringify({ ...getSecretsConfig(), stores: secretStores }, null, 2),
+            );
+        });
+        it('should return the config of a store profile', () => {
+            const { instance } = createStencilConfigManagerInstance();
+            const config = {
+                ...getStencilConfig(),
+                stores: { eu: { ...generalStores.eu, ...secretStores.eu } },
+            };
+            const storeConfig = instance.getStoreConfig(config, 'eu');
+            expect(storeConfig).toEqual({
+                ...getStencilConfig(),
+                ...generalStores.eu,
+                ...secretStores.eu,
+            });
+        });
+        it('should throw an error if the store profile is not defined or incomplete', () => {
+            const { instance } = createStencilConfigManagerInstance();
+            const config = { ...getStencilConfig(), stores: { us: generalStores.us } };
+            expect(() => instance.getStoreConfig(config, 'eu')).toThrow(
+                'Store "eu" is not defined in config.stencil.json. Available stores: us',
+            );
+            expect(() => instance.getStoreConfig(config, 'us')).toThrow(
+                'Store "us" is missing the accessToken field',
+            );
+        });
+    });
 });
@@ -0,0 +1,59 @@
+class TemplateGraph {
+    /**
+     * Assembled templates of the local server, used to find the templates which include a changed
+     * partial without reading the whole theme again
+     */
+    constructor() {
+        this._templates = new Map();
+    }
+
+    /**
+     * @returns {number} - number of assembled templates
+     */
+    get size() {
+        return this._templates.size;
+    }
+
+    /**
+     * @param {string} templateName
+     * @param {{[string]: string}} templates - the template and all its partials, result of templateAssembler.assemble
+     * @returns {void}
+     */
+    set(templateName, templates) {
+        this._templates.set(templateName, templates);
+    }
+
+    /**
+     * @param {string} templateName
+     * @returns {void}
+     */
+    delete(templateName) {
+        this._templates.delete(templateName);
+    }
+
+    /**
+     * @param {string} templateName
+     * @returns {string[]} - the templates which include the template, directly or through other partials
+     */
+    getDependants(templateName) {
+        const dependants = [];
+        for (const [name, templates] of this._templates) {
+            if (
+                name !== templateName &&
+                Object.prototype.hasOwnProperty.call(templates, templateName)
+            ) {
+                dependants.push(name);
+            }
+        }
+        return dependants;
+    }
+
+    /**
+     * @returns {void}
+     */
+    clear() {
+        this._templates.clear();
+    }
+}
+
+export default TemplateGraph;
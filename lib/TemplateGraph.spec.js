@@ -0,0 +1,23 @@
+import TemplateGraph from './TemplateGraph.js';
+
+describe('TemplateGraph', () => {
+    it('should return the templates which include a partial', () => {
+        const templateGraph = new TemplateGraph();
+        templateGraph.set('pages/home', {
+            'pages/home': '{{> components/carousel}}',
+            'components/carousel': '{{> components/card}}',
+            'components/card': '<div></div>',
+        });
+        templateGraph.set('pages/product', { 'pages/product': '<h1></h1>' });
+        templateGraph.set('components/carousel', {
+            'components/carousel': '{{> components/card}}',
+            'components/card': '<div></div>',
+        });
+
+        expect(templateGraph.getDependants('components/card')).toEqual([
+            'pages/home',
+            'components/carousel',
+        ]);
+        expect(templateGraph.getDependants('pages/home')).toEqual([]);
+    });
+});
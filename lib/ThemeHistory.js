@@ -0,0 +1,118 @@
+import fsModule from 'fs';
+import path from 'path';
+import { isPlainObject, pickBy } from 'lodash-es';
+
+const MAX_ENTRIES_PER_CHANNEL = 20;
+
+class ThemeHistory {
+    /**
+     * Remembers which theme and variation were active on each channel before a push replaced them
+     *
+     * @param {string} themePath
+     * @param {object} [options]
+     * @param {string} [options.historyPath]
+     * @param {object} [options.fs]
+     */
+    constructor(
+        themePath,
+        { historyPath = path.join(themePath, '.stencil', 'history.json'), fs = fsModule } = {},
+    ) {
+        this.historyPath = historyPath;
+        this._fs = fs;
+        // Pushes to several stores update the history concurrently
+        this._pendingUpdate = Promise.resolve();
+    }
+
+    /**
+     * The entries of a history without store hashes, written by the first versions of stencil
+     * rollback, can't be matched with a store and are dropped, as are the entries of a broken file
+     *
+     * @returns {Promise<{stores: object}>}
+     */
+    async read() {
+        let history;
+        try {
+            const content = await this._fs.promises.readFile(this.historyPath, {
+                encoding: 'utf-8',
+            });
+            history = JSON.parse(content);
+        } catch {
+            return { stores: {} };
+        }
+        const stores =
+            isPlainObject(history) && isPlainObject(history.stores) ? history.stores : {};
+        return { stores: pickBy(stores, isPlainObject) };
+    }
+
+    /**
+     * @param {object} history
+     * @returns {Promise<void>}
+     */
+    async write(history) {
+        await this._fs.promises.mkdir(path.dirname(this.historyPath), { recursive: true });
+        await this._fs.promises.writeFile(this.historyPath, JSON.stringify(history, null, 2));
+    }
+
+    /**
+     * @param {string} storeHash
+     * @param {number|string} channelId
+     * @returns {Promise<{themeId: string, variationId: string, recordedAt: string}[]>} - oldest first
+     */
+    async getEntries(storeHash, channelId) {
+        const history = await this.read();
+        return (history.stores[storeHash] || {})[channelId] || [];
+    }
+
+    /**
+     * @param {string} storeHash
+     * @param {number|string} channelId
+     * @param {object} entry
+     * @param {string} entry.themeId
+     * @param {string} entry.variationId
+     * @returns {Promise<void>}
+     */
+    async add(storeHash, channelId, { themeId, variationId }) {
+        await this._updateEntries(storeHash, channelId, (entries) => {
+            const last = entries[entries.length - 1];
+            // Pushing several times without changing the active theme shouldn't fill the history
+            if (last && last.themeId === themeId && last.variationId === variationId) {
+                return entries;
+            }
+            const entry = { themeId, variationId, recordedAt: new Date().toISOString() };
+            return [...entries, entry].slice(-MAX_ENTRIES_PER_CHANNEL);
+        });
+    }
+
+    /**
+     * Removes the last entry of the channel, so the next rollback goes further back
+     *
+     * @param {string} storeHash
+     * @param {number|string} channelId
+     * @returns {Promise<void>}
+     */
+    async removeLast(storeHash, channelId) {
+        await this._updateEntries(storeHash, channelId, (entries) => entries.slice(0, -1));
+    }
+
+    /**
+     * @private
+     * @param {string} storeHash
+     * @param {number|string} channelId
+     * @param {function(object[]): object[]} update
+     * @returns {Promise<void>}
+     */
+    _updateEntries(storeHash, channelId, update) {
+        this._pendingUpdate = this._pendingUpdate
+            .catch(() => {})
+            .then(async () => {
+                const history = await this.read();
+                const channels = history.stores[storeHash] || {};
+                channels[channelId] = update(channels[channelId] || []);
+                history.stores[storeHash] = channels;
+                await this.write(history);
+            });
+        return this._pendingUpdate;
+    }
+}
+
+export default ThemeHistory;
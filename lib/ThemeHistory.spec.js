@@ -0,0 +1,81 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import ThemeHistory from './ThemeHistory.js';
+
+describe('ThemeHistory', () => {
+    let themePath;
+    let themeHistory;
+    beforeEach(async () => {
+        themePath = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'stencil-theme-'));
+        themeHistory = new ThemeHistory(themePath);
+    });
+    afterEach(async () => {
+        await fs.promises.rm(themePath, { recursive: true, force: true });
+    });
+
+    it('should return no entries if nothing was recorded', async () => {
+        expect(await themeHistory.getEntries('store', 1)).toEqual([]);
+    });
+
+    it('should save the entries per store and channel in .stencil/history.json', async () => {
+        await themeHistory.add('store', 1, { themeId: 'theme-1', variationId: 'variation-1' });
+        await themeHistory.add('store', 2, { themeId: 'theme-2', variationId: 'variation-2' });
+
+        const history = JSON.parse(
+            await fs.promises.readFile(path.join(themePath, '.stencil', 'history.json'), 'utf-8'),
+        );
+        expect(history.stores.store[1]).toEqual([
+            { themeId: 'theme-1', variationId: 'variation-1', recordedAt: expect.any(String) },
+        ]);
+        expect(await themeHistory.getEntries('store', 2)).toEqual([
+            expect.objectContaining({ themeId: 'theme-2', variationId: 'variation-2' }),
+        ]);
+    });
+
+    it('should not add the same theme and variation twice in a row', async () => {
+        await themeHistory.add('store', 1, { themeId: 'theme-1', variationId: 'variation-1' });
+        await themeHistory.add('store', 1, { themeId: 'theme-1', variationId: 'variation-1' });
+        expect(await themeHistory.getEntries('store', 1)).toHaveLength(1);
+    });
+
+    it('should remove the last entry of a channel', async () => {
+        await themeHistory.add('store', 1, { themeId: 'theme-1', variationId: 'variation-1' });
+        await themeHistory.add('store', 1, { themeId: 'theme-2', variationId: 'variation-2' });
+        await themeHistory.removeLast('store', 1);
+        expect(await themeHistory.getEntries('store', 1)).toEqual([
+            expect.objectContaining({ themeId: 'theme-1' }),
+        ]);
+    });
+
+    it('should not lose entries added concurrently', async () => {
+        await Promise.all([
+            themeHistory.add('store-1', 1, { themeId: 'theme-1', variationId: 'variation-1' }),
+            themeHistory.add('store-2', 1, { themeId: 'theme-2', variationId: 'variation-2' }),
+        ]);
+        expect(await themeHistory.getEntries('store-1', 1)).toHaveLength(1);
+        expect(await themeHistory.getEntries('store-2', 1)).toHaveLength(1);
+    });
+
+    it('should ignore a history file without stores', async () => {
+        const historyPath = path.join(themePath, '.stencil', 'history.json');
+        await fs.promises.mkdir(path.dirname(historyPath), { recursive: true });
+        await fs.promises.writeFile(
+            historyPath,
+            JSON.stringify({
+                channels: { 1: [{ themeId: 'theme-1', variationId: 'variation-1' }] },
+            }),
+        );
+        expect(await themeHistory.getEntries('store', 1)).toEqual([]);
+
+        await themeHistory.add('store', 1, { themeId: 'theme-2', variationId: 'variation-2' });
+        expect(await themeHistory.read()).toEqual({
+            stores: { store: { 1: [expect.objectContaining({ themeId: 'theme-2' })] } },
+        });
+
+        await fs.promises.writeFile(historyPath, JSON.stringify({ stores: { store: null } }));
+        expect(await themeHistory.getEntries('store', 1)).toEqual([]);
+        await fs.promises.writeFile(historyPath, '{}');
+        expect(await themeHistory.getEntries('store', 1)).toEqual([]);
+    });
+});
@@ -0,0 +1,145 @@
+import fsModule from 'fs';
+import path from 'path';
+import { PACKAGE_INFO } from '../constants.js';
+
+const FORMATS = ['json', 'sarif'];
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+// Findings keep the messages of the errors thrown by the validators, without the terminal colors
+// eslint-disable-next-line no-control-regex
+const COLORS_REGEX = /\u001b\[\d+m/g;
+
+class ValidationReport {
+    /**
+     * Collects the findings of all bundle validations, so they can be reported at once
+     *
+     * @param {string} themePath
+     * @param {object} [options]
+     * @param {object} [options.fs]
+     */
+    constructor(themePath, { fs = fsModule } = {}) {
+        this.themePath = themePath;
+        this.findings = [];
+        this._fs = fs;
+    }
+
+    /**
+     * @param {string} format
+     * @returns {boolean}
+     */
+    static isSupportedFormat(format) {
+        return FORMATS.includes(format);
+    }
+
+    /**
+     * @param {object} finding
+     * @param {string} finding.ruleId - e.g. "frontmatter"
+     * @param {string} finding.message
+     * @param {'error'|'warning'} [finding.severity]
+     * @param {string} [finding.file] - absolute or relative to the theme directory
+     * @param {number} [finding.line] - 1-based
+     * @returns {void}
+     */
+    add({ ruleId, message, severity = 'error', file, line }) {
+        const finding = {
+            ruleId,
+            severity,
+            message: String(message).replace(COLORS_REGEX, '').trim(),
+        };
+        if (file) {
+            finding.file = this.getRelativePath(file);
+        }
+        if (Number.isInteger(line) && line > 0) {
+            finding.line = line;
+        }
+        this.findings.push(finding);
+    }
+
+    /**
+     * @param {string} file
+     * @returns {string} - path relative to the theme directory with forward slashes
+     */
+    getRelativePath(file) {
+        const relativePath = path.isAbsolute(file) ? path.relative(this.themePath, file) : file;
+        return relativePath.split(path.sep).join('/');
+    }
+
+    /**
+     * @returns {number}
+     */
+    getErrorCount() {
+        return this.findings.filter((finding) => finding.severity === 'error').length;
+    }
+
+    /**
+     * @returns {number}
+     */
+    getWarningCount() {
+        return this.findings.filter((finding) => finding.severity === 'warning').length;
+    }
+
+    /**
+     * @returns {object}
+     */
+    toJson() {
+        return {
+            version: PACKAGE_INFO.version,
+            summary: {
+                errors: this.getErrorCount(),
+                warnings: this.getWarningCount(),
+            },
+            findings: this.findings,
+        };
+    }
+
+    /**
+     * @returns {object} - SARIF 2.1.0 log, which can be uploaded to code scanning services
+     */
+    toSarif() {
+        const ruleIds = [...new Set(this.findings.map((finding) => finding.ruleId))];
+        return {
+            $schema: SARIF_SCHEMA,
+            version: '2.1.0',
+            runs: [
+                {
+                    tool: {
+                        driver: {
+                            name: 'stencil-cli',
+                            version: PACKAGE_INFO.version,
+                            informationUri: PACKAGE_INFO.homepage,
+                            rules: ruleIds.map((id) => ({ id })),
+                        },
+                    },
+                    results: this.findings.map((finding) => {
+                        const result = {
+                            ruleId: finding.ruleId,
+                            ruleIndex: ruleIds.indexOf(finding.ruleId),
+                            level: finding.severity,
+                            message: { text: finding.message },
+                        };
+                        if (finding.file) {
+                            const physicalLocation = {
+                                artifactLocation: { uri: finding.file },
+                            };
+                            if (finding.line) {
+                                physicalLocation.region = { startLine: finding.line };
+                            }
+                            result.locations = [{ physicalLocation }];
+                        }
+                        return result;
+                    }),
+                },
+            ],
+        };
+    }
+
+    /**
+     * @param {string} format - json or sarif
+     * @param {string} filePath
+     * @returns {Promise<void>}
+     */
+    async write(format, filePath) {
+        const report = format === 'sarif' ? this.toSarif() : this.toJson();
+        await this._fs.promises.writeFile(filePath, JSON.stringify(report, null, 2));
+    }
+}
+export default ValidationReport;
@@ -0,0 +1,87 @@
+import 'colors';
+import { jest } from '@jest/globals';
+import path from 'path';
+import ValidationReport from './ValidationReport.js';
+
+const themePath = path.join('/some', 'theme');
+
+describe('ValidationReport', () => {
+    const createReport = (fs) => {
+        const report = new ValidationReport(themePath, { fs });
+        report.add({
+            ruleId: 'frontmatter',
+            message: 'Error: bad indentation'.red,
+            file: path.join(themePath, 'templates', 'pages', 'home.html'),
+            line: 3,
+        });
+        report.add({
+            ruleId: 'lang-helpers',
+            severity: 'warning',
+            message: 'Missing translation for header.title in lang/en.json',
+        });
+        return report;
+    };
+
+    it('should store findings without colors and with paths relative to the theme', () => {
+        const report = createReport();
+        expect(report.findings[0]).toEqual({
+            ruleId: 'frontmatter',
+            severity: 'error',
+            message: 'Error: bad indentation',
+            file: 'templates/pages/home.html',
+            line: 3,
+        });
+        expect(report.getErrorCount()).toEqual(1);
+        expect(report.getWarningCount()).toEqual(1);
+    });
+
+    it('should convert the findings to SARIF', () => {
+        const sarif = createReport().toSarif();
+        expect(sarif.version).toEqual('2.1.0');
+        expect(sarif.runs[0].tool.driver.rules).toEqual([
+            { id: 'frontmatter' },
+            { id: 'lang-helpers' },
+        ]);
+        expect(sarif.runs[0].results).toEqual([
+            {
+                ruleId: 'frontmatter',
+                ruleIndex: 0,
+                level: 'error',
+                message: { text: 'Error: bad indentation' },
+                locations: [
+                    {
+                        physicalLocation: {
+                            artifactLocation: { uri: 'templates/pages/home.html' },
+                            region: { startLine: 3 },
+                        },
+                    },
+                ],
+            },
+            {
+                ruleId: 'lang-helpers',
+                ruleIndex: 1,
+                level: 'warning',
+                message: { text: 'Missing translation for header.title in lang/en.json' },
+            },
+        ]);
+    });
+
+    it('should write the report in the requested format', async () => {
+        const fs = { promises: { writeFile: jest.fn() } };
+        const report = createReport(fs);
+        await report.write('json', 'report.json');
+        expect(JSON.parse(fs.promises.writeFile.mock.calls[0][1])).toEqual(
+            expect.objectContaining({
+                summary: { errors: 1, warnings: 1 },
+                findings: report.findings,
+            }),
+        );
+        await report.write('sarif', 'report.sarif');
+        expect(JSON.parse(fs.promises.writeFile.mock.calls[1][1])).toEqual(report.toSarif());
+    });
+
+    it('should only support json and sarif', () => {
+        expect(ValidationReport.isSupportedFormat('sarif')).toBe(true);
+        expect(ValidationReport.isSupportedFormat('xml')).toBe(false);
+    });
+});
@@ -11,9 +11,16 @@ const pipeline = promisify(stream.pipeline);
  * @param {string}   [options.fileToExtract] - filename to extract only
  * @param {string[]} [options.exclude] - paths of files and directories to exclude
  * @param {object}   [options.outputNames] - new names for some files. Format: { 'oldName1': 'newName1', ...}
+ * @param {string}   [options.outputPath] - directory to extract the files to, the current directory by default
  * @returns {Promise<void>}
  */
-async function extractZipFiles({ zipPath, fileToExtract, exclude = [], outputNames = {} }) {
+async function extractZipFiles({
+    zipPath,
+    fileToExtract,
+    exclude = [],
+    outputNames = {},
+    outputPath = '',
+}) {
     let foundMatch = false;
     const zipFile = await promisify(yauzl.open)(zipPath, { lazyEntries: true });
     await new Promise((resolve, reject) => {
@@ -30,7 +37,10 @@ async function extractZipFiles({ zipPath, fileToExtract, exclude = [], outputNam
                     zipFile.readEntry();
                     return;
                 }
-                const outputFilePath = outputNames[entry.fileName] || entry.fileName;
+                const outputFilePath = path.join(
+                    outputPath,
+                    outputNames[entry.fileName] || entry.fileName,
+                );
                 const outputDir = path.parse(outputFilePath).dir;
                 // Create a directory if the parent directory does not exists
                 if (outputDir && !fs.existsSync(outputDir)) {
@@ -69,6 +69,17 @@ describe('archiveManager', () => {
                 expect.objectContaining({ flag: 'w+' }),
             );
         });
+        it('should save the files to options.outputPath', async () => {
+            const fsCreateWriteStreamStub = stubFsWriteStream();
+            const fsMkdirStub = jest.spyOn(fs.promises, 'mkdir').mockResolvedValue();
+            const outputPath = path.join('tmp', 'remote-theme');
+            await extractZipFiles({ zipPath, fileToExtract: 'config.json', outputPath });
+            expect(fsCreateWriteStreamStub).toHaveBeenCalledWith(
+                path.join(outputPath, 'config.json'),
+                expect.objectContaining({ flag: 'w+' }),
+            );
+            expect(fsMkdirStub).toHaveBeenCalledWith(outputPath, { recursive: true });
+        });
         it('should throw an error when the file with name options.fileToExtract was not found', async () => {
             const fsCreateWriteStreamStub = stubFsWriteStream();
             const fileToExtract = 'I dont exist.txt';
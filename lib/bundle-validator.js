@@ -1,17 +1,20 @@
 import 'colors';
 import os from 'os';
-import { isObject, isArray, difference, uniq, flatten, every } from 'lodash-es';
+import { isObject, isArray, difference, uniq, every, get, escapeRegExp } from 'lodash-es';
 import async from 'async';
 import fs from 'fs';
 import sizeOf from 'image-size';
 import path from 'path';
+import { promisify } from 'util';
 import Validator from 'ajv';
 import yamlValidator from 'js-yaml';
 import { recursiveReadDir } from './utils/fsUtils.js';
 import { getFrontmatterContent, interpolateThemeSettings } from './utils/frontmatter.js';
 import ValidatorSchemaTranslations from './validator/schema-translations.js';
 import ScssValidator from './ScssValidator.js';
+import GqlValidator from './GqlValidator.js';
 import LangHelpersValidator from './lang/validator.js';
+import Cycles from './Cycles.js';
 
 const VALID_IMAGE_TYPES = ['.jpg', '.jpeg', '.png', '.gif'];
 const WIDTH_COMPOSED = 600;
@@ -23,6 +26,7 @@ const HEIGHT_DESKTOP = 2600;
 const MAX_SIZE_COMPOSED = 1024 * 1024 * 2; // 2MB
 const MAX_SIZE_MOBILE = 1024 * 1024; // 1MB
 const MAX_SIZE_DESKTOP = 1024 * 1024 * 5; // 5MB
+const MAX_SIZE_TEMPLATE = 1024 * 1024; // 1MB
 
 const privateThemeConfigUrl = new URL('./schemas/privateThemeConfig.json', import.meta.url);
 const privateThemeConfigValidationSchema = JSON.parse(fs.readFileSync(privateThemeConfigUrl));
@@ -33,28 +37,42 @@ const themeConfigValidationSchema = JSON.parse(fs.readFileSync(themeConfigValida
 const themeValidationSchemaUrl = new URL('./schemas/themeSchema.json', import.meta.url);
 const themeValidationSchema = JSON.parse(fs.readFileSync(themeValidationSchemaUrl));
 
+const frontmatterResourcesSchemaUrl = new URL(
+    './schemas/frontmatterResources.json',
+    import.meta.url,
+);
+const frontmatterResourcesSchema = JSON.parse(fs.readFileSync(frontmatterResourcesSchemaUrl));
+// Theme settings missing from config.json are removed from the frontmatter before it is used
+const MISSING_THEME_SETTINGS_REGEX = /{{\s*?theme_settings\..+?\s*?}}/g;
+
 class BundleValidator {
     /**
      * Run some validations to ensure that the platform will accept the theme
      * @param themePath
      * @param themeConfig
      * @param isPrivate
+     * @param {object} [options]
+     * @param {object} [options.logger]
      * @constructor
      */
-    constructor(themePath, themeConfig, isPrivate) {
+    constructor(themePath, themeConfig, isPrivate, { logger = console } = {}) {
         this.isPrivate = isPrivate;
+        this._logger = logger;
         this.themeConfig = themeConfig;
         this.themePath = themePath;
         this.objectsToValidate = ['head.scripts', 'footer.scripts'];
         this.jsonSchemaValidatorOptions = { schemaId: 'auto', allErrors: true };
         this.scssValidator = new ScssValidator(themePath, themeConfig);
-        this.langHelpersValidator = new LangHelpersValidator(themePath, themeConfig);
+        this.langHelpersValidator = new LangHelpersValidator(themePath, { logger });
+        this.gqlValidator = new GqlValidator(themePath, themeConfig, { logger });
         // Array of tasks used in async.series
         this.validationTasks = [
             this._validateThemeConfiguration.bind(this),
             this._validateThemeSchema.bind(this),
             this._validateSchemaTranslations.bind(this),
             this._validateTemplatesFrontmatter.bind(this),
+            this._validateTemplatesGql.bind(this),
+            this._validateTemplatesResources.bind(this),
             this._validateCssFiles.bind(this),
             this._validateLangFiles.bind(this),
         ];
@@ -73,42 +91,105 @@ class BundleValidator {
         });
     }
 
+    /**
+     * Runs all validation tasks without stopping at the first error
+     * @param {ValidationReport} report
+     * @returns {Promise<ValidationReport>}
+     */
+    async reportTheme(report) {
+        const tasks = [
+            ['config', 'error', this._getThemeConfigurationErrors.bind(this)],
+            ['schema', 'error', this._getThemeSchemaErrors.bind(this)],
+            ['schema-translations', 'error', this._getSchemaTranslationsErrors.bind(this)],
+            ['frontmatter', 'error', this._getTemplatesFrontmatterErrors.bind(this)],
+            ['gql', 'error', () => this.gqlValidator.findErrors()],
+            ['frontmatter-resources', 'warning', this._getTemplatesResourcesWarnings.bind(this)],
+            ['scss', 'error', () => this.scssValidator.findErrors()],
+            // Missing translations are only a warning when bundling
+            ['lang-helpers', 'warning', () => this.langHelpersValidator.findErrors()],
+        ];
+        if (!this.isPrivate) {
+            tasks.push(['meta-images', 'error', this._getMetaImagesErrors.bind(this)]);
+        }
+        for (const [ruleId, severity, getErrors] of tasks) {
+            try {
+                // eslint-disable-next-line no-await-in-loop
+                const errors = await getErrors();
+                for (const error of errors) {
+                    report.add({ ruleId, severity, ...error });
+                }
+            } catch (err) {
+                report.add({ ruleId, severity, message: err.message });
+            }
+        }
+        return report;
+    }
+
+    /**
+     * Reports the problems of the assembled templates, which are otherwise found while bundling
+     * @param {ValidationReport} report
+     * @param {object} templates - assembled templates by template name
+     * @returns {ValidationReport}
+     */
+    reportTemplates(report, templates) {
+        const getTemplateFile = (templateName) =>
+            templateName.startsWith('external/') ? undefined : `templates/${templateName}.html`;
+        for (const missingObject of this.getMissingObjects(Object.values(templates))) {
+            report.add({
+                ruleId: 'required-objects',
+                message: `Missing required object/property: ${missingObject}`,
+            });
+        }
+        for (const [templateName, data] of Object.entries(templates)) {
+            if (JSON.stringify(data).length >= MAX_SIZE_TEMPLATE) {
+                report.add({
+                    ruleId: 'template-size',
+                    message: `The template generated from ${templateName} is greater than or equal to 1 megabyte in size`,
+                    file: getTemplateFile(templateName),
+                });
+            }
+        }
+        for (const cycle of new Cycles(Object.values(templates)).findCycles()) {
+            report.add({
+                ruleId: 'cycles',
+                message: `Circular dependency in template detected: ${cycle.join(' -> ')}`,
+                file: getTemplateFile(cycle[0]),
+            });
+        }
+        return report;
+    }
+
     /**
      * Validates that required objects/properties exist in theme
      * @param {array} assembledTemplates
      * @param {function} callback
      */
     validateObjects(assembledTemplates, callback) {
-        async.map(
-            assembledTemplates,
-            (template, cb) => {
-                const validated = [];
-                for (const templateString of Object.keys(template)) {
-                    const matches = this.objectsToValidate.filter(
-                        (element) =>
-                            template[templateString].search(
-                                new RegExp(`{+\\s*${element}\\s*}+`),
-                            ) !== -1,
-                    );
-                    validated.push(...matches);
-                }
-                cb(null, validated);
-            },
-            (err, validationRes) => {
-                if (err) {
-                    callback(err);
-                    return;
-                }
-                const results = difference(this.objectsToValidate, uniq(flatten(validationRes)));
-                if (results.length !== 0) {
-                    callback(
-                        new Error(`Missing required objects/properties: ${results.join('\n')}`),
-                    );
-                    return;
-                }
-                callback(null, !!results);
-            },
-        );
+        const results = this.getMissingObjects(assembledTemplates);
+        if (results.length !== 0) {
+            callback(new Error(`Missing required objects/properties: ${results.join('\n')}`));
+            return;
+        }
+        callback(null, true);
+    }
+
+    /**
+     * @param {array} assembledTemplates
+     * @returns {string[]} - required objects/properties which aren't used in any template
+     */
+    getMissingObjects(assembledTemplates) {
+        const validated = [];
+        for (const template of assembledTemplates) {
+            for (const templateString of Object.keys(template)) {
+                const matches = this.objectsToValidate.filter(
+                    (element) =>
+                        template[templateString].search(new RegExp(`{+\\s*${element}\\s*}+`)) !==
+                        -1,
+                );
+                validated.push(...matches);
+            }
+        }
+        return difference(this.objectsToValidate, uniq(validated));
     }
 
     /**
@@ -133,6 +214,22 @@ class BundleValidator {
         return true;
     }
 
+    /**
+     * @private
+     * @returns {Promise<{message: string, file: string}[]>}
+     */
+    async _getThemeSchemaErrors() {
+        if (!this.themeConfig.schemaExists()) {
+            return [];
+        }
+        const rawSchema = await this.themeConfig.getRawSchema();
+        return this._getJsonSchemaErrors(
+            'schema',
+            themeValidationSchema,
+            rawSchema,
+        ).map((message) => ({ message, file: 'schema.json' }));
+    }
+
     /**
      * Ensure theme configuration exists and passes the json schema file
      * @private
@@ -147,14 +244,49 @@ class BundleValidator {
             throw new Error(errMsg);
         }
         if (!this.isPrivate && !this.themeConfig.schemaExists()) {
-            console.log("Warning: Your theme is missing a 'schema.json' file.".orange);
+            this._logger.log("Warning: Your theme is missing a 'schema.json' file.".orange);
         }
-        // Validate against the theme registry config schema
-        const validationSchema = this.isPrivate
-            ? privateThemeConfigValidationSchema
-            : themeConfigValidationSchema;
         const rawConfig = await this.themeConfig.getRawConfig();
-        return this._validateJsonSchema('config', validationSchema, rawConfig);
+        return this._validateJsonSchema('config', this._getConfigValidationSchema(), rawConfig);
+    }
+
+    /**
+     * @private
+     * @returns {Promise<{message: string, file: string, severity: string|undefined}[]>}
+     */
+    async _getThemeConfigurationErrors() {
+        if (!this.themeConfig.configExists()) {
+            return [
+                {
+                    message: 'You must have a config.json file in your top level theme directory.',
+                    file: 'config.json',
+                },
+            ];
+        }
+        const errors = [];
+        if (!this.isPrivate && !this.themeConfig.schemaExists()) {
+            errors.push({
+                message: "Your theme is missing a 'schema.json' file.",
+                file: 'schema.json',
+                severity: 'warning',
+            });
+        }
+        const rawConfig = await this.themeConfig.getRawConfig();
+        const schemaErrors = this._getJsonSchemaErrors(
+            'config',
+            this._getConfigValidationSchema(),
+            rawConfig,
+        );
+        return [...errors, ...schemaErrors.map((message) => ({ message, file: 'config.json' }))];
+    }
+
+    /**
+     * Validate against the theme registry config schema
+     * @private
+     * @returns {object}
+     */
+    _getConfigValidationSchema() {
+        return this.isPrivate ? privateThemeConfigValidationSchema : themeConfigValidationSchema;
     }
 
     /**
@@ -165,24 +297,52 @@ class BundleValidator {
      * @returns {boolean}
      */
     _validateJsonSchema(type, schema, data) {
-        const validator = new Validator(this.jsonSchemaValidatorOptions);
-        validator.validate(schema, data);
-        if (validator.errors && validator.errors.length > 0) {
+        const errors = this._getJsonSchemaErrors(type, schema, data);
+        if (errors.length > 0) {
             let errorMessage = `Your theme's ${type}.json has errors:`;
-            for (const error of validator.errors) {
-                errorMessage += `${os.EOL + type + error.dataPath} ${error.message}`;
+            for (const error of errors) {
+                errorMessage += os.EOL + error;
             }
             throw new Error(errorMessage.red);
         }
         return true;
     }
 
+    /**
+     * @private
+     * @param type
+     * @param schema
+     * @param data
+     * @returns {string[]}
+     */
+    _getJsonSchemaErrors(type, schema, data) {
+        const validator = new Validator(this.jsonSchemaValidatorOptions);
+        validator.validate(schema, data);
+        return (validator.errors || []).map((error) => `${type + error.dataPath} ${error.message}`);
+    }
+
     /**
      * Ensure that schema translations exists and there are no missing or unused keys.
      * @private
      * @returns {boolean}
      */
     async _validateSchemaTranslations() {
+        const errors = await this._getSchemaTranslationsErrors();
+        if (errors.length) {
+            let errorMessage = "Your theme's schemaTranslations.json has errors:";
+            for (const error of errors) {
+                errorMessage += `\r\n${error.message}`;
+            }
+            throw new Error(errorMessage.red);
+        }
+        return true;
+    }
+
+    /**
+     * @private
+     * @returns {Promise<{message: string, file: string}[]>}
+     */
+    async _getSchemaTranslationsErrors() {
         const validatorSchemaTranslations = new ValidatorSchemaTranslations();
         const validator = new Validator(this.jsonSchemaValidatorOptions);
         if (this.themeConfig.schemaExists()) {
@@ -204,93 +364,82 @@ class BundleValidator {
             validatorSchemaTranslations.getValidationSchema(),
             validatorSchemaTranslations.getTranslations(),
         );
-        if (
-            (validator.errors && validator.errors.length) ||
-            missedKeys.length ||
-            unusedKeys.length
-        ) {
-            let errorMessage = "Your theme's schemaTranslations.json has errors:";
-            missedKeys.forEach((key) => {
-                errorMessage += `\r\nmissing translation key "${key}"`;
-            });
-            unusedKeys.forEach((key) => {
-                errorMessage += `\r\nunused translation key "${key}"`;
-            });
-            if (validator.errors && validator.errors.length) {
-                validator.errors.forEach((error) => {
-                    errorMessage += `\r\nschemaTranslations${error.message}`;
-                });
-            }
-            throw new Error(errorMessage.red);
-        }
-        return true;
+        const messages = [
+            ...missedKeys.map((key) => `missing translation key "${key}"`),
+            ...unusedKeys.map((key) => `unused translation key "${key}"`),
+            ...(validator.errors || []).map((error) => `schemaTranslations${error.message}`),
+        ];
+        return messages.map((message) => ({ message, file: 'schemaTranslations.json' }));
     }
 
     /**
      * Validates images for marketplace themes
      * @private
-     * @returns {boolean[]}
+     * @returns {boolean}
      */
     async _validateMetaImages() {
-        const { meta, variations } = await this.themeConfig.getConfig();
-        const composedImagePath = path.resolve(this.themePath, 'meta', meta.composed_image);
-        const imageTasks = [];
-        if (!this._isValidImageType(composedImagePath)) {
-            throw new Error(
-                'Invalid file type for "meta.composed_image".'.red +
-                    `\r\nValid types (${VALID_IMAGE_TYPES.join(', ')})`.red,
-            );
-        }
-        if (!fs.existsSync(composedImagePath)) {
-            throw new Error(
-                'The path you specified for your "meta.composed_image" does not exist.'.red,
-            );
+        const errors = await this._getMetaImagesErrors();
+        if (errors.length) {
+            throw new Error(errors.map((error) => error.message).join('\r\n').red);
         }
-        imageTasks.push((cb) =>
-            this._validateImage(composedImagePath, WIDTH_COMPOSED, HEIGHT_COMPOSED, cb),
+        return true;
+    }
+
+    /**
+     * @private
+     * @returns {Promise<{message: string, file: string}[]>}
+     */
+    async _getMetaImagesErrors() {
+        const { meta, variations } = await this.themeConfig.getConfig();
+        const images = [
+            {
+                name: '"meta.composed_image"',
+                file: meta.composed_image,
+                width: WIDTH_COMPOSED,
+                height: HEIGHT_COMPOSED,
+            },
+            ...variations.flatMap((variation) => [
+                {
+                    name: `the ${variation.id} variation's "desktop_screenshot"`,
+                    file: variation.meta.desktop_screenshot,
+                    width: WIDTH_DESKTOP,
+                    height: HEIGHT_DESKTOP,
+                },
+                {
+                    name: `the ${variation.id} variation's "mobile_screenshot"`,
+                    file: variation.meta.mobile_screenshot,
+                    width: WIDTH_MOBILE,
+                    height: HEIGHT_MOBILE,
+                },
+            ]),
+        ];
+        const validateImage = promisify(this._validateImage.bind(this));
+        const errors = await Promise.all(
+            images.map(async ({ name, file, width, height }) => {
+                const imagePath = path.resolve(this.themePath, 'meta', file);
+                if (!this._isValidImageType(imagePath)) {
+                    return {
+                        message: `Invalid file type for ${name}. Valid types (${VALID_IMAGE_TYPES.join(
+                            ', ',
+                        )})`,
+                        file: imagePath,
+                    };
+                }
+                if (!fs.existsSync(imagePath)) {
+                    return {
+                        message: `The path you specified for ${name} does not exist.`,
+                        file: imagePath,
+                    };
+                }
+                try {
+                    await validateImage(imagePath, width, height);
+                    return null;
+                } catch (err) {
+                    return { message: err.message, file: imagePath };
+                }
+            }),
         );
-        for (const variation of variations) {
-            const id = variation.id.blue;
-            const desktopScreenshotPath = path.resolve(
-                this.themePath,
-                'meta',
-                variation.meta.desktop_screenshot,
-            );
-            if (!this._isValidImageType(desktopScreenshotPath)) {
-                throw new Error(
-                    `Invalid file type for ${id} variation's "desktop_screenshot".`.red +
-                        `\r\nValid types (${VALID_IMAGE_TYPES.join(', ')})`.red,
-                );
-            }
-            if (!fs.existsSync(desktopScreenshotPath)) {
-                throw new Error(
-                    `The path you specified for the ${id} variation's "desktop_screenshot" does not exist.`.red,
-                );
-            }
-            imageTasks.push((cb) =>
-                this._validateImage(desktopScreenshotPath, WIDTH_DESKTOP, HEIGHT_DESKTOP, cb),
-            );
-            const mobileScreenshotPath = path.resolve(
-                this.themePath,
-                'meta',
-                variation.meta.mobile_screenshot,
-            );
-            if (!this._isValidImageType(mobileScreenshotPath)) {
-                throw new Error(
-                    `Invalid file type for ${id} variation's "mobile_screenshot".`.red +
-                        `\r\nValid types (${VALID_IMAGE_TYPES.join(', ')})`.red,
-                );
-            }
-            if (!fs.existsSync(mobileScreenshotPath)) {
-                throw new Error(
-                    `The path you specified for the ${id} variation's "mobile_screenshot" does not exist.`.red,
-                );
-            }
-            imageTasks.push((cb) =>
-                this._validateImage(mobileScreenshotPath, WIDTH_MOBILE, HEIGHT_MOBILE, cb),
-            );
-        }
-        return async.parallel(imageTasks);
+        return errors.filter(Boolean);
     }
 
     /**
@@ -353,10 +502,25 @@ class BundleValidator {
     }
 
     async _validateTemplatesFrontmatter() {
+        const [error] = await this._getTemplatesFrontmatterErrors({ stopOnError: true });
+        if (error) {
+            throw new Error(error.message.red);
+        }
+        return true;
+    }
+
+    /**
+     * @private
+     * @param {object} [options]
+     * @param {boolean} [options.stopOnError]
+     * @returns {Promise<{message: string, file: string, line: number|undefined}[]>}
+     */
+    async _getTemplatesFrontmatterErrors({ stopOnError = false } = {}) {
         const config = await this.themeConfig.getRawConfig();
         const filePaths = await recursiveReadDir(path.join(this.themePath, 'templates'), [
             '!*.html',
         ]);
+        const errors = [];
         for await (const filePath of filePaths) {
             const fileContent = await fs.promises.readFile(filePath, { encoding: 'utf-8' });
             const frontmatter = getFrontmatterContent(fileContent);
@@ -366,15 +530,143 @@ class BundleValidator {
                     const result = yamlValidator.loadAll(yaml);
                     this.validateTrailingSymbols(result[0]);
                 } catch (e) {
-                    throw new Error(
-                        `Error: ${e.message}, while parsing frontmatter at "${filePath}".`.red,
-                    );
+                    errors.push({
+                        message: `Error: ${e.message}, while parsing frontmatter at "${filePath}".`,
+                        file: filePath,
+                        // The frontmatter is at the top of the template, YAML errors have 0-based lines
+                        line: e.mark ? e.mark.line + 1 : undefined,
+                    });
+                    if (stopOnError) {
+                        break;
+                    }
                 }
             }
         }
+        return errors;
+    }
+
+    async _validateTemplatesResources() {
+        const warnings = await this._getTemplatesResourcesWarnings();
+        if (warnings.length) {
+            this._logger.log(
+                'Warning: Some templates request resources which the platform does not support:'
+                    .yellow,
+            );
+            this._logger.log(warnings.map((warning) => warning.message).join('\n').yellow);
+        }
         return true;
     }
 
+    /**
+     * Checks the resources requested in the frontmatter of the templates against the options and
+     * limits the platform supports. An unsupported option silently loads no data.
+     *
+     * @private
+     * @returns {Promise<{message: string, file: string, line: number|undefined}[]>}
+     */
+    async _getTemplatesResourcesWarnings() {
+        const config = await this.themeConfig.getRawConfig();
+        const filePaths = await recursiveReadDir(path.join(this.themePath, 'templates'), [
+            '!*.html',
+        ]);
+        const validate = new Validator(this.jsonSchemaValidatorOptions).compile(
+            frontmatterResourcesSchema,
+        );
+        const warnings = [];
+        for await (const filePath of filePaths) {
+            const fileContent = await fs.promises.readFile(filePath, { encoding: 'utf-8' });
+            const frontmatter = getFrontmatterContent(fileContent);
+            let resources = null;
+            try {
+                [resources] = frontmatter
+                    ? yamlValidator.loadAll(
+                          interpolateThemeSettings(frontmatter, config.settings).replace(
+                              MISSING_THEME_SETTINGS_REGEX,
+                              '',
+                          ),
+                      )
+                    : [];
+            } catch {
+                // Reported by the frontmatter validation
+            }
+            if (isObject(resources) && !validate(resources)) {
+                for (const error of validate.errors) {
+                    const keyPath = this.getResourceKeyPath(error);
+                    warnings.push({
+                        message: `Warning: ${this.formatResourceError(
+                            error,
+                            keyPath,
+                            resources,
+                        )} in the frontmatter of "${filePath}".`,
+                        file: filePath,
+                        line: this.getFrontmatterKeyLine(frontmatter, keyPath),
+                    });
+                }
+            }
+        }
+        return warnings;
+    }
+
+    /**
+     * @param {object} error - error of the JSON schema validation
+     * @returns {string[]} - e.g. ['products', 'new', 'limit']
+     */
+    getResourceKeyPath(error) {
+        const keyPath = error.dataPath
+            .replace(/\['([^']*)'\]/g, '.$1')
+            .split('.')
+            .filter(Boolean);
+        return error.keyword === 'additionalProperties'
+            ? [...keyPath, error.params.additionalProperty]
+            : keyPath;
+    }
+
+    /**
+     * @param {object} error - error of the JSON schema validation
+     * @param {string[]} keyPath
+     * @param {object} resources
+     * @returns {string}
+     */
+    formatResourceError(error, keyPath, resources) {
+        const key = `"${keyPath.join('.')}"`;
+        switch (error.keyword) {
+            case 'additionalProperties':
+                return `unknown key ${key}`;
+            case 'type':
+                return `${key} should be ${error.params.type.split(',').join(' or ')}`;
+            case 'maximum':
+                return `${key} of ${get(resources, keyPath)} is above the platform maximum of ${
+                    error.params.limit
+                }`;
+            default:
+                return `${key} ${error.message}`;
+        }
+    }
+
+    /**
+     * @param {string} frontmatter - at the top of the template
+     * @param {string[]} keyPath
+     * @returns {number|undefined}
+     */
+    getFrontmatterKeyLine(frontmatter, keyPath) {
+        const lines = frontmatter.split('\n');
+        let lineIndex = 0;
+        for (const key of keyPath) {
+            const keyRegex = new RegExp(`^\\s*(["']?)${escapeRegExp(key)}\\1\\s*:`);
+            while (lineIndex < lines.length && !keyRegex.test(lines[lineIndex])) {
+                lineIndex += 1;
+            }
+            if (lineIndex === lines.length) {
+                return undefined;
+            }
+        }
+        return lineIndex + 1;
+    }
+
+    async _validateTemplatesGql() {
+        await this.gqlValidator.run();
+    }
+
     async _validateLangFiles() {
         await this.langHelpersValidator.run();
     }
@@ -3,6 +3,7 @@ import path from 'path';
 import { promisify } from 'util';
 import ThemeConfig from './theme-config.js';
 import BundleValidator from './bundle-validator.js';
+import ValidationReport from './ValidationReport.js';
 
 const themePath = path.join(process.cwd(), 'test/_mocks/themes/valid');
 describe('BundleValidator', () => {
@@ -81,7 +82,7 @@ describe('BundleValidator', () => {
     it('should validate theme schema and frontmatter successfully', async () => {
         const validator = new BundleValidator(themePath, themeConfig, false);
         const res = await promisify(validator.validateTheme.bind(validator))();
-        expect(res).toHaveLength(7); // 7 validation tasks
+        expect(res).toHaveLength(9); // 9 validation tasks
         expect(res).not.toContain(false);
     });
     it('should validate theme schema and throw errors', async () => {
@@ -111,4 +112,144 @@ describe('BundleValidator', () => {
             'Import directives may not be used within control directives or mixins',
         );
     });
+
+    describe('reportTheme', () => {
+        it('should report the errors of every validation task', async () => {
+            const themePath2 = path.join(process.cwd(), 'test/_mocks/themes/invalid-schema');
+            themeConfig = ThemeConfig.getInstance(themePath2);
+            const validator = new BundleValidator(themePath2, themeConfig, true);
+            const report = await validator.reportTheme(new ValidationReport(themePath2));
+            expect(report.findings).toContainEqual({
+                ruleId: 'schema',
+                severity: 'error',
+                message: "schema[0].settings[0] should have required property 'content'",
+                file: 'schema.json',
+            });
+            expect(report.findings.map((finding) => finding.ruleId)).toContain('scss');
+        });
+
+        it('should report the file and line of invalid frontmatter', async () => {
+            const themePath2 = path.join(process.cwd(), 'test/_mocks/themes/invalid-frontmatter');
+            themeConfig = ThemeConfig.getInstance(themePath2);
+            const validator = new BundleValidator(themePath2, themeConfig, true);
+            const report = await validator.reportTheme(new ValidationReport(themePath2));
+            const frontmatterFindings = report.findings.filter(
+                (finding) => finding.ruleId === 'frontmatter',
+            );
+            expect(frontmatterFindings).toHaveLength(1);
+            expect(frontmatterFindings[0].file).toMatch(/^templates\/.+\.html$/);
+            expect(frontmatterFindings[0].message).toContain('while parsing frontmatter');
+        });
+
+        it('should report the errors of the frontmatter GraphQL queries', async () => {
+            const validator = new BundleValidator(themePath, themeConfig, true);
+            const file = path.join(themePath, 'templates/pages/product.html');
+            jest.spyOn(validator.gqlValidator, 'findErrors').mockResolvedValue([
+                { message: 'Error: Cannot query field "title" on type "Product"', file, line: 4 },
+            ]);
+            const report = await validator.reportTheme(new ValidationReport(themePath));
+            expect(report.findings).toContainEqual({
+                ruleId: 'gql',
+                severity: 'error',
+                message: 'Error: Cannot query field "title" on type "Product"',
+                file: 'templates/pages/product.html',
+                line: 4,
+            });
+        });
+
+        it('should warn about the unsupported resources of the frontmatter', async () => {
+            const themePath2 = path.join(
+                process.cwd(),
+                'test/_mocks/themes/invalid-frontmatter-resources',
+            );
+            themeConfig = ThemeConfig.getInstance(themePath2);
+            const validator = new BundleValidator(themePath2, themeConfig, true);
+            const report = await validator.reportTheme(new ValidationReport(themePath2));
+            const findings = report.findings
+                .filter((finding) => finding.ruleId === 'frontmatter-resources')
+                .map(({ severity, file, line, message }) => ({
+                    severity,
+                    file,
+                    line,
+                    message: message.replace(/ in the frontmatter of .*$/, ''),
+                }));
+            const warning = (line, message) => ({
+                severity: 'warning',
+                file: 'templates/pages/home.html',
+                line,
+                message: `Warning: ${message}`,
+            });
+            expect(findings).toEqual([
+                warning(12, '"blog.recent_posts.limit" should be integer'),
+                warning(7, 'unknown key "products.top_seller"'),
+                warning(6, '"products.featured.limit" should be integer'),
+                warning(4, '"products.new.limit" of 150 is above the platform maximum of 100'),
+            ]);
+        });
+
+        it('should accept the frontmatter options of the templates', async () => {
+            const validator = new BundleValidator(themePath, themeConfig, true);
+            const report = await validator.reportTheme(new ValidationReport(themePath));
+            expect(
+                report.findings.filter((finding) => finding.ruleId === 'frontmatter-resources'),
+            ).toEqual([]);
+        });
+
+        it('should report every invalid meta image', async () => {
+            const config = await themeConfig.getConfig();
+            const [light, bold] = config.variations;
+            jest.spyOn(themeConfig, 'getConfig').mockResolvedValue({
+                ...config,
+                variations: [
+                    { ...light, meta: { ...light.meta, desktop_screenshot: 'desktop_light.bmp' } },
+                    { ...bold, meta: { ...bold.meta, mobile_screenshot: 'missing.jpg' } },
+                ],
+            });
+            const validator = new BundleValidator(themePath, themeConfig, false);
+            jest.spyOn(validator, 'sizeOf').mockImplementation((imagePath, cb) =>
+                cb(null, { width: 1, height: 1 }),
+            );
+            const report = await validator.reportTheme(new ValidationReport(themePath));
+            const findings = report.findings.filter((finding) => finding.ruleId === 'meta-images');
+            expect(findings.map((finding) => finding.file)).toEqual([
+                'meta/composed.jpg',
+                'meta/desktop_light.bmp',
+                'meta/mobile_light.jpg',
+                'meta/desktop_bold.jpg',
+                'meta/missing.jpg',
+            ]);
+            expect(findings[1].message).toEqual(
+                `Invalid file type for the ${light.id} variation's "desktop_screenshot". Valid types (.jpg, .jpeg, .png, .gif)`,
+            );
+            expect(findings[4].message).toEqual(
+                `The path you specified for the ${bold.id} variation's "mobile_screenshot" does not exist.`,
+            );
+            expect(findings[0].message).toContain('has incorrect dimensions (1x1)');
+        });
+
+        it('should report missing objects and circular dependencies of the templates', () => {
+            const validator = new BundleValidator(themePath, themeConfig, true);
+            const templates = {
+                'pages/page': {
+                    'pages/page': '{{{head.scripts}}} {{> components/a}}',
+                    'components/a': '{{> components/b}}',
+                    'components/b': '{{> components/a}}',
+                },
+            };
+            const report = validator.reportTemplates(new ValidationReport(themePath), templates);
+            expect(report.findings).toEqual([
+                {
+                    ruleId: 'required-objects',
+                    severity: 'error',
+                    message: 'Missing required object/property: footer.scripts',
+                },
+                {
+                    ruleId: 'cycles',
+                    severity: 'error',
+                    message: expect.stringContaining('components/a'),
+                    file: expect.stringMatching(/^templates\/components\/[ab]\.html$/),
+                },
+            ]);
+        });
+    });
 });
@@ -10,57 +10,61 @@ const messages = {
 };
 /**
  * @param {Object} object
-
+ * @param {object} logger
  * @returns {void}
  */
-function printObject(object) {
+function printObject(object, logger) {
     for (const property of Object.keys(object)) {
-        console.log(`${property}: ${object[property]}`);
+        logger.log(`${property}: ${object[property]}`);
     }
 }
 /**
  * @param {Error} error
-
+ * @param {object} logger
  * @returns {void}
  */
-function printNetworkError(config) {
-    console.log(config);
-    console.log(`URL: `.yellow + config.url);
-    console.log(`Method: `.yellow + config.method.toUpperCase());
+function printNetworkError(config, logger) {
+    logger.log(config);
+    logger.log(`URL: `.yellow + config.url);
+    logger.log(`Method: `.yellow + config.method.toUpperCase());
     if (config.data) {
-        console.log(`Data: `.yellow);
-        printObject(config.data);
+        logger.log(`Data: `.yellow);
+        printObject(config.data, logger);
     }
 }
 /**
  * @param {Error} error
  * @param {Array<{message: string}>} [error.messages]
+ * @param {object} [options]
+ * @param {object} [options.logger]
  * @returns {void}
  */
-function printCliResultError(error) {
-    console.error(`\n\n${'not ok'.red} -- ${error || 'Unknown error'}\n`);
+function printCliResultError(error, { logger = console } = {}) {
+    logger.error(`\n\n${'not ok'.red} -- ${error || 'Unknown error'}\n`);
     if (error && Array.isArray(error.messages)) {
         for (const item of error.messages) {
             if (item && item.message) {
-                console.log(`${item.message.red}\n`);
+                logger.log(`${item.message.red}\n`);
             }
         }
     }
     if (error && (error.config || error.response)) {
         // In case if request didn't receive any response, response object is not available
         const networkReq = error.config || error.response;
-        printNetworkError(networkReq);
+        printNetworkError(networkReq, logger);
     }
-    console.log(messages.visitTroubleshootingPage);
-    console.log(messages.submitGithubIssue);
+    logger.log(messages.visitTroubleshootingPage);
+    logger.log(messages.submitGithubIssue);
 }
 /**
  * @param {Error} error
+ * @param {object} [options]
+ * @param {object} [options.logger]
  * @returns {void}
  */
-function printCliResultErrorAndExit(error) {
-    console.log(error);
-    printCliResultError(error);
+function printCliResultErrorAndExit(error, { logger = console } = {}) {
+    logger.log(error);
+    printCliResultError(error, { logger });
     // Exit with error code so automated systems recognize it as a failure
     // eslint-disable-next-line no-process-exit
     process.exit(1);
@@ -1,4 +1,5 @@
 import 'colors';
+import { getIntrospectionQuery } from 'graphql';
 import NetworkUtils from './utils/NetworkUtils.js';
 import {
     renderedRegionsByPageTypeQuery,
@@ -88,8 +89,65 @@ async function getRenderedRegionsByPageTypeAndEntityId({
         throw new Error(`Could not fetch the rendered regions for this page type: ${err.message}`);
     }
 }
+/**
+ * @param {object} options
+ * @param {string} options.accessToken
+ * @param {string} options.apiHost
+ * @param {string} options.storeHash
+ * @param {number} options.channelId
+ * @returns {Promise<string>} - a storefront API token which expires in an hour
+ */
+async function createStorefrontToken({ accessToken, apiHost, storeHash, channelId }) {
+    try {
+        const response = await networkUtils.sendApiRequest({
+            url: `${apiHost}/stores/${storeHash}/v3/storefront/api-token`,
+            accessToken,
+            method: 'POST',
+            data: {
+                channel_id: channelId,
+                expires_at: Math.floor(Date.now() / 1000) + 60 * 60,
+            },
+        });
+        return response.data.data.token;
+    } catch (err) {
+        throw new Error(
+            `Could not create a storefront API token, make sure your access token has the "Storefront API Tokens" scope: ${err.message}`,
+        );
+    }
+}
+/**
+ * @param {object} options
+ * @param {string} options.accessToken - storefront API token
+ * @param {string} options.storeUrl
+ * @returns {Promise<{__schema: object}>} - data of the introspection query
+ */
+async function getGraphQLSchema({ accessToken, storeUrl }) {
+    try {
+        const response = await networkUtils.sendApiRequest({
+            url: `${storeUrl}/graphql`,
+            headers: {
+                'cache-control': 'no-cache',
+                'content-type': 'application/json',
+                Authorization: `Bearer ${accessToken}`,
+            },
+            method: 'POST',
+            data: JSON.stringify({
+                query: getIntrospectionQuery(),
+            }),
+        });
+        if (!response.data.data) {
+            const [error] = response.data.errors || [];
+            throw new Error(error ? error.message : 'Received an empty response');
+        }
+        return response.data.data;
+    } catch (err) {
+        throw new Error(`Could not fetch the GraphQL schema of the storefront: ${err.message}`);
+    }
+}
 
 export default {
     getRenderedRegionsByPageType,
     getRenderedRegionsByPageTypeAndEntityId,
+    createStorefrontToken,
+    getGraphQLSchema,
 };
@@ -0,0 +1,111 @@
+import path from 'path';
+
+class StylesheetCache {
+    /**
+     * Compiled stylesheets of the local server with the files each of them imports, so a change of
+     * a partial only recompiles the stylesheets which import it.
+     * Stylesheets are keyed by the requested file name, e.g. theme-00000000-0000-0000-0000-000000000001,
+     * which contains both the entry and the variation.
+     */
+    constructor() {
+        this._stylesheets = new Map();
+    }
+
+    /**
+     * Imports resolve "components/_card.scss", "components/card.scss" and "components/card.css"
+     * to the same file
+     *
+     * @param {string} file - relative to the scss folder
+     * @returns {string}
+     */
+    static getAlias(file) {
+        const { dir, name } = path.parse(path.normalize(file));
+        return path.join(dir, name.replace(/^_/, ''));
+    }
+
+    /**
+     * @param {object} configuration - theme configuration of the variation
+     * @returns {string}
+     */
+    static getConfigurationKey(configuration) {
+        return JSON.stringify([
+            configuration.settings,
+            configuration.css_compiler,
+            configuration.autoprefixer_cascade,
+            configuration.autoprefixer_browsers,
+        ]);
+    }
+
+    /**
+     * @param {string} fileName
+     * @param {object} configuration
+     * @returns {string|null} - null if the stylesheet has to be compiled
+     */
+    get(fileName, configuration) {
+        const stylesheet = this._stylesheets.get(fileName);
+        if (!stylesheet || stylesheet.css === null) {
+            return null;
+        }
+        return stylesheet.configurationKey === StylesheetCache.getConfigurationKey(configuration)
+            ? stylesheet.css
+            : null;
+    }
+
+    /**
+     * Saved before the compilation, so fixing a partial which breaks it also reloads the stylesheet
+     *
+     * @param {string} fileName
+     * @param {string[]} files - the entry and its imports, relative to the scss folder
+     * @returns {void}
+     */
+    setFiles(fileName, files) {
+        this._stylesheets.set(fileName, {
+            aliases: new Set(files.map(StylesheetCache.getAlias)),
+            css: null,
+            configurationKey: null,
+            compiling: true,
+        });
+    }
+
+    /**
+     * @param {string} fileName
+     * @param {object} configuration
+     * @param {string} css
+     * @returns {void}
+     */
+    setCss(fileName, configuration, css) {
+        const stylesheet = this._stylesheets.get(fileName);
+        // The output is outdated if a file changed during the compilation
+        if (stylesheet && stylesheet.compiling) {
+            stylesheet.compiling = false;
+            stylesheet.css = css;
+            stylesheet.configurationKey = StylesheetCache.getConfigurationKey(configuration);
+        }
+    }
+
+    /**
+     * @param {string} file - the changed file, relative to the scss folder
+     * @returns {string[]} - file names of the stylesheets which import the file
+     */
+    invalidate(file) {
+        const alias = StylesheetCache.getAlias(file);
+        const fileNames = [];
+        for (const [fileName, stylesheet] of this._stylesheets) {
+            if (stylesheet.aliases.has(alias)) {
+                stylesheet.css = null;
+                stylesheet.compiling = false;
+                fileNames.push(fileName);
+            }
+        }
+        return fileNames;
+    }
+
+    /**
+     * @returns {void}
+     */
+    clear() {
+        this._stylesheets.clear();
+    }
+}
+
+export default StylesheetCache;
@@ -0,0 +1,36 @@
+import StylesheetCache from './StylesheetCache.js';
+
+describe('StylesheetCache', () => {
+    const configuration = { settings: { color: '#fff' } };
+    const fileName = 'theme-00000000-0000-0000-0000-000000000001';
+    let stylesheetCache;
+    beforeEach(() => {
+        stylesheetCache = new StylesheetCache();
+        stylesheetCache.setFiles(fileName, ['theme.scss', 'components/card.scss']);
+        stylesheetCache.setCss(fileName, configuration, 'body {}');
+    });
+
+    it('should return the compiled stylesheet for the same configuration', () => {
+        expect(stylesheetCache.get(fileName, configuration)).toEqual('body {}');
+        expect(stylesheetCache.get(fileName, { settings: { color: '#000' } })).toBeNull();
+        expect(stylesheetCache.get('checkout', configuration)).toBeNull();
+    });
+
+    it('should only invalidate the stylesheets which import the changed file', () => {
+        const checkout = 'checkout-00000000-0000-0000-0000-000000000001';
+        stylesheetCache.setFiles(checkout, ['checkout.scss']);
+        stylesheetCache.setCss(checkout, configuration, 'form {}');
+
+        expect(stylesheetCache.invalidate('components/_card.scss')).toEqual([fileName]);
+        expect(stylesheetCache.get(fileName, configuration)).toBeNull();
+        expect(stylesheetCache.get(checkout, configuration)).toEqual('form {}');
+    });
+
+    it('should not cache the output of a compilation which started before a change', () => {
+        stylesheetCache.setFiles(fileName, ['theme.scss', 'components/card.scss']);
+        stylesheetCache.invalidate('theme.scss');
+        stylesheetCache.setCss(fileName, configuration, 'body {}');
+
+        expect(stylesheetCache.get(fileName, configuration)).toBeNull();
+    });
+});
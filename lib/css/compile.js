@@ -2,20 +2,40 @@ import path from 'path';
 import StencilStyles from '@bigcommerce/stencil-styles';
 
 const SASS_ENGINE_NAME = 'node-sass';
-const compile = async (configuration, themeAssetsPath, fileName, engineName = SASS_ENGINE_NAME) => {
+const getPathToFile = (configuration, fileName) => {
     const fileParts = path.parse(fileName);
     const ext = configuration.css_compiler === 'css' ? configuration.css_compiler : 'scss';
-    const pathToFile = path.join(fileParts.dir, `${fileParts.name}.${ext}`);
+    return { ext, pathToFile: path.join(fileParts.dir, `${fileParts.name}.${ext}`) };
+};
+/**
+ * Reads the stylesheet and all the files it imports
+ *
+ * @param {object} configuration
+ * @param {string} themeAssetsPath
+ * @param {string} fileName
+ * @returns {Promise<{[string]: string}>} - contents by path relative to the scss folder
+ */
+const assemble = async (configuration, themeAssetsPath, fileName) => {
+    const { ext, pathToFile } = getPathToFile(configuration, fileName);
     const basePath = path.join(themeAssetsPath, `${ext}`);
     const stencilStyles = new StencilStyles(console);
-
-    let files;
     try {
-        files = await stencilStyles.assembleCssFiles(pathToFile, basePath, `${ext}`, {});
+        return await stencilStyles.assembleCssFiles(pathToFile, basePath, `${ext}`, {});
     } catch (err) {
         console.error(err);
         throw err;
     }
+};
+/**
+ * @param {object} configuration
+ * @param {{[string]: string}} files - result of assemble()
+ * @param {string} fileName
+ * @param {string} [engineName]
+ * @returns {Promise<string>}
+ */
+const compileFiles = async (configuration, files, fileName, engineName = SASS_ENGINE_NAME) => {
+    const { pathToFile } = getPathToFile(configuration, fileName);
+    const stencilStyles = new StencilStyles(console);
     const params = {
         data: files[pathToFile],
         files,
@@ -30,8 +50,14 @@ const compile = async (configuration, themeAssetsPath, fileName, engineName = SA
     stencilStyles.activateEngine(engineName);
     return stencilStyles.compileCss('scss', params);
 };
+const compile = async (configuration, themeAssetsPath, fileName, engineName = SASS_ENGINE_NAME) => {
+    const files = await assemble(configuration, themeAssetsPath, fileName);
+    return compileFiles(configuration, files, fileName, engineName);
+};
 
 export default {
+    assemble,
+    compileFiles,
     compile,
     SASS_ENGINE_NAME,
 };
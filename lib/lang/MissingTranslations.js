@@ -0,0 +1,74 @@
+class MissingTranslations {
+    /**
+     * Translation keys the local server rendered which aren't in the lang file of the active locale,
+     * collected across requests as a to-do list for translators
+     */
+    constructor() {
+        this._entries = new Map();
+    }
+
+    /**
+     * @returns {number} - number of missing keys, counted per locale
+     */
+    get size() {
+        return this._entries.size;
+    }
+
+    /**
+     * @param {object} entry
+     * @param {string} entry.key - translation key
+     * @param {string} entry.locale - the active locale the key is missing from
+     * @param {string[]} entry.chain - locales tried for the key, in order
+     * @param {string|null} entry.fallbackLocale - the locale the translation was taken from
+     * @param {string|null} entry.fallback - the translation which was used instead
+     * @param {string} [entry.page] - url of the page which rendered the key
+     * @returns {void}
+     */
+    add({ key, locale, chain, fallbackLocale, fallback, page }) {
+        const id = `${locale}:${key}`;
+        if (!this._entries.has(id)) {
+            this._entries.set(id, {
+                key,
+                locale,
+                chain,
+                fallbackLocale,
+                fallback,
+                pages: new Set(),
+            });
+        }
+        if (page) {
+            this._entries.get(id).pages.add(page);
+        }
+    }
+
+    /**
+     * @returns {object[]} - the missing keys sorted by locale and key
+     */
+    getAll() {
+        return [...this._entries.values()]
+            .map((entry) => ({ ...entry, pages: [...entry.pages] }))
+            .sort((a, b) => a.locale.localeCompare(b.locale) || a.key.localeCompare(b.key));
+    }
+
+    /**
+     * @returns {string} - the missing keys as a csv file
+     */
+    toCsv() {
+        const escapeCsv = (value) => `"${String(value === null ? '' : value).replace(/"/g, '""')}"`;
+        const rows = this.getAll().map((entry) =>
+            [entry.locale, entry.key, entry.fallbackLocale, entry.fallback, entry.pages.join(' ')]
+                .map(escapeCsv)
+                .join(','),
+        );
+        return ['locale,key,fallback_locale,fallback,pages', ...rows].join('\n') + '\n';
+    }
+
+    /**
+     * @returns {void}
+     */
+    clear() {
+        this._entries.clear();
+    }
+}
+
+export default MissingTranslations;
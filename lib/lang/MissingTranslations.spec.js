@@ -0,0 +1,43 @@
+import MissingTranslations from './MissingTranslations.js';
+
+describe('MissingTranslations', () => {
+    let missingTranslations;
+    const entry = {
+        key: 'header.welcome',
+        locale: 'fr',
+        chain: ['fr', 'en'],
+        fallbackLocale: 'en',
+        fallback: 'Welcome "back"',
+    };
+    beforeEach(() => {
+        missingTranslations = new MissingTranslations();
+    });
+
+    it('should collect the pages of each missing key once', () => {
+        missingTranslations.add({ ...entry, page: '/' });
+        missingTranslations.add({ ...entry, page: '/' });
+        missingTranslations.add({ ...entry, page: '/cart.php' });
+        missingTranslations.add({ ...entry, locale: 'de', page: '/' });
+        expect(missingTranslations.size).toEqual(2);
+        expect(missingTranslations.getAll()).toEqual([
+            { ...entry, locale: 'de', pages: ['/'] },
+            { ...entry, pages: ['/', '/cart.php'] },
+        ]);
+    });
+
+    it('should export the missing keys as csv', () => {
+        missingTranslations.add({ ...entry, page: '/' });
+        missingTranslations.add({ ...entry, key: 'footer', fallbackLocale: null, fallback: null });
+        expect(missingTranslations.toCsv()).toEqual(
+            'locale,key,fallback_locale,fallback,pages\n' +
+                '"fr","footer","","",""\n' +
+                '"fr","header.welcome","en","Welcome ""back""","/"\n',
+        );
+    });
+
+    it('should clear the missing keys', () => {
+        missingTranslations.add(entry);
+        missingTranslations.clear();
+        expect(missingTranslations.getAll()).toEqual([]);
+    });
+});
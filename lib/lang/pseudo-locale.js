@@ -0,0 +1,172 @@
+import { mapValues } from 'lodash-es';
+
+const ACCENTED_CHARACTERS = {
+    a: 'á',
+    b: 'ƀ',
+    c: 'ç',
+    d: 'ð',
+    e: 'é',
+    f: 'ƒ',
+    g: 'ĝ',
+    h: 'ĥ',
+    i: 'î',
+    j: 'ĵ',
+    k: 'ķ',
+    l: 'ļ',
+    m: 'ɱ',
+    n: 'ñ',
+    o: 'ö',
+    p: 'þ',
+    q: 'ǫ',
+    r: 'ŕ',
+    s: 'š',
+    t: 'ţ',
+    u: 'û',
+    v: 'ṽ',
+    w: 'ŵ',
+    x: 'ẋ',
+    y: 'ý',
+    z: 'ž',
+    A: 'Å',
+    B: 'Ɓ',
+    C: 'Ç',
+    D: 'Ð',
+    E: 'É',
+    F: 'Ƒ',
+    G: 'Ĝ',
+    H: 'Ĥ',
+    I: 'Î',
+    J: 'Ĵ',
+    K: 'Ķ',
+    L: 'Ļ',
+    M: 'Ṁ',
+    N: 'Ñ',
+    O: 'Ö',
+    P: 'Þ',
+    Q: 'Ǫ',
+    R: 'Ŕ',
+    S: 'Š',
+    T: 'Ţ',
+    U: 'Û',
+    V: 'Ṽ',
+    W: 'Ŵ',
+    X: 'Ẋ',
+    Y: 'Ý',
+    Z: 'Ž',
+};
+// Translated text is usually about a third longer than English
+const LENGTHENING_RATIO = 0.35;
+// Arguments whose options are messages themselves, e.g. {count, plural, one {# item} other {# items}}
+const MESSAGE_ARGUMENT_TYPES = ['plural', 'select', 'selectordinal'];
+
+/**
+ * @param {string} message
+ * @param {number} start - index of an opening brace
+ * @returns {number} - index of the matching closing brace, or -1
+ */
+function findClosingBrace(message, start) {
+    let depth = 0;
+    for (let i = start; i < message.length; i += 1) {
+        if (message[i] === '{') {
+            depth += 1;
+        } else if (message[i] === '}') {
+            depth -= 1;
+            if (depth === 0) {
+                return i;
+            }
+        }
+    }
+    return -1;
+}
+
+/**
+ * Accents the options of plural and select arguments, other arguments are kept as they are
+ *
+ * @param {string} argument - content of the braces of an argument
+ * @returns {string}
+ */
+function accentArgument(argument) {
+    const [, type] = argument.split(',').map((part) => part.trim());
+    if (!MESSAGE_ARGUMENT_TYPES.includes(type)) {
+        return argument;
+    }
+    let result = '';
+    let index = 0;
+    while (index < argument.length) {
+        const start = argument.indexOf('{', index);
+        const end = start === -1 ? -1 : findClosingBrace(argument, start);
+        if (end === -1) {
+            break;
+        }
+        // eslint-disable-next-line no-use-before-define
+        result += `${argument.slice(index, start)}{${accentMessage(
+            argument.slice(start + 1, end),
+        )}}`;
+        index = end + 1;
+    }
+    return result + argument.slice(index);
+}
+
+/**
+ * Replaces the letters of a ICU message with accented ones, leaving arguments, html tags and
+ * entities intact
+ *
+ * @param {string} message
+ * @returns {string}
+ */
+function accentMessage(message) {
+    let result = '';
+    let index = 0;
+    while (index < message.length) {
+        const character = message[index];
+        let end = -1;
+        if (character === '{') {
+            end = findClosingBrace(message, index);
+            if (end !== -1) {
+                result += `{${accentArgument(message.slice(index + 1, end))}}`;
+            }
+        } else if (character === '<' || character === '&') {
+            end = message.indexOf(character === '<' ? '>' : ';', index);
+            if (end !== -1) {
+                result += message.slice(index, end + 1);
+            }
+        }
+        if (end === -1) {
+            result += ACCENTED_CHARACTERS[character] || character;
+            index += 1;
+        } else {
+            index = end + 1;
+        }
+    }
+    return result;
+}
+
+/**
+ * Makes a message look translated: accented, longer and wrapped in brackets, so untranslated
+ * strings and truncated or overflowing text are easy to spot
+ *
+ * @param {string} message
+ * @returns {string}
+ */
+function pseudoLocalize(message) {
+    if (!message) {
+        return message;
+    }
+    const padding = '~'.repeat(Math.ceil(message.length * LENGTHENING_RATIO));
+    return `[${accentMessage(message)} ${padding}]`;
+}
+
+/**
+ * @param {object} translations - content of a lang file
+ * @returns {object} - the same keys with pseudo-localized strings
+ */
+function pseudoLocalizeTranslations(translations) {
+    return mapValues(translations, (value) => {
+        if (typeof value === 'string') {
+            return pseudoLocalize(value);
+        }
+        return value && typeof value === 'object' ? pseudoLocalizeTranslations(value) : value;
+    });
+}
+
+export { pseudoLocalize, pseudoLocalizeTranslations };
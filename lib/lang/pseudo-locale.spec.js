@@ -0,0 +1,32 @@
+import { pseudoLocalize, pseudoLocalizeTranslations } from './pseudo-locale.js';
+
+describe('pseudoLocalize', () => {
+    it('should accent, lengthen and wrap the message', () => {
+        expect(pseudoLocalize('Add to Cart')).toEqual('[Åðð ţö Çáŕţ ~~~~]');
+    });
+
+    it('should keep the arguments, html tags and entities intact', () => {
+        expect(pseudoLocalize('Hi {name}, <a href="/login">log in</a> &amp; shop')).toEqual(
+            '[Ĥî {name}, <a href="/login">ļöĝ îñ</a> &amp; šĥöþ ~~~~~~~~~~~~~~~~~~]',
+        );
+    });
+
+    it('should accent the messages of plural and select arguments', () => {
+        expect(pseudoLocalize('{count, plural, one {# item} other {# items}}')).toEqual(
+            '[{count, plural, one {# îţéɱ} other {# îţéɱš}} ~~~~~~~~~~~~~~~~]',
+        );
+    });
+
+    it('should keep empty messages', () => {
+        expect(pseudoLocalize('')).toEqual('');
+    });
+});
+
+describe('pseudoLocalizeTranslations', () => {
+    it('should pseudo-localize the nested strings', () => {
+        expect(pseudoLocalizeTranslations({ header: { welcome: 'Welcome' }, count: 1 })).toEqual({
+            header: { welcome: '[Ŵéļçöɱé ~~~]' },
+            count: 1,
+        });
+    });
+});
@@ -8,27 +8,58 @@ class LangpathsValidator {
     /**
      *
      * @param {String} themePath
+     * @param {object} [options]
+     * @param {object} [options.logger]
      */
-    constructor(themePath) {
+    constructor(themePath, { logger = console } = {}) {
         this.themePath = themePath;
+        this._logger = logger;
     }
 
     async run(defaultLang = null) {
+        const errors = (await this.findErrors(defaultLang)).map((error) => error.message);
+        this.printErrors(errors);
+        return errors;
+    }
+
+    /**
+     * @param {String|null} defaultLang
+     * @returns {Promise<{message: String, file: String|undefined}[]>}
+     */
+    async findErrors(defaultLang = null) {
         const templatesPath = path.join(this.themePath, 'templates');
         const paths = await this.getLangHelpersPaths(templatesPath);
         const dedupePaths = [...new Set(paths)];
         const langFiles = await this.getLangFilesContent(defaultLang);
-        const errors = this.validate(dedupePaths, langFiles);
+        return [
+            ...this.checkLangFiles(langFiles).map((message) => ({ message })),
+            ...this.findMissingTranslations(dedupePaths, langFiles),
+        ];
+    }
+
+    /**
+     * Only checks the lang keys used by the passed templates
+     *
+     * @param {{[string]: string}} templates - contents by template name
+     * @param {String|null} defaultLang
+     * @returns {Promise<String[]>}
+     */
+    async runForTemplates(templates, defaultLang = null) {
+        const paths = Object.values(templates).flatMap((content) =>
+            [...content.matchAll(LANG_HELPER_REGEXP)].map((match) => match[1]),
+        );
+        const langFiles = await this.getLangFilesContent(defaultLang);
+        const errors = this.validate([...new Set(paths)], langFiles);
         this.printErrors(errors);
         return errors;
     }
 
     printErrors(errors) {
         if (errors.length > 0) {
-            console.log(
+            this._logger.log(
                 'Warning: Your theme has some missing translations used in the theme:'.yellow,
             );
-            console.log(errors.join('\n').yellow);
+            this._logger.log(errors.join('\n').yellow);
         }
     }
 
@@ -55,13 +86,20 @@ class LangpathsValidator {
     }
 
     checkForMissingTranslations(paths, langFiles) {
+        return this.findMissingTranslations(paths, langFiles).map((error) => error.message);
+    }
+
+    findMissingTranslations(paths, langFiles) {
         const errors = [];
         for (const langPath of paths) {
             // eslint-disable-next-line no-restricted-syntax,guard-for-in
             for (const langFile in langFiles) {
                 const translation = this.searchLangPaths(langFiles[langFile], langPath);
                 if (!translation) {
-                    errors.push(`Missing translation for ${langPath} in ${langFile}`);
+                    errors.push({
+                        message: `Missing translation for ${langPath} in ${langFile}`,
+                        file: langFile,
+                    });
                 }
             }
         }
@@ -1,3 +1,4 @@
+import { jest } from '@jest/globals';
 import path from 'path';
 import LangFilesValidator from './validator.js';
 
@@ -23,5 +24,30 @@ describe('lang/validator.js tests', () => {
             const errors = await validator.run();
             expect(errors).toHaveLength(1);
         });
+        it('should print the missing translations with the passed logger', async () => {
+            const themePath = path.join(process.cwd(), 'test/_mocks/themes/invalid-translations');
+            const logger = { log: jest.fn() };
+            const consoleSpy = jest.spyOn(console, 'log').mockImplementation(jest.fn());
+            const validator = new LangFilesValidator(themePath, { logger });
+            await validator.run();
+            expect(logger.log).toHaveBeenCalledWith(
+                expect.stringContaining('Your theme has some missing translations'),
+            );
+            expect(consoleSpy).not.toHaveBeenCalled();
+            consoleSpy.mockRestore();
+        });
+    });
+    describe('runForTemplates', () => {
+        it('should only check the lang keys of the passed templates', async () => {
+            const themePath = path.join(process.cwd(), 'test/_mocks/themes/invalid-translations');
+            const validator = new LangFilesValidator(themePath);
+            const errors = await validator.runForTemplates({
+                'pages/home': '<h1>{{lang "home.heading"}}</h1>{{lang "home.missing"}}',
+                'components/footer': '{{lang "footer.brands"}}',
+            });
+            expect(errors).toEqual([
+                `Missing translation for home.missing in ${path.join(themePath, 'lang/en.json')}`,
+            ]);
+        });
     });
 });
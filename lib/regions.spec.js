@@ -19,7 +19,10 @@ describe('Stencil Bundle', () => {
         };
         jest.spyOn(console, 'log').mockImplementation(jest.fn()); // Prevent littering the console with info messages
         jest.spyOn(fs, 'writeFile').mockImplementation((path, data, cb) => cb(null));
-        bundle = new StencilBundle(themePath, themeConfigStub, rawConfig, { marketplace: false });
+        bundle = new StencilBundle(themePath, themeConfigStub, rawConfig, {
+            marketplace: false,
+            buildCache: false,
+        });
     });
     afterEach(() => {
         jest.restoreAllMocks();
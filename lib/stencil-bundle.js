@@ -4,13 +4,17 @@ import async from 'async';
 import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
+import { promisify } from 'util';
 import StencilStyles from '@bigcommerce/stencil-styles';
+import BuildCache from './BuildCache.js';
 import BuildConfigManager from './BuildConfigManager.js';
+import BundleAnalyzer from './BundleAnalyzer.js';
 import BundleValidator from './bundle-validator.js';
 import Cycles from './Cycles.js';
 import langAssembler from './lang-assembler.js';
 import templateAssembler from './template-assembler.js';
 import StencilContextAnalyzer from './StencilContextAnalyzer.js';
+import ValidationReport from './ValidationReport.js';
 import { recursiveReadDir } from './utils/fsUtils.js';
 import { fetchRegions } from './regions.js';
 
@@ -47,9 +51,12 @@ class Bundle {
         rawConfig,
         options = {},
         buildConfigManager = new BuildConfigManager(),
+        buildCache = new BuildCache(themePath, { enabled: options.buildCache !== false }),
     ) {
         const tasks = {};
         this.options = options;
+        this._logger = options.logger || console;
+        this.buildCache = buildCache;
         this.templatesPath = path.join(themePath, 'templates');
         this.themePath = themePath;
         this.themeConfig = themeConfig;
@@ -58,7 +65,15 @@ class Bundle {
             this.themePath,
             this.themeConfig,
             this.options.marketplace !== true,
+            { logger: this._logger },
         );
+        this.bundleAnalyzer =
+            this.options.analyze || this.options.budgets
+                ? new BundleAnalyzer(themePath, {
+                      budgets: this.options.budgets,
+                      logger: this._logger,
+                  })
+                : null;
         if (this.configuration.css_compiler) {
             tasks.css = this.getCssAssembleTask(this.configuration.css_compiler);
         }
@@ -69,12 +84,12 @@ class Bundle {
         tasks.stencilContext = this.assembleStencilContextTask.bind(this);
         if (typeof buildConfigManager.production === 'function') {
             tasks.theme = (callback) => {
-                console.log('Theme task Started...');
+                this._logger.log('Theme task Started...');
                 buildConfigManager.initWorker().production((err) => {
                     if (err) {
                         return callback(err);
                     }
-                    console.log(`${'ok'.green} -- Theme task Finished`);
+                    this._logger.log(`${'ok'.green} -- Theme task Finished`);
                     return callback();
                 });
             };
@@ -91,13 +106,15 @@ class Bundle {
     async initBundle() {
         try {
             const result = await async.series({
-                validate: this._validateTheme.bind(this),
+                validate: this.options.report
+                    ? this._reportTheme.bind(this)
+                    : this._validateTheme.bind(this),
                 bundle: this._bundleTaskRunner.bind(this),
             });
             return result.bundle;
         } catch (err) {
             const errorMessage = err.message ? err.message : String(err);
-            console.error('failed  -- '.red + errorMessage.red);
+            this._logger.error('failed  -- '.red + errorMessage.red);
             throw err;
         }
     }
@@ -113,20 +130,34 @@ class Bundle {
             } else {
                 basePath = path.join(this.themePath, 'assets', compiler);
             }
-            console.log('%s Parsing Started...', compiler.toUpperCase());
+            this._logger.log('%s Parsing Started...', compiler.toUpperCase());
             fs.readdir(basePath, (err, files) => {
                 const filterFiles = files.filter((file) => {
                     return file.substr(-(compiler.length + 1)) === `.${compiler}`;
                 });
+                let cacheKeyPromise;
                 async.map(
                     filterFiles,
                     async (file) => {
-                        return stencilStyles.assembleCssFiles(
+                        // Entries share their imports, so all of them are assembled with the same key
+                        cacheKeyPromise =
+                            cacheKeyPromise || this._getCssCacheKey(basePath, compiler);
+                        const cacheKey = await cacheKeyPromise;
+                        const cached = await this.buildCache.get('css', file, cacheKey);
+                        if (cached !== null) {
+                            return cached;
+                        }
+                        const result = await stencilStyles.assembleCssFiles(
                             file,
                             basePath,
                             compiler,
                             assembleOptions,
                         );
+                        const cssFiles = Object.keys(result).map((cssFile) =>
+                            this._getCssFilePath(basePath, cssFile, compiler),
+                        );
+                        await this.buildCache.set('css', file, cacheKey, cssFiles, result);
+                        return result;
                     },
                     (assemblingError, results) => {
                         const ret = {};
@@ -136,7 +167,10 @@ class Bundle {
                         filterFiles.forEach((file, index) => {
                             ret[file] = results[index];
                         });
-                        console.log(`${'ok'.green} -- %s Parsing Finished`, compiler.toUpperCase());
+                        this._logger.log(
+                            `${'ok'.green} -- %s Parsing Finished`,
+                            compiler.toUpperCase(),
+                        );
                         return callback(null, ret);
                     },
                 );
@@ -144,6 +178,74 @@ class Bundle {
         };
     }
 
+    /**
+     * The file list is part of the key, as adding a file can change which one an import resolves to
+     *
+     * @private
+     * @param {string} basePath
+     * @param {string} compiler
+     * @returns {Promise<string>}
+     */
+    async _getCssCacheKey(basePath, compiler) {
+        const files = await recursiveReadDir(basePath);
+        const relativeFiles = files.map((file) => upath.toUnix(path.relative(basePath, file)));
+        return this.buildCache.getKey('css', compiler, relativeFiles.sort());
+    }
+
+    /**
+     * Resolves an assembled file name the same way as the stencil-styles import resolution
+     *
+     * @private
+     * @param {string} basePath
+     * @param {string} cssFile - e.g. "components/button.scss"
+     * @param {string} compiler
+     * @returns {string}
+     */
+    _getCssFilePath(basePath, cssFile, compiler) {
+        const { dir, name, ext } = path.parse(path.join(basePath, cssFile));
+        const candidates = [path.join(dir, name + ext), path.join(dir, `_${name}${ext}`)];
+        if (compiler === 'scss') {
+            candidates.push(path.join(dir, `${name}.css`));
+        }
+        return candidates.find((candidate) => fs.existsSync(candidate)) || candidates[0];
+    }
+
+    /**
+     * @private
+     * @param {string} templateName - e.g. "pages/home" or "external/some-package/templates/button"
+     * @returns {string}
+     */
+    _getTemplateFilePath(templateName) {
+        if (templateName.startsWith(templateAssembler.packageMarker)) {
+            return path.join(
+                this.themePath,
+                'node_modules',
+                `${templateName.slice(templateAssembler.packageMarker.length)}.html`,
+            );
+        }
+        return path.join(this.templatesPath, `${templateName}.html`);
+    }
+
+    /**
+     * @private
+     * @param {string} templateName
+     * @param {string} cacheKey
+     * @returns {Promise<Object>} - contents of the template and all of its partials
+     */
+    async _assembleTemplate(templateName, cacheKey) {
+        const cached = await this.buildCache.get('templates', templateName, cacheKey);
+        if (cached !== null) {
+            return cached;
+        }
+        const result = await promisify(templateAssembler.assembleAndBundle)(
+            this.templatesPath,
+            templateName,
+        );
+        const templateFiles = Object.keys(result).map((name) => this._getTemplateFilePath(name));
+        await this.buildCache.set('templates', templateName, cacheKey, templateFiles, result);
+        return result;
+    }
+
     /**
      * helps to find any node modules dependencies with
      * ui templates and returns its list
@@ -167,7 +269,7 @@ class Bundle {
     }
 
     async assembleTemplatesTask(callback) {
-        console.log('Template Parsing Started...');
+        this._logger.log('Template Parsing Started...');
         const internalTemplatesList = await recursiveReadDir(this.templatesPath, ['!*.html']);
         let externalLibs;
         try {
@@ -210,11 +312,12 @@ class Bundle {
             [],
         );
         const allPartials = [...externalPartials, ...internalPartials];
+        // Adding or removing a template can change the dynamic components of unchanged templates
+        const cacheKey = this.buildCache.getKey('templates', [...allPartials].sort());
         let results;
         try {
-            results = await async.map(
-                allPartials,
-                templateAssembler.assembleAndBundle.bind(null, this.templatesPath),
+            results = await async.map(allPartials, async (templateName) =>
+                this._assembleTemplate(templateName, cacheKey),
             );
             const ret = {};
             allPartials.forEach((file, index) => {
@@ -224,7 +327,7 @@ class Bundle {
                 this._checkObjects.bind(this, results),
                 this._detectCycles.bind(this, results),
             ]);
-            console.log(`${'ok'.green} -- Template Parsing Finished`);
+            this._logger.log(`${'ok'.green} -- Template Parsing Finished`);
             return ret;
         } catch (err) {
             return callback(err);
@@ -232,45 +335,64 @@ class Bundle {
     }
 
     async assembleSchema() {
-        console.log('Building Theme Schema File...');
+        this._logger.log('Building Theme Schema File...');
         const schema = await this.themeConfig.getSchema();
-        console.log(`${'ok'.green} -- Theme Schema Building Finished`);
+        this._logger.log(`${'ok'.green} -- Theme Schema Building Finished`);
         return schema;
     }
 
     async assembleSchemaTranslations() {
-        console.log('Schema Translations Parsing Started...');
+        this._logger.log('Schema Translations Parsing Started...');
         const schema = await this.themeConfig.getSchemaTranslations();
-        console.log(`${'ok'.green} -- Schema Translations Parsing Finished`);
+        this._logger.log(`${'ok'.green} -- Schema Translations Parsing Finished`);
         return schema;
     }
 
     async assembleStencilContextTask() {
-        console.log('Stencil Context Analysis Started...');
+        this._logger.log('Stencil Context Analysis Started...');
         try {
+            const templateFiles = await recursiveReadDir(this.templatesPath, ['!*.html']);
+            const cacheKey = this.buildCache.getKey(
+                'stencilContext',
+                templateFiles
+                    .map((file) => upath.toUnix(path.relative(this.templatesPath, file)))
+                    .sort(),
+            );
+            const cached = await this.buildCache.get('stencilContext', 'templates', cacheKey);
+            if (cached !== null) {
+                this._logger.log(`${'ok'.green} -- Stencil Context Analysis Finished (cached)`);
+                return cached;
+            }
             const analyzer = new StencilContextAnalyzer(this.templatesPath);
             const variableUsage = await analyzer.analyzeTemplates();
-            console.log(`${'ok'.green} -- Stencil Context Analysis Finished`);
+            await this.buildCache.set(
+                'stencilContext',
+                'templates',
+                cacheKey,
+                templateFiles,
+                variableUsage,
+            );
+            this._logger.log(`${'ok'.green} -- Stencil Context Analysis Finished`);
             return variableUsage;
         } catch (err) {
-            console.error('Stencil Context Analysis Failed:', err.message);
+            this._logger.error('Stencil Context Analysis Failed:', err.message);
             throw err;
         }
     }
 
     assembleLangTask(callback) {
-        console.log('Language Files Parsing Started...');
+        this._logger.log('Language Files Parsing Started...');
         langAssembler.assemble((err, results) => {
             if (err) {
                 return callback(err);
             }
-            console.log(`${'ok'.green} -- Language Files Parsing Finished`);
+            this._logger.log(`${'ok'.green} -- Language Files Parsing Finished`);
             return callback(null, results);
         });
     }
 
     generateManifest(taskResults, callback) {
-        console.log('Generating Manifest Started...');
+        this._logger.log('Generating Manifest Started...');
         recursiveReadDir(this.templatesPath, ['!*.html'], (err, filePaths) => {
             if (err) {
                 return callback(err);
@@ -281,7 +403,7 @@ class Bundle {
                 );
             });
             const regions = fetchRegions(taskResults.templates, templates);
-            console.log(`${'ok'.green} -- Manifest Generation Finished`);
+            this._logger.log(`${'ok'.green} -- Manifest Generation Finished`);
             return callback(null, {
                 regions,
                 templates,
@@ -298,7 +420,7 @@ class Bundle {
     _checkObjects(results, callback) {
         this.validator.validateObjects(results, (err) => {
             if (err) {
-                console.error('error '.red + err.message);
+                this._logger.error('error '.red + err.message);
                 return callback(err);
             }
             return callback();
@@ -326,7 +448,7 @@ class Bundle {
      * @returns {void}
      */
     _validateTheme(callback) {
-        console.log('Validating theme...');
+        this._logger.log('Validating theme...');
         this.validator.validateTheme((err) => {
             if (err) {
                 throw err;
@@ -335,6 +457,42 @@ class Bundle {
         });
     }
 
+    /**
+     * Runs all validations and writes their findings to a report file before failing
+     * @private
+     * @returns {Promise<boolean>}
+     */
+    async _reportTheme() {
+        this._logger.log('Validating theme...');
+        const report = new ValidationReport(this.themePath);
+        await this.validator.reportTheme(report);
+        try {
+            const templates = await this.assembleTemplatesTask((err) => {
+                throw err;
+            });
+            this.validator.reportTemplates(report, templates);
+        } catch (err) {
+            report.add({ ruleId: 'templates', message: err.message });
+        }
+        const format = this.options.report;
+        const reportPath = path.join(this._getOutputFolder(), `stencil-report.${format}`);
+        await report.write(format, reportPath);
+        this._logger.log(`Validation report saved to: ${reportPath.cyan}`);
+        const errorCount = report.getErrorCount();
+        if (errorCount) {
+            throw new Error(`Your theme has ${errorCount} validation error(s)`);
+        }
+        return true;
+    }
+
+    /**
+     * @private
+     * @returns {string}
+     */
+    _getOutputFolder() {
+        return typeof this.options.dest === 'string' ? this.options.dest : this.themePath;
+    }
+
     /**
      * @private
      * @param {Function} callback
@@ -346,9 +504,7 @@ class Bundle {
             : 'Theme.zip';
         const outputName =
             typeof this.options.name === 'string' ? `${this.options.name}.zip` : defaultName;
-        const outputFolder =
-            typeof this.options.dest === 'string' ? this.options.dest : this.themePath;
-        const bundleZipPath = path.join(outputFolder, outputName);
+        const bundleZipPath = path.join(this._getOutputFolder(), outputName);
         this.tasks.templates = this.assembleTemplatesTask.bind(this, callback);
         async
             .parallel(this.tasks)
@@ -356,6 +512,14 @@ class Bundle {
                 const archive = Archiver('zip');
                 const fileStream = fs.createWriteStream(bundleZipPath);
                 archive.pipe(fileStream);
+                if (this.bundleAnalyzer) {
+                    archive.on('entry', (entry) => {
+                        // Sizes of the generated files are added when they are appended
+                        if (entry.stats && entry.type === 'file') {
+                            this.bundleAnalyzer.addEntry(entry.name, entry.stats.size);
+                        }
+                    });
+                }
                 // Create manifest will use taskResults to generate a manifest file
                 return this.generateManifest(taskResults, (manifestGenerationError, manifest) => {
                     if (manifestGenerationError) {
@@ -371,29 +535,62 @@ class Bundle {
                         const stats = fs.statSync(bundleZipPath);
                         const { size } = stats;
                         if (failedTemplates.length) {
-                            return console.error(
+                            return this._logger.error(
                                 `Error: Your bundle failed as templates generated from the files below are greater than or equal to 1 megabyte in size:\n${failedTemplates.join(
                                     '\n',
                                 )}`,
                             );
                         }
                         if (size > MAX_SIZE_BUNDLE) {
-                            return console.error(
+                            return this._logger.error(
                                 `Error: Your bundle of size ${size} bytes is above the max size of ${MAX_SIZE_BUNDLE} bytes`,
                             );
                         }
-                        console.log(`${'ok'.green} -- Zipping Files Finished`);
-                        return callback(null, bundleZipPath);
+                        this._logger.log(`${'ok'.green} -- Zipping Files Finished`);
+                        if (!this.bundleAnalyzer) {
+                            return callback(null, bundleZipPath);
+                        }
+                        return this._analyzeBundle(bundleZipPath, size).then(
+                            () => callback(null, bundleZipPath),
+                            callback,
+                        );
                     });
                     // This triggers 'close' event in the file stream. No need to callback()
                     return archive.finalize();
                 });
             })
             .catch((err) => {
-                console.log(err);
+                this._logger.log(err);
             });
     }
 
+    /**
+     * Prints the size breakdown with --analyze and fails if the bundle exceeds its budgets. The zip
+     * of a bundle over its budgets is removed, so that it can't be pushed by mistake.
+     * @private
+     * @param {string} bundleZipPath
+     * @param {number} bundleSize
+     * @returns {Promise<void>}
+     */
+    async _analyzeBundle(bundleZipPath, bundleSize) {
+        this.bundleAnalyzer.setBundleSize(bundleSize);
+        if (this.options.analyze || this.bundleAnalyzer.hasCssBudget()) {
+            await this.bundleAnalyzer.addCompiledCss(this.themeConfig);
+        }
+        const previousStats = await this.bundleAnalyzer.readPreviousStats();
+        if (this.options.analyze) {
+            this.bundleAnalyzer.print(previousStats);
+        }
+        const violations = this.bundleAnalyzer.checkBudgets();
+        if (violations.length) {
+            this.bundleAnalyzer.printViolations(violations, previousStats);
+            await fs.promises.rm(bundleZipPath, { force: true });
+            throw new Error(`Your bundle exceeds ${violations.length} budget(s)`);
+        }
+        // The next bundle is compared to the last one within the budgets
+        await this.bundleAnalyzer.saveStats();
+    }
+
     /**
      * Archive theme files
      * @private
@@ -419,7 +616,12 @@ class Bundle {
      */
     _bundleParsedFiles(archive, taskResults) {
         const archiveJsonFile = (data, name) => {
-            archive.append(JSON.stringify(data, null, 2), { name });
+            const content = JSON.stringify(data, null, 2);
+            archive.append(content, { name });
+            if (this.bundleAnalyzer) {
+                this.bundleAnalyzer.addEntry(name, Buffer.byteLength(content));
+            }
+            return content;
         };
         const failedTemplates = [];
         for (const [task, result] of Object.entries(taskResults)) {
@@ -439,7 +641,10 @@ class Bundle {
                     for (const [filename, data] of Object.entries(result)) {
                         const hash = crypto.createHash('md5').update(filename).digest('hex');
                         const fileData = data;
-                        archiveJsonFile(fileData, `parsed/templates/${hash}.json`);
+                        const content = archiveJsonFile(fileData, `parsed/templates/${hash}.json`);
+                        if (this.bundleAnalyzer) {
+                            this.bundleAnalyzer.addTemplate(filename, Buffer.byteLength(content));
+                        }
                         // if file size is greater than 1 megabyte push filename to failedTemplates
                         if (JSON.stringify(fileData).length >= MEGABYTE) {
                             failedTemplates.push(filename);
@@ -473,4 +678,5 @@ class Bundle {
         return failedTemplates;
     }
 }
+export { PATHS_TO_ZIP };
 export default Bundle;
@@ -1,10 +1,14 @@
 import { jest } from '@jest/globals';
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import { promisify } from 'util';
 import async from 'async';
 import StencilBundle from './stencil-bundle.js';
+import BuildCache from './BuildCache.js';
+import ThemeConfig from './theme-config.js';
 import LangAssembler from './lang-assembler.js';
+import templateAssembler from './template-assembler.js';
 
 const themePath = path.join(process.cwd(), 'test/_mocks/themes/valid');
 const themeSchema = fs.readFileSync(path.join(themePath, 'schema.json')).toString();
@@ -35,6 +39,7 @@ describe('Stencil Bundle', () => {
         jest.spyOn(fs, 'writeFile').mockImplementation((_path, _data, cb) => cb(null));
         bundle = new StencilBundle(themePath, themeConfigStub, rawConfig, {
             marketplace: false,
+            buildCache: false,
         });
     });
     afterEach(() => {
@@ -83,6 +88,102 @@ describe('Stencil Bundle', () => {
         });
         await expect(bundle.assembleTemplatesTask.call(bundle, cb)).rejects.toThrow(errorMessage);
     });
+    describe('build cache', () => {
+        let cachePath;
+        beforeEach(async () => {
+            cachePath = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'stencil-cache-'));
+        });
+        afterEach(async () => {
+            await fs.promises.rm(cachePath, { recursive: true, force: true });
+        });
+        const createCachedBundle = () =>
+            new StencilBundle(
+                themePath,
+                getThemeConfigStub(),
+                { name: 'Cornerstone', version: '1.1.0' },
+                {},
+                {},
+                new BuildCache(themePath, { cachePath }),
+            );
+
+        it('should reuse the templates assembled by the previous bundle', async () => {
+            const firstResult = await createCachedBundle().assembleTemplatesTask();
+            jest.spyOn(templateAssembler, 'assembleAndBundle');
+            const secondResult = await createCachedBundle().assembleTemplatesTask();
+            expect(templateAssembler.assembleAndBundle).not.toHaveBeenCalled();
+            expect(secondResult).toEqual(firstResult);
+        });
+
+        it('should assemble the templates again if the build cache is disabled', async () => {
+            await createCachedBundle().assembleTemplatesTask();
+            jest.spyOn(templateAssembler, 'assembleAndBundle');
+            await bundle.assembleTemplatesTask();
+            expect(templateAssembler.assembleAndBundle).toHaveBeenCalled();
+        });
+    });
+    it('should write a validation report with the findings of all validations', async () => {
+        const invalidThemePath = path.join(process.cwd(), 'test/_mocks/themes/invalid-schema');
+        const dest = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'stencil-report-'));
+        const reportBundle = new StencilBundle(
+            invalidThemePath,
+            ThemeConfig.getInstance(invalidThemePath),
+            { name: 'Cornerstone', version: '1.1.0' },
+            { report: 'sarif', dest, buildCache: false },
+        );
+        try {
+            // eslint-disable-next-line no-underscore-dangle
+            await expect(reportBundle._reportTheme()).rejects.toThrow('validation error(s)');
+            const sarif = JSON.parse(
+                await fs.promises.readFile(path.join(dest, 'stencil-report.sarif'), 'utf-8'),
+            );
+            expect(sarif.runs[0].results).toContainEqual(
+                expect.objectContaining({ ruleId: 'schema', level: 'error' }),
+            );
+        } finally {
+            await fs.promises.rm(dest, { recursive: true, force: true });
+        }
+    });
+    it('should add the parsed templates to the bundle analysis by template name', () => {
+        const analyzedBundle = new StencilBundle(
+            themePath,
+            getThemeConfigStub(),
+            { name: 'Cornerstone', version: '1.1.0' },
+            { analyze: true, buildCache: false },
+        );
+        const archive = { append: jest.fn() };
+        // eslint-disable-next-line no-underscore-dangle
+        analyzedBundle._bundleParsedFiles(archive, {
+            templates: { 'pages/home': { 'pages/home': '<h1>Home</h1>' } },
+        });
+        const stats = analyzedBundle.bundleAnalyzer.getStats();
+        expect(Object.keys(stats.templates)).toEqual(['pages/home']);
+        expect(stats.directories.parsed).toEqual(stats.templates['pages/home']);
+    });
+    it('should remove the zip of a bundle over its budgets', async () => {
+        const dest = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'stencil-budgets-'));
+        const bundleZipPath = path.join(dest, 'Cornerstone-1.1.0.zip');
+        await fs.promises.writeFile(bundleZipPath, 'zip');
+        const budgetBundle = new StencilBundle(
+            themePath,
+            getThemeConfigStub(),
+            { name: 'Cornerstone', version: '1.1.0' },
+            { budgets: { bundle: 1 }, dest, buildCache: false },
+        );
+        const { bundleAnalyzer } = budgetBundle;
+        jest.spyOn(bundleAnalyzer, 'readPreviousStats').mockResolvedValue(null);
+        jest.spyOn(bundleAnalyzer, 'printViolations').mockImplementation(jest.fn());
+        jest.spyOn(bundleAnalyzer, 'saveStats').mockResolvedValue();
+        try {
+            // eslint-disable-next-line no-underscore-dangle
+            await expect(budgetBundle._analyzeBundle(bundleZipPath, 3)).rejects.toThrow(
+                'Your bundle exceeds 1 budget(s)',
+            );
+            expect(fs.existsSync(bundleZipPath)).toBe(false);
+            expect(bundleAnalyzer.saveStats).not.toHaveBeenCalled();
+        } finally {
+            await fs.promises.rm(dest, { recursive: true, force: true });
+        }
+    });
     it('should assemble the Schema', async () => {
         const result = await bundle.assembleSchema();
         expect(result).toEqual(themeSchema);
@@ -0,0 +1,30 @@
+import async from 'async';
+import * as tmp from 'tmp-promise';
+import stencilPushUtils from './stencil-push.utils.js';
+import stencilPullUtils from './stencil-pull.utils.js';
+import stencilDownloadUtil from './stencil-download.utils.js';
+import stencilDiffUtils from './stencil-diff.utils.js';
+
+async function stencilDiff(options) {
+    const { path: outputPath, cleanup } = await tmp.dir({ unsafeCleanup: true });
+    try {
+        return await async.waterfall([
+            async.constant({ ...options, outputPath }),
+            stencilPushUtils.readStencilConfigFile,
+            stencilPushUtils.getStoreHash,
+            stencilDiffUtils.selectChannel,
+            stencilPullUtils.getChannelActiveTheme,
+            stencilDownloadUtil.startThemeDownloadJob,
+            stencilPushUtils.pollForJobCompletion(({ download_url: downloadUrl }) => ({
+                downloadUrl,
+            })),
+            stencilDownloadUtil.downloadThemeFiles,
+            stencilDiffUtils.diffFiles,
+            stencilDiffUtils.diffConfig,
+            stencilDiffUtils.printDiff,
+        ]);
+    } finally {
+        await cleanup();
+    }
+}
+export default stencilDiff;
@@ -0,0 +1,225 @@
+import 'colors';
+import fs from 'fs';
+import path from 'path';
+import glob from 'glob';
+import * as _ from 'lodash-es';
+import { PATHS_TO_ZIP } from './stencil-bundle.js';
+import themeApiClient from './theme-api-client.js';
+import stencilPushUtils from './stencil-push.utils.js';
+
+// Files generated by the bundle, which also exist in the theme directory
+const GENERATED_FILES = ['schema.json', 'schemaTranslations.json'];
+
+const utils = {};
+
+/**
+ * Asks for the channel to compare with, unless it was given with --channel_id
+ *
+ * @param {object} options
+ * @returns {Promise<object>}
+ */
+utils.selectChannel = async (options) => {
+    const {
+        config: { accessToken },
+        storeHash,
+        channelId,
+    } = options;
+    if (channelId) {
+        return options;
+    }
+    const apiHost = options.apiHost || options.config.apiHost;
+    const channels = await themeApiClient.getStoreChannels({ accessToken, apiHost, storeHash });
+    const selectedChannelId = await stencilPushUtils.promptUserToSelectChannel(channels);
+    return { ...options, channelId: selectedChannelId };
+};
+
+/**
+ * @param {string} themePath
+ * @returns {string[]} - files of the working tree which would be bundled, relative to themePath
+ */
+utils.getLocalFiles = (themePath) => {
+    const files = PATHS_TO_ZIP.flatMap(({ pattern, ignore = [] }) =>
+        glob.sync(pattern, {
+            cwd: themePath,
+            ignore: pattern === 'assets/**/*' ? [...ignore, 'assets/**/*.js.map'] : ignore,
+            nodir: true,
+            dot: true,
+        }),
+    );
+    const generatedFiles = GENERATED_FILES.filter((file) =>
+        fs.existsSync(path.join(themePath, file)),
+    );
+    return _.uniq([...files, ...generatedFiles]).sort();
+};
+
+/**
+ * @param {string} remoteThemePath
+ * @returns {string[]} - files of the downloaded theme, relative to remoteThemePath
+ */
+utils.getRemoteFiles = (remoteThemePath) => {
+    return glob.sync('**/*', { cwd: remoteThemePath, nodir: true, dot: true }).sort();
+};
+
+/**
+ * JSON files are compared by their content, because the bundle reformats some of them
+ *
+ * @param {string} localFilePath
+ * @param {string} remoteFilePath
+ * @returns {Promise<boolean>}
+ */
+utils.isFileChanged = async (localFilePath, remoteFilePath) => {
+    const [localContent, remoteContent] = await Promise.all([
+        fs.promises.readFile(localFilePath),
+        fs.promises.readFile(remoteFilePath),
+    ]);
+    if (path.extname(localFilePath) === '.json') {
+        try {
+            return !_.isEqual(
+                JSON.parse(localContent.toString()),
+                JSON.parse(remoteContent.toString()),
+            );
+        } catch {
+            // Fall back to the comparison of the raw content
+        }
+    }
+    return !localContent.equals(remoteContent);
+};
+
+/**
+ * @param {object} remote
+ * @param {object} local
+ * @returns {{key: string, type: 'added'|'removed'|'changed', remote: any, local: any}[]}
+ */
+utils.diffObjects = (remote = {}, local = {}) => {
+    const keys = _.uniq([...Object.keys(remote), ...Object.keys(local)]).sort();
+    return keys.reduce((changes, key) => {
+        if (!_.has(remote, key)) {
+            changes.push({ key, type: 'added', local: local[key] });
+        } else if (!_.has(local, key)) {
+            changes.push({ key, type: 'removed', remote: remote[key] });
+        } else if (!_.isEqual(remote[key], local[key])) {
+            changes.push({ key, type: 'changed', remote: remote[key], local: local[key] });
+        }
+        return changes;
+    }, []);
+};
+
+utils.diffFiles = async (options) => {
+    const { themePath, outputPath } = options;
+    const localFiles = utils.getLocalFiles(themePath);
+    const remoteFiles = utils.getRemoteFiles(outputPath);
+    const changed = [];
+    for (const file of _.intersection(localFiles, remoteFiles)) {
+        // eslint-disable-next-line no-await-in-loop
+        if (await utils.isFileChanged(path.join(themePath, file), path.join(outputPath, file))) {
+            changed.push(file);
+        }
+    }
+    const filesDiff = {
+        added: _.difference(localFiles, remoteFiles),
+        removed: _.difference(remoteFiles, localFiles),
+        changed,
+    };
+    return { ...options, filesDiff };
+};
+
+utils.diffConfig = async (options) => {
+    const { themePath, outputPath } = options;
+    const readConfig = async (configPath) => {
+        try {
+            return JSON.parse(await fs.promises.readFile(configPath, 'utf-8'));
+        } catch {
+            return {};
+        }
+    };
+    const localConfig = await readConfig(path.join(themePath, 'config.json'));
+    const remoteConfig = await readConfig(path.join(outputPath, 'config.json'));
+    const localVariations = _.keyBy(localConfig.variations, 'name');
+    const remoteVariations = _.keyBy(remoteConfig.variations, 'name');
+    const variations = utils
+        .diffObjects(remoteVariations, localVariations)
+        .map(({ key, type, remote, local }) => ({
+            name: key,
+            type,
+            settings: type === 'changed' ? utils.diffObjects(remote.settings, local.settings) : [],
+        }));
+    const configDiff = {
+        settings: utils.diffObjects(remoteConfig.settings, localConfig.settings),
+        variations,
+    };
+    return { ...options, configDiff };
+};
+
+/**
+ * @param {object} diff
+ * @returns {boolean}
+ */
+utils.hasDifferences = ({ filesDiff, configDiff }) => {
+    return (
+        filesDiff.added.length > 0 ||
+        filesDiff.removed.length > 0 ||
+        filesDiff.changed.length > 0 ||
+        configDiff.settings.length > 0 ||
+        configDiff.variations.length > 0
+    );
+};
+
+/**
+ * @param {{key: string, type: string, remote: any, local: any}} change
+ * @param {string} indent
+ * @returns {string}
+ */
+utils.formatChange = ({ key, type, remote, local }, indent) => {
+    if (type === 'added') {
+        return `${indent}+ ${key}: ${JSON.stringify(local)}`.green;
+    }
+    if (type === 'removed') {
+        return `${indent}- ${key}: ${JSON.stringify(remote)}`.red;
+    }
+    return `${indent}~ ${key}: ${JSON.stringify(remote)} -> ${JSON.stringify(local)}`.yellow;
+};
+
+utils.printDiff = async (options) => {
+    const { filesDiff, configDiff, activeTheme } = options;
+    const hasDifferences = utils.hasDifferences(options);
+    if (!hasDifferences) {
+        console.log(`${'ok'.green} -- The local theme matches the active theme`);
+        return { ...options, hasDifferences };
+    }
+    console.log(
+        `\nDifferences between the active theme (${activeTheme.active_theme_uuid}) and the local theme:`,
+    );
+    const { added, removed, changed } = filesDiff;
+    if (added.length || removed.length || changed.length) {
+        console.log('\nFiles:'.cyan);
+        added.forEach((file) => console.log(`  + ${file}`.green));
+        removed.forEach((file) => console.log(`  - ${file}`.red));
+        changed.forEach((file) => console.log(`  ~ ${file}`.yellow));
+    }
+    if (configDiff.settings.length) {
+        console.log('\nconfig.json settings:'.cyan);
+        configDiff.settings.forEach((change) => console.log(utils.formatChange(change, '  ')));
+    }
+    if (configDiff.variations.length) {
+        console.log('\nconfig.json variations:'.cyan);
+        for (const { name, type, settings } of configDiff.variations) {
+            if (type === 'added') {
+                console.log(`  + ${name}`.green);
+            } else if (type === 'removed') {
+                console.log(`  - ${name}`.red);
+            } else {
+                console.log(`  ~ ${name}`.yellow);
+                settings.forEach((change) => console.log(utils.formatChange(change, '      ')));
+            }
+        }
+    }
+    const legend = [
+        `${'+'.green} local only`,
+        `${'-'.red} active theme only`,
+        `${'~'.yellow} changed (active -> local)`,
+    ];
+    console.log(`\n${legend.join(', ')}`);
+    return { ...options, hasDifferences };
+};
+
+export default utils;
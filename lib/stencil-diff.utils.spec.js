@@ -0,0 +1,150 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import stencilDiffUtils from './stencil-diff.utils.js';
+import themeApiClient from './theme-api-client.js';
+import stencilPushUtils from './stencil-push.utils.js';
+
+describe('stencil diff utils', () => {
+    let themePath;
+    let outputPath;
+    const writeFile = async (dir, file, content) => {
+        const filePath = path.join(dir, file);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(filePath, content);
+    };
+    const config = {
+        name: 'Theme',
+        settings: { color: '#fff', font: 'Arial' },
+        variations: [
+            { name: 'Light', settings: { color: '#fff' } },
+            { name: 'Dark', settings: { color: '#000' } },
+        ],
+    };
+    beforeEach(async () => {
+        themePath = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'stencil-theme-'));
+        outputPath = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'stencil-remote-'));
+        jest.spyOn(console, 'log').mockImplementation(jest.fn());
+    });
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await fs.promises.rm(themePath, { recursive: true, force: true });
+        await fs.promises.rm(outputPath, { recursive: true, force: true });
+    });
+
+    describe('selectChannel', () => {
+        const options = {
+            config: { accessToken: 'accessToken', apiHost: 'https://api.bigcommerce.com' },
+            storeHash: 'abc123',
+        };
+
+        it('should ask for the channel if none is given', async () => {
+            const channels = [
+                { channel_id: 1, url: 'https://www.example.com' },
+                { channel_id: 2, url: 'https://second.example.com' },
+            ];
+            const getStoreChannelsSpy = jest
+                .spyOn(themeApiClient, 'getStoreChannels')
+                .mockResolvedValue(channels);
+            const promptSpy = jest
+                .spyOn(stencilPushUtils, 'promptUserToSelectChannel')
+                .mockResolvedValue(2);
+            const result = await stencilDiffUtils.selectChannel(options);
+            expect(getStoreChannelsSpy).toHaveBeenCalledWith({
+                accessToken: 'accessToken',
+                apiHost: 'https://api.bigcommerce.com',
+                storeHash: 'abc123',
+            });
+            expect(promptSpy).toHaveBeenCalledWith(channels);
+            expect(result.channelId).toEqual(2);
+        });
+
+        it('should keep the given channel', async () => {
+            const getStoreChannelsSpy = jest.spyOn(themeApiClient, 'getStoreChannels');
+            const result = await stencilDiffUtils.selectChannel({ ...options, channelId: 1 });
+            expect(getStoreChannelsSpy).not.toHaveBeenCalled();
+            expect(result.channelId).toEqual(1);
+        });
+    });
+
+    describe('diffFiles', () => {
+        it('should list the added, removed and changed files', async () => {
+            await writeFile(themePath, 'templates/pages/home.html', '<h1>Welcome</h1>');
+            await writeFile(outputPath, 'templates/pages/home.html', '<h1>Home</h1>');
+            await writeFile(themePath, 'templates/pages/new.html', '<h1>New</h1>');
+            await writeFile(outputPath, 'assets/js/old.js', 'old();');
+            await writeFile(themePath, 'lang/en.json', '{"a": "b"}');
+            await writeFile(outputPath, 'lang/en.json', '{\n    "a": "b"\n}');
+            await writeFile(themePath, 'node_modules/lib/index.js', 'lib();');
+
+            const { filesDiff } = await stencilDiffUtils.diffFiles({ themePath, outputPath });
+
+            expect(filesDiff).toEqual({
+                added: ['templates/pages/new.html'],
+                removed: ['assets/js/old.js'],
+                changed: ['templates/pages/home.html'],
+            });
+        });
+    });
+
+    describe('diffConfig', () => {
+        it('should diff the settings and the variations by key', async () => {
+            const localConfig = {
+                ...config,
+                settings: { color: '#eee', logo: 'logo.png' },
+                variations: [
+                    { name: 'Light', settings: { color: '#eee' } },
+                    { name: 'Bold', settings: { color: '#f00' } },
+                ],
+            };
+            await writeFile(themePath, 'config.json', JSON.stringify(localConfig));
+            await writeFile(outputPath, 'config.json', JSON.stringify(config));
+
+            const { configDiff } = await stencilDiffUtils.diffConfig({ themePath, outputPath });
+
+            expect(configDiff.settings).toEqual([
+                { key: 'color', type: 'changed', remote: '#fff', local: '#eee' },
+                { key: 'font', type: 'removed', remote: 'Arial' },
+                { key: 'logo', type: 'added', local: 'logo.png' },
+            ]);
+            expect(configDiff.variations).toEqual([
+                { name: 'Bold', type: 'added', settings: [] },
+                { name: 'Dark', type: 'removed', settings: [] },
+                {
+                    name: 'Light',
+                    type: 'changed',
+                    settings: [{ key: 'color', type: 'changed', remote: '#fff', local: '#eee' }],
+                },
+            ]);
+        });
+    });
+
+    describe('printDiff', () => {
+        const activeTheme = { active_theme_uuid: 'theme-uuid' };
+        const emptyDiff = {
+            activeTheme,
+            filesDiff: { added: [], removed: [], changed: [] },
+            configDiff: { settings: [], variations: [] },
+        };
+
+        it('should report no differences if the themes match', async () => {
+            const { hasDifferences } = await stencilDiffUtils.printDiff(emptyDiff);
+            expect(hasDifferences).toBe(false);
+            expect(console.log).toHaveBeenCalledWith(
+                expect.stringContaining('The local theme matches the active theme'),
+            );
+        });
+
+        it('should print the differences', async () => {
+            const { hasDifferences } = await stencilDiffUtils.printDiff({
+                ...emptyDiff,
+                filesDiff: { added: [], removed: [], changed: ['templates/pages/home.html'] },
+            });
+            expect(hasDifferences).toBe(true);
+            expect(console.log).toHaveBeenCalledWith(
+                expect.stringContaining('~ templates/pages/home.html'),
+            );
+        });
+    });
+});
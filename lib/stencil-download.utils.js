@@ -20,6 +20,7 @@ utils.downloadThemeFiles = async (options) => {
         zipPath: tempThemePath,
         fileToExtract: options.file,
         exclude: options.exclude,
+        outputPath: options.outputPath,
     });
     console.log(`${'ok'.green} -- Theme files extracted`);
     await cleanup();
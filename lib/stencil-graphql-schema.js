@@ -0,0 +1,22 @@
+import async from 'async';
+import stencilPushUtils from './stencil-push.utils.js';
+import stencilGraphQLSchemaUtils from './stencil-graphql-schema.utils.js';
+
+/**
+ * Saves the GraphQL schema of the storefront in the theme, to validate the frontmatter queries
+ *
+ * @param {object} options
+ * @returns {Promise<object>}
+ */
+async function stencilGraphQLSchema(options) {
+    return async.waterfall([
+        async.constant(options),
+        stencilPushUtils.readStencilConfigFile,
+        stencilPushUtils.getStoreHash,
+        stencilGraphQLSchemaUtils.selectChannel,
+        stencilGraphQLSchemaUtils.createStorefrontToken,
+        stencilGraphQLSchemaUtils.fetchSchema,
+        stencilGraphQLSchemaUtils.saveSchema,
+    ]);
+}
+export default stencilGraphQLSchema;
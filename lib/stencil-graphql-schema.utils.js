@@ -0,0 +1,61 @@
+import 'colors';
+import fs from 'fs';
+import path from 'path';
+import contentApiClient from './content-api-client.js';
+import themeApiClient from './theme-api-client.js';
+import stencilPushUtils from './stencil-push.utils.js';
+import GqlValidator from './GqlValidator.js';
+
+const utils = {};
+
+utils.selectChannel = async (options) => {
+    const {
+        config: { accessToken },
+        storeHash,
+        channelId,
+    } = options;
+    const apiHost = options.apiHost || options.config.apiHost;
+    // The url of the channel is needed even if its id is given, the schema is fetched from it
+    const channels = await themeApiClient.getStoreChannels({ accessToken, apiHost, storeHash });
+    const selectedChannelId =
+        channelId || (await stencilPushUtils.promptUserToSelectChannel(channels));
+    return { ...options, channels, channelId: selectedChannelId };
+};
+
+utils.createStorefrontToken = async (options) => {
+    const {
+        config: { accessToken },
+        storeHash,
+        channelId,
+    } = options;
+    const apiHost = options.apiHost || options.config.apiHost;
+    const storefrontToken = await contentApiClient.createStorefrontToken({
+        accessToken,
+        apiHost,
+        storeHash,
+        channelId,
+    });
+    return { ...options, storefrontToken };
+};
+
+utils.fetchSchema = async (options) => {
+    const { config, channels = [], channelId, storefrontToken } = options;
+    const channel = channels.find((site) => site.channel_id === channelId);
+    const storeUrl = channel ? channel.url : config.normalStoreUrl;
+    const schema = await contentApiClient.getGraphQLSchema({
+        accessToken: storefrontToken,
+        storeUrl,
+    });
+    console.log('ok'.green + ` -- Fetched the GraphQL schema of ${storeUrl}`);
+    return { ...options, schema };
+};
+
+utils.saveSchema = async (options) => {
+    const schemaPath = GqlValidator.getSchemaPath(options.themePath);
+    await fs.promises.mkdir(path.dirname(schemaPath), { recursive: true });
+    await fs.promises.writeFile(schemaPath, JSON.stringify(options.schema, null, 2));
+    console.log('ok'.green + ` -- Saved the GraphQL schema to ${schemaPath.cyan}`);
+    return { ...options, schemaPath };
+};
+
+export default utils;
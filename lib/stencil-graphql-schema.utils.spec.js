@@ -0,0 +1,138 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import contentApiClient from './content-api-client.js';
+import themeApiClient from './theme-api-client.js';
+import stencilPushUtils from './stencil-push.utils.js';
+import stencilGraphQLSchemaUtils from './stencil-graphql-schema.utils.js';
+
+describe('stencil graphql-schema utils', () => {
+    const config = {
+        accessToken: 'accessToken',
+        apiHost: 'https://api.bigcommerce.com',
+        normalStoreUrl: 'https://www.example.com',
+    };
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(jest.fn());
+    });
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('selectChannel', () => {
+        const channels = [
+            { channel_id: 1, url: 'https://www.example.com' },
+            { channel_id: 2, url: 'https://second.example.com' },
+        ];
+
+        it('should ask for the channel if none is given', async () => {
+            const getStoreChannelsSpy = jest
+                .spyOn(themeApiClient, 'getStoreChannels')
+                .mockResolvedValue(channels);
+            const promptSpy = jest
+                .spyOn(stencilPushUtils, 'promptUserToSelectChannel')
+                .mockResolvedValue(2);
+            const result = await stencilGraphQLSchemaUtils.selectChannel({
+                config,
+                storeHash: 'abc123',
+            });
+            expect(getStoreChannelsSpy).toHaveBeenCalledWith({
+                accessToken: 'accessToken',
+                apiHost: 'https://api.bigcommerce.com',
+                storeHash: 'abc123',
+            });
+            expect(promptSpy).toHaveBeenCalledWith(channels);
+            expect(result.channelId).toEqual(2);
+            expect(result.channels).toEqual(channels);
+        });
+
+        it('should keep the given channel and still get the channels for their urls', async () => {
+            jest.spyOn(themeApiClient, 'getStoreChannels').mockResolvedValue(channels);
+            const promptSpy = jest.spyOn(stencilPushUtils, 'promptUserToSelectChannel');
+            const result = await stencilGraphQLSchemaUtils.selectChannel({
+                config,
+                storeHash: 'abc123',
+                channelId: 1,
+            });
+            expect(promptSpy).not.toHaveBeenCalled();
+            expect(result.channelId).toEqual(1);
+            expect(result.channels).toEqual(channels);
+        });
+    });
+
+    describe('createStorefrontToken', () => {
+        it('should create a storefront token for the channel', async () => {
+            const spy = jest
+                .spyOn(contentApiClient, 'createStorefrontToken')
+                .mockResolvedValue('storefrontToken');
+            const result = await stencilGraphQLSchemaUtils.createStorefrontToken({
+                config,
+                storeHash: 'abc123',
+                channelId: 2,
+            });
+            expect(spy).toHaveBeenCalledWith({
+                accessToken: 'accessToken',
+                apiHost: 'https://api.bigcommerce.com',
+                storeHash: 'abc123',
+                channelId: 2,
+            });
+            expect(result.storefrontToken).toEqual('storefrontToken');
+        });
+    });
+
+    describe('fetchSchema', () => {
+        const schema = { __schema: { types: [] } };
+
+        it('should fetch the schema from the url of the selected channel', async () => {
+            const spy = jest.spyOn(contentApiClient, 'getGraphQLSchema').mockResolvedValue(schema);
+            const result = await stencilGraphQLSchemaUtils.fetchSchema({
+                config,
+                channels: [
+                    { channel_id: 1, url: 'https://www.example.com' },
+                    { channel_id: 2, url: 'https://second.example.com' },
+                ],
+                channelId: 2,
+                storefrontToken: 'storefrontToken',
+            });
+            expect(spy).toHaveBeenCalledWith({
+                accessToken: 'storefrontToken',
+                storeUrl: 'https://second.example.com',
+            });
+            expect(result.schema).toEqual(schema);
+        });
+
+        it('should fall back to the store url of the config', async () => {
+            const spy = jest.spyOn(contentApiClient, 'getGraphQLSchema').mockResolvedValue(schema);
+            await stencilGraphQLSchemaUtils.fetchSchema({
+                config,
+                channelId: 1,
+                storefrontToken: 'storefrontToken',
+            });
+            expect(spy).toHaveBeenCalledWith({
+                accessToken: 'storefrontToken',
+                storeUrl: 'https://www.example.com',
+            });
+        });
+    });
+
+    describe('saveSchema', () => {
+        let themePath;
+        beforeEach(async () => {
+            themePath = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'stencil-theme-'));
+        });
+        afterEach(async () => {
+            await fs.promises.rm(themePath, { recursive: true, force: true });
+        });
+
+        it('should save the schema in the theme', async () => {
+            const schema = { __schema: { types: [] } };
+            const { schemaPath } = await stencilGraphQLSchemaUtils.saveSchema({
+                themePath,
+                schema,
+            });
+            expect(schemaPath).toEqual(path.join(themePath, '.stencil/graphql-schema.json'));
+            expect(JSON.parse(await fs.promises.readFile(schemaPath, 'utf-8'))).toEqual(schema);
+        });
+    });
+});
@@ -1,32 +1,64 @@
 import async from 'async';
 import utils from './stencil-push.utils.js';
 
+/**
+ * @returns {Function[]} - the steps which upload, process and apply the bundle in a store
+ */
+function getUploadAndApplyTasks() {
+    return [
+        utils.timed('upload', utils.uploadBundle),
+        utils.notifyUserOfThemeLimitReachedIfNecessary,
+        utils.promptUserToDeleteThemesIfNecessary,
+        utils.deleteThemesIfNecessary,
+        utils.checkIfDeletionIsComplete(),
+        utils.timed('upload', utils.uploadBundleAgainIfNecessary),
+        utils.notifyUserOfThemeUploadCompletion,
+        utils.timed(
+            'processing',
+            utils.pollForJobCompletion((data) => ({ themeId: data.theme_id })),
+        ),
+        utils.promptUserWhetherToApplyTheme,
+        utils.getChannels,
+        utils.promptUserForChannels,
+        utils.getVariations,
+        utils.promptUserForVariation,
+        utils.saveActiveThemesToHistory,
+        utils.timed('activation', utils.requestToApplyVariationWithRetrys()),
+    ];
+}
+
+function stencilPushToStores(options, callback) {
+    async.waterfall(
+        [
+            async.constant({ ...options, startedAt: Date.now() }),
+            utils.readStoreConfigs,
+            utils.timed('bundle', utils.generateBundle),
+            utils.pushToStores([utils.getStoreHash, utils.getThemes, ...getUploadAndApplyTasks()]),
+            utils.printStoresSummaryIfNecessary,
+            utils.notifyUserOfStoresCompletion,
+        ],
+        utils.printErrorSummaryIfNecessary(options, callback),
+    );
+}
+
 // eslint-disable-next-line default-param-last
 function stencilPush(options = {}, callback) {
+    if (options.stores) {
+        stencilPushToStores(options, callback);
+        return;
+    }
     async.waterfall(
         [
-            async.constant(options),
+            async.constant({ ...options, startedAt: Date.now() }),
             utils.readStencilConfigFile,
             utils.getStoreHash,
             utils.getThemes,
-            utils.generateBundle,
-            utils.uploadBundle,
-            utils.notifyUserOfThemeLimitReachedIfNecessary,
-            utils.promptUserToDeleteThemesIfNecessary,
-            utils.deleteThemesIfNecessary,
-            utils.checkIfDeletionIsComplete(),
-            utils.uploadBundleAgainIfNecessary,
-            utils.notifyUserOfThemeUploadCompletion,
-            utils.pollForJobCompletion((data) => ({ themeId: data.theme_id })),
-            utils.promptUserWhetherToApplyTheme,
-            utils.getChannels,
-            utils.promptUserForChannels,
-            utils.getVariations,
-            utils.promptUserForVariation,
-            utils.requestToApplyVariationWithRetrys(),
+            utils.timed('bundle', utils.generateBundle),
+            ...getUploadAndApplyTasks(),
+            utils.printSummaryIfNecessary,
             utils.notifyUserOfCompletion,
         ],
-        callback,
+        utils.printErrorSummaryIfNecessary(options, callback),
     );
 }
 export default stencilPush;
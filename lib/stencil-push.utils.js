@@ -10,15 +10,31 @@ import themeApiClient from './theme-api-client.js';
 import ThemeConfig from './theme-config.js';
 import StencilConfigManager from './StencilConfigManager.js';
 import BuildConfigManager from './BuildConfigManager.js';
+import ThemeHistory from './ThemeHistory.js';
 
 const themeConfigManager = ThemeConfig.getInstance(THEME_PATH);
-const stencilConfigManager = new StencilConfigManager();
+const themeHistory = new ThemeHistory(THEME_PATH);
+const MAX_CONCURRENT_STORES = 3;
 const utils = {};
-const bar = new ProgressBar('Processing [:bar] :percent; ETA: :etas', {
-    complete: '=',
-    incomplete: ' ',
-    total: 100,
-});
+/**
+ * @param {object} options
+ * @param {object} [options.logger] - console by default, e.g. a console of stderr to keep stdout
+ *  for the JSON summary
+ * @returns {object}
+ */
+utils.getLogger = (options) => options.logger || console;
+/**
+ * @param {object} logger
+ * @param {string} storeName
+ * @returns {object} - logger which starts every line with the name of the store
+ */
+utils.getStoreLogger = (logger, storeName) => {
+    const prefix = `[${storeName}]`.cyan;
+    return {
+        log: (message, ...args) => logger.log(`${prefix} ${message}`, ...args),
+        error: (message, ...args) => logger.error(`${prefix} ${message}`, ...args),
+    };
+};
 function validateOptions(options = {}, fields = []) {
     for (const field of fields) {
         if (!_.has(options, field)) {
@@ -26,7 +42,24 @@ function validateOptions(options = {}, fields = []) {
         }
     }
 }
+/**
+ * Measures the duration of a step of the push and adds it to options.timings
+ *
+ * @param {string} name
+ * @param {Function} task - async function or async.retryable task
+ * @returns {Function}
+ */
+utils.timed = (name, task) => async (options) => {
+    const startedAt = Date.now();
+    const result = await task(options);
+    const timings = result.timings || {};
+    return {
+        ...result,
+        timings: { ...timings, [name]: (timings[name] || 0) + Date.now() - startedAt },
+    };
+};
 utils.readStencilConfigFile = async (options) => {
+    const stencilConfigManager = new StencilConfigManager({ logger: utils.getLogger(options) });
     try {
         const config = await stencilConfigManager.read();
         return { ...options, config };
@@ -35,6 +68,22 @@ utils.readStencilConfigFile = async (options) => {
         throw err;
     }
 };
+utils.readStoreConfigs = async (options) => {
+    const stencilConfigManager = new StencilConfigManager({ logger: utils.getLogger(options) });
+    let config;
+    try {
+        // The store profiles may replace the store of the general config
+        config = await stencilConfigManager.read(false, true);
+    } catch (err) {
+        err.name = 'StencilConfigReadError';
+        throw err;
+    }
+    const storeConfigs = options.stores.map((name) => ({
+        name,
+        config: stencilConfigManager.getStoreConfig(config, name),
+    }));
+    return { ...options, config, storeConfigs };
+};
 utils.getStoreHash = async (options) => {
     validateOptions(options, ['config.normalStoreUrl']);
     const storeHash = await themeApiClient.getStoreHash({
@@ -58,6 +107,7 @@ utils.generateBundle = async (options) => {
     const output = options.saveBundleName
         ? { dest: THEME_PATH, name: options.saveBundleName }
         : { dest: os.tmpdir(), name: uuid() };
+    output.logger = utils.getLogger(options);
     const rawConfig = await themeConfigManager.getRawConfig();
     const buildConfigManager = new BuildConfigManager();
     try {
@@ -104,11 +154,13 @@ utils.uploadBundle = async (options) => {
 };
 utils.notifyUserOfThemeLimitReachedIfNecessary = async (options) => {
     if (options.themeLimitReached && !options.deleteOldest) {
-        console.log(
-            'warning'.yellow +
-                ' -- You have reached your upload limit. ' +
-                "In order to proceed, you'll need to delete at least one theme.",
-        );
+        utils
+            .getLogger(options)
+            .log(
+                'warning'.yellow +
+                    ' -- You have reached your upload limit. ' +
+                    "In order to proceed, you'll need to delete at least one theme.",
+            );
     }
     return options;
 };
@@ -116,6 +168,11 @@ utils.promptUserToDeleteThemesIfNecessary = async (options) => {
     if (!options.themeLimitReached) {
         return options;
     }
+    if (!options.deleteOldest && options.nonInteractive) {
+        throw new Error(
+            'You have reached your upload limit. Use --delete to delete the oldest private theme.',
+        );
+    }
     if (options.deleteOldest) {
         const oldestTheme = options.themes
             .filter((theme) => theme.is_private && !theme.is_active)
@@ -169,13 +226,15 @@ utils.deleteThemesIfNecessary = async (options) => {
     }
     return options;
 };
-utils.checkIfDeletionIsComplete = () => {
+utils.checkIfDeletionIsComplete = () => (options) => {
     return async.retryable(
         {
             interval: 1000,
             errorFilter: (err) => {
                 if (err.message === 'ThemeStillExists') {
-                    console.log(`${'warning'.yellow} -- Theme still exists;Retrying ...`);
+                    utils
+                        .getLogger(options)
+                        .log(`${'warning'.yellow} -- Theme still exists;Retrying ...`);
                     return true;
                 }
                 return false;
@@ -183,7 +242,7 @@ utils.checkIfDeletionIsComplete = () => {
             times: 5,
         },
         utils.checkIfThemeIsDeleted(),
-    );
+    )(options);
 };
 utils.checkIfThemeIsDeleted = () => async (options) => {
     const {
@@ -210,23 +269,26 @@ utils.uploadBundleAgainIfNecessary = async (options) => {
     return utils.uploadBundle({ ...options, uploadThemeAgain: true });
 };
 utils.notifyUserOfThemeUploadCompletion = async (options) => {
-    console.log(`${'ok'.green} -- Theme Upload Finished`);
+    utils.getLogger(options).log(`${'ok'.green} -- Theme Upload Finished`);
     return options;
 };
-utils.markJobProgressPercentage = (percentComplete) => {
-    bar.update(percentComplete / 100);
-};
-utils.markJobComplete = () => {
-    utils.markJobProgressPercentage(100);
-    console.log(`${'ok'.green} -- Theme Processing Finished`);
-};
-utils.pollForJobCompletion = (resultFilter) => {
-    return async.retryable(
+utils.pollForJobCompletion = (resultFilter) => async (options) => {
+    // The bars of the stores pushed at the same time would be drawn over each other
+    const bar = options.storeName
+        ? null
+        : new ProgressBar('Processing [:bar] :percent; ETA: :etas', {
+              complete: '=',
+              incomplete: ' ',
+              total: 100,
+          });
+    const result = await async.retryable(
         {
             interval: 1000,
             errorFilter: (err) => {
                 if (err.name === 'JobCompletionStatusCheckPendingError') {
-                    utils.markJobProgressPercentage(err.message);
+                    if (bar) {
+                        bar.update(err.message / 100);
+                    }
                     return true;
                 }
                 return false;
@@ -234,7 +296,12 @@ utils.pollForJobCompletion = (resultFilter) => {
             times: Number.POSITIVE_INFINITY,
         },
         utils.checkIfJobIsComplete(resultFilter),
-    );
+    )(options);
+    if (bar) {
+        bar.update(1);
+    }
+    utils.getLogger(options).log(`${'ok'.green} -- Theme Processing Finished`);
+    return result;
 };
 utils.checkIfJobIsComplete = (resultFilter) => async (options) => {
     const {
@@ -252,13 +319,16 @@ utils.checkIfJobIsComplete = (resultFilter) => async (options) => {
         jobId,
         resultFilter,
     });
-    utils.markJobComplete();
     return { ...options, ...result };
 };
 utils.promptUserWhetherToApplyTheme = async (options) => {
     if (options.activate) {
         return { ...options, applyTheme: true };
     }
+    // Without --activate the theme is only uploaded, which is also the default answer of the prompt
+    if (options.nonInteractive) {
+        return { ...options, applyTheme: false };
+    }
     const questions = [
         {
             type: 'confirm',
@@ -286,6 +356,7 @@ utils.getChannels = async (options) => {
         accessToken,
         apiHost,
         storeHash,
+        logger: utils.getLogger(options),
     });
     return { ...options, channels };
 };
@@ -334,6 +405,14 @@ utils.promptUserForChannels = async (options) => {
         const allIds = channels.map((chanel) => chanel.channel_id);
         return { ...options, channelIds: allIds };
     }
+    if (options.nonInteractive && channels.length > 1) {
+        const availableChannelsStr = channels
+            .map((channel) => `${channel.channel_id} (${channel.url})`)
+            .join(', ');
+        throw new Error(
+            `The store has several channels, use --channel_ids or --all_channels to choose them. Available channels: ${availableChannelsStr}.`,
+        );
+    }
     const selectedChannelIds = await utils.promptUserToSelectChannels(channels);
     return { ...options, channelIds: selectedChannelIds };
 };
@@ -385,6 +464,10 @@ utils.promptUserForVariation = async (options) => {
     if (!options.applyTheme || options.variationId) {
         return options;
     }
+    // Same as --activate without a variation name
+    if (options.nonInteractive) {
+        return { ...options, variationId: options.variations[0].uuid };
+    }
     const questions = [
         {
             type: 'list',
@@ -399,13 +482,60 @@ utils.promptUserForVariation = async (options) => {
     const answers = await Inquirer.prompt(questions);
     return { ...options, ...answers };
 };
-utils.requestToApplyVariationWithRetrys = () => {
+utils.saveActiveThemesToHistory = async (options) => {
+    const {
+        config: { accessToken },
+        storeHash,
+        channelIds,
+        applyTheme,
+    } = options;
+    const apiHost = options.apiHost || options.config.apiHost;
+    if (!applyTheme) {
+        return options;
+    }
+    for (const channelId of channelIds) {
+        try {
+            /* eslint-disable no-await-in-loop */
+            const activeTheme = await themeApiClient.getChannelActiveTheme({
+                accessToken,
+                apiHost,
+                storeHash,
+                channelId,
+            });
+            const configuration = await themeApiClient.getThemeConfiguration({
+                accessToken,
+                apiHost,
+                storeHash,
+                themeId: activeTheme.active_theme_uuid,
+                configurationId: activeTheme.active_theme_configuration_uuid,
+            });
+            await themeHistory.add(storeHash, channelId, {
+                themeId: activeTheme.active_theme_uuid,
+                variationId: configuration.variation_uuid,
+            });
+            /* eslint-enable no-await-in-loop */
+        } catch (err) {
+            utils
+                .getLogger(options)
+                .log(
+                    `${
+                        'warning'.yellow
+                    } -- Could not save the active theme of channel ${channelId} ` +
+                        `for rollbacks: ${err.message}`,
+                );
+        }
+    }
+    return options;
+};
+utils.requestToApplyVariationWithRetrys = () => (options) => {
     return async.retryable(
         {
             interval: 1000,
             errorFilter: (err) => {
                 if (err.name === 'VariationActivationTimeoutError') {
-                    console.log(`${'warning'.yellow} -- Theme Activation Timed Out; Retrying...`);
+                    utils
+                        .getLogger(options)
+                        .log(`${'warning'.yellow} -- Theme Activation Timed Out; Retrying...`);
                     return true;
                 }
                 return false;
@@ -413,7 +543,7 @@ utils.requestToApplyVariationWithRetrys = () => {
             times: 3,
         },
         utils.requestToApplyVariation,
-    );
+    )(options);
 };
 utils.requestToApplyVariation = async (options) => {
     const {
@@ -434,7 +564,103 @@ utils.requestToApplyVariation = async (options) => {
     }
     return options;
 };
+/**
+ * Pushes the bundle to every store of options.storeConfigs. The stores are pushed concurrently,
+ * so the questions can't be asked and the push is non-interactive. Their messages start with the
+ * name of the store, and their progress bars are left out
+ *
+ * @param {Function[]} tasks
+ * @returns {Function}
+ */
+utils.pushToStores = (tasks) => async (options) => {
+    const storeResults = await async.mapLimit(
+        options.storeConfigs,
+        MAX_CONCURRENT_STORES,
+        async ({ name, config }) => {
+            const storeOptions = {
+                ...options,
+                config,
+                channelIds: config.channelIds || options.channelIds,
+                nonInteractive: true,
+                storeName: name,
+                logger: utils.getStoreLogger(utils.getLogger(options), name),
+            };
+            try {
+                const result = await async.waterfall([async.constant(storeOptions), ...tasks]);
+                return { name, result };
+            } catch (error) {
+                return { name, error };
+            }
+        },
+    );
+    return { ...options, storeResults };
+};
+utils.getSummary = (options) => ({
+    themeId: options.themeId,
+    jobId: options.jobId,
+    variationId: options.variationId || null,
+    channelIds: options.applyTheme ? options.channelIds : [],
+    bundleZipPath: options.bundleZipPath,
+    timings: { ...options.timings, total: Date.now() - options.startedAt },
+});
+utils.printSummaryIfNecessary = async (options) => {
+    if (!options.json) {
+        return options;
+    }
+    process.stdout.write(`${JSON.stringify(utils.getSummary(options), null, 2)}\n`);
+    return options;
+};
+utils.printStoresSummaryIfNecessary = async (options) => {
+    if (!options.json) {
+        return options;
+    }
+    const stores = options.storeResults.map(({ name, result, error }) =>
+        error
+            ? { store: name, error: error.message }
+            : { store: name, ...utils.getSummary(result) },
+    );
+    process.stdout.write(`${JSON.stringify({ stores }, null, 2)}\n`);
+    return options;
+};
+/**
+ * Writes the error of a failed push as JSON to stdout with --json, before passing it on
+ *
+ * @param {object} options
+ * @param {Function} callback
+ * @returns {Function}
+ */
+utils.printErrorSummaryIfNecessary = (options, callback) => (err, result) => {
+    // The summary of a push to several stores already has the error of every store
+    if (err && options.json && err.name !== 'StoresPushError') {
+        process.stdout.write(`${JSON.stringify({ error: err.message }, null, 2)}\n`);
+    }
+    callback(err, result);
+};
 utils.notifyUserOfCompletion = (options, callback) => {
     callback(null, `Stencil Push Finished. Variation ID: ${options.variationId}`);
 };
+utils.notifyUserOfStoresCompletion = async (options) => {
+    const { storeResults } = options;
+    const logger = utils.getLogger(options);
+    const nameWidth = Math.max(...storeResults.map(({ name }) => name.length));
+    logger.log('\nPush summary:'.cyan);
+    for (const { name, result, error } of storeResults) {
+        const storeName = name.padEnd(nameWidth);
+        if (error) {
+            logger.log(`  ${'not ok'.red}  ${storeName}  ${error.message}`);
+        } else {
+            const variation = result.variationId ? `, variation ${result.variationId}` : '';
+            logger.log(`  ${'ok'.green}      ${storeName}  theme ${result.themeId}${variation}`);
+        }
+    }
+    const failedCount = storeResults.filter(({ error }) => error).length;
+    if (failedCount) {
+        const error = new Error(
+            `Stencil Push failed for ${failedCount} of ${storeResults.length} store(s)`,
+        );
+        error.name = 'StoresPushError';
+        throw error;
+    }
+    return `Stencil Push Finished for ${storeResults.length} store(s)`;
+};
 export default utils;
@@ -1,8 +1,10 @@
 import { jest } from '@jest/globals';
 import axios from 'axios';
 import MockAdapter from 'axios-mock-adapter';
+import Inquirer from 'inquirer';
 import stencilPush from './stencil-push.utils.js';
 import themeApiClient from './theme-api-client.js';
+import ThemeHistory from './ThemeHistory.js';
 
 const {
     getStoreHash,
@@ -168,4 +170,236 @@ describe('stencil push utils', () => {
             expect(result).toEqual(expect.arrayContaining(expected));
         });
     });
+    describe('non-interactive mode', () => {
+        let promptSpy;
+        beforeEach(() => {
+            promptSpy = jest.spyOn(Inquirer, 'prompt');
+        });
+        it('should fail instead of asking which themes to delete', async () => {
+            const options = { nonInteractive: true, themeLimitReached: true, themes: [] };
+            await expect(utils.promptUserToDeleteThemesIfNecessary(options)).rejects.toThrow(
+                'Use --delete',
+            );
+            expect(promptSpy).not.toHaveBeenCalled();
+        });
+        it('should not apply the theme unless --activate is used', async () => {
+            const result = await utils.promptUserWhetherToApplyTheme({ nonInteractive: true });
+            expect(result.applyTheme).toBe(false);
+            expect(promptSpy).not.toHaveBeenCalled();
+        });
+        it('should fail instead of asking for the channels if there are several', async () => {
+            const options = {
+                nonInteractive: true,
+                applyTheme: true,
+                channels: optionsResult.channels,
+            };
+            await expect(promptUserForChannels(options)).rejects.toThrow(
+                'Available channels: 1 (https://abc.com), 2 (https://fff.com)',
+            );
+            expect(promptSpy).not.toHaveBeenCalled();
+        });
+        it('should use the only channel of the store', async () => {
+            const options = {
+                nonInteractive: true,
+                applyTheme: true,
+                channels: [optionsResult.channels[0]],
+            };
+            const result = await promptUserForChannels(options);
+            expect(result.channelIds).toEqual([1]);
+        });
+        it('should apply the default variation', async () => {
+            const options = {
+                nonInteractive: true,
+                applyTheme: true,
+                variations: [
+                    { name: 'Light', uuid: 'light-uuid' },
+                    { name: 'Dark', uuid: 'dark-uuid' },
+                ],
+            };
+            const result = await utils.promptUserForVariation(options);
+            expect(result.variationId).toEqual('light-uuid');
+            expect(promptSpy).not.toHaveBeenCalled();
+        });
+    });
+    describe('.saveActiveThemesToHistory', () => {
+        it('should save the active theme and variation of each channel', async () => {
+            jest.spyOn(themeApiClient, 'getChannelActiveTheme').mockResolvedValue({
+                active_theme_uuid: 'theme-uuid',
+                active_theme_configuration_uuid: 'configuration-uuid',
+            });
+            jest.spyOn(themeApiClient, 'getThemeConfiguration').mockResolvedValue({
+                variation_uuid: 'variation-uuid',
+            });
+            const addStub = jest.spyOn(ThemeHistory.prototype, 'add').mockResolvedValue();
+            await utils.saveActiveThemesToHistory({
+                config: { accessToken: 'token' },
+                storeHash: 'store',
+                applyTheme: true,
+                channelIds: [1, 2],
+            });
+            expect(addStub).toHaveBeenCalledTimes(2);
+            expect(addStub).toHaveBeenCalledWith('store', 2, {
+                themeId: 'theme-uuid',
+                variationId: 'variation-uuid',
+            });
+        });
+        it('should not fail the push if the active theme cannot be fetched', async () => {
+            jest.spyOn(console, 'log').mockImplementation(jest.fn());
+            jest.spyOn(themeApiClient, 'getChannelActiveTheme').mockRejectedValue(
+                new Error('Forbidden'),
+            );
+            const options = { config: { accessToken: 'token' }, applyTheme: true, channelIds: [1] };
+            await expect(utils.saveActiveThemesToHistory(options)).resolves.toEqual(options);
+        });
+    });
+    describe('.timed', () => {
+        it('should add the duration of the task to options.timings', async () => {
+            jest.spyOn(Date, 'now').mockReturnValueOnce(1000).mockReturnValueOnce(1250);
+            const task = utils.timed('upload', async (options) => ({ ...options, jobId: 'job' }));
+            const result = await task({ timings: { upload: 100 } });
+            expect(result).toEqual({ jobId: 'job', timings: { upload: 350 } });
+        });
+    });
+    describe('.printSummaryIfNecessary', () => {
+        const options = {
+            json: true,
+            themeId: 'theme-uuid',
+            jobId: 'job-id',
+            variationId: 'variation-uuid',
+            applyTheme: true,
+            channelIds: [1],
+            bundleZipPath: '/tmp/theme.zip',
+            timings: { bundle: 10 },
+            startedAt: 1000,
+        };
+        it('should write the summary as JSON to stdout', async () => {
+            jest.spyOn(Date, 'now').mockReturnValue(1500);
+            const writeSpy = jest.spyOn(process.stdout, 'write').mockImplementation(jest.fn());
+            await utils.printSummaryIfNecessary(options);
+            expect(JSON.parse(writeSpy.mock.calls[0][0])).toEqual({
+                themeId: 'theme-uuid',
+                jobId: 'job-id',
+                variationId: 'variation-uuid',
+                channelIds: [1],
+                bundleZipPath: '/tmp/theme.zip',
+                timings: { bundle: 10, total: 500 },
+            });
+        });
+        it('should not write anything without --json', async () => {
+            const writeSpy = jest.spyOn(process.stdout, 'write').mockImplementation(jest.fn());
+            await utils.printSummaryIfNecessary({ ...options, json: false });
+            expect(writeSpy).not.toHaveBeenCalled();
+        });
+        it('should only write the summary to stdout when the channels need a new token', async () => {
+            jest.spyOn(Date, 'now').mockReturnValue(1500);
+            const writeSpy = jest.spyOn(process.stdout, 'write').mockImplementation(jest.fn());
+            const logger = { log: jest.fn() };
+            axiosMock.onGet(/\/v3\/sites/).reply(200, { data: [] });
+            axiosMock.onGet(/\/v3\/channels/).reply(403, {});
+            const result = await getChannels({
+                ...options,
+                channelIds: undefined,
+                config: { accessToken: 'accessTokenValue' },
+                apiHost: 'https://api.example.com',
+                storeHash: 'storeHash',
+                logger,
+            });
+            await utils.printSummaryIfNecessary(result);
+            expect(logger.log).toHaveBeenCalledWith(expect.stringContaining('read-only channels'));
+            expect(writeSpy).toHaveBeenCalledTimes(1);
+            expect(JSON.parse(writeSpy.mock.calls[0][0])).toHaveProperty('themeId', 'theme-uuid');
+        });
+    });
+    describe('.printErrorSummaryIfNecessary', () => {
+        it('should write the error as JSON to stdout with --json', () => {
+            const writeSpy = jest.spyOn(process.stdout, 'write').mockImplementation(jest.fn());
+            const callback = jest.fn();
+            const error = new Error('Upload failed');
+            utils.printErrorSummaryIfNecessary({ json: true }, callback)(error);
+            expect(JSON.parse(writeSpy.mock.calls[0][0])).toEqual({ error: 'Upload failed' });
+            expect(callback).toHaveBeenCalledWith(error, undefined);
+        });
+        it('should not write the error again after the summary of several stores', () => {
+            const writeSpy = jest.spyOn(process.stdout, 'write').mockImplementation(jest.fn());
+            const error = new Error('Stencil Push failed for 1 of 2 store(s)');
+            error.name = 'StoresPushError';
+            utils.printErrorSummaryIfNecessary({ json: true }, jest.fn())(error);
+            utils.printErrorSummaryIfNecessary({}, jest.fn())(new Error('Upload failed'));
+            expect(writeSpy).not.toHaveBeenCalled();
+        });
+    });
+    describe('.pushToStores', () => {
+        it('should run the tasks for every store and collect the results', async () => {
+            const options = {
+                channelIds: ['1'],
+                storeConfigs: [
+                    { name: 'eu', config: { normalStoreUrl: 'https://eu.com', channelIds: [2] } },
+                    { name: 'us', config: { normalStoreUrl: 'https://us.com' } },
+                ],
+            };
+            const task = async (storeOptions) => {
+                if (storeOptions.config.normalStoreUrl === 'https://us.com') {
+                    throw new Error('Upload failed');
+                }
+                return { ...storeOptions, themeId: 'theme-uuid' };
+            };
+            const { storeResults } = await utils.pushToStores([task])(options);
+            expect(storeResults[0].name).toEqual('eu');
+            expect(storeResults[0].result).toEqual(
+                expect.objectContaining({
+                    themeId: 'theme-uuid',
+                    channelIds: [2],
+                    nonInteractive: true,
+                }),
+            );
+            expect(storeResults[1]).toEqual({ name: 'us', error: new Error('Upload failed') });
+        });
+        it('should start the messages of every store with its name', async () => {
+            const logger = { log: jest.fn(), error: jest.fn() };
+            const options = {
+                logger,
+                storeConfigs: [{ name: 'eu', config: { normalStoreUrl: 'https://eu.com' } }],
+            };
+            const { storeResults } = await utils.pushToStores([
+                utils.notifyUserOfThemeUploadCompletion,
+            ])(options);
+            expect(storeResults[0].result.storeName).toEqual('eu');
+            expect(logger.log).toHaveBeenCalledWith(
+                expect.stringMatching(/\[eu\].* -- Theme Upload Finished$/),
+            );
+        });
+    });
+    describe('.notifyUserOfStoresCompletion', () => {
+        beforeEach(() => {
+            jest.spyOn(console, 'log').mockImplementation(jest.fn());
+        });
+        it('should print the summary of every store', async () => {
+            const storeResults = [
+                { name: 'eu', result: { themeId: 'eu-theme', variationId: 'eu-variation' } },
+                { name: 'us', result: { themeId: 'us-theme' } },
+            ];
+            const message = await utils.notifyUserOfStoresCompletion({ storeResults });
+            expect(message).toEqual('Stencil Push Finished for 2 store(s)');
+            expect(console.log).toHaveBeenCalledWith(
+                expect.stringContaining('eu  theme eu-theme, variation eu-variation'),
+            );
+        });
+        it('should print the summary with the logger of the options', async () => {
+            const logger = { log: jest.fn() };
+            const storeResults = [{ name: 'eu', result: { themeId: 'eu-theme' } }];
+            await utils.notifyUserOfStoresCompletion({ storeResults, logger });
+            expect(logger.log).toHaveBeenCalledWith(expect.stringContaining('eu  theme eu-theme'));
+            expect(console.log).not.toHaveBeenCalled();
+        });
+        it('should fail if the push failed for a store', async () => {
+            const storeResults = [
+                { name: 'eu', result: { themeId: 'eu-theme' } },
+                { name: 'us', error: new Error('Upload failed') },
+            ];
+            await expect(utils.notifyUserOfStoresCompletion({ storeResults })).rejects.toThrow(
+                'Stencil Push failed for 1 of 2 store(s)',
+            );
+            expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Upload failed'));
+        });
+    });
 });
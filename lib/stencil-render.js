@@ -0,0 +1,120 @@
+import 'colors';
+import fsModule from 'fs';
+import path from 'path';
+import { THEME_PATH } from '../constants.js';
+import ThemeConfig from './theme-config.js';
+import fsUtilsModule from './utils/fsUtils.js';
+import { createThemeAssembler } from './theme-assembler.js';
+import { PencilResponse } from '../server/plugins/renderer/responses/index.js';
+
+const DEFAULT_LOCALE = 'en';
+
+class StencilRender {
+    constructor({
+        fs = fsModule,
+        fsUtils = fsUtilsModule,
+        logger = console,
+        themeConfig = ThemeConfig.getInstance(THEME_PATH),
+        themeAssembler = createThemeAssembler(THEME_PATH),
+    } = {}) {
+        this._fs = fs;
+        this._fsUtils = fsUtils;
+        this._logger = logger;
+        this._themeConfig = themeConfig;
+        this._themeAssembler = themeAssembler;
+    }
+
+    /**
+     * @param {object} options
+     * @param {string} options.template - e.g. "pages/product" or "templates/pages/product.html"
+     * @param {string} options.context - path of a JSON file with the context, e.g. saved from ?debug=context
+     * @param {string} [options.output] - file to write the HTML to instead of stdout
+     * @param {string} [options.variation] - name of the theme variation to use
+     * @param {string} [options.locale] - locale to use for translations
+     * @returns {Promise<void>}
+     */
+    async run(options) {
+        this.runBasicChecks(options);
+        if (options.variation) {
+            await this._themeConfig.setVariationByName(options.variation);
+        }
+        const context = await this._fsUtils.parseJsonFile(options.context);
+        const html = await this.render(options.template, context, options.locale);
+        await this.printResult(html, options);
+    }
+
+    /**
+     * @param {object} options
+     */
+    runBasicChecks(options) {
+        if (!this._themeConfig.configExists()) {
+            throw new Error(
+                `${
+                    'You must have a '.red + 'config.json'.cyan
+                } file in your top level theme directory.`,
+            );
+        }
+        if (typeof options.template !== 'string') {
+            throw new Error('You have to specify a value for -t or --template'.red);
+        }
+        if (typeof options.context !== 'string') {
+            throw new Error('You have to specify a value for -c or --context'.red);
+        }
+        if (options.variation === true) {
+            throw new Error('You have to specify a value for -v or --variation'.red);
+        }
+    }
+
+    /**
+     * Renders a template the same way the local server does, with the settings of the current variation
+     *
+     * @param {string} template
+     * @param {object} context
+     * @param {string} [locale]
+     * @returns {Promise<string>}
+     */
+    async render(template, context, locale = DEFAULT_LOCALE) {
+        const configuration = await this._themeConfig.getConfig();
+        const pencilResponse = new PencilResponse(
+            {
+                template_file: this.getTemplateFile(template),
+                renderedRegions: context.renderedRegions || {},
+                context: {
+                    ...context,
+                    theme_settings: configuration.settings,
+                    template_engine: configuration.template_engine,
+                    // Hand-crafted contexts may miss the urls which are stripped from the output
+                    settings: { base_url: '', secure_base_url: '', ...context.settings },
+                },
+                acceptLanguage: locale.toLowerCase(),
+                headers: {},
+                statusCode: 200,
+            },
+            this._themeAssembler,
+        );
+        return pencilResponse.render({ headers: {}, query: {}, app: {} });
+    }
+
+    /**
+     * @param {string} template
+     * @returns {string} - template path relative to the templates folder, without extension
+     */
+    getTemplateFile(template) {
+        return template
+            .split(path.sep)
+            .join('/')
+            .replace(/^(\.\/)?templates\//, '')
+            .replace(/\.html$/, '');
+    }
+
+    async printResult(result, options) {
+        if (options.output) {
+            const filePath = path.resolve(process.cwd(), options.output);
+            await this._fs.promises.writeFile(filePath, result);
+            this._logger.log(`${'ok'.green} -- Rendered HTML saved to ${filePath.cyan}`);
+        } else {
+            this._logger.log(result);
+        }
+    }
+}
+export default StencilRender;
@@ -0,0 +1,91 @@
+import { jest } from '@jest/globals';
+import path from 'path';
+import StencilRender from './stencil-render.js';
+import { createThemeAssembler } from './theme-assembler.js';
+
+const themePath = path.join(process.cwd(), 'test/_mocks/themes/valid');
+
+describe('StencilRender', () => {
+    const context = { settings: {} };
+    let logger;
+    let fs;
+    let fsUtils;
+    let themeConfig;
+    let themeAssembler;
+    beforeEach(() => {
+        logger = {
+            log: jest.fn(),
+        };
+        fs = {
+            promises: {
+                writeFile: jest.fn(),
+            },
+        };
+        fsUtils = {
+            parseJsonFile: jest.fn().mockResolvedValue(context),
+        };
+        themeConfig = {
+            configExists: () => true,
+            setVariationByName: jest.fn(),
+            getConfig: jest.fn().mockResolvedValue({
+                settings: { customizable_title: 'Variation title' },
+                template_engine: 'handlebars-v4',
+            }),
+        };
+        themeAssembler = {
+            ...createThemeAssembler(themePath),
+            getTranslations: async () => ({}),
+        };
+    });
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+    const createInstance = () =>
+        new StencilRender({ fs, fsUtils, logger, themeConfig, themeAssembler });
+
+    it('should render the template with the theme settings of the current variation', async () => {
+        const html = await createInstance().render('pages/page3', context);
+        expect(html).toContain('<title>page3.html</title>');
+        expect(html).toContain('<h1>Variation title</h1>');
+        expect(html).toContain('<a href="item_link_1">Item 1</a>');
+    });
+
+    it('should print the rendered HTML to stdout', async () => {
+        await createInstance().run({
+            template: 'templates/pages/page3.html',
+            context: 'context.json',
+        });
+        expect(fsUtils.parseJsonFile).toHaveBeenCalledWith('context.json');
+        expect(logger.log).toHaveBeenCalledWith(
+            expect.stringContaining('<h1>Variation title</h1>'),
+        );
+        expect(fs.promises.writeFile).not.toHaveBeenCalled();
+    });
+
+    it('should write the rendered HTML to the output file', async () => {
+        await createInstance().run({
+            template: 'pages/page3',
+            context: 'context.json',
+            output: 'page3.html',
+            variation: 'Second',
+        });
+        expect(themeConfig.setVariationByName).toHaveBeenCalledWith('Second');
+        expect(fs.promises.writeFile).toHaveBeenCalledWith(
+            path.join(process.cwd(), 'page3.html'),
+            expect.stringContaining('<title>page3.html</title>'),
+        );
+    });
+
+    it('should throw an error if no template is passed', async () => {
+        await expect(
+            createInstance().run({ template: true, context: 'context.json' }),
+        ).rejects.toThrow('You have to specify a value for -t or --template');
+    });
+
+    it('should normalize template paths', () => {
+        const instance = createInstance();
+        expect(instance.getTemplateFile('templates/pages/product.html')).toEqual('pages/product');
+        expect(instance.getTemplateFile('./templates/pages/product.html')).toEqual('pages/product');
+        expect(instance.getTemplateFile('pages/product')).toEqual('pages/product');
+    });
+});
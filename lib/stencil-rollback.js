@@ -0,0 +1,19 @@
+import async from 'async';
+import stencilPushUtils from './stencil-push.utils.js';
+import stencilRollbackUtils from './stencil-rollback.utils.js';
+
+function stencilRollback(options) {
+    return async.waterfall([
+        async.constant(options),
+        stencilPushUtils.readStencilConfigFile,
+        stencilPushUtils.getStoreHash,
+        stencilPushUtils.getChannels,
+        stencilPushUtils.promptUserForChannel,
+        stencilPushUtils.getThemes,
+        stencilRollbackUtils.printPrivateThemes,
+        stencilRollbackUtils.getRollbackTarget,
+        stencilRollbackUtils.getRollbackVariation,
+        stencilRollbackUtils.applyRollback,
+    ]);
+}
+export default stencilRollback;
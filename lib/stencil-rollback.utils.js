@@ -0,0 +1,104 @@
+import 'colors';
+import { THEME_PATH } from '../constants.js';
+import themeApiClient from './theme-api-client.js';
+import ThemeHistory from './ThemeHistory.js';
+
+const themeHistory = new ThemeHistory(THEME_PATH);
+const utils = {};
+
+utils.printPrivateThemes = async (options) => {
+    const privateThemes = options.themes
+        .filter((theme) => theme.is_private)
+        .sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at));
+    console.log('\nPrivate themes, most recently updated first:'.cyan);
+    for (const theme of privateThemes) {
+        const active = theme.is_active ? ' (active)'.green : '';
+        console.log(`  ${theme.uuid}  ${theme.updated_at}  ${theme.name}${active}`);
+    }
+    console.log('');
+    return { ...options, privateThemes };
+};
+
+utils.getRollbackTarget = async (options) => {
+    const { storeHash, channelId, themes, to } = options;
+    const entries = await themeHistory.getEntries(storeHash, channelId);
+    if (to) {
+        const rollbackTheme = themes.find((theme) => theme.uuid === to);
+        if (!rollbackTheme) {
+            throw new Error(`Theme ${to} was not found in the store`);
+        }
+        const entry = [...entries].reverse().find(({ themeId }) => themeId === to);
+        return { ...options, rollbackTheme, variationId: entry && entry.variationId };
+    }
+    const entry = entries[entries.length - 1];
+    if (!entry) {
+        throw new Error(
+            `No theme was recorded as active on channel ${channelId} before a push. Use --to <uuid> with one of the themes above.`,
+        );
+    }
+    const rollbackTheme = themes.find((theme) => theme.uuid === entry.themeId);
+    if (!rollbackTheme) {
+        throw new Error(
+            `Theme ${entry.themeId}, which was active on channel ${channelId} before the last push, no longer exists. Use --to <uuid> with one of the themes above.`,
+        );
+    }
+    return { ...options, rollbackTheme, variationId: entry.variationId, fromHistory: true };
+};
+
+utils.getRollbackVariation = async (options) => {
+    const {
+        config: { accessToken },
+        storeHash,
+        rollbackTheme,
+        variationId,
+    } = options;
+    const apiHost = options.apiHost || options.config.apiHost;
+    const variations = await themeApiClient.getVariationsByThemeId({
+        accessToken,
+        apiHost,
+        storeHash,
+        themeId: rollbackTheme.uuid,
+    });
+    const variation = variations.find((item) => item.uuid === variationId);
+    if (variationId && !variation) {
+        console.log(
+            `${'warning'.yellow} -- Variation ${variationId} no longer exists, ` +
+                'the default variation will be activated',
+        );
+    }
+    return { ...options, rollbackVariation: variation || variations[0] };
+};
+
+utils.applyRollback = async (options) => {
+    const {
+        config: { accessToken },
+        storeHash,
+        channelId,
+        rollbackTheme,
+        rollbackVariation,
+        dryRun,
+        fromHistory,
+    } = options;
+    const apiHost = options.apiHost || options.config.apiHost;
+    const target =
+        `theme ${rollbackTheme.name} (${rollbackTheme.uuid}),` +
+        ` variation ${rollbackVariation.name} (${rollbackVariation.uuid}), on channel ${channelId}`;
+    if (dryRun) {
+        console.log(`${'dry run'.yellow} -- Would activate ${target}`);
+        return options;
+    }
+    await themeApiClient.activateThemeByVariationId({
+        variationId: rollbackVariation.uuid,
+        channelIds: [channelId],
+        apiHost,
+        storeHash,
+        accessToken,
+    });
+    if (fromHistory) {
+        await themeHistory.removeLast(storeHash, channelId);
+    }
+    console.log(`${'ok'.green} -- Activated ${target}`);
+    return options;
+};
+
+export default utils;
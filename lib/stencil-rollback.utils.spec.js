@@ -0,0 +1,115 @@
+import { jest } from '@jest/globals';
+import themeApiClient from './theme-api-client.js';
+import ThemeHistory from './ThemeHistory.js';
+import utils from './stencil-rollback.utils.js';
+
+describe('stencil rollback utils', () => {
+    const themes = [
+        { uuid: 'old', name: 'Old', is_private: true, updated_at: '2021-01-01T00:00:00Z' },
+        { uuid: 'new', name: 'New', is_private: true, updated_at: '2021-03-01T00:00:00Z' },
+        { uuid: 'public', name: 'Cornerstone', is_private: false, updated_at: '2021-02-01' },
+    ];
+    const options = {
+        config: { accessToken: 'token', apiHost: 'https://api.example.com' },
+        storeHash: 'store',
+        channelId: 1,
+        themes,
+    };
+    const variations = [
+        { uuid: 'light', name: 'Light' },
+        { uuid: 'dark', name: 'Dark' },
+    ];
+    let getEntriesStub;
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(jest.fn());
+        getEntriesStub = jest
+            .spyOn(ThemeHistory.prototype, 'getEntries')
+            .mockResolvedValue([{ themeId: 'old', variationId: 'dark' }]);
+    });
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('printPrivateThemes', () => {
+        it('should sort the private themes by update date', async () => {
+            const { privateThemes } = await utils.printPrivateThemes(options);
+            expect(privateThemes.map(({ uuid }) => uuid)).toEqual(['new', 'old']);
+        });
+    });
+
+    describe('getRollbackTarget', () => {
+        it('should return the theme which was active before the last push', async () => {
+            const result = await utils.getRollbackTarget(options);
+            expect(result.rollbackTheme.uuid).toEqual('old');
+            expect(result.variationId).toEqual('dark');
+            expect(result.fromHistory).toBe(true);
+        });
+
+        it('should return the theme passed with --to', async () => {
+            const result = await utils.getRollbackTarget({ ...options, to: 'new' });
+            expect(result.rollbackTheme.uuid).toEqual('new');
+            expect(result.variationId).toBeUndefined();
+            expect(result.fromHistory).toBeUndefined();
+        });
+
+        it('should fail if the theme passed with --to does not exist', async () => {
+            await expect(utils.getRollbackTarget({ ...options, to: 'missing' })).rejects.toThrow(
+                'Theme missing was not found',
+            );
+        });
+
+        it('should fail if nothing was recorded for the channel', async () => {
+            getEntriesStub.mockResolvedValue([]);
+            await expect(utils.getRollbackTarget(options)).rejects.toThrow('Use --to <uuid>');
+        });
+    });
+
+    describe('getRollbackVariation', () => {
+        it('should return the recorded variation or the default one', async () => {
+            jest.spyOn(themeApiClient, 'getVariationsByThemeId').mockResolvedValue(variations);
+            const rollbackTheme = themes[0];
+            const recorded = await utils.getRollbackVariation({
+                ...options,
+                rollbackTheme,
+                variationId: 'dark',
+            });
+            const byDefault = await utils.getRollbackVariation({ ...options, rollbackTheme });
+            expect(recorded.rollbackVariation.uuid).toEqual('dark');
+            expect(byDefault.rollbackVariation.uuid).toEqual('light');
+        });
+    });
+
+    describe('applyRollback', () => {
+        const rollbackOptions = {
+            ...options,
+            rollbackTheme: themes[0],
+            rollbackVariation: variations[1],
+            fromHistory: true,
+        };
+        let activateStub;
+        let removeLastStub;
+        beforeEach(() => {
+            activateStub = jest
+                .spyOn(themeApiClient, 'activateThemeByVariationId')
+                .mockResolvedValue([]);
+            removeLastStub = jest.spyOn(ThemeHistory.prototype, 'removeLast').mockResolvedValue();
+        });
+
+        it('should activate the variation and remove it from the history', async () => {
+            await utils.applyRollback(rollbackOptions);
+            expect(activateStub).toHaveBeenCalledWith(
+                expect.objectContaining({ variationId: 'dark', channelIds: [1] }),
+            );
+            expect(removeLastStub).toHaveBeenCalledWith('store', 1);
+        });
+
+        it('should only print the preview in dry run', async () => {
+            await utils.applyRollback({ ...rollbackOptions, dryRun: true });
+            expect(activateStub).not.toHaveBeenCalled();
+            expect(removeLastStub).not.toHaveBeenCalled();
+            expect(console.log).toHaveBeenCalledWith(
+                expect.stringContaining('Would activate theme Old (old), variation Dark (dark)'),
+            );
+        });
+    });
+});
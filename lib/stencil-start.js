@@ -2,10 +2,12 @@ import 'colors';
 import BrowserSync from 'browser-sync';
 import { promisify } from 'util';
 import path from 'path';
+import upath from 'upath';
 import Cycles from './Cycles.js';
 import templateAssemblerModule from './template-assembler.js';
 import { PACKAGE_INFO, THEME_PATH } from '../constants.js';
 import Server from '../server/index.js';
+import { setBuildError } from '../server/lib/error-overlay.js';
 import StencilConfigManager from './StencilConfigManager.js';
 import ThemeConfig from './theme-config.js';
 import BuildConfigManager from './BuildConfigManager.js';
@@ -16,10 +18,21 @@ import themeApiClientModule from './theme-api-client.js';
 import storeSettingsApiClientModule from './store-settings-api-client.js';
 import LangHelper from './lang-helper.js';
 import LangValidator from './lang/validator.js';
+import FixtureStore from './FixtureStore.js';
+import StylesheetCache from './css/StylesheetCache.js';
+import TemplateGraph from './TemplateGraph.js';
+import MissingTranslations from './lang/MissingTranslations.js';
+import RequestProfileStore from './RequestProfileStore.js';
+import ScssValidator from './ScssValidator.js';
+import DevConsole from './DevConsole.js';
+import LocalCertificates from './LocalCertificates.js';
+import MockStore from './MockStore.js';
+import GqlValidator from './GqlValidator.js';
 
 class StencilStart {
     constructor({
         browserSync = BrowserSync.create(),
+        createBrowserSync = () => BrowserSync.create(),
         themeApiClient = themeApiClientModule,
         storeSettingsApiClient = storeSettingsApiClientModule,
         langHelper = new LangHelper(),
@@ -33,8 +46,18 @@ class StencilStart {
         stencilPushUtils = stencilPushUtilsModule,
         logger = console,
         langValidator = new LangValidator(THEME_PATH),
+        FixtureStoreClass = FixtureStore,
+        stylesheetCache = new StylesheetCache(),
+        templateGraph = new TemplateGraph(),
+        missingTranslations = new MissingTranslations(),
+        requestProfiles = new RequestProfileStore(),
+        ScssValidatorClass = ScssValidator,
+        localCertificates = new LocalCertificates(),
+        mockStore = new MockStore(path.join(THEME_PATH, '.stencil', 'mocks'), { logger }),
+        gqlValidator = new GqlValidator(THEME_PATH, themeConfigManager, { logger }),
     } = {}) {
         this._browserSync = browserSync;
+        this._createBrowserSync = createBrowserSync;
         this._themeApiClient = themeApiClient;
         this._storeSettingsApiClient = storeSettingsApiClient;
         this._langHelper = langHelper;
@@ -48,6 +71,17 @@ class StencilStart {
         this._stencilPushUtils = stencilPushUtils;
         this._logger = logger;
         this._langValidator = langValidator;
+        this._FixtureStoreClass = FixtureStoreClass;
+        this._stylesheetCache = stylesheetCache;
+        this._templateGraph = templateGraph;
+        this._missingTranslations = missingTranslations;
+        this._requestProfiles = requestProfiles;
+        this._ScssValidatorClass = ScssValidatorClass;
+        this._localCertificates = localCertificates;
+        this._mockStore = mockStore;
+        this._gqlValidator = gqlValidator;
+        // The channels served after the first one with --channels
+        this._extraChannels = [];
     }
 
     async run(cliOptions) {
@@ -58,12 +92,54 @@ class StencilStart {
         const initialStencilConfig = await this._stencilConfigManager.read();
         // Use initial (before updates) port for BrowserSync
         const browserSyncPort = cliOptions.port || initialStencilConfig.port;
-        const channelUrl = await this.getChannelUrl(initialStencilConfig, cliOptions);
+        const updatedStencilConfig = await this.getStoreInfo(
+            cliOptions,
+            initialStencilConfig,
+            browserSyncPort,
+        );
+        if (cliOptions.https) {
+            this._certificates = await this._localCertificates.get();
+        }
+        this._server = await this.startLocalServer(cliOptions, updatedStencilConfig);
+        this._extraChannels = await Promise.all(
+            this._extraChannels.map(async (channel) => ({
+                ...channel,
+                server: await this.startLocalServer(cliOptions, channel.stencilConfig, channel),
+            })),
+        );
+        this._logger.log(this.getStartUpInfo(updatedStencilConfig));
+        await this.startBrowserSync(cliOptions, browserSyncPort);
+    }
+
+    /**
+     * @param {Object} cliOptions
+     * @param {Object} stencilConfig
+     * @param {number} browserSyncPort
+     * @returns {Promise<Object>} - updated stencil config
+     */
+    async getStoreInfo(cliOptions, stencilConfig, browserSyncPort) {
+        if (cliOptions.channels) {
+            return this.fetchChannelsStoreInfo(cliOptions, stencilConfig, browserSyncPort);
+        }
+        if (cliOptions.offline) {
+            return this.readRecordedStoreInfo(cliOptions, stencilConfig, browserSyncPort);
+        }
+        return this.fetchStoreInfo(cliOptions, stencilConfig, browserSyncPort);
+    }
+
+    /**
+     * @param {Object} cliOptions
+     * @param {Object} stencilConfig
+     * @param {number} browserSyncPort
+     * @returns {Promise<Object>} - updated stencil config
+     */
+    async fetchStoreInfo(cliOptions, stencilConfig, browserSyncPort) {
+        const channelUrl = await this.getChannelUrl(stencilConfig, cliOptions);
         const storeInfoFromAPI = await this._themeApiClient.checkCliVersion({
             storeUrl: channelUrl,
         });
         const updatedStencilConfig = this.updateStencilConfig(
-            initialStencilConfig,
+            stencilConfig,
             storeInfoFromAPI,
             browserSyncPort,
         );
@@ -71,9 +147,117 @@ class StencilStart {
             cliOptions,
             updatedStencilConfig,
         );
-        await this.startLocalServer(cliOptions, updatedStencilConfig);
-        this._logger.log(this.getStartUpInfo(updatedStencilConfig));
-        await this.startBrowserSync(cliOptions, browserSyncPort);
+        if (cliOptions.record) {
+            const fixtureStore = new this._FixtureStoreClass(
+                this.getFixturesPath(cliOptions.record),
+            );
+            await fixtureStore.writeStoreInfo({
+                storeUrl: updatedStencilConfig.storeUrl,
+                normalStoreUrl: updatedStencilConfig.normalStoreUrl,
+                storeSettingsLocale: this._storeSettingsLocale,
+            });
+        }
+        return updatedStencilConfig;
+    }
+
+    /**
+     * Fetches the store info of every channel of --channels. The first channel is served on the
+     * usual ports, the next ones on the following pairs of ports.
+     *
+     * @param {Object} cliOptions
+     * @param {Object} stencilConfig
+     * @param {number} browserSyncPort
+     * @returns {Promise<Object>} - updated stencil config of the first channel
+     */
+    async fetchChannelsStoreInfo(cliOptions, stencilConfig, browserSyncPort) {
+        const channels = await Promise.all(
+            this.getChannelIds(cliOptions.channels).map((channelId, index) =>
+                this.fetchChannelStoreInfo(
+                    cliOptions,
+                    stencilConfig,
+                    channelId,
+                    Number(browserSyncPort) + index * 2,
+                ),
+            ),
+        );
+        const [firstChannel, ...extraChannels] = channels;
+        this._channelId = firstChannel.channelId;
+        this._storeSettingsLocale = firstChannel.storeSettingsLocale;
+        this._extraChannels = extraChannels;
+        return firstChannel.stencilConfig;
+    }
+
+    /**
+     * @param {Object} cliOptions
+     * @param {Object} stencilConfig
+     * @param {number} channelId
+     * @param {number} browserSyncPort
+     * @returns {Promise<{channelId: number, stencilConfig: Object, storeSettingsLocale: Object}>}
+     */
+    async fetchChannelStoreInfo(cliOptions, stencilConfig, channelId, browserSyncPort) {
+        const channelUrl = await this.getChannelUrl(stencilConfig, { ...cliOptions, channelId });
+        if (!channelUrl) {
+            throw new Error(`Channel ${channelId} was not found in the store`.red);
+        }
+        const storeInfoFromAPI = await this._themeApiClient.checkCliVersion({
+            storeUrl: channelUrl,
+        });
+        const updatedStencilConfig = this.updateStencilConfig(
+            stencilConfig,
+            storeInfoFromAPI,
+            browserSyncPort,
+        );
+        const storeSettingsLocale = await this.getStoreSettingsLocale(
+            { ...cliOptions, channelId },
+            updatedStencilConfig,
+        );
+        return { channelId, stencilConfig: updatedStencilConfig, storeSettingsLocale };
+    }
+
+    /**
+     * @param {string} channels - e.g. 1,2,3
+     * @returns {number[]}
+     */
+    getChannelIds(channels) {
+        const channelIds = String(channels)
+            .split(',')
+            .map((channelId) => channelId.trim());
+        const invalidIds = channelIds.filter((channelId) => !/^\d+$/.test(channelId));
+        if (invalidIds.length) {
+            throw new Error(`Invalid channel ids: ${invalidIds.join(', ')}`.red);
+        }
+        return [...new Set(channelIds.map(Number))];
+    }
+
+    /**
+     * Offline mode: replaces the API calls made on startup with the store info saved by --record
+     *
+     * @param {Object} cliOptions
+     * @param {Object} stencilConfig
+     * @param {number} browserSyncPort
+     * @returns {Promise<Object>} - updated stencil config
+     */
+    async readRecordedStoreInfo(cliOptions, stencilConfig, browserSyncPort) {
+        const fixtureStore = new this._FixtureStoreClass(this.getFixturesPath(cliOptions.offline));
+        const {
+            storeUrl,
+            normalStoreUrl,
+            storeSettingsLocale,
+        } = await fixtureStore.readStoreInfo();
+        this._storeSettingsLocale = storeSettingsLocale;
+        return this.updateStencilConfig(
+            stencilConfig,
+            { sslUrl: storeUrl, baseUrl: normalStoreUrl },
+            browserSyncPort,
+        );
+    }
+
+    /**
+     * @param {string} dir - fixtures directory, relative to the theme
+     * @returns {string}
+     */
+    getFixturesPath(dir) {
+        return path.resolve(this._themeConfigManager.themePath, dir);
     }
 
     async getStoreSettingsLocale(cliOptions, stencilConfig) {
@@ -83,6 +267,8 @@ class StencilStart {
             storeHash: this.storeHash,
             accessToken,
             apiHost,
+            // Channels of --channels can have their own languages
+            ...(cliOptions.channels && { channelId: cliOptions.channelId }),
         });
     }
 
@@ -125,6 +311,17 @@ class StencilStart {
         if (cliOptions.variation === true) {
             throw new Error('You have to specify a value for -v or --variation'.red);
         }
+        if (cliOptions.record && cliOptions.offline) {
+            throw new Error('You can not use --record and --offline at the same time'.red);
+        }
+        const channelsConflict = ['channelId', 'channelUrl', 'record', 'offline'].find(
+            (option) => cliOptions.channels && cliOptions[option],
+        );
+        if (channelsConflict) {
+            throw new Error(
+                `You can not use --channels and --${channelsConflict} at the same time`.red,
+            );
+        }
     }
 
     updateStencilConfig(stencilConfig, storeInfoFromAPI, browserSyncPort) {
@@ -139,16 +336,31 @@ class StencilStart {
     /**
      * @param {Object} cliOptions
      * @param {Object} stencilConfig
+     * @param {Object} [channel] - one of the channels after the first one of --channels
      * @return {Promise<any>}
      */
-    async startLocalServer(cliOptions, stencilConfig) {
+    async startLocalServer(cliOptions, stencilConfig, channel = null) {
         return Server.create({
             dotStencilFile: stencilConfig,
             variationIndex: this._themeConfigManager.variationIndex || 0,
             useCache: cliOptions.cache,
             themePath: this._themeConfigManager.themePath,
             stencilCliVersion: PACKAGE_INFO.version,
-            storeSettingsLocale: this._storeSettingsLocale,
+            storeSettingsLocale: channel ? channel.storeSettingsLocale : this._storeSettingsLocale,
+            channelId: channel && channel.channelId,
+            recordPath: cliOptions.record && this.getFixturesPath(cliOptions.record),
+            offlinePath: cliOptions.offline && this.getFixturesPath(cliOptions.offline),
+            pseudoLocale: Boolean(cliOptions.pseudoLocale),
+            missingTranslations: this._missingTranslations,
+            showMissingTranslations: Boolean(cliOptions.showMissingTranslations),
+            requestProfiles: this._requestProfiles,
+            mockStore: this._mockStore,
+            stylesheetCache: this._stylesheetCache,
+            reloadBrowsers: (files) => this._browserSync.reload(files),
+            tls: this._certificates && {
+                key: this._certificates.key,
+                cert: this._certificates.cert,
+            },
         });
     }
 
@@ -157,12 +369,10 @@ class StencilStart {
         const DEFAULT_WATCH_IGNORED = ['/assets/scss', '/assets/css'];
         const { themePath, configPath } = this._themeConfigManager;
         const { watchOptions } = this._buildConfigManager;
-        // Watch sccs directory and automatically reload all css files if a file changes
+        // Watch sccs directory and inject the stylesheets which import the changed file
         const stylesPath = path.join(themePath, 'assets/scss');
-        this._browserSync.watch(stylesPath, (event) => {
-            if (event === 'change') {
-                this._browserSync.reload('*.css');
-            }
+        this._browserSync.watch(stylesPath, { ignoreInitial: true }, (event, file) => {
+            this.reloadStylesheets(event, path.relative(stylesPath, file));
         });
         this._browserSync.watch(configPath, (event) => {
             if (event === 'change') {
@@ -183,10 +393,9 @@ class StencilStart {
             }
         });
         const templatesPath = path.join(themePath, 'templates');
-        this._browserSync.watch(templatesPath, { ignoreInitial: true }, async () => {
+        this._browserSync.watch(templatesPath, { ignoreInitial: true }, async (event, file) => {
             try {
-                const results = await this.assembleTemplates(templatesPath);
-                new this._CyclesDetector(results).detect();
+                await this.checkChangedTemplate(templatesPath, event, file);
             } catch (e) {
                 this._logger.error(e);
             }
@@ -219,39 +428,236 @@ class StencilStart {
                 ignoreInitial: true,
                 ignored: watchIgnored.map((val) => path.join(themePath, val)),
             },
-            proxy: `localhost:${Number(browserSyncPort) + 1}`,
+            proxy: `${this.getProtocol()}://localhost:${Number(browserSyncPort) + 1}`,
+            https: this._certificates && {
+                key: this._certificates.keyPath,
+                cert: this._certificates.certPath,
+            },
+            // The settings editor shows the storefront in a frame, only the frame reloads. The
+            // inspector would lose the selected request.
+            snippetOptions: {
+                blacklist: ['/__stencil/settings', '/__stencil/settings?*', '/__stencil/inspector'],
+            },
             tunnel,
+            // The UI would take the first free port after the local server, which is the port of
+            // the second channel
+            ...(this._extraChannels.length && { ui: false }),
         });
-        // Handle manual reloading of browsers by typing 'rs';
-        // Borrowed from https://github.com/remy/nodemon
-        process.stdin.resume();
-        process.stdin.setEncoding('utf8');
-        process.stdin.on('data', (data) => {
-            const normalizedData = `${data}`.trim().toLowerCase();
-            // if the keys entered match the restartable value, then restart!
-            if (normalizedData === 'rs') {
-                this._browserSync.reload();
-            }
-        });
+        this._extraChannels.forEach((channel) => this.startChannelBrowserSync(channel));
+        // Handle commands typed in the terminal, e.g. 'rs' to reload the browsers like nodemon
+        this.createDevConsole(browserSyncPort).listen(process.stdin);
+        this._logger.log(`Type ${'help'.cyan} and hit enter to see the commands of the console`);
         if (this._buildConfigManager.development) {
-            this._buildConfigManager.initWorker().development(this._browserSync);
+            this._buildConfigManager.initWorker().development(this._browserSync, setBuildError);
         }
         await this.checkLangFiles(langsPath, this._storeSettingsLocale.default_shopper_language);
     }
 
+    /**
+     * Proxies the local server of a channel after the first one of --channels. The files are only
+     * watched by the first BrowserSync, which passes its reloads on.
+     *
+     * @param {Object} channel
+     * @returns {Object} - the BrowserSync instance of the channel
+     */
+    startChannelBrowserSync(channel) {
+        const { port } = channel.stencilConfig;
+        const browserSync = this._createBrowserSync();
+        browserSync.init({
+            open: false,
+            ui: false,
+            port,
+            proxy: `${this.getProtocol()}://localhost:${Number(port) + 1}`,
+            https: this._certificates && {
+                key: this._certificates.keyPath,
+                cert: this._certificates.certPath,
+            },
+            snippetOptions: {
+                blacklist: ['/__stencil/settings', '/__stencil/settings?*', '/__stencil/inspector'],
+            },
+        });
+        for (const event of ['browser:reload', 'file:reload']) {
+            this._browserSync.emitter.on(event, (data) => {
+                browserSync.sockets.emit(event, data);
+            });
+        }
+        return browserSync;
+    }
+
+    /**
+     * @param {number} browserSyncPort
+     * @returns {DevConsole}
+     */
+    createDevConsole(browserSyncPort) {
+        const langsPath = path.join(this._themeConfigManager.themePath, 'lang');
+        return new DevConsole({
+            browserSync: this._browserSync,
+            themeConfigManager: this._themeConfigManager,
+            renderer: this.getRenderer(),
+            requestProfiles: this._requestProfiles,
+            missingTranslations: this._missingTranslations,
+            runChecks: () =>
+                Promise.all([
+                    this.checkLangFiles(
+                        langsPath,
+                        this._storeSettingsLocale.default_shopper_language,
+                    ),
+                    this.checkStylesheets(),
+                ]),
+            baseUrl: `${this.getProtocol()}://localhost:${browserSyncPort}`,
+            logger: this._logger,
+        });
+    }
+
+    /**
+     * @returns {object} - controls of the Renderer plugins of every channel
+     */
+    getRenderer() {
+        const renderers = [this._server, ...this._extraChannels.map(({ server }) => server)].map(
+            (server) => server.plugins.Renderer,
+        );
+        return {
+            clearCache: () => renderers.forEach((renderer) => renderer.clearCache()),
+            isCacheEnabled: () => renderers[0].isCacheEnabled(),
+            setUseCache: (useCache) =>
+                renderers.forEach((renderer) => renderer.setUseCache(useCache)),
+            setLocale: (locale) => renderers.forEach((renderer) => renderer.setLocale(locale)),
+        };
+    }
+
+    /**
+     * @returns {string} - protocol of the local server
+     */
+    getProtocol() {
+        return this._certificates ? 'https' : 'http';
+    }
+
+    /**
+     * Compiles the stylesheets of the current variation and logs the errors
+     *
+     * @returns {Promise<void>}
+     */
+    async checkStylesheets() {
+        const { themePath } = this._themeConfigManager;
+        const validator = new this._ScssValidatorClass(themePath, this._themeConfigManager);
+        const errors = await validator.findErrors();
+        for (const error of errors) {
+            this._logger.error(`${'Error'.red}: ${error.message}`);
+        }
+        if (!errors.length) {
+            this._logger.log(`${'ok'.green} -- Stylesheets compiled`);
+        }
+    }
+
+    /**
+     * @param {string} event - event of the watcher
+     * @param {string} file - relative to the scss folder
+     * @returns {void}
+     */
+    reloadStylesheets(event, file) {
+        if (event === 'add' || event === 'addDir' || event === 'unlinkDir') {
+            // An import of the new file was skipped while it didn't exist
+            this._stylesheetCache.clear();
+            this._browserSync.reload('*.css');
+            return;
+        }
+        if (event !== 'change' && event !== 'unlink') {
+            return;
+        }
+        const fileNames = this._stylesheetCache.invalidate(file);
+        if (fileNames.length) {
+            this._browserSync.reload(fileNames.map((fileName) => `css/${fileName}.css`));
+        }
+    }
+
+    /**
+     * Reassembles the templates which include the changed file, then checks them for circular
+     * dependencies and missing translations, and the GraphQL query of the changed file
+     *
+     * @param {string} templatesPath
+     * @param {string} event - event of the watcher
+     * @param {string} file - absolute path of the changed file
+     * @returns {Promise<void>}
+     */
+    async checkChangedTemplate(templatesPath, event, file) {
+        if (path.extname(file) !== '.html') {
+            return;
+        }
+        const templateName = this.getTemplateName(templatesPath, file);
+        // A new template can be included by a dynamicComponent of any template
+        if (event === 'add') {
+            this._templateGraph.clear();
+        }
+        if (event === 'unlink') {
+            this._templateGraph.delete(templateName);
+        }
+        const getAffectedNames = () => [
+            ...(event === 'unlink' ? [] : [templateName]),
+            ...this._templateGraph.getDependants(templateName),
+        ];
+        // The graph is built by the first change
+        const templateNames = this._templateGraph.size
+            ? getAffectedNames()
+            : await this.getTemplateNames(templatesPath);
+        const results = await this.assembleTemplates(templatesPath, templateNames);
+        templateNames.forEach((name, index) => this._templateGraph.set(name, results[index]));
+        const affectedNames = getAffectedNames();
+        new this._CyclesDetector(
+            results.filter((result, index) => affectedNames.includes(templateNames[index])),
+        ).detect();
+        const pages = affectedNames.filter((name) => name.startsWith('pages/'));
+        const action = { add: 'added', unlink: 'removed' }[event] || 'changed';
+        this._logger.log(
+            `${templateName}.html ${action}, affected pages: ${pages.join(', ') || 'none'}`,
+        );
+        if (this._storeSettingsLocale) {
+            const templates = templateNames.reduce(
+                (acc, name, index) =>
+                    affectedNames.includes(name) ? { ...acc, ...results[index] } : acc,
+                {},
+            );
+            await this._langValidator.runForTemplates(
+                templates,
+                this._storeSettingsLocale.default_shopper_language,
+            );
+        }
+        if (event !== 'unlink') {
+            await this._gqlValidator.runForFiles([file]);
+        }
+    }
+
+    /**
+     * @param {string} templatesPath
+     * @param {string} file - absolute path of a template
+     * @returns {string} - e.g. components/products/card
+     */
+    getTemplateName(templatesPath, file) {
+        // The names of the partials have forward slashes on every OS
+        return path.posix
+            .relative(upath.toUnix(templatesPath), upath.toUnix(file))
+            .replace(/\.html$/, '');
+    }
+
+    /**
+     * @param {string} templatesPath
+     * @returns {Promise<string[]>} - names of all the templates of the theme
+     */
+    async getTemplateNames(templatesPath) {
+        const filesPaths = await this._fsUtils.recursiveReadDir(templatesPath, ['!*.html']);
+        return filesPaths.map((file) => this.getTemplateName(templatesPath, file));
+    }
+
     /**
      * Assembles all the needed templates and resolves their partials.
      *
      * @param {string} templatesPath
+     * @param {string[]} [templateNames] - all the templates of the theme by default
      * @returns {object[]}
      */
-    async assembleTemplates(templatesPath) {
-        const filesPaths = await this._fsUtils.recursiveReadDir(templatesPath, ['!*.html']);
-        const templateNames = filesPaths.map((file) =>
-            file.replace(templatesPath + path.sep, '').replace('.html', ''),
-        );
+    async assembleTemplates(templatesPath, templateNames = null) {
+        const names = templateNames || (await this.getTemplateNames(templatesPath));
         return Promise.all(
-            templateNames.map(async (templateName) =>
+            names.map(async (templateName) =>
                 promisify(this._templateAssembler.assemble)(templatesPath, templateName),
             ),
         );
@@ -299,6 +705,22 @@ class StencilStart {
         information += `Store URL: ${stencilConfig.normalStoreUrl.cyan}\n`;
         information += `SSL Store URL: ${stencilConfig.storeUrl.cyan}\n`;
         information += `Node Version: ${process.version.cyan}\n`;
+        if (this._channelId) {
+            const channels = [
+                { channelId: this._channelId, stencilConfig },
+                ...this._extraChannels,
+            ];
+            for (const channel of channels) {
+                const localUrl = `${this.getProtocol()}://localhost:${channel.stencilConfig.port}`;
+                information += `Channel ${channel.channelId}: ${channel.stencilConfig.normalStoreUrl.cyan} at ${localUrl.cyan}\n`;
+            }
+        }
+        if (this._certificates) {
+            information += `Local certificate authority: ${this._certificates.caPath.cyan}\n`;
+        }
+        if (this._mockStore.exists()) {
+            information += `Mocks: ${this._mockStore.mocksPath.cyan}\n`;
+        }
         information += '\n';
         information += '-------------------------------------------------\n'.gray;
         return information;
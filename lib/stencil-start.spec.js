@@ -1,4 +1,5 @@
 import { jest } from '@jest/globals';
+import { EventEmitter } from 'events';
 import path from 'path';
 import StencilStart from './stencil-start.js';
 import stencilPushUtilsModule from './stencil-push.utils.js';
@@ -8,6 +9,7 @@ describe('StencilStart unit tests', () => {
     const getBrowserSyncStub = () => ({
         watch: jest.fn(),
         init: jest.fn(),
+        reload: jest.fn(),
     });
     const getThemeApiClientStub = () => ({
         checkCliVersion: jest.fn().mockResolvedValue({
@@ -60,6 +62,7 @@ describe('StencilStart unit tests', () => {
         stencilPushUtils,
         logger,
         storeSettingsApiClient,
+        FixtureStoreClass,
     } = {}) => {
         const passedArgs = {
             browserSync: browserSync || getBrowserSyncStub(),
@@ -74,6 +77,7 @@ describe('StencilStart unit tests', () => {
             stencilPushUtils: stencilPushUtils || getStencilPushUtilsStub(),
             logger: logger || getLoggerStub(),
             storeSettingsApiClient: storeSettingsApiClient || getStoreSettingsApiClientStub(),
+            FixtureStoreClass: FixtureStoreClass || jest.fn(),
         };
         const instance = new StencilStart(passedArgs);
         return {
@@ -180,6 +184,7 @@ describe('StencilStart unit tests', () => {
             instance.startLocalServer = jest.fn();
             instance.getStartUpInfo = jest.fn().mockReturnValue('Start up info');
             instance.checkLangFiles = jest.fn();
+            instance.createDevConsole = jest.fn().mockReturnValue({ listen: jest.fn() });
             await instance.run({});
             expect(browserSyncStub.init).toHaveBeenCalledWith(
                 expect.objectContaining({
@@ -198,6 +203,7 @@ describe('StencilStart unit tests', () => {
             instance.startLocalServer = jest.fn();
             instance.getStartUpInfo = jest.fn().mockReturnValue('Start up info');
             instance.checkLangFiles = jest.fn();
+            instance.createDevConsole = jest.fn().mockReturnValue({ listen: jest.fn() });
             await instance.run({ port });
             expect(browserSyncStub.init).toHaveBeenCalledWith(
                 expect.objectContaining({
@@ -206,4 +212,340 @@ describe('StencilStart unit tests', () => {
             );
         });
     });
+
+    describe('https option', () => {
+        it('should serve the local server and BrowserSync with the local certificate', async () => {
+            const browserSyncStub = getBrowserSyncStub();
+            const certificates = {
+                key: 'key',
+                cert: 'cert',
+                keyPath: '/certificates/localhost.key',
+                certPath: '/certificates/localhost.crt',
+                caPath: '/certificates/ca.crt',
+            };
+            const { passedArgs } = createStencilStartInstance({
+                browserSync: browserSyncStub,
+                stencilConfigManager: getStencilConfigManagerStub({ port: 3000 }),
+            });
+            const instance = new StencilStart({
+                ...passedArgs,
+                localCertificates: { get: jest.fn().mockResolvedValue(certificates) },
+            });
+            instance.startLocalServer = jest.fn();
+            instance.getStartUpInfo = jest.fn().mockReturnValue('Start up info');
+            instance.checkLangFiles = jest.fn();
+            instance.createDevConsole = jest.fn().mockReturnValue({ listen: jest.fn() });
+            await instance.run({ https: true });
+            expect(browserSyncStub.init).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    proxy: 'https://localhost:3001',
+                    https: { key: certificates.keyPath, cert: certificates.certPath },
+                }),
+            );
+            expect(instance.getProtocol()).toEqual('https');
+        });
+    });
+
+    describe('record and offline options', () => {
+        const storeInfo = {
+            storeUrl: 'https://store-abc123.mybigcommerce.com',
+            normalStoreUrl: 'https://www.example.com',
+            storeSettingsLocale: { default_shopper_language: 'en' },
+        };
+        const createInstance = ({ themeApiClient, fixtureStore }) => {
+            const { instance } = createStencilStartInstance({
+                themeApiClient,
+                FixtureStoreClass: jest.fn().mockReturnValue(fixtureStore),
+            });
+            instance.startLocalServer = jest.fn();
+            instance.startBrowserSync = jest.fn();
+            instance.getStartUpInfo = jest.fn().mockReturnValue('Start up info');
+            return instance;
+        };
+
+        it('should not call the API and use the recorded store info when offline', async () => {
+            const themeApiClient = getThemeApiClientStub();
+            const fixtureStore = { readStoreInfo: jest.fn().mockResolvedValue(storeInfo) };
+            const instance = createInstance({ themeApiClient, fixtureStore });
+            await instance.run({ offline: '.fixtures' });
+            expect(themeApiClient.getStoreHash).not.toHaveBeenCalled();
+            expect(themeApiClient.checkCliVersion).not.toHaveBeenCalled();
+            expect(instance.startLocalServer).toHaveBeenCalledWith(
+                { offline: '.fixtures' },
+                expect.objectContaining({
+                    storeUrl: storeInfo.storeUrl,
+                    normalStoreUrl: storeInfo.normalStoreUrl,
+                }),
+            );
+        });
+
+        it('should save the store info fetched from the API when recording', async () => {
+            const fixtureStore = { writeStoreInfo: jest.fn() };
+            const instance = createInstance({
+                themeApiClient: getThemeApiClientStub(),
+                fixtureStore,
+            });
+            await instance.run({ record: '.fixtures', channelId: 5 });
+            expect(fixtureStore.writeStoreInfo).toHaveBeenCalledWith({
+                storeUrl: 'https://example.com',
+                normalStoreUrl: 'example.com',
+                storeSettingsLocale: { default_shopper_language: 'en_US' },
+            });
+        });
+
+        it('should throw an error if both options are passed', async () => {
+            const { instance } = createStencilStartInstance();
+            await expect(instance.run({ record: 'a', offline: 'b' })).rejects.toThrow(
+                'You can not use --record and --offline at the same time',
+            );
+        });
+    });
+
+    describe('channels option', () => {
+        const getChannelsThemeApiClientStub = () => ({
+            ...getThemeApiClientStub(),
+            getStoreChannels: jest.fn().mockResolvedValue([
+                { channel_id: 1, url: 'https://one.example.com' },
+                { channel_id: 2, url: 'https://two.example.com' },
+            ]),
+            checkCliVersion: jest.fn(async ({ storeUrl }) => ({
+                baseUrl: storeUrl,
+                sslUrl: storeUrl,
+            })),
+        });
+        const createInstance = () => {
+            const mainBrowserSync = { ...getBrowserSyncStub(), emitter: new EventEmitter() };
+            const channelBrowserSync = { init: jest.fn(), sockets: { emit: jest.fn() } };
+            const storeSettingsApiClient = getStoreSettingsApiClientStub();
+            const logger = getLoggerStub();
+            const { passedArgs } = createStencilStartInstance({
+                browserSync: mainBrowserSync,
+                themeApiClient: getChannelsThemeApiClientStub(),
+                stencilConfigManager: {
+                    ...getStencilConfigManagerStub({ port: 3000 }),
+                    configPath: '/theme/config.stencil.json',
+                    secretsPath: '/theme/secrets.stencil.json',
+                },
+                storeSettingsApiClient,
+                logger,
+            });
+            const instance = new StencilStart({
+                ...passedArgs,
+                createBrowserSync: () => channelBrowserSync,
+            });
+            instance.startLocalServer = jest.fn().mockResolvedValue({});
+            instance.checkLangFiles = jest.fn();
+            instance.createDevConsole = jest.fn().mockReturnValue({ listen: jest.fn() });
+            return {
+                instance,
+                mainBrowserSync,
+                channelBrowserSync,
+                storeSettingsApiClient,
+                logger,
+            };
+        };
+
+        it('should start a local server per channel on consecutive ports', async () => {
+            const { instance, storeSettingsApiClient } = createInstance();
+            await instance.run({ channels: '1,2' });
+            expect(instance.startLocalServer).toHaveBeenCalledWith(
+                { channels: '1,2' },
+                expect.objectContaining({ normalStoreUrl: 'https://one.example.com', port: 3000 }),
+            );
+            expect(instance.startLocalServer).toHaveBeenCalledWith(
+                { channels: '1,2' },
+                expect.objectContaining({ normalStoreUrl: 'https://two.example.com', port: 3002 }),
+                expect.objectContaining({ channelId: 2 }),
+            );
+            expect(storeSettingsApiClient.getStoreSettingsLocale).toHaveBeenCalledWith(
+                expect.objectContaining({ channelId: 2 }),
+            );
+        });
+
+        it('should list every channel in the startup information', async () => {
+            const { instance, logger } = createInstance();
+            await instance.run({ channels: '1,2' });
+            const information = logger.log.mock.calls.map(([message]) => message).join('\n');
+            expect(information).toMatch(/Channel 1: .*one\.example\.com.* at .*localhost:3000/);
+            expect(information).toMatch(/Channel 2: .*two\.example\.com.* at .*localhost:3002/);
+        });
+
+        it('should proxy the other channels and pass the reloads on to them', async () => {
+            const { instance, mainBrowserSync, channelBrowserSync } = createInstance();
+            await instance.run({ channels: '1,2' });
+            expect(channelBrowserSync.init).toHaveBeenCalledWith(
+                expect.objectContaining({ port: 3002, proxy: 'http://localhost:3003' }),
+            );
+            mainBrowserSync.emitter.emit('file:reload', { path: 'theme.css' });
+            expect(channelBrowserSync.sockets.emit).toHaveBeenCalledWith('file:reload', {
+                path: 'theme.css',
+            });
+        });
+
+        it('should not start the UI of BrowserSync on the port of the second channel', async () => {
+            const { instance, mainBrowserSync } = createInstance();
+            await instance.run({ channels: '1,2' });
+            expect(mainBrowserSync.init).toHaveBeenCalledWith(
+                expect.objectContaining({ port: 3000, ui: false }),
+            );
+        });
+
+        it('should reject invalid channel ids', () => {
+            const { instance } = createStencilStartInstance();
+            expect(instance.getChannelIds('1, 2,2')).toEqual([1, 2]);
+            expect(() => instance.getChannelIds('1,abc')).toThrow('Invalid channel ids: abc');
+        });
+
+        it('should not be combined with a single channel', async () => {
+            const { instance } = createStencilStartInstance();
+            await expect(instance.run({ channels: '1,2', channelId: 1 })).rejects.toThrow(
+                'You can not use --channels and --channelId at the same time',
+            );
+        });
+    });
+
+    describe('reloadStylesheets method', () => {
+        const getStylesheetCacheStub = () => ({
+            invalidate: jest.fn().mockReturnValue(['theme-00000000-0000-0000-0000-000000000001']),
+            clear: jest.fn(),
+        });
+
+        it('should only inject the stylesheets which import the changed file', () => {
+            const browserSync = getBrowserSyncStub();
+            const stylesheetCache = getStylesheetCacheStub();
+            const instance = new StencilStart({ browserSync, stylesheetCache });
+            instance.reloadStylesheets('change', 'components/_card.scss');
+            expect(stylesheetCache.invalidate).toHaveBeenCalledWith('components/_card.scss');
+            expect(browserSync.reload).toHaveBeenCalledWith([
+                'css/theme-00000000-0000-0000-0000-000000000001.css',
+            ]);
+        });
+
+        it('should not reload if no stylesheet imports the changed file', () => {
+            const browserSync = getBrowserSyncStub();
+            const stylesheetCache = getStylesheetCacheStub();
+            stylesheetCache.invalidate.mockReturnValue([]);
+            const instance = new StencilStart({ browserSync, stylesheetCache });
+            instance.reloadStylesheets('change', 'unused.scss');
+            expect(browserSync.reload).not.toHaveBeenCalled();
+        });
+
+        it('should recompile all stylesheets if a file was added', () => {
+            const browserSync = getBrowserSyncStub();
+            const stylesheetCache = getStylesheetCacheStub();
+            const instance = new StencilStart({ browserSync, stylesheetCache });
+            instance.reloadStylesheets('add', 'components/_new.scss');
+            expect(stylesheetCache.clear).toHaveBeenCalled();
+            expect(browserSync.reload).toHaveBeenCalledWith('*.css');
+        });
+    });
+
+    describe('checkStylesheets method', () => {
+        it('should log the compilation errors of the stylesheets', async () => {
+            const logger = getLoggerStub();
+            const findErrors = jest
+                .fn()
+                .mockResolvedValue([
+                    { file: 'theme.scss', line: 3, message: 'Undefined variable' },
+                ]);
+            const ScssValidatorClass = jest.fn().mockImplementation(() => ({ findErrors }));
+            const themeConfigManager = getThemeConfigManagerStub();
+            const instance = new StencilStart({ logger, ScssValidatorClass, themeConfigManager });
+            await instance.checkStylesheets();
+            expect(ScssValidatorClass).toHaveBeenCalledWith(
+                themeConfigManager.themePath,
+                themeConfigManager,
+            );
+            expect(logger.error).toHaveBeenCalledWith(
+                expect.stringContaining('Undefined variable'),
+            );
+        });
+    });
+
+    describe('checkChangedTemplate method', () => {
+        const templatesPath = '/theme/templates';
+        const templates = {
+            'pages/home': { 'pages/home': '{{> components/card}}', 'components/card': '<a></a>' },
+            'pages/product': { 'pages/product': '<h1></h1>' },
+            'components/card': { 'components/card': '<a></a>' },
+        };
+        const createInstance = () => {
+            const langValidator = { runForTemplates: jest.fn() };
+            const gqlValidator = { runForFiles: jest.fn() };
+            const CyclesDetector = jest.fn().mockReturnValue({ detect: jest.fn() });
+            const { instance, passedArgs } = createStencilStartInstance({
+                fsUtils: {
+                    recursiveReadDir: jest
+                        .fn()
+                        .mockResolvedValue(
+                            Object.keys(templates).map((name) =>
+                                path.join(templatesPath, `${name}.html`),
+                            ),
+                        ),
+                },
+                templateAssembler: {
+                    assemble: jest.fn((p, name, cb) => cb(null, templates[name])),
+                },
+                CyclesDetector,
+            });
+            instance._langValidator = langValidator; // eslint-disable-line no-underscore-dangle
+            instance._gqlValidator = gqlValidator; // eslint-disable-line no-underscore-dangle
+            instance._storeSettingsLocale = { default_shopper_language: 'en' }; // eslint-disable-line no-underscore-dangle
+            return { instance, langValidator, gqlValidator, CyclesDetector, ...passedArgs };
+        };
+
+        it('should only check the pages which include the changed partial', async () => {
+            const {
+                instance,
+                templateAssembler,
+                langValidator,
+                CyclesDetector,
+                logger,
+            } = createInstance();
+            const file = path.join(templatesPath, 'components/card.html');
+            // The first change builds the graph
+            await instance.checkChangedTemplate(templatesPath, 'change', file);
+            templateAssembler.assemble.mockClear();
+
+            await instance.checkChangedTemplate(templatesPath, 'change', file);
+
+            expect(templateAssembler.assemble.mock.calls.map((call) => call[1])).toEqual([
+                'components/card',
+                'pages/home',
+            ]);
+            expect(CyclesDetector).toHaveBeenLastCalledWith([
+                templates['components/card'],
+                templates['pages/home'],
+            ]);
+            expect(langValidator.runForTemplates).toHaveBeenLastCalledWith(
+                templates['pages/home'],
+                'en',
+            );
+            expect(logger.log).toHaveBeenLastCalledWith(
+                'components/card.html changed, affected pages: pages/home',
+            );
+        });
+
+        it('should check the GraphQL query of the changed template', async () => {
+            const { instance, gqlValidator } = createInstance();
+            const file = path.join(templatesPath, 'pages/product.html');
+
+            await instance.checkChangedTemplate(templatesPath, 'change', file);
+            expect(gqlValidator.runForFiles).toHaveBeenCalledWith([file]);
+
+            gqlValidator.runForFiles.mockClear();
+            await instance.checkChangedTemplate(templatesPath, 'unlink', file);
+            expect(gqlValidator.runForFiles).not.toHaveBeenCalled();
+        });
+
+        it('should name the templates with forward slashes on Windows', () => {
+            const { instance } = createInstance();
+            expect(
+                instance.getTemplateName(
+                    'C:\\theme\\templates',
+                    'C:\\theme\\templates\\components\\products\\card.html',
+                ),
+            ).toEqual('components/products/card');
+        });
+    });
 });
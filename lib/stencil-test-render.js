@@ -0,0 +1,276 @@
+import 'colors';
+import axios from 'axios';
+import fsModule from 'fs';
+import path from 'path';
+import { kebabCase } from 'lodash-es';
+import { THEME_PATH } from '../constants.js';
+import ThemeConfig from './theme-config.js';
+import StencilRender from './stencil-render.js';
+import fsUtilsModule from './utils/fsUtils.js';
+
+const DEFAULT_SNAPSHOTS_PATH = path.join(THEME_PATH, '.stencil', 'snapshots');
+const MAX_DIFF_LINES = 20;
+
+class StencilTestRender {
+    constructor({
+        fs = fsModule,
+        fsUtils = fsUtilsModule,
+        reqLibrary = axios,
+        logger = console,
+        themeConfig = ThemeConfig.getInstance(THEME_PATH),
+        stencilRender = new StencilRender({ themeConfig }),
+    } = {}) {
+        this._fs = fs;
+        this._fsUtils = fsUtils;
+        this._reqLibrary = reqLibrary;
+        this._logger = logger;
+        this._themeConfig = themeConfig;
+        this._stencilRender = stencilRender;
+    }
+
+    /**
+     * @param {object} options
+     * @param {string[]} options.pages - e.g. ["pages/home=home.json", "pages/product=http://localhost:3000/sample-product/"]
+     * @param {string} [options.snapshots] - directory with the baseline snapshots
+     * @param {boolean} [options.update] - overwrite the baseline with the new output
+     * @param {boolean} [options.ci] - fail instead of saving the missing snapshots
+     * @param {string} [options.locale]
+     * @returns {Promise<{added: string[], changed: string[], unchanged: string[]}>}
+     */
+    async run(options) {
+        this.runBasicChecks(options);
+        const pages = await this.loadPages(options.pages);
+        const snapshotsPath = options.snapshots
+            ? path.resolve(THEME_PATH, options.snapshots)
+            : DEFAULT_SNAPSHOTS_PATH;
+        const results = { added: [], changed: [], unchanged: [] };
+        const variationCount = await this._themeConfig.getVariationCount();
+        for (let variationIndex = 0; variationIndex < variationCount; variationIndex += 1) {
+            // eslint-disable-next-line no-await-in-loop
+            await this.testVariation(variationIndex, pages, snapshotsPath, options, results);
+        }
+        this.printResults(results, options);
+        if (results.changed.length && !options.update) {
+            throw new Error(
+                `${results.changed.length} snapshot(s) changed. Run with --update to accept the changes.`.red,
+            );
+        }
+        if (results.added.length && options.ci) {
+            throw new Error(
+                `${results.added.length} snapshot(s) missing. Run without --ci to save them.`.red,
+            );
+        }
+        return results;
+    }
+
+    /**
+     * @param {object} options
+     */
+    runBasicChecks(options) {
+        if (!this._themeConfig.configExists()) {
+            throw new Error(
+                `${
+                    'You must have a '.red + 'config.json'.cyan
+                } file in your top level theme directory.`,
+            );
+        }
+        if (!Array.isArray(options.pages) || !options.pages.length) {
+            throw new Error('You have to specify at least one page with -p or --pages'.red);
+        }
+    }
+
+    /**
+     * @param {string[]} pageSpecs
+     * @returns {Promise<{name: string, template: string, context: object}[]>}
+     */
+    async loadPages(pageSpecs) {
+        const pages = [];
+        for (const pageSpec of pageSpecs) {
+            const separatorIndex = pageSpec.indexOf('=');
+            if (separatorIndex === -1) {
+                throw new Error(
+                    `Invalid page "${pageSpec}". Use the <template>=<context file or url> format, e.g. pages/home=home.json`.red,
+                );
+            }
+            const template = pageSpec.slice(0, separatorIndex);
+            const source = pageSpec.slice(separatorIndex + 1);
+            const name = this.getPageName(template, source);
+            if (pages.some((page) => page.name === name)) {
+                throw new Error(`Page "${pageSpec}" is given more than once`.red);
+            }
+            // eslint-disable-next-line no-await-in-loop
+            const context = await this.loadContext(source);
+            pages.push({ name, template, context });
+        }
+        return pages;
+    }
+
+    /**
+     * @param {string} source - path of a context JSON file or url of a page on the local server
+     * @returns {Promise<object>}
+     */
+    async loadContext(source) {
+        if (!/^https?:\/\//.test(source)) {
+            return this._fsUtils.parseJsonFile(source);
+        }
+        const url = new URL(source);
+        url.searchParams.set('debug', 'context');
+        const response = await this._reqLibrary({ url: url.toString(), responseType: 'json' });
+        return response.data;
+    }
+
+    /**
+     * Every template and context get their own snapshot, even if the context files have the same
+     * name in different directories or the urls only differ by their query
+     *
+     * @param {string} template
+     * @param {string} source
+     * @returns {string} - path of the snapshot in the directory of the variation, without .html
+     */
+    getPageName(template, source) {
+        return `${template}/${this.getSourceName(source)}`;
+    }
+
+    /**
+     * @param {string} source
+     * @returns {string}
+     */
+    getSourceName(source) {
+        if (/^https?:\/\//.test(source)) {
+            const url = new URL(source);
+            const segments = url.pathname.split('/').filter(Boolean);
+            // "?" isn't allowed in the file names of Windows
+            return (segments.join('/') || 'home') + encodeURIComponent(url.search);
+        }
+        const relativePath = path.relative(THEME_PATH, path.resolve(THEME_PATH, source));
+        return (
+            relativePath
+                .slice(0, relativePath.length - path.extname(relativePath).length)
+                .split(path.sep)
+                // Files outside of the theme are kept in the snapshots directory too
+                .map((segment) => (segment === '..' ? '_' : segment))
+                .join('/')
+        );
+    }
+
+    /**
+     * @param {number} variationIndex
+     * @param {{name: string, template: string, context: object}[]} pages
+     * @param {string} snapshotsPath
+     * @param {object} options
+     * @param {object} results
+     * @returns {Promise<void>}
+     */
+    async testVariation(variationIndex, pages, snapshotsPath, options, results) {
+        if (!(await this._themeConfig.variationExists(variationIndex))) {
+            return;
+        }
+        this._themeConfig.setVariation(variationIndex);
+        const variation = await this._themeConfig.getVariation(variationIndex);
+        const variationPath = path.join(snapshotsPath, kebabCase(variation.name));
+        for (const page of pages) {
+            const snapshotPath = path.join(variationPath, `${page.name}.html`);
+            const id = `${variation.name}/${page.name}`;
+            // eslint-disable-next-line no-await-in-loop
+            const html = await this._stencilRender.render(
+                page.template,
+                page.context,
+                options.locale,
+            );
+            // eslint-disable-next-line no-await-in-loop
+            const baseline = await this.readSnapshot(snapshotPath);
+            const normalizedHtml = this.normalize(html);
+            if (baseline === null) {
+                results.added.push(id);
+            } else if (this.normalize(baseline) !== normalizedHtml) {
+                results.changed.push(id);
+                this._logger.log(`${'changed'.yellow} -- ${id}`);
+                this._logger.log(this.diff(this.normalize(baseline), normalizedHtml));
+            } else {
+                results.unchanged.push(id);
+                continue;
+            }
+            if (baseline === null ? !options.ci : options.update) {
+                // eslint-disable-next-line no-await-in-loop
+                await this._fs.promises.mkdir(path.dirname(snapshotPath), { recursive: true });
+                // eslint-disable-next-line no-await-in-loop
+                await this._fs.promises.writeFile(snapshotPath, html);
+            }
+        }
+    }
+
+    /**
+     * @param {string} snapshotPath
+     * @returns {Promise<string|null>}
+     */
+    async readSnapshot(snapshotPath) {
+        if (!this._fs.existsSync(snapshotPath)) {
+            return null;
+        }
+        return this._fs.promises.readFile(snapshotPath, { encoding: 'utf-8' });
+    }
+
+    /**
+     * Removes differences which don't change the page: line endings, indentation and blank lines
+     *
+     * @param {string} html
+     * @returns {string}
+     */
+    normalize(html) {
+        return html
+            .split(/\r?\n/)
+            .map((line) => line.trim())
+            .filter(Boolean)
+            .join('\n');
+    }
+
+    /**
+     * Prints the lines between the common beginning and end of both versions
+     *
+     * @param {string} baseline
+     * @param {string} current
+     * @returns {string}
+     */
+    diff(baseline, current) {
+        const oldLines = baseline.split('\n');
+        const newLines = current.split('\n');
+        let start = 0;
+        while (
+            start < oldLines.length &&
+            start < newLines.length &&
+            oldLines[start] === newLines[start]
+        ) {
+            start += 1;
+        }
+        let oldEnd = oldLines.length;
+        let newEnd = newLines.length;
+        while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+            oldEnd -= 1;
+            newEnd -= 1;
+        }
+        const lines = [
+            `@@ line ${start + 1} @@`.cyan,
+            ...oldLines.slice(start, oldEnd).map((line) => `- ${line}`.red),
+            ...newLines.slice(start, newEnd).map((line) => `+ ${line}`.green),
+        ];
+        if (lines.length > MAX_DIFF_LINES + 1) {
+            return [
+                ...lines.slice(0, MAX_DIFF_LINES + 1),
+                `... ${lines.length - MAX_DIFF_LINES - 1} more line(s)`,
+            ].join('\n');
+        }
+        return lines.join('\n');
+    }
+
+    printResults(results, options) {
+        for (const id of results.added) {
+            this._logger.log(`${'added'.green} -- ${id}`);
+        }
+        const changedMessage = options.update ? 'updated' : 'changed';
+        this._logger.log(
+            `\n${results.unchanged.length} unchanged, ${results.added.length} added, ` +
+                `${results.changed.length} ${changedMessage}`,
+        );
+    }
+}
+export default StencilTestRender;
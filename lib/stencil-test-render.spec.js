@@ -0,0 +1,225 @@
+import { jest } from '@jest/globals';
+import path from 'path';
+import StencilTestRender from './stencil-test-render.js';
+
+const snapshotsPath = '/theme/.stencil/snapshots';
+
+describe('StencilTestRender', () => {
+    const variations = [{ name: 'Light' }, { name: 'Bold Dark' }];
+    let logger;
+    let fs;
+    let fsUtils;
+    let reqLibrary;
+    let themeConfig;
+    let stencilRender;
+    let snapshots;
+    beforeEach(() => {
+        snapshots = {};
+        logger = {
+            log: jest.fn(),
+        };
+        fs = {
+            existsSync: jest.fn((filePath) => filePath in snapshots),
+            promises: {
+                mkdir: jest.fn(),
+                readFile: jest.fn(async (filePath) => snapshots[filePath]),
+                writeFile: jest.fn(),
+            },
+        };
+        fsUtils = {
+            parseJsonFile: jest.fn().mockResolvedValue({ page: 'home' }),
+        };
+        reqLibrary = jest.fn().mockResolvedValue({ data: { page: 'product' } });
+        themeConfig = {
+            variationIndex: 0,
+            configExists: () => true,
+            getVariationCount: jest.fn().mockResolvedValue(variations.length),
+            variationExists: jest.fn().mockResolvedValue(true),
+            setVariation: jest.fn((index) => {
+                themeConfig.variationIndex = index;
+            }),
+            getVariation: jest.fn(async (index) => variations[index]),
+        };
+        stencilRender = {
+            render: jest.fn(
+                async (template, context) =>
+                    `<h1>${variations[themeConfig.variationIndex].name} ${context.page}</h1>`,
+            ),
+        };
+    });
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+    const createInstance = () =>
+        new StencilTestRender({ fs, fsUtils, reqLibrary, logger, themeConfig, stencilRender });
+
+    it('should render every page for every variation and save missing snapshots', async () => {
+        const results = await createInstance().run({
+            pages: ['pages/home=contexts/home.json'],
+            snapshots: snapshotsPath,
+        });
+        expect(results.added).toEqual([
+            'Light/pages/home/contexts/home',
+            'Bold Dark/pages/home/contexts/home',
+        ]);
+        expect(themeConfig.setVariation).toHaveBeenCalledWith(0);
+        expect(themeConfig.setVariation).toHaveBeenCalledWith(1);
+        expect(stencilRender.render).toHaveBeenCalledWith(
+            'pages/home',
+            { page: 'home' },
+            undefined,
+        );
+        expect(fs.promises.writeFile).toHaveBeenCalledWith(
+            path.join(snapshotsPath, 'bold-dark', 'pages', 'home', 'contexts', 'home.html'),
+            '<h1>Bold Dark home</h1>',
+        );
+    });
+
+    it('should name the snapshots after the paths of the context files', async () => {
+        const results = await createInstance().run({
+            pages: ['pages/page=contexts/us/about.json', 'pages/page=contexts/uk/about.json'],
+            snapshots: snapshotsPath,
+        });
+        expect(results.added).toEqual([
+            'Light/pages/page/contexts/us/about',
+            'Light/pages/page/contexts/uk/about',
+            'Bold Dark/pages/page/contexts/us/about',
+            'Bold Dark/pages/page/contexts/uk/about',
+        ]);
+        expect(fs.promises.mkdir).toHaveBeenCalledWith(
+            path.join(snapshotsPath, 'light', 'pages', 'page', 'contexts', 'uk'),
+            { recursive: true },
+        );
+    });
+
+    it('should load the context of urls with ?debug=context', async () => {
+        await createInstance().run({
+            pages: ['pages/product=http://localhost:3000/sample-product/?sort=asc'],
+            snapshots: snapshotsPath,
+        });
+        expect(reqLibrary).toHaveBeenCalledWith({
+            url: 'http://localhost:3000/sample-product/?sort=asc&debug=context',
+            responseType: 'json',
+        });
+        expect(fs.promises.writeFile).toHaveBeenCalledWith(
+            path.join(
+                snapshotsPath,
+                'light',
+                'pages',
+                'product',
+                'sample-product%3Fsort%3Dasc.html',
+            ),
+            '<h1>Light product</h1>',
+        );
+    });
+
+    it('should ignore whitespace differences', async () => {
+        snapshots[path.join(snapshotsPath, 'light', 'pages', 'home', 'home.html')] =
+            '\n  <h1>Light home</h1>\r\n';
+        snapshots[path.join(snapshotsPath, 'bold-dark', 'pages', 'home', 'home.html')] =
+            '<h1>Bold Dark home</h1>';
+        const results = await createInstance().run({
+            pages: ['pages/home=home.json'],
+            snapshots: snapshotsPath,
+        });
+        expect(results.unchanged).toEqual(['Light/pages/home/home', 'Bold Dark/pages/home/home']);
+        expect(fs.promises.writeFile).not.toHaveBeenCalled();
+    });
+
+    it('should print a diff and throw an error if a snapshot changed', async () => {
+        snapshots[path.join(snapshotsPath, 'light', 'pages', 'home', 'home.html')] =
+            '<h1>Light home</h1>';
+        snapshots[path.join(snapshotsPath, 'bold-dark', 'pages', 'home', 'home.html')] =
+            '<h1>Dark home</h1>';
+        await expect(
+            createInstance().run({ pages: ['pages/home=home.json'], snapshots: snapshotsPath }),
+        ).rejects.toThrow('1 snapshot(s) changed');
+        expect(logger.log).toHaveBeenCalledWith(expect.stringContaining('<h1>Dark home</h1>'));
+        expect(fs.promises.writeFile).not.toHaveBeenCalled();
+    });
+
+    it('should overwrite changed snapshots with --update', async () => {
+        snapshots[path.join(snapshotsPath, 'light', 'pages', 'home', 'home.html')] =
+            '<h1>Light home</h1>';
+        snapshots[path.join(snapshotsPath, 'bold-dark', 'pages', 'home', 'home.html')] =
+            '<h1>Dark home</h1>';
+        const results = await createInstance().run({
+            pages: ['pages/home=home.json'],
+            snapshots: snapshotsPath,
+            update: true,
+        });
+        expect(results.changed).toEqual(['Bold Dark/pages/home/home']);
+        expect(fs.promises.writeFile).toHaveBeenCalledTimes(1);
+        expect(fs.promises.writeFile).toHaveBeenCalledWith(
+            path.join(snapshotsPath, 'bold-dark', 'pages', 'home', 'home.html'),
+            '<h1>Bold Dark home</h1>',
+        );
+    });
+
+    it('should give every template its own snapshot of the same context', async () => {
+        const results = await createInstance().run({
+            pages: ['pages/home=ctx.json', 'pages/category=ctx.json'],
+            snapshots: snapshotsPath,
+        });
+        expect(results.added).toEqual([
+            'Light/pages/home/ctx',
+            'Light/pages/category/ctx',
+            'Bold Dark/pages/home/ctx',
+            'Bold Dark/pages/category/ctx',
+        ]);
+        expect(fs.promises.writeFile).toHaveBeenCalledWith(
+            path.join(snapshotsPath, 'light', 'pages', 'category', 'ctx.html'),
+            '<h1>Light home</h1>',
+        );
+    });
+
+    it('should give urls which differ by their query their own snapshots', async () => {
+        const results = await createInstance().run({
+            pages: [
+                'pages/category=http://localhost:3000/shop/',
+                'pages/category=http://localhost:3000/shop/?page=2',
+            ],
+            snapshots: snapshotsPath,
+        });
+        expect(results.added).toEqual([
+            'Light/pages/category/shop',
+            'Light/pages/category/shop%3Fpage%3D2',
+            'Bold Dark/pages/category/shop',
+            'Bold Dark/pages/category/shop%3Fpage%3D2',
+        ]);
+    });
+
+    it('should throw an error if a page is given twice', async () => {
+        await expect(
+            createInstance().run({ pages: ['pages/home=home.json', 'pages/home=./home.json'] }),
+        ).rejects.toThrow('Page "pages/home=./home.json" is given more than once');
+    });
+
+    it('should fail instead of saving the missing snapshots with --ci', async () => {
+        snapshots[path.join(snapshotsPath, 'light', 'pages', 'home', 'home.html')] =
+            '<h1>Light home</h1>';
+        await expect(
+            createInstance().run({
+                pages: ['pages/home=home.json'],
+                snapshots: snapshotsPath,
+                ci: true,
+            }),
+        ).rejects.toThrow('1 snapshot(s) missing. Run without --ci to save them.');
+        expect(fs.promises.writeFile).not.toHaveBeenCalled();
+    });
+
+    it('should throw an error if a page has no template', async () => {
+        await expect(createInstance().run({ pages: ['home.json'] })).rejects.toThrow(
+            'Invalid page "home.json"',
+        );
+    });
+
+    describe('diff', () => {
+        it('should only print the lines which differ', () => {
+            const diff = createInstance().diff('a\nb\nc\nd', 'a\nx\nc\nd');
+            expect(diff).toContain('- b');
+            expect(diff).toContain('+ x');
+            expect(diff).not.toContain('c');
+        });
+    });
+});
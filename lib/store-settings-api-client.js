@@ -2,10 +2,11 @@ import 'colors';
 import NetworkUtils from './utils/NetworkUtils.js';
 
 const networkUtils = new NetworkUtils();
-async function getStoreSettingsLocale({ apiHost, storeHash, accessToken }) {
+async function getStoreSettingsLocale({ apiHost, storeHash, accessToken, channelId }) {
     try {
+        const channelQuery = channelId ? `?channel_id=${channelId}` : '';
         const response = await networkUtils.sendApiRequest({
-            url: `${apiHost}/stores/${storeHash}/v3/settings/store/locale`,
+            url: `${apiHost}/stores/${storeHash}/v3/settings/store/locale${channelQuery}`,
             accessToken,
         });
         if (!response.data.data) {
@@ -193,9 +193,10 @@ async function getChannelActiveTheme({ accessToken, apiHost, storeHash, channelI
  * @param {string} options.accessToken
  * @param {string} options.apiHost
  * @param {string} options.storeHash
+ * @param {object} [options.logger]
  * @returns {Promise<[{channel_id, url}]>}
  */
-async function getStoreChannels({ accessToken, apiHost, storeHash }) {
+async function getStoreChannels({ accessToken, apiHost, storeHash, logger = console }) {
     try {
         const sitesResponse = await networkUtils.sendApiRequest({
             url: `${apiHost}/stores/${storeHash}/v3/sites`,
@@ -208,7 +209,7 @@ async function getStoreChannels({ accessToken, apiHost, storeHash }) {
             })
             .catch((error) => {
                 if (error.response.status === 403) {
-                    console.log(
+                    logger.log(
                         'WARNING: Version 7.4.2+ of stencil-cli added a request to the Channels resource which requires a permission missing on your current stencil cli auth token. Please generate a new auth token at your convenience which includes the "read-only channels" permission to clear up this warning. You can read more about correcting this issue here: https://github.com/bigcommerce/stencil-cli/issues/1185',
                     );
                 }
@@ -0,0 +1,57 @@
+import { mapValues } from 'lodash-es';
+import path from 'path';
+import { promisify } from 'util';
+import langAssembler from './lang-assembler.js';
+import { pseudoLocalizeTranslations } from './lang/pseudo-locale.js';
+import templateAssembler from './template-assembler.js';
+
+/**
+ * Creates the theme assembler interface for paper
+ *
+ * @param {string} themePath
+ * @param {object} [options]
+ * @param {boolean} [options.pseudoLocale] - replace every translation with an accented, longer version
+ * @returns {{templatesFolder: string, getTemplates: Function, getTranslations: Function}}
+ */
+function createThemeAssembler(themePath, { pseudoLocale = false } = {}) {
+    const templatesFolder = path.join(themePath, 'templates');
+    return {
+        templatesFolder,
+        async getTemplates(templatesPath, processor) {
+            const templates = await promisify(templateAssembler.assemble)(
+                templatesFolder,
+                templatesPath,
+            );
+            if (templates[templatesPath]) {
+                // Check if the string includes frontmatter configuration and remove it
+                const match = templates[templatesPath].match(
+                    /---\r?\n[\S\s]*\r?\n---\r?\n([\S\s]*)$/,
+                );
+                if (match && match[1]) {
+                    // eslint-disable-next-line prefer-destructuring
+                    templates[templatesPath] = match[1];
+                }
+            }
+            return processor(templates);
+        },
+        getTranslations: () => {
+            return new Promise((resolve, reject) => {
+                langAssembler.assemble((err, translations) => {
+                    if (err) {
+                        return reject(err);
+                    }
+                    return resolve(
+                        mapValues(translations, (locales) => {
+                            const parsed = JSON.parse(locales);
+                            return pseudoLocale ? pseudoLocalizeTranslations(parsed) : parsed;
+                        }),
+                    );
+                });
+            });
+        },
+    };
+}
+export { createThemeAssembler };
+export default {
+    createThemeAssembler,
+};
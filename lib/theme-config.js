@@ -1,4 +1,4 @@
-import { defaultsDeep, cloneDeep, omit, inRange, isObject } from 'lodash-es';
+import { defaultsDeep, cloneDeep, omitBy, isEqual, inRange, isObject } from 'lodash-es';
 import fs from 'fs';
 import Path from 'path';
 import glob from 'glob';
@@ -19,6 +19,8 @@ class ThemeConfig {
         this.currentVariationSettings = null;
         this.globalSettings = null;
         this.variationIndex = 0;
+        this._variationConfigs = new Map();
+        this._parent = null;
     }
 
     /**
@@ -60,10 +62,8 @@ class ThemeConfig {
         let rawConfig;
         let variation;
         // Remove all variation settings that match theme's settings
-        this.currentVariationSettings = omit(
-            newSettings,
-            (value, key) => this.globalSettings[key] === value,
-            this,
+        this.currentVariationSettings = omitBy(newSettings, (value, key) =>
+            isEqual(this.globalSettings[key], value),
         );
         if (saveToFile) {
             // Resetting the global settings so the only data saved to the file are the changes
@@ -90,6 +90,39 @@ class ThemeConfig {
         this.schemaPath = Path.join(themePath, 'schema.json');
         this.schemaTranslationsPath = Path.join(themePath, 'schemaTranslations.json');
         this.variationIndex = 0;
+        this._variationConfigs = new Map();
+        return this;
+    }
+
+    /**
+     * Returns the config of a variation with its own settings, so requests for different variations
+     * can be served at the same time. The current variation is served by this instance.
+     *
+     * @param {number} variationIndex
+     * @returns {ThemeConfig}
+     */
+    getVariationConfig(variationIndex) {
+        if (this._parent) {
+            return this._parent.getVariationConfig(variationIndex);
+        }
+        if (variationIndex === this.variationIndex) {
+            return this;
+        }
+        if (!this._variationConfigs.has(variationIndex)) {
+            const variationConfig = new ThemeConfig(this.themePath);
+            variationConfig.variationIndex = variationIndex;
+            variationConfig.setParent(this);
+            this._variationConfigs.set(variationIndex, variationConfig);
+        }
+        return this._variationConfigs.get(variationIndex);
+    }
+
+    /**
+     * @param {ThemeConfig} parent - the config of the current variation
+     * @returns {ThemeConfig}
+     */
+    setParent(parent) {
+        this._parent = parent;
         return this;
     }
 
@@ -100,6 +133,9 @@ class ThemeConfig {
      */
     resetVariationSettings() {
         this.currentVariationSettings = null;
+        for (const variationConfig of this._variationConfigs.values()) {
+            variationConfig.resetVariationSettings();
+        }
     }
 
     /**
@@ -112,6 +148,7 @@ class ThemeConfig {
         if (variationIndex !== this.variationIndex) {
             this.variationIndex = variationIndex;
             this.currentVariationSettings = null;
+            this._variationConfigs.clear();
         }
         return this;
     }
@@ -132,12 +169,9 @@ class ThemeConfig {
      * @returns {ThemeConfig}
      */
     async setVariationByName(variationName) {
-        const config = await this.getRawConfig();
         let variationIndex = 0;
         if (variationName) {
-            variationIndex = config.variations.findIndex(
-                (variation) => variation.name === variationName,
-            );
+            variationIndex = await this.getVariationIndexByName(variationName);
             if (variationIndex === -1) {
                 throw new Error(
                     `Variation: ${variationName} is not defined in the theme's config.json`,
@@ -146,9 +180,19 @@ class ThemeConfig {
         }
         this.variationIndex = variationIndex;
         this.currentVariationSettings = null;
+        this._variationConfigs.clear();
         return this;
     }
 
+    /**
+     * @param {string} variationName
+     * @returns {Promise<number>} - -1 if the variation doesn't exist
+     */
+    async getVariationIndexByName(variationName) {
+        const config = await this.getRawConfig();
+        return (config.variations || []).findIndex((variation) => variation.name === variationName);
+    }
+
     /**
      * Get theme name
      * @returns {string}
@@ -136,6 +136,15 @@ describe('ThemeConfig', () => {
             await themeConfig.updateConfig(newSettings, true);
             expect(fs.writeFileSync).toHaveBeenCalled();
         });
+        it('should only save the settings which differ from the theme settings', async () => {
+            const writeFileSyncStub = jest.spyOn(fs, 'writeFileSync').mockImplementation(jest.fn());
+            await themeConfig.updateConfig({ ...originalSettings, select: 'second' }, true);
+            const newConfig = JSON.parse(writeFileSyncStub.mock.calls[0][1]);
+            expect(newConfig.variations[0].settings).toEqual({
+                color: '#000000',
+                select: 'second',
+            });
+        });
         it('should just modify the variations section of the file', async () => {
             const configPath = path.join(themePath, 'config.json');
             const initialConfig = await parseJsonFile(configPath);
@@ -148,6 +157,36 @@ describe('ThemeConfig', () => {
             expect(newConfig).toEqual(initialConfig);
         });
     });
+    describe('getVariationConfig()', () => {
+        let themeConfig;
+        beforeEach(async () => {
+            themeConfig = ThemeConfig.getInstance(themePath);
+            await themeConfig.setVariationByName('First');
+        });
+        it('should return the instance for the current variation', async () => {
+            expect(themeConfig.getVariationConfig(0)).toBe(themeConfig);
+        });
+        it('should return the config of another variation without changing the current one', async () => {
+            const variationConfig = themeConfig.getVariationConfig(2);
+            expect(variationConfig).toBe(themeConfig.getVariationConfig(2));
+            expect((await variationConfig.getConfig()).variationName).toEqual('Third');
+            expect((await themeConfig.getConfig()).variationName).toEqual('First');
+        });
+        it('should keep the updated settings of each variation apart', async () => {
+            const variationConfig = themeConfig.getVariationConfig(1);
+            const { settings } = await variationConfig.getConfig();
+            await variationConfig.updateConfig({ ...settings, color: '#123456' });
+            expect((await variationConfig.getConfig()).settings.color).toEqual('#123456');
+            expect((await themeConfig.getConfig()).settings.color).toEqual('#000000');
+            themeConfig.resetVariationSettings();
+            expect((await variationConfig.getConfig()).settings.color).toEqual('#000000');
+        });
+        it('should return the config of the variation from the config of another variation', async () => {
+            const variationConfig = themeConfig.getVariationConfig(1);
+            expect(variationConfig.getVariationConfig(0)).toBe(themeConfig);
+            expect(variationConfig.getVariationConfig(1)).toBe(variationConfig);
+        });
+    });
     describe('getSchema()', () => {
         it('should return the correct schema', async () => {
             const themeConfig = ThemeConfig.getInstance(themePath);
@@ -18,6 +18,20 @@ async function readFromStream(stream) {
     return result;
 }
 
+/**
+ * Unlike readFromStream, keeps binary data as it is
+ *
+ * @param {ReadableStream} stream
+ * @returns {Promise<Buffer>}
+ */
+async function readBufferFromStream(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks);
+}
+
 function readStream(stream) {
     return new Promise((resolve, reject) => {
         let data = '';
@@ -46,9 +60,10 @@ function tapStream(originalStream, onData) {
     return tee; // Use this stream for downstream consumers
 }
 
-export { readFromStream, tapStream, readStream };
+export { readFromStream, readBufferFromStream, tapStream, readStream };
 export default {
     readFromStream,
+    readBufferFromStream,
     tapStream,
     readStream,
 };
@@ -1,5 +1,5 @@
 import { Readable } from 'stream';
-import { readStream, tapStream } from './asyncUtils';
+import { readBufferFromStream, readStream, tapStream } from './asyncUtils';
 
 describe('readStream', () => {
     it('should read all data from a stream and resolve with the result', async () => {
@@ -9,6 +9,14 @@ describe('readStream', () => {
     });
 });
 
+describe('readBufferFromStream', () => {
+    it('should keep the bytes of binary data', async () => {
+        const bytes = [Buffer.from([0xff, 0xd8]), Buffer.from([0xe0, 0x00])];
+        const result = await readBufferFromStream(Readable.from(bytes));
+        expect(result).toEqual(Buffer.from([0xff, 0xd8, 0xe0, 0x00]));
+    });
+});
+
 describe('tapStream', () => {
     it('should tap into a stream and call onData with the full data', () => {
         const readable = Readable.from(['foo', 'bar']);
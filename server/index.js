@@ -15,6 +15,9 @@ function buildManifest(srcManifest, options) {
     const parsedNormalUrl = new URL(options.dotStencilFile.normalStoreUrl); // The host url of the homepage;
     const storeUrl = parsedSecureUrl.protocol + '//' + parsedSecureUrl.host;
     resManifest.server.port = parseInt(options.dotStencilFile.port, 10) + 1;
+    if (options.tls) {
+        resManifest.server.tls = options.tls;
+    }
     pluginsByName['./plugins/router/router.module.js'].storeUrl = storeUrl;
     pluginsByName['./plugins/router/router.module.js'].normalStoreUrl =
         parsedNormalUrl.protocol + '//' + parsedNormalUrl.host;
@@ -24,6 +27,7 @@ function buildManifest(srcManifest, options) {
         options.stencilCliVersion;
     pluginsByName['./plugins/router/router.module.js'].accessToken =
         options.dotStencilFile.accessToken;
+    pluginsByName['./plugins/router/router.module.js'].mockStore = options.mockStore;
     pluginsByName['./plugins/renderer/renderer.module.js'].useCache = options.useCache;
     pluginsByName['./plugins/renderer/renderer.module.js'].username =
         options.dotStencilFile.username;
@@ -36,7 +40,25 @@ function buildManifest(srcManifest, options) {
     pluginsByName['./plugins/renderer/renderer.module.js'].storeUrl = storeUrl;
     pluginsByName['./plugins/renderer/renderer.module.js'].storeSettingsLocale =
         options.storeSettingsLocale;
+    pluginsByName['./plugins/renderer/renderer.module.js'].recordPath = options.recordPath;
+    pluginsByName['./plugins/renderer/renderer.module.js'].offlinePath = options.offlinePath;
+    pluginsByName['./plugins/renderer/renderer.module.js'].pseudoLocale = options.pseudoLocale;
+    pluginsByName['./plugins/renderer/renderer.module.js'].https = Boolean(options.tls);
+    pluginsByName['./plugins/renderer/renderer.module.js'].missingTranslations =
+        options.missingTranslations;
+    pluginsByName['./plugins/renderer/renderer.module.js'].showMissingTranslations =
+        options.showMissingTranslations;
+    pluginsByName['./plugins/renderer/renderer.module.js'].requestProfiles =
+        options.requestProfiles;
     pluginsByName['./plugins/theme-assets/theme-assets.module.js'].themePath = options.themePath;
+    pluginsByName['./plugins/theme-assets/theme-assets.module.js'].stylesheetCache =
+        options.stylesheetCache;
+    pluginsByName['./plugins/dev-tools/dev-tools.module.js'].reloadBrowsers =
+        options.reloadBrowsers;
+    pluginsByName['./plugins/dev-tools/dev-tools.module.js'].missingTranslations =
+        options.missingTranslations;
+    pluginsByName['./plugins/dev-tools/dev-tools.module.js'].requestProfiles =
+        options.requestProfiles;
     resManifest.register.plugins = _.reduce(
         pluginsByName,
         (pluginsArr, opts, plugin) => [...pluginsArr, { plugin, options: opts }],
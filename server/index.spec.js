@@ -0,0 +1,41 @@
+import { jest } from '@jest/globals';
+import path from 'path';
+import Server from './index.js';
+
+describe('Server', () => {
+    const createServer = (port, channelId) =>
+        Server.create({
+            dotStencilFile: {
+                storeUrl: `https://store-${channelId}.example.com`,
+                normalStoreUrl: `http://store-${channelId}.example.com`,
+                port,
+            },
+            useCache: false,
+            themePath: path.join(process.cwd(), 'test/_mocks/themes/valid'),
+            channelId,
+        });
+    let servers;
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(jest.fn());
+        servers = [await createServer(4200, 1), await createServer(4202, 2)];
+    });
+    afterAll(async () => {
+        await Promise.all(servers.map((server) => server.stop()));
+        jest.restoreAllMocks();
+    });
+
+    it('should give the server of every channel its own plugins', async () => {
+        const [first, second] = servers;
+        first.plugins.Renderer.setUseCache(true);
+        expect(first.plugins.Renderer.isCacheEnabled()).toBe(true);
+        expect(second.plugins.Renderer.isCacheEnabled()).toBe(false);
+        expect(second.info.port).toEqual(4203);
+    });
+
+    it('should keep the options of every channel in its own server', async () => {
+        const [first, second] = servers;
+        expect(first.plugins.Router.state.options.storeUrl).toEqual('https://store-1.example.com');
+        expect(second.plugins.Router.state.options.storeUrl).toEqual('https://store-2.example.com');
+        expect(first.plugins.Renderer.state.cache).not.toBe(second.plugins.Renderer.state.cache);
+    });
+});
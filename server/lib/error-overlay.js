@@ -0,0 +1,248 @@
+import fs from 'fs';
+import path from 'path';
+import { promisify } from 'util';
+import templateAssembler from '../../lib/template-assembler.js';
+import { escapeHtml } from './utils.js';
+
+const CODE_FRAME_LINES = 3;
+const frontmatterRegex = /^---\r?\n[\S\s]*?\r?\n---\r?\n/;
+// Set by the build worker of stencil.conf.cjs, shown on every page until the next successful build
+let buildError = null;
+
+/**
+ * @param {string|null} message
+ * @returns {void}
+ */
+function setBuildError(message) {
+    buildError = message;
+}
+/**
+ * @returns {string|null}
+ */
+function getBuildError() {
+    return buildError;
+}
+/**
+ * Returns the lines around the error with a marker under the column
+ *
+ * @param {string} source
+ * @param {number} line - 1-based
+ * @param {number} [column] - 1-based
+ * @returns {string}
+ */
+function getCodeFrame(source, line, column) {
+    const lines = source.split(/\r?\n/);
+    const start = Math.max(line - CODE_FRAME_LINES, 1);
+    const end = Math.min(line + CODE_FRAME_LINES, lines.length);
+    const numberWidth = String(end).length;
+    const frame = [];
+    for (let current = start; current <= end; current += 1) {
+        const gutter = `${current === line ? '>' : ' '} ${String(current).padStart(numberWidth)} |`;
+        frame.push(`${gutter} ${lines[current - 1]}`);
+        if (current === line && column) {
+            frame.push(`${' '.repeat(gutter.length)} ${' '.repeat(column - 1)}^`);
+        }
+    }
+    return frame.join('\n');
+}
+/**
+ * Finds how the root template includes the failing partial, e.g. ['pages/home', 'components/a']
+ *
+ * @param {{[string]: string}} templates - contents of the root template and all its partials
+ * @param {string} rootTemplate
+ * @param {string} failingTemplate
+ * @returns {string[]}
+ */
+function getIncludeChain(templates, rootTemplate, failingTemplate) {
+    const chains = { [rootTemplate]: [rootTemplate] };
+    const queue = [rootTemplate];
+    while (queue.length) {
+        const templateName = queue.shift();
+        if (templateName === failingTemplate) {
+            return chains[templateName];
+        }
+        const partialRegex = new RegExp(templateAssembler.partialRegex.source, 'g');
+        for (const [, partial] of (templates[templateName] || '').matchAll(partialRegex)) {
+            const partialName = partial.replace(/^["']|["']$/g, '');
+            if (!chains[partialName]) {
+                chains[partialName] = [...chains[templateName], partialName];
+                queue.push(partialName);
+            }
+        }
+    }
+    return [];
+}
+/**
+ * @param {Error} err - error thrown by paper
+ * @param {object} options
+ * @param {string} [options.templatesFolder]
+ * @param {string|string[]} options.templatePath - the template rendered by the request
+ * @param {string} options.url
+ * @returns {Promise<object>}
+ */
+async function getTemplateErrorDetails(err, { templatesFolder, templatePath, url }) {
+    // Render errors have the stack in their message
+    const message = err.name === 'RenderError' ? err.message.split(' : ')[0] : err.message;
+    const details = { title: `Template ${err.name || 'Error'}`, message, url };
+    const failingTemplate = err.details && err.details.path;
+    const rootTemplate = Array.isArray(templatePath) ? templatePath[0] : templatePath;
+    if (!templatesFolder || !failingTemplate) {
+        return details;
+    }
+    details.file = path.join('templates', `${failingTemplate}.html`);
+    try {
+        const templates = await promisify(templateAssembler.assemble)(
+            templatesFolder,
+            rootTemplate,
+        );
+        details.includeChain = getIncludeChain(templates, rootTemplate, failingTemplate);
+        const source = templates[failingTemplate];
+        // "Parse error on line 2:" or "if doesn't match each - 2:5" with a 0-based column
+        const location = / - (\d+):(\d+)$/.exec(message) || /on line (\d+):/.exec(message);
+        if (source && location) {
+            let line = Number(location[1]);
+            // Paper compiles the root template without its frontmatter
+            const frontmatter = failingTemplate === rootTemplate && frontmatterRegex.exec(source);
+            if (frontmatter) {
+                line += frontmatter[0].split('\n').length - 1;
+            }
+            details.line = line;
+            details.column = location[2] ? Number(location[2]) + 1 : undefined;
+            details.codeFrame = getCodeFrame(source, details.line, details.column);
+        }
+    } catch {
+        // The overlay still shows the message if the templates can't be read
+    }
+    return details;
+}
+/**
+ * @param {Error} err - error thrown by the sass compiler
+ * @param {object} options
+ * @param {string} options.themeAssetsPath
+ * @param {string} options.fileName - the requested stylesheet, e.g. theme.css
+ * @param {string} options.url
+ * @returns {Promise<object>}
+ */
+async function getCssErrorDetails(err, { themeAssetsPath, fileName, url }) {
+    const details = { title: 'SCSS Error', message: err.message, url };
+    if (!err.file || !err.line) {
+        return details;
+    }
+    const scssPath = path.join(themeAssetsPath, 'scss');
+    const requestedFile = `${path.parse(fileName).name}.scss`;
+    // Imported files are reported relative to the scss folder, the requested stylesheet as "stdin"
+    const file = err.file === 'stdin' ? requestedFile : err.file;
+    const { dir, base } = path.parse(file);
+    const candidates = [file, path.join(dir, `_${base}`)].map((candidate) =>
+        path.resolve(scssPath, candidate),
+    );
+    const filePath = candidates.find((candidate) => fs.existsSync(candidate));
+    const importedFrom = [
+        ...String(err.formatted).matchAll(/from line \d+ of (.+)/g),
+    ].map(([, importer]) => (importer === 'stdin' ? requestedFile : importer));
+    details.file = path.relative(path.dirname(themeAssetsPath), filePath || candidates[0]);
+    details.line = err.line;
+    details.column = err.column;
+    details.includeChain = [...importedFrom.reverse(), file];
+    if (filePath) {
+        const source = await fs.promises.readFile(filePath, 'utf-8');
+        details.codeFrame = getCodeFrame(source, err.line, err.column);
+    }
+    return details;
+}
+/**
+ * @param {object} details
+ * @returns {string[]} - the lines describing the location of the error
+ */
+function getLocationLines({ file, line, column, includeChain, url }) {
+    const lines = [];
+    if (file) {
+        lines.push([file, line, column].filter(Boolean).join(':'));
+    }
+    if (includeChain && includeChain.length > 1) {
+        lines.push(`Included from: ${includeChain.join(' > ')}`);
+    }
+    if (url) {
+        lines.push(`Request: ${url}`);
+    }
+    return lines;
+}
+/**
+ * Renders the error as a panel covering the page, it's replaced by the page once BrowserSync
+ * reloads it after the file was fixed
+ *
+ * @param {object} details
+ * @param {string} details.title
+ * @param {string} details.message
+ * @param {string} [details.file]
+ * @param {number} [details.line]
+ * @param {number} [details.column]
+ * @param {string} [details.codeFrame]
+ * @param {string[]} [details.includeChain]
+ * @param {string} [details.url]
+ * @returns {string}
+ */
+function renderErrorOverlay(details) {
+    const locationLines = getLocationLines(details)
+        .map((line) => `<div>${escapeHtml(line)}</div>`)
+        .join('');
+    const codeFrame = details.codeFrame
+        ? `<pre style="background:#111;padding:16px;overflow:auto;">${escapeHtml(
+              details.codeFrame,
+          )}</pre>`
+        : '';
+    return (
+        '<div id="stencil-error-overlay" style="position:fixed;top:0;right:0;bottom:0;left:0;' +
+        'z-index:2147483647;overflow:auto;padding:32px;background:rgba(24,24,24,0.97);color:#e8e8e8;' +
+        'font:14px/1.5 Menlo,Consolas,monospace;text-align:left;">' +
+        `<div style="color:#ff6b6b;font-size:18px;">${escapeHtml(details.title)}</div>` +
+        `<pre style="white-space:pre-wrap;color:#ffb3b3;">${escapeHtml(details.message)}</pre>` +
+        `<div style="color:#9cdcfe;margin-bottom:16px;">${locationLines}</div>` +
+        codeFrame +
+        '<div style="color:#888;">The page reloads once the file is fixed.</div>' +
+        '</div>'
+    );
+}
+/**
+ * @param {object} details
+ * @returns {string}
+ */
+function renderErrorPage(details) {
+    return (
+        '<!DOCTYPE html><html><head><meta charset="utf-8">' +
+        `<title>${escapeHtml(details.title)}</title></head>` +
+        `<body>${renderErrorOverlay(details)}</body></html>`
+    );
+}
+/**
+ * Renders the error as a stylesheet, since a stylesheet response can't add elements to the page
+ *
+ * @param {object} details
+ * @returns {string}
+ */
+function renderCssErrorOverlay(details) {
+    const text = [
+        details.title,
+        '',
+        details.message,
+        '',
+        ...getLocationLines(details),
+        '',
+        details.codeFrame || '',
+    ].join('\n');
+    const content = text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\A ');
+    return (
+        `body::before { content: "${content}"; position: fixed; top: 0; right: 0; bottom: 0; ` +
+        'left: 0; z-index: 2147483647; overflow: auto; padding: 32px; white-space: pre-wrap; ' +
+        'background: rgba(24, 24, 24, 0.97); color: #ffb3b3; font: 14px/1.5 Menlo, Consolas, monospace; }'
+    );
+}
+export { setBuildError };
+export { getBuildError };
+export { getCodeFrame };
+export { getIncludeChain };
+export { getTemplateErrorDetails };
+export { getCssErrorDetails };
+export { renderErrorOverlay };
+export { renderErrorPage };
+export { renderCssErrorOverlay };
@@ -0,0 +1,180 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    getCodeFrame,
+    getIncludeChain,
+    getTemplateErrorDetails,
+    getCssErrorDetails,
+    renderErrorOverlay,
+    renderCssErrorOverlay,
+} from './error-overlay.js';
+
+describe('error overlay', () => {
+    const writeFile = async (dir, file, content) => {
+        const filePath = path.join(dir, file);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(filePath, content);
+    };
+    let themePath;
+    beforeEach(async () => {
+        themePath = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'stencil-theme-'));
+    });
+    afterEach(async () => {
+        await fs.promises.rm(themePath, { recursive: true, force: true });
+    });
+
+    describe('getCodeFrame', () => {
+        it('should mark the line and the column of the error', () => {
+            const source = ['one', 'two', 'three', 'four', 'five', 'six'].join('\n');
+            expect(getCodeFrame(source, 2, 3)).toEqual(
+                [
+                    '  1 | one',
+                    '> 2 | two',
+                    '        ^',
+                    '  3 | three',
+                    '  4 | four',
+                    '  5 | five',
+                ].join('\n'),
+            );
+        });
+    });
+
+    describe('getIncludeChain', () => {
+        it('should return the partials including the failing template', () => {
+            const templates = {
+                'pages/home': '{{> components/header}}{{> components/list}}',
+                'components/header': '<header></header>',
+                'components/list': '{{> "components/item"}}',
+                'components/item': '{{#if}}',
+            };
+            expect(getIncludeChain(templates, 'pages/home', 'components/item')).toEqual([
+                'pages/home',
+                'components/list',
+                'components/item',
+            ]);
+        });
+    });
+
+    describe('getTemplateErrorDetails', () => {
+        it('should locate a compile error of a partial', async () => {
+            const templatesFolder = path.join(themePath, 'templates');
+            await writeFile(
+                templatesFolder,
+                'pages/home.html',
+                '<h1>Home</h1>\n{{> components/list}}',
+            );
+            await writeFile(
+                templatesFolder,
+                'components/list.html',
+                '<ul>\n    {{#if items}}\n    {{/each}}\n</ul>',
+            );
+            const err = new Error("if doesn't match each - 2:4");
+            err.name = 'CompileError';
+            err.details = { path: 'components/list' };
+
+            const details = await getTemplateErrorDetails(err, {
+                templatesFolder,
+                templatePath: 'pages/home',
+                url: '/',
+            });
+
+            expect(details).toMatchObject({
+                title: 'Template CompileError',
+                message: "if doesn't match each - 2:4",
+                file: path.join('templates', 'components/list.html'),
+                line: 2,
+                column: 5,
+                includeChain: ['pages/home', 'components/list'],
+            });
+            expect(details.codeFrame).toContain('> 2 |     {{#if items}}');
+        });
+
+        it('should count the frontmatter lines of the rendered template', async () => {
+            const templatesFolder = path.join(themePath, 'templates');
+            await writeFile(
+                templatesFolder,
+                'pages/home.html',
+                '---\nproducts:\n    new: 4\n---\n<h1>Home</h1>\n{{#if}}',
+            );
+            const err = new Error('Parse error on line 2:\n{{#if}}\n-----^');
+            err.name = 'CompileError';
+            err.details = { path: 'pages/home' };
+
+            const details = await getTemplateErrorDetails(err, {
+                templatesFolder,
+                templatePath: 'pages/home',
+            });
+
+            expect(details.line).toEqual(6);
+            expect(details.column).toBeUndefined();
+        });
+
+        it('should only keep the message of a render error', async () => {
+            const err = new Error(
+                'Missing helper: "foo" : Error: Missing helper: "foo"\n    at Object',
+            );
+            err.name = 'RenderError';
+
+            const details = await getTemplateErrorDetails(err, { templatePath: 'pages/home' });
+
+            expect(details).toEqual({
+                title: 'Template RenderError',
+                message: 'Missing helper: "foo"',
+                url: undefined,
+            });
+        });
+    });
+
+    describe('getCssErrorDetails', () => {
+        it('should locate the error in an imported partial', async () => {
+            const themeAssetsPath = path.join(themePath, 'assets');
+            await writeFile(themeAssetsPath, 'scss/theme.scss', '@import "components/broken";');
+            await writeFile(themeAssetsPath, 'scss/components/_broken.scss', '.a {\n  color: ;\n}');
+            const err = new Error('Expected expression.');
+            Object.assign(err, {
+                file: 'components/broken.scss',
+                line: 2,
+                column: 10,
+                formatted: 'Error: Expected expression.\n        from line 1 of stdin',
+            });
+
+            const details = await getCssErrorDetails(err, {
+                themeAssetsPath,
+                fileName: 'theme.css',
+                url: '/stencil/00000000-0000-0000-0000-000000000001/css/theme-1.css',
+            });
+
+            expect(details).toMatchObject({
+                title: 'SCSS Error',
+                file: path.join('assets', 'scss', 'components', '_broken.scss'),
+                line: 2,
+                column: 10,
+                includeChain: ['theme.scss', 'components/broken.scss'],
+            });
+            expect(details.codeFrame).toContain('> 2 |   color: ;');
+        });
+    });
+
+    describe('renderErrorOverlay', () => {
+        it('should escape the error', () => {
+            const overlay = renderErrorOverlay({ title: 'Template Error', message: '<script>' });
+            expect(overlay).toContain('&lt;script&gt;');
+            expect(overlay).not.toContain('<script>');
+        });
+    });
+
+    describe('renderCssErrorOverlay', () => {
+        it('should render the error as the content of a pseudo element', () => {
+            const css = renderCssErrorOverlay({
+                title: 'SCSS Error',
+                message: 'Expected "}".',
+                file: 'assets/scss/theme.scss',
+                line: 3,
+            });
+            expect(css).toContain(
+                'body::before { content: "SCSS Error\\A \\A Expected \\"}\\".\\A \\A assets/scss/theme.scss:3',
+            );
+        });
+    });
+});
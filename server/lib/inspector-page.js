@@ -0,0 +1,153 @@
+/**
+ * Renders the request inspector. The page lists the requests the local server proxied to the store,
+ * refreshes itself and shows the headers and bodies of the selected request.
+ *
+ * @returns {string}
+ */
+function renderInspectorPage() {
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Request inspector</title>
+<style>
+body { display: flex; flex-direction: column; height: 100vh; margin: 0; font: 13px/1.4 sans-serif; color: #313440; }
+header { display: flex; gap: 8px; align-items: center; padding: 8px 12px; border-bottom: 1px solid #d9dce9; }
+header h1 { font-size: 14px; margin: 0 auto 0 0; }
+main { display: flex; flex: 1; min-height: 0; }
+#list { flex: 1; overflow: auto; }
+#details { flex: 1; overflow: auto; padding: 0 12px; border-left: 1px solid #d9dce9; }
+#details:empty { display: none; }
+table { border-collapse: collapse; width: 100%; }
+th, td { padding: 4px 8px; border-bottom: 1px solid #d9dce9; text-align: left; white-space: nowrap; }
+td.url { max-width: 360px; overflow: hidden; text-overflow: ellipsis; }
+tr.selected { background: #e8ebf7; }
+tbody tr { cursor: pointer; }
+.error { color: #b00020; }
+pre { white-space: pre-wrap; word-break: break-all; background: #f5f6fa; padding: 8px; }
+h3 { font-size: 13px; margin: 16px 0 4px; }
+</style>
+</head>
+<body>
+<header>
+<h1>Request inspector</h1>
+<a href="/__stencil/inspector.har" download>Export HAR</a>
+<button type="button" id="clear">Clear</button>
+</header>
+<main>
+<div id="list">
+<table>
+<thead><tr><th>Time</th><th>Method</th><th>Url</th><th>Status</th><th>Type</th><th>Size</th><th>Duration</th><th>Cache</th></tr></thead>
+<tbody id="requests"></tbody>
+</table>
+</div>
+<div id="details"></div>
+</main>
+<script>
+(function () {
+    var selectedId = null;
+    var rows = document.getElementById('requests');
+    var details = document.getElementById('details');
+    function element(tag, text, className) {
+        var node = document.createElement(tag);
+        if (text !== undefined && text !== null) {
+            node.textContent = String(text);
+        }
+        if (className) {
+            node.className = className;
+        }
+        return node;
+    }
+    function formatCache(cache) {
+        return cache ? Object.keys(cache).map(function (phase) { return phase + ': ' + cache[phase]; }).join(', ') : '';
+    }
+    function formatHeaders(headers) {
+        return Object.keys(headers).map(function (name) {
+            return [].concat(headers[name]).map(function (value) { return name + ': ' + value; }).join('\\n');
+        }).join('\\n');
+    }
+    function formatBody(body) {
+        if (!body.size) {
+            return '(empty)';
+        }
+        if (body.text === null) {
+            return '(' + body.size + ' bytes of ' + (body.mimeType || 'binary data') + (body.truncated ? ', too large to show' : '') + ')';
+        }
+        try {
+            return JSON.stringify(JSON.parse(body.text), null, 2);
+        } catch (e) {
+            return body.text;
+        }
+    }
+    function showDetails(id) {
+        selectedId = id;
+        fetch('/__stencil/inspector/requests/' + id).then(function (response) {
+            return response.json();
+        }).then(function (entry) {
+            details.textContent = '';
+            details.appendChild(element('h2', entry.method.toUpperCase() + ' ' + entry.url));
+            var replay = element('button', 'Replay this request');
+            replay.type = 'button';
+            replay.addEventListener('click', function () {
+                fetch('/__stencil/inspector/requests/' + id + '/replay', { method: 'POST' })
+                    .then(function (response) { return response.json(); })
+                    .then(function (result) {
+                        refresh();
+                        if (result.id) {
+                            showDetails(result.id);
+                        }
+                    });
+            });
+            details.appendChild(replay);
+            if (entry.replayOf) {
+                details.appendChild(element('p', 'Replay of request #' + entry.replayOf));
+            }
+            details.appendChild(element('p', 'Status ' + entry.response.statusCode + ', ' + entry.duration + ' ms' + (entry.cache ? ', ' + formatCache(entry.cache) : '')));
+            [['Request headers', formatHeaders(entry.request.headers)],
+                ['Request body', formatBody(entry.request.body)],
+                ['Response headers', formatHeaders(entry.response.headers)],
+                ['Response body', formatBody(entry.response.body)]].forEach(function (section) {
+                details.appendChild(element('h3', section[0]));
+                details.appendChild(element('pre', section[1]));
+            });
+            refresh();
+        });
+    }
+    function refresh() {
+        fetch('/__stencil/inspector/requests').then(function (response) {
+            return response.json();
+        }).then(function (result) {
+            rows.textContent = '';
+            result.requests.forEach(function (entry) {
+                var row = element('tr', null, entry.id === selectedId ? 'selected' : '');
+                row.appendChild(element('td', entry.startedAt.slice(11, 19)));
+                row.appendChild(element('td', entry.method.toUpperCase()));
+                row.appendChild(element('td', entry.url, 'url'));
+                row.appendChild(element('td', entry.statusCode, entry.statusCode >= 400 ? 'error' : ''));
+                row.appendChild(element('td', entry.mimeType.split(';')[0]));
+                row.appendChild(element('td', entry.size));
+                row.appendChild(element('td', entry.duration + ' ms'));
+                row.appendChild(element('td', formatCache(entry.cache)));
+                row.addEventListener('click', function () { showDetails(entry.id); });
+                rows.appendChild(row);
+            });
+        });
+    }
+    document.getElementById('clear').addEventListener('click', function () {
+        fetch('/__stencil/inspector/requests', { method: 'DELETE' }).then(function () {
+            selectedId = null;
+            details.textContent = '';
+            refresh();
+        });
+    });
+    refresh();
+    setInterval(refresh, 2000);
+})();
+</script>
+</body>
+</html>`;
+}
+export { renderInspectorPage };
+export default {
+    renderInspectorPage,
+};
@@ -0,0 +1,80 @@
+import { escapeHtml } from './utils.js';
+
+// Columns of the table, in the order the phases run
+const PHASES = ['data', 'data-only', 'regions', 'templates', 'translations', 'render'];
+
+/**
+ * @param {number|null} duration - milliseconds
+ * @returns {string}
+ */
+function formatDuration(duration) {
+    return duration === null ? '' : `${Math.round(duration)} ms`;
+}
+/**
+ * @param {object} profile - result of RequestProfile.toJSON
+ * @returns {string}
+ */
+function renderProfileRow(profile) {
+    const phases = new Map(profile.phases.map((phase) => [phase.name, phase]));
+    const cells = PHASES.map((name) => {
+        const phase = phases.get(name);
+        if (!phase) {
+            return '<td></td>';
+        }
+        const cache = phase.cache
+            ? ` <span class="cache ${phase.cache}">${phase.cache}</span>`
+            : '';
+        return `<td>${formatDuration(phase.duration)}${cache}</td>`;
+    });
+    return `<tr>
+<td>${escapeHtml(profile.startedAt.slice(11, 19))}</td>
+<td>${escapeHtml(profile.method.toUpperCase())}</td>
+<td class="url"><a href="${escapeHtml(profile.url)}">${escapeHtml(profile.url)}</a></td>
+<td>${profile.statusCode === null ? '' : profile.statusCode}</td>
+${cells.join('')}
+<td><strong>${formatDuration(profile.total)}</strong></td>
+</tr>`;
+}
+/**
+ * Renders a table of the recent requests of the local server with the durations of their phases
+ *
+ * @param {object[]} profiles - results of RequestProfile.toJSON, newest first
+ * @returns {string}
+ */
+function renderProfilePage(profiles) {
+    const rows = profiles.length
+        ? profiles.map(renderProfileRow).join('\n')
+        : `<tr><td colspan="${PHASES.length + 5}">No requests yet</td></tr>`;
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Request profiles</title>
+<style>
+body { margin: 16px; font: 13px/1.4 sans-serif; color: #313440; }
+table { border-collapse: collapse; width: 100%; }
+th, td { padding: 4px 8px; border-bottom: 1px solid #d9dce9; text-align: left; white-space: nowrap; }
+td.url { max-width: 400px; overflow: hidden; text-overflow: ellipsis; }
+.cache { font-size: 11px; padding: 0 4px; border-radius: 2px; background: #d9dce9; }
+.cache.hit, .cache.fixture { background: #c9f2d0; }
+.cache.miss { background: #ffe0b3; }
+</style>
+</head>
+<body>
+<h1>Recent requests</h1>
+<p>The same durations are sent in the Server-Timing header of each page. <a href="?format=json">JSON</a></p>
+<table>
+<thead><tr><th>Time</th><th>Method</th><th>Url</th><th>Status</th>${PHASES.map(
+        (name) => `<th>${name}</th>`,
+    ).join('')}<th>Total</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+</body>
+</html>`;
+}
+export { renderProfilePage };
+export default {
+    renderProfilePage,
+};
@@ -0,0 +1,175 @@
+import zlib from 'zlib';
+
+// Request and response bodies are kept up to this size, larger requests can't be replayed
+const BODY_LIMIT = 256 * 1024;
+const REDACTED = '[redacted]';
+const REDACTED_HEADERS = ['authorization', 'proxy-authorization', 'x-auth-token', 'x-xsrf-token'];
+const TEXT_MIME_TYPES = /^(text\/|application\/(json|javascript|xml|x-www-form-urlencoded|graphql))|\+json|\+xml/;
+
+/**
+ * Keeps the name of a cookie, which helps debugging the cart, but not the session token
+ *
+ * @param {string} pair - name=value
+ * @returns {string}
+ */
+const redactCookie = (pair) => `${pair.split('=')[0]}=${REDACTED}`;
+/**
+ * @param {object} headers
+ * @returns {object} - the headers without credentials
+ */
+function redactHeaders(headers = {}) {
+    const redacted = {};
+    for (const [name, value] of Object.entries(headers)) {
+        const lowerName = name.toLowerCase();
+        if (REDACTED_HEADERS.includes(lowerName)) {
+            redacted[name] = REDACTED;
+        } else if (lowerName === 'cookie') {
+            redacted[name] = String(value).split(/;\s*/).map(redactCookie).join('; ');
+        } else if (lowerName === 'set-cookie') {
+            redacted[name] = [].concat(value).map((cookie) => {
+                const [pair, ...attributes] = cookie.split(/;\s*/);
+                return [redactCookie(pair), ...attributes].join('; ');
+            });
+        } else {
+            redacted[name] = value;
+        }
+    }
+    return redacted;
+}
+/**
+ * Collects the chunks of a body up to BODY_LIMIT
+ *
+ * @returns {{write: Function, getBuffer: Function, size: number, truncated: boolean}}
+ */
+function createBodyRecorder() {
+    const chunks = [];
+    const recorder = {
+        size: 0,
+        truncated: false,
+        write(chunk, encoding) {
+            const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, encoding);
+            if (recorder.size < BODY_LIMIT) {
+                chunks.push(buffer.subarray(0, BODY_LIMIT - recorder.size));
+            }
+            recorder.size += buffer.length;
+            recorder.truncated = recorder.size > BODY_LIMIT;
+        },
+        getBuffer() {
+            return Buffer.concat(chunks);
+        },
+    };
+    return recorder;
+}
+/**
+ * @param {Buffer} buffer
+ * @param {string} [contentEncoding]
+ * @returns {Buffer|null} - null if the body can't be decoded
+ */
+function decodeBody(buffer, contentEncoding = '') {
+    try {
+        switch (contentEncoding.toLowerCase()) {
+            case 'gzip':
+                return zlib.gunzipSync(buffer);
+            case 'deflate':
+                return zlib.inflateSync(buffer);
+            case 'br':
+                return zlib.brotliDecompressSync(buffer);
+            case '':
+            case 'identity':
+                return buffer;
+            default:
+                return null;
+        }
+    } catch (err) {
+        return null;
+    }
+}
+/**
+ * @param {object} recorder - result of createBodyRecorder
+ * @param {object} headers - headers of the request or response the body belongs to
+ * @returns {{size: number, mimeType: string, text: string|null, truncated: boolean}}
+ */
+function getBodyPreview(recorder, headers = {}) {
+    const mimeType = String(headers['content-type'] || '');
+    const preview = { size: recorder.size, mimeType, text: null, truncated: recorder.truncated };
+    if (!recorder.size || recorder.truncated) {
+        return preview;
+    }
+    const body = decodeBody(recorder.getBuffer(), headers['content-encoding']);
+    if (body && (TEXT_MIME_TYPES.test(mimeType) || !mimeType)) {
+        preview.text = body.toString('utf8');
+    }
+    return preview;
+}
+/**
+ * @param {object} headers
+ * @returns {{name: string, value: string}[]}
+ */
+function toHarHeaders(headers) {
+    return Object.entries(headers).flatMap(([name, value]) =>
+        [].concat(value).map((item) => ({ name, value: String(item) })),
+    );
+}
+/**
+ * Converts inspected requests to the HTTP Archive format, which browsers and proxies can import
+ *
+ * @param {object[]} entries - inspected requests, newest first
+ * @param {object} creator
+ * @param {string} creator.name
+ * @param {string} creator.version
+ * @returns {object}
+ */
+function toHar(entries, creator) {
+    return {
+        log: {
+            version: '1.2',
+            creator,
+            entries: [...entries].reverse().map((entry) => {
+                const url = new URL(
+                    entry.url,
+                    `http://${entry.request.headers.host || 'localhost'}`,
+                );
+                const request = {
+                    method: entry.method.toUpperCase(),
+                    url: url.toString(),
+                    httpVersion: 'HTTP/1.1',
+                    headers: toHarHeaders(entry.request.headers),
+                    queryString: [...url.searchParams].map(([name, value]) => ({ name, value })),
+                    cookies: [],
+                    headersSize: -1,
+                    bodySize: entry.request.body.size,
+                };
+                if (entry.request.body.size) {
+                    request.postData = {
+                        mimeType: entry.request.body.mimeType,
+                        text: entry.request.body.text || '',
+                    };
+                }
+                return {
+                    startedDateTime: entry.startedAt,
+                    time: entry.duration,
+                    request,
+                    response: {
+                        status: entry.response.statusCode,
+                        statusText: '',
+                        httpVersion: 'HTTP/1.1',
+                        headers: toHarHeaders(entry.response.headers),
+                        cookies: [],
+                        content: {
+                            size: entry.response.body.size,
+                            mimeType: entry.response.body.mimeType,
+                            text: entry.response.body.text || '',
+                        },
+                        redirectURL: entry.response.headers.location || '',
+                        headersSize: -1,
+                        bodySize: entry.response.body.size,
+                    },
+                    cache: {},
+                    timings: { send: 0, wait: entry.duration, receive: 0 },
+                    comment: entry.cache ? `cache: ${JSON.stringify(entry.cache)}` : '',
+                };
+            }),
+        },
+    };
+}
+export { BODY_LIMIT, redactHeaders, createBodyRecorder, getBodyPreview, toHar };
@@ -0,0 +1,36 @@
+import { BODY_LIMIT, createBodyRecorder, getBodyPreview } from './request-inspector.js';
+
+describe('getBodyPreview', () => {
+    it('should show text bodies', () => {
+        const recorder = createBodyRecorder();
+        recorder.write('a=1&');
+        recorder.write(Buffer.from('b=2'));
+        expect(
+            getBodyPreview(recorder, { 'content-type': 'application/x-www-form-urlencoded' }),
+        ).toEqual({
+            size: 7,
+            mimeType: 'application/x-www-form-urlencoded',
+            text: 'a=1&b=2',
+            truncated: false,
+        });
+    });
+
+    it('should not show binary bodies', () => {
+        const recorder = createBodyRecorder();
+        recorder.write(Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+        expect(getBodyPreview(recorder, { 'content-type': 'image/png' }).text).toBeNull();
+    });
+
+    it('should only keep the beginning of large bodies', () => {
+        const recorder = createBodyRecorder();
+        recorder.write(Buffer.alloc(BODY_LIMIT - 1));
+        recorder.write(Buffer.alloc(10));
+        expect(recorder.getBuffer()).toHaveLength(BODY_LIMIT);
+        expect(getBodyPreview(recorder, { 'content-type': 'text/html' })).toEqual({
+            size: BODY_LIMIT + 9,
+            mimeType: 'text/html',
+            text: null,
+            truncated: true,
+        });
+    });
+});
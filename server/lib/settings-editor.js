@@ -0,0 +1,192 @@
+import { escapeHtml } from './utils.js';
+
+/**
+ * Labels of schema.json are either plain text or keys of schemaTranslations.json
+ *
+ * @param {object} translations - content of schemaTranslations.json
+ * @param {string} label
+ * @returns {string}
+ */
+function translate(translations, label = '') {
+    const translation = translations[label];
+    return translation && translation.default ? translation.default : label;
+}
+/**
+ * @param {object[]} schema - content of schema.json
+ * @returns {object[]} - the settings which have a value
+ */
+function getSchemaSettings(schema) {
+    return schema.flatMap((section) => section.settings || []).filter((setting) => setting.id);
+}
+/**
+ * @param {object[]} options
+ * @param {*} value
+ * @param {object} translations
+ * @returns {string}
+ */
+function renderOptions(options, value, translations) {
+    const renderOption = (option) =>
+        `<option value="${escapeHtml(option.value)}"${
+            String(option.value) === String(value) ? ' selected' : ''
+        }>${escapeHtml(translate(translations, option.label))}</option>`;
+    const groups = new Map();
+    for (const option of options) {
+        const group = groups.get(option.group) || [];
+        groups.set(option.group, [...group, option]);
+    }
+    const html = [...groups].map(([group, groupOptions]) =>
+        group
+            ? `<optgroup label="${escapeHtml(group)}">${groupOptions
+                  .map(renderOption)
+                  .join('')}</optgroup>`
+            : groupOptions.map(renderOption).join(''),
+    );
+    // Values set in config.json which the schema doesn't offer stay selectable
+    const isKnownValue = options.some((option) => String(option.value) === String(value));
+    if (!isKnownValue && value !== undefined) {
+        html.unshift(`<option value="${escapeHtml(value)}" selected>${escapeHtml(value)}</option>`);
+    }
+    return html.join('');
+}
+/**
+ * @param {object} setting - item of schema.json
+ * @param {*} value - current value of the setting
+ * @param {object} translations
+ * @returns {string}
+ */
+function renderControl(setting, value, translations) {
+    const label = escapeHtml(translate(translations, setting.label || setting.id));
+    const attributes = `data-setting="${escapeHtml(setting.id)}" id="setting-${escapeHtml(
+        setting.id,
+    )}"`;
+    const field = (control) =>
+        `<div class="field"><label for="setting-${escapeHtml(
+            setting.id,
+        )}">${label}</label>${control}</div>`;
+    if (setting.type === 'checkbox') {
+        const checked = value ? ' checked' : '';
+        return (
+            `<div class="field checkbox"><input type="checkbox" ${attributes}${checked}>` +
+            `<label for="setting-${escapeHtml(setting.id)}">${label}</label></div>`
+        );
+    }
+    if (setting.type === 'color' && /^#[0-9a-f]{6}$/i.test(value)) {
+        return field(`<input type="color" ${attributes} value="${escapeHtml(value)}">`);
+    }
+    if (Array.isArray(setting.options)) {
+        return field(
+            `<select ${attributes}>${renderOptions(setting.options, value, translations)}</select>`,
+        );
+    }
+    const type = typeof value === 'number' ? 'number' : 'text';
+    const preview =
+        setting.type === 'optimizedCheckout-image' && value
+            ? `<img src="${escapeHtml(value)}" alt="">`
+            : '';
+    return field(
+        `<input type="${type}" ${attributes} value="${escapeHtml(
+            value === undefined ? '' : value,
+        )}">` + preview,
+    );
+}
+/**
+ * @param {object} item - heading, paragraph or setting of schema.json
+ * @param {object} settings
+ * @param {object} translations
+ * @returns {string}
+ */
+function renderSchemaItem(item, settings, translations) {
+    if (item.type === 'heading') {
+        return `<h3>${escapeHtml(translate(translations, item.content))}</h3>`;
+    }
+    if (!item.id) {
+        return item.content ? `<p>${escapeHtml(translate(translations, item.content))}</p>` : '';
+    }
+    return renderControl(item, settings[item.id], translations);
+}
+/**
+ * Renders a form with the controls of schema.json next to the storefront, every change is posted
+ * to the same url
+ *
+ * @param {object} options
+ * @param {object[]} options.schema - content of schema.json
+ * @param {object} options.translations - content of schemaTranslations.json
+ * @param {object} options.settings - settings of the current variation
+ * @param {string} options.variationName
+ * @param {string} options.previewUrl - page of the storefront to show
+ * @returns {string}
+ */
+function renderSettingsEditor({ schema, translations, settings, variationName, previewUrl }) {
+    const sections = schema
+        .map(
+            (section) =>
+                `<details open><summary>${escapeHtml(
+                    translate(translations, section.name),
+                )}</summary>${(section.settings || [])
+                    .map((item) => renderSchemaItem(item, settings, translations))
+                    .join('')}</details>`,
+        )
+        .join('');
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Theme settings - ${escapeHtml(variationName)}</title>
+<style>
+body { display: flex; height: 100vh; margin: 0; font: 13px/1.4 sans-serif; color: #313440; }
+form { width: 320px; overflow: auto; padding: 16px; border-right: 1px solid #d9dce9; box-sizing: border-box; }
+iframe { flex: 1; border: 0; }
+summary { font-weight: bold; margin: 12px 0 8px; cursor: pointer; }
+h3 { font-size: 13px; margin: 16px 0 8px; }
+.field { margin-bottom: 10px; }
+.field label { display: block; margin-bottom: 2px; }
+.field.checkbox label { display: inline; }
+.field input[type=text], .field input[type=number], .field select { width: 100%; box-sizing: border-box; }
+.field img { display: block; max-width: 100%; margin-top: 4px; }
+.actions { position: sticky; bottom: -16px; padding: 8px 0; background: #fff; }
+</style>
+</head>
+<body>
+<form id="settings">
+<h2>${escapeHtml(variationName)}</h2>
+${sections}
+<div class="actions"><button type="button" id="save">Save to config.json</button> <span id="status"></span></div>
+</form>
+<iframe src="${escapeHtml(previewUrl)}" title="Storefront"></iframe>
+<script>
+(function () {
+    var status = document.getElementById('status');
+    function post(body) {
+        status.textContent = 'Saving...';
+        return fetch(window.location.pathname, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+        }).then(function (response) {
+            status.textContent = response.ok ? (body.save ? 'Saved to config.json' : 'Applied') : 'Failed';
+        }, function () {
+            status.textContent = 'Failed';
+        });
+    }
+    document.getElementById('settings').addEventListener('change', function (event) {
+        var input = event.target;
+        var settings = {};
+        if (input.type === 'checkbox') {
+            settings[input.dataset.setting] = input.checked;
+        } else if (input.type === 'number') {
+            settings[input.dataset.setting] = Number(input.value);
+        } else {
+            settings[input.dataset.setting] = input.value;
+        }
+        post({ settings: settings });
+    });
+    document.getElementById('save').addEventListener('click', function () {
+        post({ settings: {}, save: true });
+    });
+})();
+</script>
+</body>
+</html>`;
+}
+export { getSchemaSettings };
+export { renderSettingsEditor };
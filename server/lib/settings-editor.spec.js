@@ -0,0 +1,49 @@
+import { renderSettingsEditor } from './settings-editor.js';
+
+describe('renderSettingsEditor', () => {
+    const render = (schema, settings) =>
+        renderSettingsEditor({
+            schema,
+            translations: { 'i18n.Fonts': { default: 'Fonts' } },
+            settings,
+            variationName: 'Light',
+            previewUrl: '/',
+        });
+
+    it('should group the options of font settings', () => {
+        const html = render(
+            [
+                {
+                    name: 'i18n.Fonts',
+                    settings: [
+                        {
+                            type: 'font',
+                            label: 'i18n.Fonts',
+                            id: 'body-font',
+                            options: [
+                                { group: 'Karla', label: 'Karla', value: 'Google_Karla_400' },
+                                { group: 'Karla', label: 'Karla Bold', value: 'Google_Karla_700' },
+                            ],
+                        },
+                    ],
+                },
+            ],
+            { 'body-font': 'Google_Karla_700' },
+        );
+        expect(html).toContain('<summary>Fonts</summary>');
+        expect(html).toContain(
+            '<optgroup label="Karla"><option value="Google_Karla_400">Karla</option>' +
+                '<option value="Google_Karla_700" selected>Karla Bold</option></optgroup>',
+        );
+    });
+
+    it('should render text fields for settings without options', () => {
+        const html = render(
+            [{ name: 'Header', settings: [{ type: 'input', label: 'Title', id: 'title' }] }],
+            { title: '"Welcome" <b>' },
+        );
+        expect(html).toContain(
+            '<input type="text" data-setting="title" id="setting-title" value="&#34;Welcome&#34; &lt;b&gt;">',
+        );
+    });
+});
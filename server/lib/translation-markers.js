@@ -0,0 +1,132 @@
+import { escapeHtml } from './utils.js';
+
+// The translator of paper falls back to this locale
+const DEFAULT_LOCALE = 'en';
+// Invisible characters which surround the translations of missing keys until the page is rendered
+const MARKER_START = '\u2063';
+const MARKER_END = '\u2064';
+const markerRegExp = new RegExp(
+    `${MARKER_START}(\\d+)${MARKER_START}([^${MARKER_START}${MARKER_END}]*)${MARKER_END}`,
+    'g',
+);
+const markerCharactersRegExp = new RegExp(`${MARKER_START}\\d+${MARKER_START}|${MARKER_END}`, 'g');
+// Markup can't be added to tags and to the content of these elements
+const rawContentRegExp = /<(script|style|textarea|title)\b[\s\S]*?<\/\1\s*>|<!--[\s\S]*?-->|<[^>]*>/gi;
+
+/**
+ * Locales a translation is looked up in, the same way as the translator of paper does
+ *
+ * @param {string} acceptLanguage - e.g. "fr-CA,fr;q=0.9"
+ * @returns {string[]} - e.g. ["fr-ca", "fr", "en"]
+ */
+function getLocaleChain(acceptLanguage = '') {
+    const languages = acceptLanguage
+        .split(',')
+        .map((language, index) => {
+            const [code, ...params] = language.trim().toLowerCase().split(';');
+            const quality = params.find((param) => param.trim().startsWith('q='));
+            return { code, index, quality: quality ? parseFloat(quality.split('=')[1]) : 1 };
+        })
+        .filter(({ code, quality }) => code && code !== '*' && quality > 0)
+        .sort((a, b) => b.quality - a.quality || a.index - b.index);
+    const chain = new Set();
+    for (const { code } of languages) {
+        chain.add(code);
+        chain.add(code.split('-')[0]);
+    }
+    chain.add(DEFAULT_LOCALE);
+    return [...chain];
+}
+
+/**
+ * @param {object} marker
+ * @param {string} marker.key
+ * @param {string[]} marker.chain
+ * @param {string|null} marker.fallbackLocale
+ * @returns {string}
+ */
+function renderMarker({ key, chain, fallbackLocale }) {
+    const title = `${chain.join(' → ')}: ${
+        fallbackLocale ? `using ${fallbackLocale}` : 'not found'
+    }`;
+    return (
+        `<mark class="stencil-missing-translation" style="background:#ffe066;color:#7a0000;" ` +
+        `title="${escapeHtml(title)}">${escapeHtml(key)}</mark>`
+    );
+}
+
+/**
+ * Replaces the translations of missing keys in the text of the page with markers showing the key.
+ * Translations in attributes, scripts and other places where markup isn't allowed are kept.
+ *
+ * @param {string} html
+ * @param {object[]} markers - missing keys, indexed by the number in the marked translations
+ * @returns {string}
+ */
+function addMissingTranslationMarkers(html, markers) {
+    const withoutRawMarkers = html.replace(rawContentRegExp, (content) =>
+        content.replace(markerCharactersRegExp, ''),
+    );
+    let result = withoutRawMarkers;
+    let previous;
+    // Translations can be parameters of other translations, so replace the innermost ones first
+    do {
+        previous = result;
+        result = result.replace(markerRegExp, (match, index) => renderMarker(markers[index]));
+    } while (result !== previous);
+    // Translations altered by other helpers can leave some marker characters behind
+    return result.replace(markerCharactersRegExp, '');
+}
+
+/**
+ * Records the translation keys which aren't translated to the active locale, and marks them in the
+ * rendered page if asked to. Must be called after the translations of the theme are loaded.
+ *
+ * @param {object} paper - instance of Paper
+ * @param {object} options
+ * @param {string} options.acceptLanguage
+ * @param {MissingTranslations} options.missingTranslations
+ * @param {boolean} [options.showMarkers]
+ * @param {string} [options.page] - url of the rendered page
+ * @returns {void}
+ */
+function trackMissingTranslations(
+    paper,
+    { acceptLanguage, missingTranslations, showMarkers = false, page },
+) {
+    const translator = paper.getRenderer().getTranslator();
+    if (!translator) {
+        return;
+    }
+    const chain = getLocaleChain(acceptLanguage);
+    const locale = translator.getLocale();
+    const { locales = {}, translations = {} } = translator.getLanguage();
+    const markers = [];
+    const translate = translator.translate.bind(translator);
+    translator.translate = (key, parameters) => {
+        const result = translate(key, parameters);
+        if (locales[key] === locale) {
+            return result;
+        }
+        const fallbackLocale = locales[key] || null;
+        const marker = { key, chain, fallbackLocale };
+        missingTranslations.add({
+            ...marker,
+            locale,
+            fallback: fallbackLocale ? translations[key] : null,
+            page,
+        });
+        if (!showMarkers || typeof result !== 'string') {
+            return result;
+        }
+        markers.push(marker);
+        return `${MARKER_START}${markers.length - 1}${MARKER_START}${result}${MARKER_END}`;
+    };
+    if (showMarkers) {
+        paper.addDecorator((content) =>
+            typeof content === 'string' ? addMissingTranslationMarkers(content, markers) : content,
+        );
+    }
+}
+
+export { getLocaleChain, addMissingTranslationMarkers, trackMissingTranslations };
@@ -0,0 +1,105 @@
+import Paper from '@bigcommerce/stencil-paper';
+import MissingTranslations from '../../lib/lang/MissingTranslations.js';
+import {
+    addMissingTranslationMarkers,
+    getLocaleChain,
+    trackMissingTranslations,
+} from './translation-markers.js';
+
+describe('getLocaleChain', () => {
+    it('should add the regionless locales and the default locale', () => {
+        expect(getLocaleChain('fr-CA')).toEqual(['fr-ca', 'fr', 'en']);
+    });
+
+    it('should order the locales by quality', () => {
+        expect(getLocaleChain('de;q=0.5, fr-CA, *;q=0.1, es;q=0')).toEqual([
+            'fr-ca',
+            'fr',
+            'de',
+            'en',
+        ]);
+    });
+});
+
+describe('addMissingTranslationMarkers', () => {
+    const markers = [
+        { key: 'a', chain: ['fr', 'en'], fallbackLocale: 'en' },
+        { key: 'b', chain: ['fr', 'en'], fallbackLocale: null },
+    ];
+
+    it('should replace marked translations in the text with a marker of the key', () => {
+        expect(
+            addMissingTranslationMarkers('<p>\u20630\u2063A <b>!</b>\u2064</p>', markers),
+        ).toEqual(
+            '<p><mark class="stencil-missing-translation" style="background:#ffe066;color:#7a0000;" ' +
+                'title="fr → en: using en">a</mark></p>',
+        );
+    });
+
+    it('should keep the translations in attributes and scripts', () => {
+        expect(
+            addMissingTranslationMarkers(
+                '<img alt="\u20630\u2063A\u2064"><script>var b = "\u20631\u2063b\u2064";</script>',
+                markers,
+            ),
+        ).toEqual('<img alt="A"><script>var b = "b";</script>');
+    });
+});
+
+describe('trackMissingTranslations', () => {
+    const templates = {
+        'pages/home':
+            '<title>{{lang "title"}}</title><p title="{{lang "tip"}}">{{lang "a"}} {{lang "b"}}</p>' +
+            '<script>var b = "{{lang "b"}}";</script>',
+    };
+    const assembler = {
+        getTemplates: (templatePath, processor) => Promise.resolve(processor(templates)),
+        getTranslations: () =>
+            Promise.resolve({
+                en: { title: 'Title', tip: 'Tip', a: 'A', b: 'B' },
+                fr: { title: 'Titre', a: 'Un' },
+            }),
+    };
+    const render = async (options) => {
+        const paper = new Paper({}, {}, assembler, 'handlebars-v4');
+        await paper.loadTheme('pages/home', 'fr-CA');
+        trackMissingTranslations(paper, { acceptLanguage: 'fr-CA', ...options });
+        return paper.renderTheme('pages/home', { context: {} });
+    };
+
+    it('should collect the keys missing from the active locale', async () => {
+        const missingTranslations = new MissingTranslations();
+        const html = await render({ missingTranslations, page: '/' });
+        expect(html).toContain('Un B');
+        expect(missingTranslations.getAll()).toEqual([
+            {
+                key: 'b',
+                locale: 'fr',
+                chain: ['fr-ca', 'fr', 'en'],
+                fallbackLocale: 'en',
+                fallback: 'B',
+                pages: ['/'],
+            },
+            {
+                key: 'tip',
+                locale: 'fr',
+                chain: ['fr-ca', 'fr', 'en'],
+                fallbackLocale: 'en',
+                fallback: 'Tip',
+                pages: ['/'],
+            },
+        ]);
+    });
+
+    it('should mark the missing keys in the text of the page', async () => {
+        const html = await render({
+            missingTranslations: new MissingTranslations(),
+            showMarkers: true,
+        });
+        expect(html).toEqual(
+            '<title>Titre</title><p title="Tip">Un ' +
+                '<mark class="stencil-missing-translation" style="background:#ffe066;color:#7a0000;" ' +
+                'title="fr-ca → fr → en: using en">b</mark></p><script>var b = "B";</script>',
+        );
+    });
+});
@@ -3,15 +3,19 @@ const uuidRegExp = '[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-([0-9a-f]{12
  * Strip domain from the cookies header string
  *
  * @param {string[]} cookies
+ * @param {object} [options]
+ * @param {boolean} [options.secure] - the local server uses https, so SameSite=None is allowed
  * @returns {string[]}
  */
-function stripDomainFromCookies(cookies) {
-    return cookies.map((val) =>
-        val.replace(/(?:;\s)?domain=(?:.+?)(;|$)/gi, '$1').replace(/; SameSite=none/gi, ''),
-    );
+function stripDomainFromCookies(cookies, { secure = false } = {}) {
+    return cookies.map((val) => {
+        const withoutDomain = val.replace(/(?:;\s)?domain=(?:.+?)(;|$)/gi, '$1');
+        return secure ? withoutDomain : withoutDomain.replace(/; SameSite=none/gi, '');
+    });
 }
 /**
- * Strip domain from redirectUrl if it matches the current storeUrl, if not, leave it.
+ * Strip domain from redirectUrl if it matches the current storeUrl or the local server, if not,
+ * leave it. The local server is reached with either http or https, so its urls become relative.
  *
  * @param {string} redirectUrl
  * @param {{ normalStoreUrl, storeUrl}} config
@@ -24,7 +28,11 @@ function normalizeRedirectUrl(redirectUrl, config) {
     const storeHost = new URL(config.normalStoreUrl).host;
     const secureStoreHost = new URL(config.storeUrl).host;
     const redirectUrlObj = new URL(redirectUrl);
-    if (redirectUrlObj.host === storeHost || redirectUrlObj.host === secureStoreHost) {
+    if (
+        redirectUrlObj.host === storeHost ||
+        redirectUrlObj.host === secureStoreHost ||
+        redirectUrlObj.hostname === 'localhost'
+    ) {
         // Need to strip
         return redirectUrlObj.pathname + redirectUrlObj.search + redirectUrlObj.hash;
     }
@@ -53,15 +61,43 @@ function uuid2int(uuid) {
     }
     return match ? parseInt(match[1], 10) : 0;
 }
+/**
+ * Escapes html entities
+ *
+ * @param {string} html
+ * @returns {string}
+ */
+function escapeHtml(html) {
+    const charsToReplace = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&#34;', "'": '&#39;' };
+    return String(html).replace(/[&<>"']/g, (char) => charsToReplace[char]);
+}
+/**
+ * Whether the url is a path of the local server, and not a url of another origin or scheme such as
+ * "//example.com" or "javascript:", e.g. before showing it in an iframe
+ *
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isLocalPath(url) {
+    if (typeof url !== 'string' || !url.startsWith('/') || url.startsWith('//')) {
+        return false;
+    }
+    // Browsers read "/\example.com" or a path with tabs and new lines as another host too
+    return new URL(url, 'http://localhost').origin === 'http://localhost';
+}
 export { stripDomainFromCookies };
 export { normalizeRedirectUrl };
 export { int2uuid };
 export { uuid2int };
 export { uuidRegExp };
+export { escapeHtml };
+export { isLocalPath };
 export default {
     stripDomainFromCookies,
     normalizeRedirectUrl,
     int2uuid,
     uuid2int,
     uuidRegExp,
+    escapeHtml,
+    isLocalPath,
 };
@@ -1,4 +1,10 @@
-import { uuid2int, int2uuid, normalizeRedirectUrl } from './utils.js';
+import {
+    uuid2int,
+    int2uuid,
+    normalizeRedirectUrl,
+    stripDomainFromCookies,
+    isLocalPath,
+} from './utils.js';
 
 describe('utils', () => {
     describe('uuid2int', () => {
@@ -45,5 +51,40 @@ describe('utils', () => {
             };
             expect(normalizeRedirectUrl(redirectUrl, config)).toEqual('/products?filter=name#3');
         });
+        it('should return the url without host if the redirectUrl points to the local server', () => {
+            const redirectUrl = 'http://localhost:3000/login.php';
+            const config = {
+                normalStoreUrl: 'https://store-12345678.mybigcommerce.com',
+                storeUrl: 'https://my-awesome-store.com',
+            };
+            expect(normalizeRedirectUrl(redirectUrl, config)).toEqual('/login.php');
+        });
+    });
+    describe('stripDomainFromCookies', () => {
+        const cookies = ['SHOP_TOKEN=abc; domain=.example.com; path=/; Secure; SameSite=none'];
+        it('should remove the domain and SameSite=none', () => {
+            expect(stripDomainFromCookies(cookies)).toEqual(['SHOP_TOKEN=abc; path=/; Secure']);
+        });
+        it('should keep SameSite=none for a secure local server', () => {
+            expect(stripDomainFromCookies(cookies, { secure: true })).toEqual([
+                'SHOP_TOKEN=abc; path=/; Secure; SameSite=none',
+            ]);
+        });
+    });
+    describe('isLocalPath', () => {
+        it('should accept the paths of the local server', () => {
+            expect(isLocalPath('/')).toBe(true);
+            expect(isLocalPath('/shop/?sort=price#top')).toBe(true);
+        });
+        it('should reject the urls of other origins or schemes', () => {
+            // eslint-disable-next-line no-script-url
+            expect(isLocalPath('javascript:alert(1)')).toBe(false);
+            expect(isLocalPath('https://example.com/')).toBe(false);
+            expect(isLocalPath('//example.com/')).toBe(false);
+            expect(isLocalPath('/\\example.com/')).toBe(false);
+            expect(isLocalPath('/\t/example.com/')).toBe(false);
+            expect(isLocalPath('shop/')).toBe(false);
+            expect(isLocalPath(['/a', '/b'])).toBe(false);
+        });
     });
 });
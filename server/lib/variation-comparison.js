@@ -0,0 +1,47 @@
+import { escapeHtml } from './utils.js';
+
+/**
+ * @param {string} url - page of the storefront
+ * @param {string} variationName
+ * @returns {string} - the url which renders the page in the variation
+ */
+function getVariationUrl(url, variationName) {
+    const separator = url.includes('?') ? '&' : '?';
+    return `${url}${separator}variation=${encodeURIComponent(variationName)}`;
+}
+/**
+ * Renders the same page of the storefront in every variation, next to each other
+ *
+ * @param {object} options
+ * @param {string[]} options.variationNames
+ * @param {string} options.url - page of the storefront to show
+ * @returns {string}
+ */
+function renderVariationComparison({ variationNames, url }) {
+    const columns = variationNames
+        .map(
+            (variationName) =>
+                `<section><h2>${escapeHtml(variationName)}</h2><iframe src="${escapeHtml(
+                    getVariationUrl(url, variationName),
+                )}" title="${escapeHtml(variationName)}"></iframe></section>`,
+        )
+        .join('\n');
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Variations - ${escapeHtml(url)}</title>
+<style>
+body { display: flex; height: 100vh; margin: 0; font: 13px/1.4 sans-serif; color: #313440; }
+section { display: flex; flex: 1; flex-direction: column; min-width: 0; border-right: 1px solid #d9dce9; }
+h2 { font-size: 13px; margin: 0; padding: 8px 12px; border-bottom: 1px solid #d9dce9; }
+iframe { flex: 1; border: 0; }
+</style>
+</head>
+<body>
+${columns}
+</body>
+</html>`;
+}
+export { getVariationUrl };
+export { renderVariationComparison };
@@ -0,0 +1,22 @@
+import { getVariationUrl, renderVariationComparison } from './variation-comparison.js';
+
+describe('getVariationUrl', () => {
+    it('should add the variation to the query of the url', () => {
+        expect(getVariationUrl('/', 'Bold & Warm')).toEqual('/?variation=Bold%20%26%20Warm');
+        expect(getVariationUrl('/search.php?q=shoes', 'Light')).toEqual(
+            '/search.php?q=shoes&variation=Light',
+        );
+    });
+});
+
+describe('renderVariationComparison', () => {
+    it('should render a frame per variation with escaped names', () => {
+        const html = renderVariationComparison({
+            variationNames: ['Light', '<Bold>'],
+            url: '/',
+        });
+        expect(html).toContain('<iframe src="/?variation=Light" title="Light">');
+        expect(html).toContain('<h2>&lt;Bold&gt;</h2>');
+        expect(html).toContain('<iframe src="/?variation=%3CBold%3E" title="&lt;Bold&gt;">');
+    });
+});
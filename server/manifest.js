@@ -19,6 +19,8 @@ const manifest = {
             './plugins/renderer/renderer.module.js': {},
             './plugins/router/router.module.js': {},
             './plugins/theme-assets/theme-assets.module.js': {},
+            './plugins/dev-tools/dev-tools.module.js': {},
+            './plugins/inspector/inspector.module.js': {},
         },
     },
 };
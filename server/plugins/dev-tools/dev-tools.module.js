@@ -0,0 +1,205 @@
+import { defaultsDeep, isPlainObject } from 'lodash-es';
+import * as Boom from '@hapi/boom';
+import { getSchemaSettings, renderSettingsEditor } from '../../lib/settings-editor.js';
+import { renderVariationComparison } from '../../lib/variation-comparison.js';
+import { renderProfilePage } from '../../lib/profile-page.js';
+import MissingTranslations from '../../../lib/lang/MissingTranslations.js';
+import RequestProfileStore from '../../../lib/RequestProfileStore.js';
+import { isLocalPath } from '../../lib/utils.js';
+
+const internals = {
+    options: {
+        // Called with the files to reload, or nothing to reload the whole page
+        reloadBrowsers: () => {},
+    },
+    paths: {
+        settings: '/__stencil/settings',
+        compare: '/__stencil/compare',
+        missingTranslations: '/__stencil/translations/missing',
+        profile: '/__stencil/profile',
+    },
+};
+function register(server, options) {
+    const state = { options: defaultsDeep(options, internals.options) };
+    // Shared with the renderer, which collects the keys
+    state.missingTranslations = state.options.missingTranslations || new MissingTranslations();
+    state.requestProfiles = state.options.requestProfiles || new RequestProfileStore();
+    // Kept by the server, as stencil start can run a server for each channel
+    server.expose('state', state);
+    server.route([
+        {
+            method: 'GET',
+            path: internals.paths.settings,
+            handler: internals.settingsHandler,
+        },
+        {
+            method: 'POST',
+            path: internals.paths.settings,
+            handler: internals.updateSettingsHandler,
+        },
+        {
+            method: 'GET',
+            path: internals.paths.compare,
+            handler: internals.compareHandler,
+        },
+        {
+            method: 'GET',
+            path: internals.paths.missingTranslations,
+            handler: internals.missingTranslationsHandler,
+        },
+        {
+            method: 'DELETE',
+            path: internals.paths.missingTranslations,
+            handler: internals.clearMissingTranslationsHandler,
+        },
+        {
+            method: 'GET',
+            path: internals.paths.profile,
+            handler: internals.profileHandler,
+        },
+    ]);
+}
+/**
+ * @param request
+ * @returns {{options: object, missingTranslations: MissingTranslations, requestProfiles: RequestProfileStore}} - state of the server of the request
+ */
+internals.getState = (request) => request.server.plugins.DevTools.state;
+/**
+ * @param request
+ * @returns {string} - the page of the storefront to show, "/" by default
+ */
+internals.getPageUrl = (request) => {
+    const { url = '/' } = request.query;
+    if (!isLocalPath(url)) {
+        throw Boom.badRequest('"url" must be a path of the local server, e.g. /shop/');
+    }
+    return url;
+};
+/**
+ * Renders the controls of schema.json with the settings of the current variation
+ *
+ * @param request
+ * @param h
+ */
+internals.settingsHandler = async (request, h) => {
+    const previewUrl = internals.getPageUrl(request);
+    const { themeConfig } = request.app;
+    const [configuration, schema, translations] = await Promise.all([
+        themeConfig.getConfig(),
+        themeConfig.getSchema(),
+        themeConfig.getSchemaTranslations(),
+    ]);
+    const html = renderSettingsEditor({
+        schema,
+        translations,
+        settings: configuration.settings,
+        variationName: configuration.variationName,
+        previewUrl,
+    });
+    return h.response(html).type('text/html');
+};
+/**
+ * Applies the posted settings to the current variation, and saves them to config.json if asked to
+ *
+ * @param request
+ * @param h
+ */
+internals.updateSettingsHandler = async (request, h) => {
+    const { settings = {}, save = false } = request.payload || {};
+    if (!isPlainObject(settings)) {
+        throw Boom.badRequest('"settings" must be an object');
+    }
+    const { themeConfig } = request.app;
+    const [configuration, schema] = await Promise.all([
+        themeConfig.getConfig(),
+        themeConfig.getSchema(),
+    ]);
+    const schemaSettings = getSchemaSettings(schema);
+    const unknownIds = Object.keys(settings).filter(
+        (id) => !schemaSettings.some((setting) => setting.id === id),
+    );
+    if (unknownIds.length) {
+        throw Boom.badRequest(`Unknown settings: ${unknownIds.join(', ')}`);
+    }
+    const changedSettings = schemaSettings.filter((setting) => setting.id in settings);
+    const newSettings = { ...configuration.settings };
+    for (const setting of changedSettings) {
+        // Form fields post strings, options keep the type of their value in schema.json
+        const option = (setting.options || []).find(
+            ({ value }) => String(value) === String(settings[setting.id]),
+        );
+        newSettings[setting.id] = option ? option.value : settings[setting.id];
+    }
+    await themeConfig.updateConfig(newSettings, Boolean(save));
+    if (changedSettings.length) {
+        // Settings which aren't used by the templates only change the stylesheets
+        const forceReload = changedSettings.some((setting) => setting.force_reload);
+        internals.getState(request).options.reloadBrowsers(forceReload ? undefined : '*.css');
+    }
+    const { settings: updatedSettings } = await themeConfig.getConfig();
+    return h.response({ settings: updatedSettings });
+};
+/**
+ * Renders the same page of the storefront in every variation of config.json
+ *
+ * @param request
+ * @param h
+ */
+internals.compareHandler = async (request, h) => {
+    const url = internals.getPageUrl(request);
+    const { variations = [] } = await request.app.themeConfig.getRawConfig();
+    const html = renderVariationComparison({
+        variationNames: variations.map((variation) => variation.name),
+        url,
+    });
+    return h.response(html).type('text/html');
+};
+/**
+ * Lists the translation keys missing from the active locale of the rendered pages, as json or as a
+ * csv file with ?format=csv
+ *
+ * @param request
+ * @param h
+ */
+internals.missingTranslationsHandler = (request, h) => {
+    const { missingTranslations } = internals.getState(request);
+    if (request.query.format === 'csv') {
+        return h
+            .response(missingTranslations.toCsv())
+            .type('text/csv')
+            .header('content-disposition', 'attachment; filename="missing-translations.csv"');
+    }
+    return h.response({ missing: missingTranslations.getAll() });
+};
+/**
+ * Starts a new list, e.g. after the lang files were updated
+ *
+ * @param request
+ * @param h
+ */
+internals.clearMissingTranslationsHandler = (request, h) => {
+    internals.getState(request).missingTranslations.clear();
+    return h.response().code(204);
+};
+/**
+ * Lists the recent requests with the durations of their phases, as json with ?format=json
+ *
+ * @param request
+ * @param h
+ */
+internals.profileHandler = (request, h) => {
+    const { requestProfiles } = internals.getState(request);
+    const profiles = requestProfiles.getAll().map((profile) => profile.toJSON());
+    if (request.query.format === 'json') {
+        return h.response({ requests: profiles });
+    }
+    return h.response(renderProfilePage(profiles)).type('text/html');
+};
+export const name = 'DevTools';
+export const version = '0.0.1';
+export { register };
+export default {
+    register,
+    name,
+    version,
+};
@@ -0,0 +1,199 @@
+import * as Hapi from '@hapi/hapi';
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import devTools from './dev-tools.module.js';
+import ThemeConfig from '../../../lib/theme-config.js';
+import MissingTranslations from '../../../lib/lang/MissingTranslations.js';
+import RequestProfileStore from '../../../lib/RequestProfileStore.js';
+
+describe('DevTools', () => {
+    const reloadBrowsers = jest.fn();
+    const missingTranslations = new MissingTranslations();
+    const requestProfiles = new RequestProfileStore();
+    let server;
+    let themePath;
+    let themeConfig;
+    beforeAll(async () => {
+        themePath = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'stencil-theme-'));
+        await fs.promises.cp(path.join(process.cwd(), 'test/_mocks/themes/valid'), themePath, {
+            recursive: true,
+        });
+        themeConfig = ThemeConfig.getInstance(themePath);
+        server = new Hapi.Server();
+        server.ext('onRequest', (request, h) => {
+            request.app.themeConfig = themeConfig;
+            return h.continue;
+        });
+        await server.register({
+            plugin: devTools,
+            options: { reloadBrowsers, missingTranslations, requestProfiles },
+        });
+    });
+    beforeEach(() => {
+        themeConfig.resetVariationSettings();
+        reloadBrowsers.mockClear();
+    });
+    afterAll(async () => {
+        await fs.promises.rm(themePath, { recursive: true, force: true });
+    });
+
+    describe('GET /__stencil/settings', () => {
+        it('should render the controls of schema.json with the current settings', async () => {
+            const response = await server.inject({ method: 'GET', url: '/__stencil/settings' });
+            expect(response.statusCode).toEqual(200);
+            expect(response.headers['content-type']).toContain('text/html');
+            expect(response.payload).toContain('<summary>Test</summary>');
+            expect(response.payload).toContain(
+                '<input type="color" data-setting="color" id="setting-color" value="#000000">',
+            );
+            expect(response.payload).toContain('<option value="first" selected>First</option>');
+            expect(response.payload).toContain('<iframe src="/" title="Storefront">');
+        });
+
+        it('should reject a preview url which is not a path of the local server', async () => {
+            const response = await server.inject({
+                method: 'GET',
+                url: '/__stencil/settings?url=javascript:alert(document.cookie)',
+            });
+            expect(response.statusCode).toEqual(400);
+        });
+    });
+
+    describe('POST /__stencil/settings', () => {
+        it('should update the current variation and reload the stylesheets', async () => {
+            const response = await server.inject({
+                method: 'POST',
+                url: '/__stencil/settings',
+                payload: { settings: { color: '#123456' } },
+            });
+            expect(response.statusCode).toEqual(200);
+            expect(JSON.parse(response.payload).settings.color).toEqual('#123456');
+            expect((await themeConfig.getConfig()).settings.color).toEqual('#123456');
+            expect(reloadBrowsers).toHaveBeenCalledWith('*.css');
+        });
+
+        it('should reload the pages if a setting is used by the templates', async () => {
+            await server.inject({
+                method: 'POST',
+                url: '/__stencil/settings',
+                payload: { settings: { display_that: 'yes' } },
+            });
+            expect(reloadBrowsers).toHaveBeenCalledWith(undefined);
+        });
+
+        it('should save the settings to config.json', async () => {
+            await server.inject({
+                method: 'POST',
+                url: '/__stencil/settings',
+                payload: { settings: { select: 'second' }, save: true },
+            });
+            const config = JSON.parse(
+                await fs.promises.readFile(path.join(themePath, 'config.json'), 'utf-8'),
+            );
+            expect(config.variations[0].settings.select).toEqual('second');
+            expect(config.settings.select).toEqual('first');
+        });
+
+        it('should reject settings which are not in schema.json', async () => {
+            const response = await server.inject({
+                method: 'POST',
+                url: '/__stencil/settings',
+                payload: { settings: { unknown: 1 } },
+            });
+            expect(response.statusCode).toEqual(400);
+            expect(reloadBrowsers).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('GET /__stencil/compare', () => {
+        it('should render the page in every variation', async () => {
+            const response = await server.inject({
+                method: 'GET',
+                url: '/__stencil/compare?url=/shop/?sort=price',
+            });
+            expect(response.statusCode).toEqual(200);
+            expect(response.headers['content-type']).toContain('text/html');
+            expect(response.payload).toContain('<h2>First</h2>');
+            expect(response.payload).toContain(
+                '<iframe src="/shop/?sort=price&amp;variation=Second" title="Second">',
+            );
+            expect(response.payload).toContain('<h2>Third</h2>');
+        });
+
+        it('should reject a url which is not a path of the local server', async () => {
+            const response = await server.inject({
+                method: 'GET',
+                url: '/__stencil/compare?url=//example.com/',
+            });
+            expect(response.statusCode).toEqual(400);
+        });
+    });
+
+    describe('/__stencil/translations/missing', () => {
+        beforeEach(() => {
+            missingTranslations.add({
+                key: 'header.welcome',
+                locale: 'fr',
+                chain: ['fr', 'en'],
+                fallbackLocale: 'en',
+                fallback: 'Welcome',
+                page: '/',
+            });
+        });
+
+        it('should list the missing keys', async () => {
+            const response = await server.inject({
+                method: 'GET',
+                url: '/__stencil/translations/missing',
+            });
+            expect(JSON.parse(response.payload).missing).toEqual(missingTranslations.getAll());
+        });
+
+        it('should export the missing keys as csv', async () => {
+            const response = await server.inject({
+                method: 'GET',
+                url: '/__stencil/translations/missing?format=csv',
+            });
+            expect(response.headers['content-type']).toContain('text/csv');
+            expect(response.headers['content-disposition']).toContain('missing-translations.csv');
+            expect(response.payload).toEqual(missingTranslations.toCsv());
+        });
+
+        it('should clear the missing keys', async () => {
+            const response = await server.inject({
+                method: 'DELETE',
+                url: '/__stencil/translations/missing',
+            });
+            expect(response.statusCode).toEqual(204);
+            expect(missingTranslations.size).toEqual(0);
+        });
+    });
+
+    describe('GET /__stencil/profile', () => {
+        beforeAll(async () => {
+            const profile = requestProfiles.start({ method: 'get', url: '/shop/?sort=<price>' });
+            profile.setCache('data', 'hit');
+            await profile.measure('render', () => 'html');
+            profile.end(200);
+        });
+
+        it('should list the recent requests with their phases', async () => {
+            const response = await server.inject({ method: 'GET', url: '/__stencil/profile' });
+            expect(response.headers['content-type']).toContain('text/html');
+            expect(response.payload).toContain('/shop/?sort=&lt;price&gt;');
+            expect(response.payload).toContain('<span class="cache hit">hit</span>');
+        });
+
+        it('should return the requests as json', async () => {
+            const response = await server.inject({
+                method: 'GET',
+                url: '/__stencil/profile?format=json',
+            });
+            const [request] = JSON.parse(response.payload).requests;
+            expect(request).toMatchObject({ url: '/shop/?sort=<price>', statusCode: 200 });
+            expect(request.phases.map((phase) => phase.name)).toEqual(['data', 'render']);
+        });
+    });
+});
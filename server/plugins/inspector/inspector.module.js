@@ -0,0 +1,244 @@
+import { defaultsDeep, omit } from 'lodash-es';
+import * as Boom from '@hapi/boom';
+import { PACKAGE_INFO } from '../../../constants.js';
+import RequestLog from '../../../lib/RequestLog.js';
+import {
+    createBodyRecorder,
+    getBodyPreview,
+    redactHeaders,
+    toHar,
+} from '../../lib/request-inspector.js';
+import { renderInspectorPage } from '../../lib/inspector-page.js';
+
+const internals = {
+    options: {
+        // The dev tools and the theme files are served locally, everything else goes to the store
+        ignoredPaths: ['/__stencil', '/stencil/', '/assets/', '/favicon.ico'],
+    },
+    paths: {
+        inspector: '/__stencil/inspector',
+        har: '/__stencil/inspector.har',
+        requests: '/__stencil/inspector/requests',
+        request: '/__stencil/inspector/requests/{id}',
+        replay: '/__stencil/inspector/requests/{id}/replay',
+    },
+};
+function register(server, options) {
+    const state = { options: defaultsDeep(options, internals.options) };
+    state.requestLog = state.options.requestLog || new RequestLog();
+    // Unredacted headers and bodies of the logged requests, only used to replay them
+    state.replays = new WeakMap();
+    // Kept by the server, as stencil start can run a server for each channel
+    server.expose('state', state);
+    server.ext('onRequest', internals.startRecording);
+    server.ext('onPreResponse', internals.recordResponseBody);
+    server.events.on('response', internals.saveRecording);
+    server.route([
+        {
+            method: 'GET',
+            path: internals.paths.inspector,
+            handler: (request, h) => h.response(renderInspectorPage()).type('text/html'),
+        },
+        {
+            method: 'GET',
+            path: internals.paths.har,
+            handler: internals.harHandler,
+        },
+        {
+            method: 'GET',
+            path: internals.paths.requests,
+            handler: internals.requestsHandler,
+        },
+        {
+            method: 'DELETE',
+            path: internals.paths.requests,
+            handler: internals.clearRequestsHandler,
+        },
+        {
+            method: 'GET',
+            path: internals.paths.request,
+            handler: (request) => internals.getEntry(request),
+        },
+        {
+            method: 'POST',
+            path: internals.paths.replay,
+            handler: internals.replayHandler,
+        },
+    ]);
+}
+/**
+ * @param request
+ * @returns {{options: object, requestLog: RequestLog, replays: WeakMap}} - state of the server of the request
+ */
+internals.getState = (request) => request.server.plugins.Inspector.state;
+/**
+ * Starts recording the requests which are proxied to the store
+ *
+ * @param request
+ * @param h
+ */
+internals.startRecording = (request, h) => {
+    const { ignoredPaths } = internals.getState(request).options;
+    if (ignoredPaths.some((ignoredPath) => request.path.startsWith(ignoredPath))) {
+        return h.continue;
+    }
+    const recording = {
+        ...request.plugins.Inspector,
+        // Copied before the proxy adds the credentials of the store
+        headers: { ...request.headers },
+        requestBody: createBodyRecorder(),
+        responseBody: createBodyRecorder(),
+    };
+    request.plugins.Inspector = recording;
+    request.events.on('peek', (chunk, encoding) => recording.requestBody.write(chunk, encoding));
+    return h.continue;
+};
+/**
+ * @param request
+ * @param h
+ */
+internals.recordResponseBody = (request, h) => {
+    const recording = request.plugins.Inspector;
+    if (recording && recording.requestBody && !request.response.isBoom) {
+        request.response.events.on('peek', (chunk, encoding) =>
+            recording.responseBody.write(chunk, encoding),
+        );
+    }
+    return h.continue;
+};
+/**
+ * Adds the request to the log once the response is sent
+ *
+ * @param request
+ */
+internals.saveRecording = (request) => {
+    const recording = request.plugins.Inspector;
+    if (!recording || !recording.requestBody) {
+        return;
+    }
+    const { response, info } = request;
+    const statusCode = response ? response.statusCode : null;
+    const responseHeaders = response ? response.headers : {};
+    if (response && !recording.responseBody.size && response.source && !response.source.pipe) {
+        // Errors aren't streamed
+        recording.responseBody.write(
+            typeof response.source === 'string' ? response.source : JSON.stringify(response.source),
+        );
+    }
+    const { profile } = request.app;
+    const cachedPhases = profile ? profile.getPhases().filter((phase) => phase.cache) : [];
+    const { requestLog, replays } = internals.getState(request);
+    const entry = requestLog.add({
+        startedAt: new Date(info.received).toISOString(),
+        method: request.method,
+        url: request.url.pathname + request.url.search,
+        request: {
+            headers: redactHeaders(recording.headers),
+            body: getBodyPreview(recording.requestBody, recording.headers),
+        },
+        response: {
+            statusCode,
+            headers: redactHeaders(responseHeaders),
+            body: getBodyPreview(recording.responseBody, responseHeaders),
+        },
+        duration: (info.completed || info.responded) - info.received,
+        cache: cachedPhases.length
+            ? Object.fromEntries(cachedPhases.map((phase) => [phase.name, phase.cache]))
+            : null,
+        replayOf: recording.replayOf || null,
+    });
+    replays.set(entry, {
+        headers: recording.headers,
+        payload: recording.requestBody.size ? recording.requestBody.getBuffer() : undefined,
+        truncated: recording.requestBody.truncated,
+    });
+};
+/**
+ * @param request - with the id of the logged request in its params
+ * @returns {object}
+ */
+internals.getEntry = (request) => {
+    const { id } = request.params;
+    const entry = internals.getState(request).requestLog.get(Number(id));
+    if (!entry) {
+        throw Boom.notFound(`Request ${id} is not in the log anymore`);
+    }
+    return entry;
+};
+/**
+ * Lists the logged requests without their headers and bodies
+ *
+ * @param request
+ * @param h
+ */
+internals.requestsHandler = (request, h) => {
+    const { requestLog } = internals.getState(request);
+    const requests = requestLog.getAll().map((entry) => ({
+        id: entry.id,
+        startedAt: entry.startedAt,
+        method: entry.method,
+        url: entry.url,
+        statusCode: entry.response.statusCode,
+        mimeType: entry.response.body.mimeType,
+        size: entry.response.body.size,
+        duration: entry.duration,
+        cache: entry.cache,
+        replayOf: entry.replayOf,
+    }));
+    return h.response({ requests });
+};
+/**
+ * @param request
+ * @param h
+ */
+internals.clearRequestsHandler = (request, h) => {
+    internals.getState(request).requestLog.clear();
+    return h.response().code(204);
+};
+/**
+ * Downloads the logged requests as a HAR file
+ *
+ * @param request
+ * @param h
+ */
+internals.harHandler = (request, h) => {
+    const har = toHar(internals.getState(request).requestLog.getAll(), {
+        name: 'stencil-cli',
+        version: PACKAGE_INFO.version,
+    });
+    return h
+        .response(JSON.stringify(har, null, 2))
+        .type('application/json')
+        .header('content-disposition', 'attachment; filename="stencil-requests.har"');
+};
+/**
+ * Sends a logged request again with the same headers, cookies and body. The replay is logged too.
+ *
+ * @param request
+ * @param h
+ */
+internals.replayHandler = async (request, h) => {
+    const { requestLog, replays } = internals.getState(request);
+    const entry = internals.getEntry(request);
+    const replay = replays.get(entry);
+    if (replay.truncated) {
+        throw Boom.badRequest('The body of the request is too large to replay');
+    }
+    const response = await request.server.inject({
+        method: entry.method,
+        url: entry.url,
+        headers: omit(replay.headers, ['content-length', 'transfer-encoding']),
+        payload: replay.payload,
+        plugins: { Inspector: { replayOf: entry.id } },
+    });
+    const replayed = requestLog.getAll().find((item) => item.replayOf === entry.id);
+    return h.response({ statusCode: response.statusCode, id: replayed ? replayed.id : null });
+};
+export const name = 'Inspector';
+export const version = '0.0.1';
+export { register };
+export default {
+    register,
+    name,
+    version,
+};
@@ -0,0 +1,162 @@
+import * as Hapi from '@hapi/hapi';
+import { jest } from '@jest/globals';
+import zlib from 'zlib';
+import inspector from './inspector.module.js';
+import RequestLog from '../../../lib/RequestLog.js';
+import { readFromStream } from '../../../lib/utils/asyncUtils.js';
+
+describe('Inspector', () => {
+    const requestLog = new RequestLog();
+    const cartHandler = jest.fn();
+    let server;
+    beforeAll(async () => {
+        server = new Hapi.Server();
+        await server.register({ plugin: inspector, options: { requestLog } });
+        server.route([
+            {
+                method: 'POST',
+                path: '/api/storefront/carts',
+                options: { payload: { output: 'stream', parse: false } },
+                handler: async (request, h) => {
+                    const body = await readFromStream(request.payload);
+                    cartHandler(request.headers, body);
+                    return h
+                        .response(zlib.gzipSync(JSON.stringify({ id: 'cart-1' })))
+                        .type('application/json')
+                        .header('content-encoding', 'gzip')
+                        .header('set-cookie', 'SHOP_TOKEN=secret; Path=/; HttpOnly');
+                },
+            },
+            {
+                method: 'GET',
+                path: '/stencil/{path*}',
+                handler: () => 'body { color: red; }',
+            },
+            {
+                method: 'GET',
+                path: '/missing',
+                handler: () => {
+                    throw new Error('failure');
+                },
+            },
+        ]);
+    });
+    beforeEach(() => {
+        requestLog.clear();
+        cartHandler.mockClear();
+    });
+    const addToCart = () =>
+        server.inject({
+            method: 'POST',
+            url: '/api/storefront/carts?include=lineItems',
+            headers: {
+                cookie: 'SHOP_SESSION_TOKEN=abc; fornax=1',
+                authorization: 'Bearer token',
+                'content-type': 'application/json',
+            },
+            payload: JSON.stringify({ lineItems: [{ productId: 1, quantity: 1 }] }),
+        });
+
+    it('should record the requests proxied to the store without their credentials', async () => {
+        await addToCart();
+        const [entry] = requestLog.getAll();
+        expect(entry).toMatchObject({
+            method: 'post',
+            url: '/api/storefront/carts?include=lineItems',
+            request: {
+                headers: {
+                    cookie: 'SHOP_SESSION_TOKEN=[redacted]; fornax=[redacted]',
+                    authorization: '[redacted]',
+                },
+                body: { text: '{"lineItems":[{"productId":1,"quantity":1}]}', truncated: false },
+            },
+            response: {
+                statusCode: 200,
+                headers: { 'set-cookie': ['SHOP_TOKEN=[redacted]; Path=/; HttpOnly'] },
+                body: { mimeType: 'application/json; charset=utf-8', text: '{"id":"cart-1"}' },
+            },
+            cache: null,
+            replayOf: null,
+        });
+        expect(entry.duration).toBeGreaterThanOrEqual(0);
+    });
+
+    it('should record errors', async () => {
+        await server.inject({ method: 'GET', url: '/missing' });
+        const [entry] = requestLog.getAll();
+        expect(entry.response.statusCode).toEqual(500);
+        expect(JSON.parse(entry.response.body.text).statusCode).toEqual(500);
+    });
+
+    it('should not record the files of the theme and the dev tools', async () => {
+        await server.inject({ method: 'GET', url: '/stencil/1/css/theme.css' });
+        await server.inject({ method: 'GET', url: '/__stencil/inspector/requests' });
+        expect(requestLog.getAll()).toEqual([]);
+    });
+
+    it('should list the recorded requests', async () => {
+        await addToCart();
+        const response = await server.inject({
+            method: 'GET',
+            url: '/__stencil/inspector/requests',
+        });
+        expect(JSON.parse(response.payload).requests).toEqual([
+            expect.objectContaining({
+                method: 'post',
+                url: '/api/storefront/carts?include=lineItems',
+                statusCode: 200,
+            }),
+        ]);
+    });
+
+    it('should export the recorded requests as a HAR file', async () => {
+        await addToCart();
+        const response = await server.inject({ method: 'GET', url: '/__stencil/inspector.har' });
+        expect(response.headers['content-disposition']).toContain('stencil-requests.har');
+        const { log } = JSON.parse(response.payload);
+        expect(log.version).toEqual('1.2');
+        expect(log.entries[0].request).toMatchObject({
+            method: 'POST',
+            url: expect.stringMatching(/^http:\/\/.+\/api\/storefront\/carts\?include=lineItems$/),
+            queryString: [{ name: 'include', value: 'lineItems' }],
+            postData: { text: '{"lineItems":[{"productId":1,"quantity":1}]}' },
+        });
+        expect(log.entries[0].request.headers).toContainEqual({
+            name: 'authorization',
+            value: '[redacted]',
+        });
+        expect(log.entries[0].response.content.text).toEqual('{"id":"cart-1"}');
+    });
+
+    it('should replay a request with its original headers and body', async () => {
+        await addToCart();
+        const [entry] = requestLog.getAll();
+        const response = await server.inject({
+            method: 'POST',
+            url: `/__stencil/inspector/requests/${entry.id}/replay`,
+        });
+        expect(JSON.parse(response.payload).statusCode).toEqual(200);
+        expect(cartHandler).toHaveBeenCalledTimes(2);
+        const [headers, body] = cartHandler.mock.calls[1];
+        expect(headers).toMatchObject({
+            cookie: 'SHOP_SESSION_TOKEN=abc; fornax=1',
+            authorization: 'Bearer token',
+        });
+        expect(body).toEqual('{"lineItems":[{"productId":1,"quantity":1}]}');
+        expect(requestLog.getAll()[0].replayOf).toEqual(entry.id);
+    });
+
+    it('should fail to show a request which is not in the log', async () => {
+        const response = await server.inject({
+            method: 'GET',
+            url: '/__stencil/inspector/requests/1000',
+        });
+        expect(response.statusCode).toEqual(404);
+    });
+
+    it('should clear the log', async () => {
+        await addToCart();
+        await server.inject({ method: 'DELETE', url: '/__stencil/inspector/requests' });
+        expect(requestLog.getAll()).toEqual([]);
+    });
+});
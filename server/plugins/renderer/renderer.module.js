@@ -1,17 +1,24 @@
-import { defaultsDeep, omit, isObject, extend, isPlainObject, mapValues, findKey } from 'lodash-es';
+import { defaultsDeep, omit, pick, isObject, extend, isPlainObject, findKey } from 'lodash-es';
 import Boom from '@hapi/boom';
 import cache from 'memory-cache';
 import Crypto from 'crypto';
 import Frontmatter from 'front-matter';
 import path from 'path';
-import { promisify } from 'util';
-import langAssembler from '../../../lib/lang-assembler.js';
 import { RawResponse, RedirectResponse, PencilResponse } from './responses/index.js';
 import templateAssembler from '../../../lib/template-assembler.js';
+import { createThemeAssembler } from '../../../lib/theme-assembler.js';
 import { int2uuid, stripDomainFromCookies, normalizeRedirectUrl } from '../../lib/utils.js';
-import { readFromStream, readStream, tapStream } from '../../../lib/utils/asyncUtils.js';
+import {
+    readFromStream,
+    readBufferFromStream,
+    readStream,
+    tapStream,
+} from '../../../lib/utils/asyncUtils.js';
 import NetworkUtils from '../../../lib/utils/NetworkUtils.js';
 import contentApiClient from '../../../lib/content-api-client.js';
+import FixtureStore from '../../../lib/FixtureStore.js';
+import MissingTranslations from '../../../lib/lang/MissingTranslations.js';
+import RequestProfileStore from '../../../lib/RequestProfileStore.js';
 import { getPageType } from '../../lib/page-type-util.js';
 import {
     frontmatterRegex,
@@ -25,11 +32,39 @@ const internals = {
     cacheTTL: 1000 * 15,
     graphQLCacheTTL: 1000 * 300,
     validCustomTemplatePageTypes: ['brand', 'category', 'page', 'product'],
+    // Only these headers affect the storefront response, so recorded fixtures can be replayed by any browser
+    fixtureSignatureHeaders: ['stencil-options', 'stencil-config', 'accept-language'],
 };
 function register(server, options) {
-    internals.options = defaultsDeep(options, internals.options);
+    const state = { options: defaultsDeep(options, internals.options) };
+    const fixturesPath = state.options.offlinePath || state.options.recordPath;
+    state.fixtures = fixturesPath ? new FixtureStore(fixturesPath) : null;
+    state.missingTranslations = state.options.missingTranslations || new MissingTranslations();
+    state.requestProfiles = state.options.requestProfiles || new RequestProfileStore();
+    // Set from the console of stencil start, used when the request doesn't choose a locale
+    state.locale = null;
+    // Every channel has its own server, and its own cache of storefront responses
+    state.cache = new cache.Cache();
+    state.themeAssembler = createThemeAssembler(state.options.themePath, {
+        pseudoLocale: state.options.pseudoLocale,
+    });
+    server.expose('state', state);
     server.expose('implementation', internals.implementation);
+    server.expose('clearCache', () => state.cache.clear());
+    server.expose('isCacheEnabled', () => Boolean(state.options.useCache));
+    server.expose('setUseCache', (useCache) => {
+        state.options.useCache = useCache;
+    });
+    server.expose('setLocale', (locale) => {
+        state.locale = locale;
+    });
+    server.ext('onPreResponse', internals.addServerTiming);
 }
+/**
+ * @param request
+ * @returns {object} - state of the server of the request
+ */
+internals.getState = (request) => request.server.plugins.Renderer.state;
 /**
  * Renderer Route Handler
  *
@@ -37,14 +72,35 @@ function register(server, options) {
  * @param h
  */
 internals.implementation = async (request, h) => {
+    request.app.profile = internals.getState(request).requestProfiles.start({
+        method: request.method,
+        url: request.url.pathname + request.url.search,
+    });
     let response;
     try {
         response = await internals.getResponse(request);
     } catch (err) {
-        throw Boom.badImplementation(err);
+        throw Boom.isBoom(err) ? err : Boom.badImplementation(err);
     }
     return response.respond(request, h);
 };
+/**
+ * Shows the durations of the phases of rendered requests in the network panel of the browser
+ *
+ * @param request
+ * @param h
+ */
+internals.addServerTiming = (request, h) => {
+    const { profile } = request.app;
+    const { response } = request;
+    if (!profile) {
+        return h.continue;
+    }
+    profile.end(response.isBoom ? response.output.statusCode : response.statusCode);
+    const headers = response.isBoom ? response.output.headers : response.headers;
+    headers['server-timing'] = profile.toServerTiming();
+    return h.continue;
+};
 /**
  * Creates a hash
  *
@@ -54,12 +110,43 @@ internals.implementation = async (request, h) => {
 internals.sha1sum = (input) => {
     return Crypto.createHash('sha1').update(JSON.stringify(input)).digest('hex');
 };
+/**
+ * Creates a signature of a storefront request for recording and replaying fixtures.
+ * Built the same way as the memory-cache signatures, but ignores browser-specific headers
+ *
+ * @param {{url: string, headers: object}} httpOpts
+ * @returns String
+ */
+internals.getFixtureSignature = (httpOpts) => {
+    return (
+        internals.sha1sum(httpOpts.url) +
+        internals.sha1sum(pick(httpOpts.headers, internals.fixtureSignatureHeaders))
+    );
+};
+/**
+ * Reads a recorded fixture, fails if the page wasn't recorded
+ *
+ * @param {string} signature
+ * @param request
+ * @returns {Promise<object>}
+ */
+internals.readFixture = async (signature, request) => {
+    const fixture = await internals.getState(request).fixtures.read(signature);
+    if (!fixture) {
+        const requestName = `${request.method.toUpperCase()} ${request.url.pathname}`;
+        throw Boom.notFound(
+            `No recorded fixture found for ${requestName}. Run stencil start with --record first.`,
+        );
+    }
+    return fixture;
+};
 /**
  * Fetches data from Stapler
  *
  * @param request
  */
 internals.getResponse = async (request) => {
+    const { options, fixtures, cache: responseCache } = internals.getState(request);
     const storeUrlObj = new URL(request.app.storeUrl);
     const fullUrl = Object.assign(new URL(request.url.toString()), {
         port: storeUrlObj.port,
@@ -75,7 +162,7 @@ internals.getResponse = async (request) => {
             stencilOptions: { get_template_file: true, get_data_only: true },
             extraHeaders: { host: storeUrlObj.host },
         }),
-        accessToken: internals.options.accessToken,
+        accessToken: options.accessToken,
         data: request.payload,
         method: request.method,
         maxRedirects: 0,
@@ -88,11 +175,28 @@ internals.getResponse = async (request) => {
         httpOpts: { ...httpOpts, url: fullUrl.toString() },
         storeUrlObj,
     };
+    const fixtureSignature = internals.getFixtureSignature(httpOpts);
+    const { profile } = request.app;
+    if (options.offlinePath) {
+        profile.setCache('data', 'fixture');
+        const fixture = await profile.measure('data', () =>
+            internals.readFixture(fixtureSignature, request),
+        );
+        if (fixture.response.status >= 301 && fixture.response.status <= 303) {
+            return internals.redirect(fixture.response, request);
+        }
+        const bcAppData =
+            fixture.rawBody === undefined
+                ? fixture.bcAppData
+                : Buffer.from(fixture.rawBody, 'base64');
+        return internals.parseResponse(bcAppData, request, fixture.response, responseArgs);
+    }
     // check request signature and use cache, if available
     const httpOptsSignature = omit(httpOpts.headers, ['cookie']);
     const requestSignature = internals.sha1sum(httpOpts.url) + internals.sha1sum(httpOptsSignature);
-    const cachedResponse = cache.get(requestSignature);
-    if (cachedResponse && request.method === 'get' && internals.options.useCache) {
+    const cachedResponse = responseCache.get(requestSignature);
+    if (cachedResponse && request.method === 'get' && options.useCache) {
+        profile.setCache('data', 'hit');
         return internals.parseResponse(
             cachedResponse.bcAppData,
             request,
@@ -102,12 +206,18 @@ internals.getResponse = async (request) => {
     }
     if (request.method !== 'get' || request.path === '/cart.php') {
         // clear when making a non-get request because smth may be changed
-        cache.clear();
+        responseCache.clear();
     }
-    const response = await networkUtils.sendApiRequest(httpOpts);
-    internals.processResHeaders(response.headers);
+    profile.setCache('data', 'miss');
+    const response = await profile.measure('data', () => networkUtils.sendApiRequest(httpOpts));
+    internals.processResHeaders(response.headers, options);
     // Redirect
     if (response.status >= 301 && response.status <= 303) {
+        if (options.recordPath) {
+            await fixtures.write(fixtureSignature, {
+                response: { status: response.status, headers: response.headers },
+            });
+        }
         return internals.redirect(response, request);
     }
     // Else response is success (2xx), need to handle it further
@@ -118,15 +228,27 @@ internals.getResponse = async (request) => {
     let bcAppData = response.data;
 
     if (isResponseJson) {
-        bcAppData = JSON.parse(await readFromStream(response.data));
+        bcAppData = JSON.parse(await profile.measure('data', () => readFromStream(response.data)));
     } else if (isWebDavRequest) {
         const tappedStream = tapStream(response.data, (body) => {
             return body;
         });
         bcAppData = await readStream(tappedStream);
+    } else if (options.recordPath) {
+        // Other raw responses, e.g. images, are only read to record them
+        bcAppData = await profile.measure('data', () => readBufferFromStream(response.data));
+    }
+    if (options.recordPath) {
+        await fixtures.write(fixtureSignature, {
+            // Raw bodies can be binary
+            ...(isResponseJson
+                ? { bcAppData }
+                : { rawBody: Buffer.from(bcAppData).toString('base64') }),
+            response: { status: response.status, headers: response.headers },
+        });
     }
     // cache response
-    cache.put(
+    responseCache.put(
         requestSignature,
         {
             bcAppData,
@@ -147,6 +269,7 @@ internals.getResponse = async (request) => {
  */
 internals.parseResponse = async (bcAppData, request, response, responseArgs) => {
     const { httpOpts, storeUrlObj } = responseArgs;
+    const { options, fixtures, cache: responseCache } = internals.getState(request);
     if (typeof bcAppData !== 'object' || !('pencil_response' in bcAppData)) {
         delete response.headers['x-frame-options'];
         // this is a raw response not emitted by TemplateEngine
@@ -171,14 +294,32 @@ internals.parseResponse = async (bcAppData, request, response, responseArgs) =>
     const httpOptsSignature = internals.sha1sum(omit(httpOpts.headers, ['cookie']));
     const urlSignature = internals.sha1sum(httpOpts.url);
     const dataRequestSignature = `bcapp:${urlSignature}${httpOptsSignature}`;
-    const cachedResponse2 = cache.get(dataRequestSignature);
+    const dataFixtureSignature = `bcapp:${internals.getFixtureSignature(httpOpts)}`;
+    const cachedResponse2 = responseCache.get(dataRequestSignature);
     let response2;
+    const { profile } = request.app;
     // check request signature and use cache, if available
-    if (internals.options.useCache && cachedResponse2) {
+    if (options.offlinePath) {
+        profile.setCache('data-only', 'fixture');
+        response2 = await profile.measure('data-only', () =>
+            internals.readFixture(dataFixtureSignature, request),
+        );
+        if (response2.status >= 301 && response2.status <= 303) {
+            return internals.redirect(response2, request);
+        }
+    } else if (options.useCache && cachedResponse2) {
+        profile.setCache('data-only', 'hit');
         ({ response2 } = cachedResponse2);
     } else {
-        response2 = await networkUtils.sendApiRequest(httpOpts);
-        internals.processResHeaders(response2.headers);
+        profile.setCache('data-only', 'miss');
+        response2 = await profile.measure('data-only', () => networkUtils.sendApiRequest(httpOpts));
+        internals.processResHeaders(response2.headers, options);
+        if (options.recordPath) {
+            await fixtures.write(
+                dataFixtureSignature,
+                pick(response2, ['status', 'headers', 'data']),
+            );
+        }
         // Response is a redirect
         if (response2.status >= 301 && response2.status <= 303) {
             return internals.redirect(response2, request);
@@ -186,7 +327,7 @@ internals.parseResponse = async (bcAppData, request, response, responseArgs) =>
         if (response2.data && response2.data.status === 500) {
             throw new Error('The BigCommerce server responded with a 500 error');
         }
-        cache.put(dataRequestSignature, { response2 }, internals.cacheTTL);
+        responseCache.put(dataRequestSignature, { response2 }, internals.cacheTTL);
     }
     const templateFile = response2.data.template_file;
     const entityId = response2.data.entity_id;
@@ -194,28 +335,42 @@ internals.parseResponse = async (bcAppData, request, response, responseArgs) =>
     let regionResponse = [];
     if (pageType) {
         // create request signature and use cache, if available
-        const graphQLUrlSignature = internals.sha1sum(internals.options.storeUrl + '/graphql');
+        const graphQLUrlSignature = internals.sha1sum(options.storeUrl + '/graphql');
         const graphQLQuerySignature = internals.sha1sum(pageType + entityId);
         const graphQLDataReqSignature = `graphql:${graphQLUrlSignature + graphQLQuerySignature}`;
-        const cachedGraphQLResponse = cache.get(graphQLDataReqSignature);
-        if (internals.options.useCache && cachedGraphQLResponse) {
+        const cachedGraphQLResponse = responseCache.get(graphQLDataReqSignature);
+        if (options.offlinePath) {
+            profile.setCache('regions', 'fixture');
+            ({ regionResponse } = await profile.measure('regions', () =>
+                internals.readFixture(graphQLDataReqSignature, request),
+            ));
+        } else if (options.useCache && cachedGraphQLResponse) {
+            profile.setCache('regions', 'hit');
             ({ regionResponse } = cachedGraphQLResponse);
         } else {
-            if (typeof entityId === 'number') {
-                regionResponse = await contentApiClient.getRenderedRegionsByPageTypeAndEntityId({
-                    accessToken: response2.data.context.settings.storefront_api.token,
-                    storeUrl: internals.options.storeUrl,
-                    pageType,
-                    entityId,
-                });
-            } else {
-                regionResponse = await contentApiClient.getRenderedRegionsByPageType({
-                    accessToken: response2.data.context.settings.storefront_api.token,
-                    storeUrl: internals.options.storeUrl,
-                    pageType,
-                });
+            profile.setCache('regions', 'miss');
+            regionResponse = await profile.measure('regions', () =>
+                typeof entityId === 'number'
+                    ? contentApiClient.getRenderedRegionsByPageTypeAndEntityId({
+                          accessToken: response2.data.context.settings.storefront_api.token,
+                          storeUrl: options.storeUrl,
+                          pageType,
+                          entityId,
+                      })
+                    : contentApiClient.getRenderedRegionsByPageType({
+                          accessToken: response2.data.context.settings.storefront_api.token,
+                          storeUrl: options.storeUrl,
+                          pageType,
+                      }),
+            );
+            responseCache.put(
+                graphQLDataReqSignature,
+                { regionResponse },
+                internals.graphQLCacheTTL,
+            );
+            if (options.recordPath) {
+                await fixtures.write(graphQLDataReqSignature, { regionResponse });
             }
-            cache.put(graphQLDataReqSignature, { regionResponse }, internals.graphQLCacheTTL);
         }
     }
     const formattedRegions = {};
@@ -243,13 +398,13 @@ internals.parseResponse = async (bcAppData, request, response, responseArgs) =>
 internals.getResourceConfig = (data, request, configuration) => {
     const missingThemeSettingsRegex = /{{\\s*?theme_settings\\..+?\\s*?}}/g;
     let resourcesConfig = {};
-    const templatePath = internals.getTemplatePath(request.path, data);
+    const templatePath = internals.getTemplatePath(request, data);
     // If the requested template is not an array, we parse the Frontmatter
     // If it is an array, then it's an ajax request using `render_with` with multiple components
     // which don't have Frontmatter and needs to get it's config from the `stencil-config` header.
     if (templatePath && !Array.isArray(templatePath)) {
         let rawTemplate = templateAssembler.getTemplateContentSync(
-            internals.getThemeTemplatesPath(),
+            internals.getThemeTemplatesPath(request),
             templatePath,
         );
         let frontmatterContent = getFrontmatterContent(rawTemplate);
@@ -292,16 +447,19 @@ internals.redirect = async (response, request) => {
     }
     response.headers.location = normalizeRedirectUrl(location, request.app);
     // return a redirect response
-    return new RedirectResponse(location, response.headers, response.status);
+    return new RedirectResponse(location, response.headers, response.status, {
+        secure: internals.getState(request).options.https,
+    });
 };
 /**
  *
- * @param {string} requestPath
+ * @param {Object} request
  * @param {Object} data
  * @returns {string}
  */
-internals.getTemplatePath = (requestPath, data) => {
-    const customLayouts = internals.options.customLayouts || {};
+internals.getTemplatePath = (request, data) => {
+    const requestPath = request.path;
+    const customLayouts = internals.getState(request).options.customLayouts || {};
     const pageType = data.page_type;
     let templatePath;
     if (
@@ -324,11 +482,18 @@ internals.getTemplatePath = (requestPath, data) => {
     return templatePath || data.template_file;
 };
 function getRawAcceptLanguageHeader(request) {
+    // Set with the "locale" query parameter or cookie
+    if (request.app.locale) {
+        return request.app.locale;
+    }
+    const { options, locale } = internals.getState(request);
+    if (locale) {
+        return locale;
+    }
     if (
-        internals.options.storeSettingsLocale.shopper_language_selection_method ===
-        'default_shopper_language'
+        options.storeSettingsLocale.shopper_language_selection_method === 'default_shopper_language'
     ) {
-        return internals.options.storeSettingsLocale.default_shopper_language;
+        return options.storeSettingsLocale.default_shopper_language;
     }
     return request.headers['accept-language'];
 }
@@ -348,6 +513,7 @@ function getAcceptLanguageHeader(request) {
  * @returns {*}
  */
 internals.getPencilResponse = (data, request, response, configuration, renderedRegions = {}) => {
+    const { options, missingTranslations, themeAssembler } = internals.getState(request);
     const context = {
         ...data.context,
         theme_settings: configuration.settings,
@@ -359,12 +525,14 @@ internals.getPencilResponse = (data, request, response, configuration, renderedR
             theme_version_id: int2uuid(1),
             theme_config_id: int2uuid(request.app.themeConfig.variationIndex + 1),
             theme_session_id: null,
-            maintenance: { secure_path: `http://localhost:${internals.options.port}` },
+            maintenance: {
+                secure_path: `${options.https ? 'https' : 'http'}://localhost:${options.port}`,
+            },
         },
     };
     return new PencilResponse(
         {
-            template_file: internals.getTemplatePath(request.path, data),
+            template_file: internals.getTemplatePath(request, data),
             templates: data.templates,
             remote: data.remote,
             remote_data: data.remote_data,
@@ -373,10 +541,12 @@ internals.getPencilResponse = (data, request, response, configuration, renderedR
             translations: data.translations,
             method: request.method,
             acceptLanguage: getAcceptLanguageHeader(request),
+            missingTranslations,
+            showMissingTranslations: options.showMissingTranslations,
             headers: response.headers,
             statusCode: response.status,
         },
-        internals.themeAssembler,
+        themeAssembler,
     );
 };
 /**
@@ -414,47 +584,19 @@ internals.buildReqHeaders = ({
  * Process headers from Fetch response
  *
  * @param {Headers} headers
+ * @param {object} options - options of the plugin
  * @returns {object}
  */
-internals.processResHeaders = (headers) => {
+internals.processResHeaders = (headers, options) => {
     if (headers && headers['set-cookie']) {
         // eslint-disable-next-line no-param-reassign
-        headers['set-cookie'] = stripDomainFromCookies(headers['set-cookie']);
-    }
-};
-/**
- * Theme assembler interface for paper
- * @type {Object}
- */
-internals.themeAssembler = {
-    async getTemplates(templatesPath, processor) {
-        const templates = await promisify(templateAssembler.assemble)(
-            internals.getThemeTemplatesPath(),
-            templatesPath,
-        );
-        if (templates[templatesPath]) {
-            // Check if the string includes frontmatter configuration and remove it
-            const match = templates[templatesPath].match(/---\r?\n[\S\s]*\r?\n---\r?\n([\S\s]*)$/);
-            if (match && match[1]) {
-                // eslint-disable-next-line prefer-destructuring
-                templates[templatesPath] = match[1];
-            }
-        }
-        return processor(templates);
-    },
-    getTranslations: () => {
-        return new Promise((resolve, reject) => {
-            langAssembler.assemble((err, translations) => {
-                if (err) {
-                    return reject(err);
-                }
-                return resolve(mapValues(translations, (locales) => JSON.parse(locales)));
-            });
+        headers['set-cookie'] = stripDomainFromCookies(headers['set-cookie'], {
+            secure: options.https,
         });
-    },
+    }
 };
-internals.getThemeTemplatesPath = () => {
-    return path.join(internals.options.themePath, 'templates');
+internals.getThemeTemplatesPath = (request) => {
+    return path.join(internals.getState(request).options.themePath, 'templates');
 };
 export const name = 'Renderer';
 export const version = '0.0.1';
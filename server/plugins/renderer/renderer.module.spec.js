@@ -2,6 +2,7 @@ import axios from 'axios';
 import MockAdapter from 'axios-mock-adapter';
 import path from 'path';
 import fs from 'fs';
+import os from 'os';
 import { jest } from '@jest/globals';
 import { PassThrough } from 'stream';
 import Server from '../../index.js';
@@ -226,6 +227,11 @@ describe('Renderer Plugin', () => {
                 ],
             });
         });
+        it('should return the duration of the storefront request', async () => {
+            expect(localServerResponse.headers['server-timing']).toMatch(
+                /^data;dur=[\d.]+;desc="miss", total;dur=[\d.]+$/,
+            );
+        });
         it('should return a correct response body', async () => {
             expect(localServerResponse.payload).toEqual(
                 '<!DOCTYPE html>' +
@@ -240,6 +246,36 @@ describe('Renderer Plugin', () => {
             );
         });
     });
+    describe('cache controls', () => {
+        const browserRequest = { method: 'get', url: '/cached.php' };
+        beforeEach(() => {
+            axiosMock
+                .onGet()
+                .reply(200, '<html><head></head></html>', { 'content-type': 'text/html' });
+        });
+        afterEach(() => {
+            server.plugins.Renderer.setUseCache(false);
+            server.plugins.Renderer.clearCache();
+        });
+
+        it('should turn the cache on and off', async () => {
+            expect(server.plugins.Renderer.isCacheEnabled()).toBe(false);
+            server.plugins.Renderer.setUseCache(true);
+            await server.inject(browserRequest);
+            const response = await server.inject(browserRequest);
+            expect(response.headers['server-timing']).toContain('desc="hit"');
+            expect(axiosMock.history.get).toHaveLength(1);
+        });
+
+        it('should clear the cached responses', async () => {
+            server.plugins.Renderer.setUseCache(true);
+            await server.inject(browserRequest);
+            server.plugins.Renderer.clearCache();
+            const response = await server.inject(browserRequest);
+            expect(response.headers['server-timing']).toContain('desc="miss"');
+            expect(axiosMock.history.get).toHaveLength(2);
+        });
+    });
     describe('when the storefront server response is Success and content-type is "image"', () => {
         const browserRequest = {
             method: 'get',
@@ -293,4 +329,80 @@ describe('Renderer Plugin', () => {
             expect(localServerResponse.payload).toEqual(testString);
         });
     });
+    describe('fixtures', () => {
+        let fixturesPath;
+        let recordingServer;
+        let offlineServer;
+        const createFixturesServer = (port, options) =>
+            Server.create({
+                ...serverOptions,
+                dotStencilFile: { ...serverOptions.dotStencilFile, port },
+                ...options,
+            });
+        beforeAll(async () => {
+            fixturesPath = fs.mkdtempSync(path.join(os.tmpdir(), 'stencil-fixtures-'));
+            recordingServer = await createFixturesServer(4010, { recordPath: fixturesPath });
+            offlineServer = await createFixturesServer(4020, { offlinePath: fixturesPath });
+        });
+        afterAll(async () => {
+            await Promise.all([recordingServer.stop(), offlineServer.stop()]);
+            fs.rmSync(fixturesPath, { recursive: true, force: true });
+        });
+        const record = async (url, body, headers, status = 200) => {
+            const stream = new PassThrough();
+            stream.end(body);
+            axiosMock.onGet().reply(status, stream, headers);
+            return recordingServer.inject({ method: 'GET', url });
+        };
+
+        it('should replay a recorded binary response', async () => {
+            const testImage = fs.readFileSync('./test/assets/cat_and_dog.jpeg');
+            const recorded = await record('/images/cat_and_dog.jpeg', testImage, {
+                'content-type': 'image/jpeg',
+            });
+            expect(recorded.rawPayload).toEqual(testImage);
+            axiosMock.reset();
+            const replayed = await offlineServer.inject({
+                method: 'GET',
+                url: '/images/cat_and_dog.jpeg',
+            });
+            expect(replayed.statusCode).toEqual(200);
+            expect(replayed.headers['content-type']).toEqual('image/jpeg');
+            expect(replayed.headers['server-timing']).toContain('desc="fixture"');
+            expect(replayed.rawPayload).toEqual(testImage);
+            expect(axiosMock.history.get).toHaveLength(0);
+        });
+
+        it('should replay a recorded WebDav /content response', async () => {
+            await record('/content/recorded.txt', 'webdav fixture', {
+                'content-type': 'text/plain',
+            });
+            axiosMock.reset();
+            const replayed = await offlineServer.inject({
+                method: 'GET',
+                url: '/content/recorded.txt',
+            });
+            expect(replayed.statusCode).toEqual(200);
+            expect(replayed.payload).toEqual('webdav fixture');
+            expect(axiosMock.history.get).toHaveLength(0);
+        });
+
+        it('should replay a recorded redirect', async () => {
+            axiosMock.onGet().reply(302, undefined, { location: `${storeUrl}/login.php` });
+            await recordingServer.inject({ method: 'GET', url: '/account.php' });
+            axiosMock.reset();
+            const replayed = await offlineServer.inject({ method: 'GET', url: '/account.php' });
+            expect(replayed.statusCode).toEqual(302);
+            expect(replayed.headers.location).toEqual('/login.php');
+        });
+
+        it('should respond with 404 to pages which were not recorded', async () => {
+            const response = await offlineServer.inject({ method: 'GET', url: '/not-recorded' });
+            expect(response.statusCode).toEqual(404);
+            expect(JSON.parse(response.payload).message).toContain(
+                'Run stencil start with --record',
+            );
+            expect(axiosMock.history.get).toHaveLength(0);
+        });
+    });
 });
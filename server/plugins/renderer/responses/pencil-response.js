@@ -1,5 +1,13 @@
 import { each } from 'lodash-es';
 import Paper from '@bigcommerce/stencil-paper';
+import {
+    getBuildError,
+    getTemplateErrorDetails,
+    renderErrorOverlay,
+    renderErrorPage,
+} from '../../../lib/error-overlay.js';
+import { trackMissingTranslations } from '../../../lib/translation-markers.js';
+import RequestProfile from '../../../../lib/RequestProfile.js';
 /**
  * Escapes html entities
  *
@@ -41,6 +49,13 @@ const getTemplatePath = (request, data) => {
     }
     return paths;
 };
+/**
+ * Requests rendered outside of the local server aren't profiled
+ *
+ * @param {Object} request
+ * @returns {RequestProfile}
+ */
+const getProfile = (request) => request.app.profile || new RequestProfile();
 /**
  * Returns boolean if this handlebars version is supported
  *
@@ -92,6 +107,8 @@ class PencilResponse {
      * @param {{[string]: string[]}} data.headers
      * @param data.statusCode
      * @param data.renderedRegions
+     * @param {MissingTranslations} [data.missingTranslations] - collects the keys missing from the active locale
+     * @param {boolean} [data.showMissingTranslations] - mark the missing keys in the page
      * @param assembler
      */
     constructor(data, assembler) {
@@ -100,6 +117,68 @@ class PencilResponse {
     }
 
     async respond(request, h) {
+        const paper = this.createPaper(request);
+        const templatePath = getTemplatePath(request, this.data);
+        if (request.query.debug === 'context') {
+            return this.data.context;
+        }
+        try {
+            const output = await this.renderTheme(paper, templatePath, request);
+            const response = h
+                .response(this.addBuildErrorOverlay(output))
+                .code(this.data.statusCode);
+            if (this.data.headers['set-cookie']) {
+                response.header('set-cookie', this.data.headers['set-cookie']);
+            }
+            return response;
+        } catch (err) {
+            console.error(err.message.red);
+            const details = await getTemplateErrorDetails(err, {
+                templatesFolder: this.assembler.templatesFolder,
+                templatePath,
+                url: request.url && request.url.href,
+            });
+            return h.response(renderErrorPage(details)).type('text/html').code(500);
+        }
+    }
+
+    /**
+     * Shows the last error of the build worker on top of the rendered page
+     *
+     * @param {string|Object} output
+     * @returns {string|Object}
+     */
+    addBuildErrorOverlay(output) {
+        const buildError = getBuildError();
+        if (!buildError || typeof output !== 'string') {
+            return output;
+        }
+        const overlay = renderErrorOverlay({
+            title: 'Build Error',
+            message: buildError,
+            file: 'stencil.conf.cjs',
+        });
+        return output.includes('</body>')
+            ? output.replace('</body>', `${overlay}\n</body>`)
+            : output + overlay;
+    }
+
+    /**
+     * Renders the templates without creating a Hapi response. Rendering errors are thrown.
+     *
+     * @param {Object} request - Hapi request or an object with the same headers, query and app fields
+     * @returns {Promise<string|Object>}
+     */
+    async render(request) {
+        const paper = this.createPaper(request);
+        return this.renderTheme(paper, getTemplatePath(request, this.data), request);
+    }
+
+    /**
+     * @param {Object} request
+     * @returns {Paper}
+     */
+    createPaper(request) {
         const templateEngine = compatibilizeTemplateEngine(
             this.data.context.template_engine || 'handlebars-v3',
         );
@@ -108,10 +187,18 @@ class PencilResponse {
                 'Provided Handlebars version is not supported! Please use:handlebars-v3, handlebars-v4',
             );
         }
+        const profile = getProfile(request);
+        const assembler = {
+            ...this.assembler,
+            getTemplates: (...args) =>
+                profile.measure('templates', () => this.assembler.getTemplates(...args)),
+            getTranslations: () =>
+                profile.measure('translations', () => this.assembler.getTranslations()),
+        };
         const paper = new Paper(
             this.data.context.settings,
             this.data.context.theme_settings,
-            this.assembler,
+            assembler,
             templateEngine,
         );
         // Set the environment to dev
@@ -123,22 +210,28 @@ class PencilResponse {
         each(request.app.decorators, (decorator) => {
             paper.addDecorator(decorator);
         });
-        const templatePath = getTemplatePath(request, this.data);
-        if (request.query.debug === 'context') {
-            return this.data.context;
-        }
-        try {
-            await paper.loadTheme(templatePath, this.data.acceptLanguage);
-            const output = await paper.renderTheme(templatePath, this.data);
-            const response = h.response(output).code(this.data.statusCode);
-            if (this.data.headers['set-cookie']) {
-                response.header('set-cookie', this.data.headers['set-cookie']);
-            }
-            return response;
-        } catch (err) {
-            console.error(err.message.red);
-            return h.response().code(500);
+        return paper;
+    }
+
+    /**
+     * @param {Paper} paper
+     * @param {string|string[]} templatePath
+     * @param {Object} request
+     * @returns {Promise<string|Object>}
+     */
+    async renderTheme(paper, templatePath, request) {
+        await paper.loadTheme(templatePath, this.data.acceptLanguage);
+        if (this.data.missingTranslations) {
+            trackMissingTranslations(paper, {
+                acceptLanguage: this.data.acceptLanguage,
+                missingTranslations: this.data.missingTranslations,
+                showMarkers: this.data.showMissingTranslations,
+                page: request.path,
+            });
         }
+        return getProfile(request).measure('render', () =>
+            paper.renderTheme(templatePath, this.data),
+        );
     }
 }
 export default PencilResponse;
@@ -3,6 +3,8 @@ import path from 'path';
 import { promisify } from 'util';
 import PencilResponse from './pencil-response.js';
 import templateAssembler from '../../../../lib/template-assembler.js';
+import { setBuildError } from '../../../lib/error-overlay.js';
+import RequestProfile from '../../../../lib/RequestProfile.js';
 
 describe('PencilResponse', () => {
     const assembler = {
@@ -73,6 +75,16 @@ describe('PencilResponse', () => {
         expect(h.response).toHaveBeenCalledTimes(1);
     });
 
+    it('should profile the template assembly and the rendering', async () => {
+        request.app.profile = new RequestProfile();
+        const pencilResponse = new PencilResponse(data, assembler);
+        await pencilResponse.respond(request, h);
+        expect(request.app.profile.getPhases().map((phase) => phase.name)).toEqual([
+            'translations',
+            'render',
+        ]);
+    });
+
     describe('it should successfully render a tempalte with dynamic partials', () => {
         it('should render a template with dynamic partials', async () => {
             let result = '';
@@ -117,4 +129,66 @@ describe('PencilResponse', () => {
 </html>`);
         });
     });
+
+    describe('error overlay', () => {
+        const templatesFolder = path.join(process.cwd(), 'test/_mocks/themes/valid', 'templates');
+        let result;
+        beforeEach(() => {
+            jest.spyOn(console, 'error').mockImplementation(jest.fn());
+            response.type = jest.fn().mockReturnValue(response);
+            h.response = (output) => {
+                result = output;
+                return response;
+            };
+            data.template_file = 'pages/page3';
+            data.context.template_engine = 'handlebars-v4';
+            data.remote = false;
+        });
+        afterEach(() => {
+            setBuildError(null);
+            jest.restoreAllMocks();
+        });
+
+        it('should respond with the error overlay if the template fails to compile', async () => {
+            const compileError = new Error("if doesn't match each - 2:4");
+            compileError.name = 'CompileError';
+            compileError.details = { path: 'components/ul' };
+            const themeAssembler = {
+                templatesFolder,
+                getTemplates: async () => {
+                    throw compileError;
+                },
+                getTranslations: async () => ({}),
+            };
+            jest.spyOn(response, 'code');
+            const pencilResponse = new PencilResponse(data, themeAssembler);
+            await pencilResponse.respond(request, h);
+            expect(response.code).toHaveBeenCalledWith(500);
+            expect(result).toContain('id="stencil-error-overlay"');
+            expect(result).toContain('if doesn&#39;t match each - 2:4');
+            expect(result).toContain('templates/components/ul.html:2:5');
+            expect(result).toContain(
+                'Included from: pages/page3 &gt; components/c &gt; components/ul',
+            );
+        });
+
+        it('should show the error of the build worker on top of the page', async () => {
+            setBuildError('Module not found: ./missing.js');
+            const themeAssembler = {
+                async getTemplates(templatesPath, processor) {
+                    const templates = await promisify(templateAssembler.assemble)(
+                        templatesFolder,
+                        templatesPath,
+                    );
+                    return processor(templates);
+                },
+                getTranslations: async () => ({}),
+            };
+            const pencilResponse = new PencilResponse(data, themeAssembler);
+            await pencilResponse.respond(request, h);
+            expect(result).toContain('<title>page3.html</title>');
+            expect(result).toContain('Module not found: ./missing.js');
+            expect(result).toMatch(/stencil-error-overlay.*<\/body>/s);
+        });
+    });
 });
@@ -3,7 +3,6 @@ import { int2uuid } from '../../../lib/utils.js';
 
 const internals = {
     stubActiveVersion: int2uuid(1),
-    stubActiveConfig: int2uuid(1),
 };
 class RawResponse {
     /**
@@ -20,12 +19,12 @@ class RawResponse {
 
     respond(request, h) {
         let payload = this.data;
-        internals.stubActiveConfig = int2uuid(request.app.themeConfig.variationIndex + 1);
+        const activeConfig = int2uuid(request.app.themeConfig.variationIndex + 1);
         if (
             request.path.startsWith('/checkout.php') ||
             request.path.startsWith('/finishorder.php')
         ) {
-            payload = this._appendCss(payload.toString('utf8'));
+            payload = this._appendCss(payload.toString('utf8'), activeConfig);
         }
         // To be removed when we go to Phase 3
         if (request.path.startsWith('/checkout')) {
@@ -33,7 +32,7 @@ class RawResponse {
                 .toString('utf8')
                 .replace(
                     /http[s]?:\/\/.*?\/optimized-checkout.css/,
-                    `/stencil/${internals.stubActiveVersion}/${internals.stubActiveConfig}/css/optimized-checkout.css`,
+                    `/stencil/${internals.stubActiveVersion}/${activeConfig}/css/optimized-checkout.css`,
                 );
         }
         const response = h.response(payload).code(this.statusCode);
@@ -58,11 +57,12 @@ class RawResponse {
      * @private
      * Append checkout.css to override styles.
      * @param {string} payload
+     * @param {string} activeConfig - uuid of the variation
      * @returns {string}
      */
-    _appendCss(payload) {
+    _appendCss(payload, activeConfig) {
         const dom = cheerio.load(payload);
-        const url = `/stencil/${internals.stubActiveVersion}/${internals.stubActiveConfig}/css/checkout.css`;
+        const url = `/stencil/${internals.stubActiveVersion}/${activeConfig}/css/checkout.css`;
         dom('head').append(`<link href="${url}" type="text/css" rel="stylesheet">`);
         return dom.html();
     }
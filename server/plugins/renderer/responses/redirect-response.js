@@ -3,11 +3,14 @@ class RedirectResponse {
      * @param {string} location
      * @param {{[string]: string[]}} headers
      * @param {number} statusCode
+     * @param {object} [options]
+     * @param {boolean} [options.secure] - the local server uses https, cookies can stay Secure
      */
-    constructor(location, headers, statusCode) {
+    constructor(location, headers, statusCode, { secure = false } = {}) {
         this.location = location;
         this.headers = headers;
         this.statusCode = statusCode;
+        this.secure = secure;
     }
 
     respond(request, h) {
@@ -22,9 +25,10 @@ class RedirectResponse {
                     response.header(
                         'set-cookie',
                         values.map((val) =>
-                            val
-                                .replace(/; Secure/gi, '')
-                                .replace(/(?:;\s)?domain=(?:.+?)(;|$)/gi, ''),
+                            (this.secure ? val : val.replace(/; Secure/gi, '')).replace(
+                                /(?:;\s)?domain=(?:.+?)(;|$)/gi,
+                                '',
+                            ),
                         ),
                     );
                     break;
@@ -1,5 +1,8 @@
+import { setTimeout } from 'timers/promises';
 import { defaultsDeep } from 'lodash-es';
+import * as Boom from '@hapi/boom';
 import ThemeConfig from '../../../lib/theme-config.js';
+import MockStore from '../../../lib/MockStore.js';
 
 const internals = {
     options: {
@@ -7,6 +10,7 @@ const internals = {
         apiKey: '',
         port: '',
         channelId: null,
+        mockStore: null,
     },
     paths: {
         renderer: '/{url*}',
@@ -18,31 +22,197 @@ const internals = {
         favicon: '/favicon.ico',
         graphQL: '/graphql',
     },
+    // Cookies of the settings which can be changed per request with a query parameter
+    devCookies: {
+        variation: 'stencil_variation',
+        locale: 'stencil_locale',
+    },
 };
 function mapUri(req) {
-    const host = `https://${internals.options.storeUrl.replace(/http[s]?:\/\//, '')}`;
+    const { options } = internals.getState(req);
+    const host = `https://${options.storeUrl.replace(/http[s]?:\/\//, '')}`;
     const urlParams = req.url.search || '';
     const uri = `${host}${req.path}${urlParams}`;
     const headers = {
-        'stencil-cli': internals.options.stencilCliVersion,
-        'x-auth-token': internals.options.accessToken,
+        'stencil-cli': options.stencilCliVersion,
+        'x-auth-token': options.accessToken,
     };
     return { uri, headers };
 }
 function register(server, options) {
-    internals.options = defaultsDeep(options, internals.options);
-    server.ext('onRequest', (request, h) => {
-        request.app.storeUrl = internals.options.storeUrl;
-        request.app.normalStoreUrl = internals.options.normalStoreUrl;
-        request.app.apiKey = internals.options.apiKey;
-        request.app.themeConfig = ThemeConfig.getInstance();
+    // Kept by the server, as stencil start can run a server for each channel
+    server.expose('state', { options: defaultsDeep(options, internals.options) });
+    server.ext('onRequest', async (request, h) => {
+        const state = internals.getState(request);
+        request.app.storeUrl = state.options.storeUrl;
+        request.app.normalStoreUrl = state.options.normalStoreUrl;
+        request.app.apiKey = state.options.apiKey;
+        request.app.themeConfig = await internals.getThemeConfig(request);
+        request.app.locale = internals.getDevSetting(request, 'locale') || null;
         return h.continue;
     });
+    server.ext('onPreResponse', internals.setDevCookies);
     server.dependency(
         ['@hapi/inert', '@hapi/h2o2', 'Renderer', 'ThemeAssets'],
         internals.registerRoutes,
     );
 }
+/**
+ * @param request
+ * @returns {{options: object}} - state of the server of the request
+ */
+internals.getState = (request) => request.server.plugins.Router.state;
+/**
+ * Dev settings of a request come from a query parameter, or the cookie set by it for the next pages
+ *
+ * @param request
+ * @param {string} name - name of the query parameter
+ * @returns {string|undefined}
+ */
+internals.getDevSetting = (request, name) => {
+    const cookieName = internals.devCookies[name];
+    const queryValue = request.query[name];
+    if (queryValue !== undefined) {
+        if (request.headers['sec-fetch-dest'] !== 'iframe') {
+            // Frames of the compare page shouldn't change the settings of the other tabs
+            request.app.devCookies = { ...request.app.devCookies, [cookieName]: queryValue };
+        }
+        return queryValue;
+    }
+    const cookie = new RegExp(`(?:^|;\\s*)${cookieName}=([^;]*)`).exec(
+        request.headers.cookie || '',
+    );
+    return cookie ? decodeURIComponent(cookie[1]) : undefined;
+};
+/**
+ * Selects the variation of the request with the "variation" query parameter or cookie, instead of
+ * the variation the server was started with
+ *
+ * @param request
+ * @returns {Promise<ThemeConfig>}
+ */
+internals.getThemeConfig = async (request) => {
+    const themeConfig = ThemeConfig.getInstance();
+    const variationName = internals.getDevSetting(request, 'variation');
+    if (!variationName) {
+        return themeConfig;
+    }
+    const variationIndex = await themeConfig.getVariationIndexByName(variationName);
+    if (variationIndex === -1) {
+        if (request.query.variation === undefined) {
+            // The cookie can outlive the variation
+            return themeConfig;
+        }
+        throw Boom.badRequest(
+            `Variation ${variationName} is not defined in the theme's config.json`,
+        );
+    }
+    return themeConfig.getVariationConfig(variationIndex);
+};
+/**
+ * Remembers the dev settings passed in the query. An empty value goes back to the default one.
+ *
+ * @param request
+ * @param h
+ */
+internals.setDevCookies = (request, h) => {
+    const { response } = request;
+    if (!request.app.devCookies || response.isBoom) {
+        return h.continue;
+    }
+    for (const [cookieName, value] of Object.entries(request.app.devCookies)) {
+        const cookie = value
+            ? `${cookieName}=${encodeURIComponent(value)}; Path=/`
+            : `${cookieName}=; Path=/; Max-Age=0`;
+        response.header('set-cookie', cookie, { append: true });
+    }
+    return h.continue;
+};
+/**
+ * Responds to the storefront API and GraphQL requests matched by a mock. The other requests go on
+ * to the proxy, after the delay of the mock if there is one.
+ *
+ * @param request
+ * @param h
+ */
+internals.respondWithMock = async (request, h) => {
+    const { mockStore } = internals.getState(request).options;
+    if (!mockStore) {
+        return h.continue;
+    }
+    const mock = await mockStore.respond(internals.getMockRequest(request));
+    if (!mock) {
+        return h.continue;
+    }
+    if (mock.delay) {
+        await setTimeout(mock.delay);
+    }
+    if (mock.status === undefined) {
+        return h.continue;
+    }
+    const response = h.response(mock.body === undefined ? null : mock.body).code(mock.status);
+    for (const [headerName, value] of Object.entries(mock.headers)) {
+        response.header(headerName, value);
+    }
+    return response.header('x-stencil-mock', mock.file).takeover();
+};
+/**
+ * @param request
+ * @returns {{method: string, path: string, query: object, headers: object, body: *, operationName?: string}}
+ */
+internals.getMockRequest = (request) => {
+    let body = request.payload && request.payload.length ? request.payload.toString() : null;
+    try {
+        body = body && JSON.parse(body);
+    } catch {
+        // Not every body is JSON, e.g. forms
+    }
+    const isGraphQL = request.path === internals.paths.graphQL;
+    return {
+        method: request.method.toUpperCase(),
+        path: request.path,
+        query: request.query,
+        headers: request.headers,
+        body,
+        operationName: isGraphQL ? MockStore.getOperationName(body || request.query) : undefined,
+    };
+};
+/**
+ * Proxied routes which can be mocked. Hapi doesn't allow payload settings on GET routes, the other
+ * methods read the whole body to match it and still pass it on to the proxy.
+ *
+ * @param {string} path
+ * @param {string[]} methods
+ * @param {object} proxy - options of the proxy handler
+ * @returns {object[]}
+ */
+internals.getMockableProxyRoutes = (path, methods, proxy) => {
+    const options = {
+        ext: {
+            onPreHandler: { method: internals.respondWithMock },
+        },
+        state: {
+            failAction: 'log',
+        },
+    };
+    const bodyMethods = methods.filter((method) => method !== 'GET');
+    return [
+        ...(methods.includes('GET') ? [{ method: 'GET', path, handler: { proxy }, options }] : []),
+        {
+            method: bodyMethods,
+            path,
+            handler: { proxy },
+            options: {
+                ...options,
+                payload: {
+                    output: 'data',
+                    parse: false,
+                    maxBytes: 20971520, // 20MB
+                },
+            },
+        },
+    ];
+};
 internals.registerRoutes = (server) => {
     server.route([
         {
@@ -112,22 +282,15 @@ internals.registerRoutes = (server) => {
                 },
             },
         },
-        {
-            method: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-            path: internals.paths.storefrontAPI,
-            handler: {
-                proxy: {
-                    mapUri,
-                    rejectUnauthorized: false,
-                    passThrough: true,
-                },
+        ...internals.getMockableProxyRoutes(
+            internals.paths.storefrontAPI,
+            ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+            {
+                mapUri,
+                rejectUnauthorized: false,
+                passThrough: true,
             },
-            options: {
-                state: {
-                    failAction: 'log',
-                },
-            },
-        },
+        ),
         {
             method: 'GET',
             path: internals.paths.favicon,
@@ -150,35 +313,27 @@ internals.registerRoutes = (server) => {
                 },
             },
         },
-        {
-            method: ['GET', 'POST'],
-            path: internals.paths.graphQL,
-            handler: {
-                proxy: {
-                    mapUri: (req) => ({
-                        uri: `${internals.options.storeUrl}${req.path}`,
-                        // Note, that we should modify the original req.headers to make it work
-                        headers: Object.assign(
-                            // Add 'origin' and 'host' headers to request before proxying
-                            req.headers,
-                            {
-                                origin: internals.options.storeUrl,
-                                host: internals.options.storeUrl.replace(/http[s]?:\/\//, ''),
-                                'stencil-cli': internals.options.stencilCliVersion,
-                                'x-auth-token': internals.options.accessToken,
-                            },
-                        ),
-                    }),
-                    rejectUnauthorized: false,
-                    passThrough: true,
-                },
+        ...internals.getMockableProxyRoutes(internals.paths.graphQL, ['GET', 'POST'], {
+            mapUri: (req) => {
+                const { options } = internals.getState(req);
+                return {
+                    uri: `${options.storeUrl}${req.path}`,
+                    // Note, that we should modify the original req.headers to make it work
+                    headers: Object.assign(
+                        // Add 'origin' and 'host' headers to request before proxying
+                        req.headers,
+                        {
+                            origin: options.storeUrl,
+                            host: options.storeUrl.replace(/http[s]?:\/\//, ''),
+                            'stencil-cli': options.stencilCliVersion,
+                            'x-auth-token': options.accessToken,
+                        },
+                    ),
+                };
             },
-            options: {
-                state: {
-                    failAction: 'log',
-                },
-            },
-        },
+            rejectUnauthorized: false,
+            passThrough: true,
+        }),
     ]);
 };
 export const name = 'Router';
@@ -1,7 +1,10 @@
+import { jest } from '@jest/globals';
 import * as Hapi from '@hapi/hapi';
 import * as inert from '@hapi/inert';
 import * as h2o2 from '@hapi/h2o2';
+import path from 'path';
 import router from './router.module';
+import ThemeConfig from '../../../lib/theme-config.js';
 
 describe('Router', () => {
     const SERVER_OPTIONS = {
@@ -11,11 +14,21 @@ describe('Router', () => {
         storeUrl: 'https://store-abc124.mybigcommerce.com',
         normalStoreUrl: 'http://s1234567890.mybigcommerce.com',
         port: SERVER_OPTIONS.port,
+        mockStore: { respond: jest.fn().mockResolvedValue(null) },
     };
     const server = new Hapi.Server(SERVER_OPTIONS);
     const RendererPluginMock = {
         register(_server) {
-            _server.expose('implementation', (request, h) => h.response('RendererHandlerFired'));
+            _server.expose('implementation', async (request, h) => {
+                if (request.app.locale) {
+                    return h.response(request.app.locale);
+                }
+                if (request.query.variation !== undefined || request.headers.cookie) {
+                    const { variationName } = await request.app.themeConfig.getConfig();
+                    return h.response(variationName);
+                }
+                return h.response('RendererHandlerFired');
+            });
         },
         name: 'Renderer',
         version: '0.0.1',
@@ -75,10 +88,158 @@ describe('Router', () => {
             headers: { authorization: 'auth123' },
         };
         const response = await server.inject(options);
-        expect(response.request.payload.headers).toMatchObject({
+        expect(response.request.headers).toMatchObject({
             authorization: 'auth123',
             origin: 'https://store-abc124.mybigcommerce.com',
             host: 'store-abc124.mybigcommerce.com',
         });
     });
+    describe('variation', () => {
+        let themeConfig;
+        beforeAll(async () => {
+            themeConfig = ThemeConfig.getInstance(
+                path.join(process.cwd(), 'test/_mocks/themes/valid'),
+            );
+            await themeConfig.setVariationByName('First');
+        });
+        it('should render the variation of the query parameter and remember it', async () => {
+            const response = await server.inject({ method: 'GET', url: '/test?variation=Second' });
+            expect(response.payload).toEqual('Second');
+            expect(response.headers['set-cookie']).toEqual('stencil_variation=Second; Path=/');
+            expect(themeConfig.variationIndex).toEqual(0);
+        });
+        it('should render the variation of the cookie', async () => {
+            const response = await server.inject({
+                method: 'GET',
+                url: '/test',
+                headers: { cookie: 'foo=bar; stencil_variation=Third' },
+            });
+            expect(response.payload).toEqual('Third');
+            expect(response.headers['set-cookie']).toBeUndefined();
+        });
+        it('should not remember the variation of the frames of the compare page', async () => {
+            const response = await server.inject({
+                method: 'GET',
+                url: '/test?variation=Second',
+                headers: { 'sec-fetch-dest': 'iframe' },
+            });
+            expect(response.payload).toEqual('Second');
+            expect(response.headers['set-cookie']).toBeUndefined();
+        });
+        it('should go back to the variation of the server with an empty query parameter', async () => {
+            const response = await server.inject({
+                method: 'GET',
+                url: '/test?variation=',
+                headers: { cookie: 'stencil_variation=Third' },
+            });
+            expect(response.payload).toEqual('First');
+            expect(response.headers['set-cookie']).toEqual('stencil_variation=; Path=/; Max-Age=0');
+        });
+        it('should reject a variation which does not exist', async () => {
+            const response = await server.inject({ method: 'GET', url: '/test?variation=Fourth' });
+            expect(response.statusCode).toEqual(400);
+        });
+        it('should ignore a cookie of a variation which does not exist', async () => {
+            const response = await server.inject({
+                method: 'GET',
+                url: '/test',
+                headers: { cookie: 'stencil_variation=Fourth' },
+            });
+            expect(response.payload).toEqual('First');
+        });
+    });
+    describe('locale', () => {
+        it('should use the locale of the query parameter and remember it', async () => {
+            const response = await server.inject({ method: 'GET', url: '/test?locale=fr' });
+            expect(response.payload).toEqual('fr');
+            expect(response.headers['set-cookie']).toEqual('stencil_locale=fr; Path=/');
+        });
+        it('should use the locale of the cookie', async () => {
+            const response = await server.inject({
+                method: 'GET',
+                url: '/test',
+                headers: { cookie: 'stencil_locale=de' },
+            });
+            expect(response.payload).toEqual('de');
+        });
+        it('should remember the variation and the locale together', async () => {
+            const response = await server.inject({
+                method: 'GET',
+                url: '/test?variation=Second&locale=',
+            });
+            expect(response.headers['set-cookie']).toEqual([
+                'stencil_variation=Second; Path=/',
+                'stencil_locale=; Path=/; Max-Age=0',
+            ]);
+        });
+    });
+    describe('mocks', () => {
+        const { mockStore } = ROUTER_OPTIONS;
+        afterEach(() => {
+            mockStore.respond.mockReset();
+            mockStore.respond.mockResolvedValue(null);
+        });
+        it('should respond to a storefront API request with a mock', async () => {
+            mockStore.respond.mockResolvedValue({
+                file: 'carts.json',
+                delay: 0,
+                status: 201,
+                headers: { 'x-custom': 'yes' },
+                body: { id: 'cart' },
+            });
+            const response = await server.inject({
+                method: 'POST',
+                url: '/api/storefront/carts?include=lineItems',
+                payload: { lineItems: [] },
+            });
+            expect(response.statusCode).toEqual(201);
+            expect(JSON.parse(response.payload)).toEqual({ id: 'cart' });
+            expect(response.headers['x-custom']).toEqual('yes');
+            expect(response.headers['x-stencil-mock']).toEqual('carts.json');
+            expect(mockStore.respond).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    method: 'POST',
+                    path: '/api/storefront/carts',
+                    query: { include: 'lineItems' },
+                    body: { lineItems: [] },
+                    operationName: undefined,
+                }),
+            );
+        });
+        it('should pass the operation name of a GraphQL request', async () => {
+            mockStore.respond.mockResolvedValue({
+                file: 'graphql.json',
+                delay: 0,
+                status: 500,
+                headers: {},
+                body: { errors: [{ message: 'Failed' }] },
+            });
+            const response = await server.inject({
+                method: 'POST',
+                url: '/graphql',
+                payload: { query: 'query ProductsQuery { site { id } }' },
+            });
+            expect(response.statusCode).toEqual(500);
+            expect(mockStore.respond).toHaveBeenCalledWith(
+                expect.objectContaining({ path: '/graphql', operationName: 'ProductsQuery' }),
+            );
+        });
+        it('should read the operation name of a GraphQL GET request from the query', async () => {
+            mockStore.respond.mockResolvedValue({
+                file: 'graphql.json',
+                delay: 0,
+                status: 200,
+                headers: {},
+                body: { data: {} },
+            });
+            const response = await server.inject({
+                method: 'GET',
+                url: '/graphql?operationName=CustomerQuery',
+            });
+            expect(response.statusCode).toEqual(200);
+            expect(mockStore.respond).toHaveBeenCalledWith(
+                expect.objectContaining({ method: 'GET', operationName: 'CustomerQuery' }),
+            );
+        });
+    });
 });
@@ -3,23 +3,35 @@ import * as Boom from '@hapi/boom';
 import path from 'path';
 import { uuidRegExp, uuid2int } from '../../lib/utils.js';
 import cssCompiler from '../../../lib/css/compile.js';
+import StylesheetCache from '../../../lib/css/StylesheetCache.js';
+import { getCssErrorDetails, renderCssErrorOverlay } from '../../lib/error-overlay.js';
 
 const internals = {
     options: {},
 };
 function register(server, options) {
-    internals.options = defaultsDeep(options, internals.options);
+    // Kept by the server, as stencil start can run a server for each channel
+    server.expose('state', {
+        options: defaultsDeep(options, internals.options),
+        // Shared with the scss watcher of stencil start, which invalidates the stylesheets
+        stylesheetCache: options.stylesheetCache || new StylesheetCache(),
+    });
     server.expose('cssHandler', internals.cssHandler);
     server.expose('assetHandler', internals.assetHandler);
 }
+/**
+ * @param request
+ * @returns {{options: object, stylesheetCache: StylesheetCache}} - state of the server of the request
+ */
+internals.getState = (request) => request.server.plugins.ThemeAssets.state;
 /**
  * Get the variation index from the "ConfigId" in the css filename
  * @param  {string} fileName
- * @returns {number}
+ * @returns {number|null} - null if the filename has no "ConfigId"
  */
 internals.getVariationIndex = (fileName) => {
     const match = fileName.match(new RegExp(`.+-(${uuidRegExp})$`));
-    return match ? uuid2int(match[1]) - 1 : 0;
+    return match ? uuid2int(match[1]) - 1 : null;
 };
 /**
  * Get the original css file name
@@ -32,28 +44,45 @@ internals.getOriginalFileName = (fileName) => {
 };
 /**
  * CSS Compiler Handler.  This utilises the CSS Assembler to gather all of the CSS files and then the
- * StencilStyles plugin to compile them all.
+ * StencilStyles plugin to compile them all. Compiled stylesheets are cached until one of their
+ * files changes.
  * @param request
  * @param h
  */
 internals.cssHandler = async (request, h) => {
-    const variationIndex = internals.getVariationIndex(request.params.fileName);
+    const variationIndex =
+        internals.getVariationIndex(request.params.fileName) ??
+        request.app.themeConfig.variationIndex;
     const variationExists = await request.app.themeConfig.variationExists(variationIndex);
     if (!variationExists) {
         throw Boom.notFound(`Variation ${variationIndex + 1} does not exist.`);
     }
-    // Set the variation to get the right theme configuration
-    request.app.themeConfig.setVariation(variationIndex);
-    // Get the theme configuration
-    const configuration = await request.app.themeConfig.getConfig();
+    // Get the theme configuration of the variation, without changing the one of other requests
+    const configuration = await request.app.themeConfig
+        .getVariationConfig(variationIndex)
+        .getConfig();
     const fileName = internals.getOriginalFileName(request.params.fileName);
-    const themeAssetsPath = internals.getThemeAssetsPath();
+    const themeAssetsPath = internals.getThemeAssetsPath(request);
+    const { stylesheetCache } = internals.getState(request);
+    const cachedCss = stylesheetCache.get(request.params.fileName, configuration);
+    if (cachedCss !== null) {
+        return h.response(cachedCss).type('text/css');
+    }
     try {
-        const css = await cssCompiler.compile(configuration, themeAssetsPath, fileName);
+        const files = await cssCompiler.assemble(configuration, themeAssetsPath, fileName);
+        stylesheetCache.setFiles(request.params.fileName, Object.keys(files));
+        const css = await cssCompiler.compileFiles(configuration, files, fileName);
+        stylesheetCache.setCss(request.params.fileName, configuration, css);
         return h.response(css).type('text/css');
     } catch (err) {
         console.error(err);
-        throw Boom.badData(err);
+        const details = await getCssErrorDetails(err, {
+            themeAssetsPath,
+            fileName,
+            url: request.url && request.url.href,
+        });
+        // Browsers ignore stylesheets with an error status, so the overlay is sent with 200
+        return h.response(renderCssErrorOverlay(details)).type('text/css');
     }
 };
 /**
@@ -63,11 +92,11 @@ internals.cssHandler = async (request, h) => {
  * @param h
  */
 internals.assetHandler = (request, h) => {
-    const filePath = path.join(internals.getThemeAssetsPath(), request.params.fileName);
+    const filePath = path.join(internals.getThemeAssetsPath(request), request.params.fileName);
     return h.file(filePath);
 };
-internals.getThemeAssetsPath = () => {
-    return path.join(internals.options.themePath, 'assets');
+internals.getThemeAssetsPath = (request) => {
+    return path.join(internals.getState(request).options.themePath, 'assets');
 };
 export const name = 'ThemeAssets';
 export const version = '0.0.1';
@@ -0,0 +1,20 @@
+/**
+ * Logs an error of the build and reloads anyway, like the worker of cornerstone
+ */
+function development() {
+    console.error("Module not found: Error: Can't resolve './missing'");
+    setTimeout(() => process.send('reload'), 10);
+}
+
+if (process.send) {
+    // running as a forked worker
+    process.on('message', message => {
+        if (message === 'development') {
+            development();
+        }
+    });
+
+    process.send('ready');
+}
+
+module.exports = {};